@@ -1,12 +1,140 @@
 // background.js - Enhanced background script with FIXED Argon2id WASM loading
 
+importScripts('vault-schema.js', 'vault-export.js', 'importers.js', 'vault-sharing.js', 'vault-sync.js', 'vault-merge.js', 'totp.js', 'vault-attachments.js', 'domain-matcher.js', 'lookalike-detector.js');
+
 class LockdownBackground {
   constructor() {
-    this.vault = null;
-    this.isUnlocked = false;
-    this.masterPassword = null;
-    this.autoLockTimer = null;
+    // Named vaults, each with its own master password, KDF header and storage
+    // keys. Several may be unlocked at once; the popup works on the active
+    // one, autofill and search see every unlocked vault. Per vault we hold:
+    //   vault        - decrypted vault data
+    //   vaultKey     - non-extractable AES-GCM key, held only while unlocked
+    //   vaultHeader  - KDF parameters, salt and wrapped vault key (no secrets)
+    this.openVaults = new Map();
+    this.activeVaultId = 'default';
+    this.vaultList = [];          // [{ id, name, created }] from storage
+    this.autoLockAlarm = 'lockdown-auto-lock';
     this.autoLockDelay = 5 * 60 * 1000; // 5 minutes default
+    
+    // Lock policies configured alongside the auto-lock delay
+    this.lockPolicy = {
+      resetOnActivity: true,      // Auto-lock counts from the last vault use
+      lockOnIdle: false,          // Lock when the system reports idle
+      idleSeconds: 5 * 60,
+      lockOnScreenLock: true,     // Lock when the screen locks
+      lockOnWindowsClosed: true   // Lock when the last browser window closes
+    };
+    this.lastActivity = null;
+    
+    // Unlock throttling: a few free attempts, then exponential backoff
+    this.unlockPolicy = {
+      freeAttempts: 3,
+      maxDelay: 30 * 60 * 1000,
+      wipeAfter: null             // Optional: wipe the vault after N failures
+    };
+    this.unlockInProgress = false;
+
+    // Previous passwords kept per item; 0 turns history off
+    this.passwordHistoryLimit = 10;
+
+    // Days a deleted item stays in the trash before it is purged
+    this.trashRetentionDays = 30;
+
+    // Rolling snapshots of the stored vault taken before saves. Everyday
+    // edits take at most one per interval; the listed changes, which can
+    // touch many items at once, always take one first.
+    this.snapshotPolicy = {
+      recent: 10,                 // Last N snapshots
+      daily: 7,                   // Plus the first of each of the last N days
+      interval: 5 * 60 * 1000,
+      always: ['restore', 'import', 'purge', 'schema-migration', 'sync', 'sync-merge', 'history-limit']
+    };
+    
+    // Attachment quotas, and how long the contents of a removed attachment
+    // are kept so restoring a recent snapshot brings it back
+    this.attachmentPolicy = {
+      maxFileBytes: 10 * 1024 * 1024,
+      maxVaultBytes: 100 * 1024 * 1024,
+      maxPerItem: 20,
+      orphanDays: 7
+    };
+    
+    // Messages only extension pages (popup) may send. Content scripts run
+    // inside arbitrary web pages and share the same message channel.
+    this.privilegedMessages = new Set([
+      'SETUP_VAULT',
+      'UNLOCK_VAULT',
+      'CHANGE_MASTER_PASSWORD',
+      'UPDATE_KDF_PARAMS',
+      'CALIBRATE_KDF',
+      'ROLLBACK_VAULT_MIGRATION',
+      'UPDATE_AUTO_LOCK',
+      'UPDATE_LOCK_POLICY',
+      'UPDATE_UNLOCK_POLICY',
+      'RECOVER_VAULT',
+      'GENERATE_RECOVERY_KEY',
+      'REMOVE_RECOVERY_KEY',
+      'GET_VAULT_SNAPSHOTS',
+      'DIFF_VAULT_SNAPSHOT',
+      'RESTORE_VAULT_SNAPSHOT',
+      'GET_PASSWORD_HISTORY',
+      'RESTORE_PASSWORD_FROM_HISTORY',
+      'UPDATE_PASSWORD_HISTORY_LIMIT',
+      'GET_TRASH',
+      'RESTORE_CREDENTIAL',
+      'PURGE_CREDENTIAL',
+      'EMPTY_TRASH',
+      'UPDATE_TRASH_RETENTION',
+      'EXPORT_VAULT',
+      'PREVIEW_IMPORT',
+      'APPLY_IMPORT',
+      'GET_VAULTS',
+      'CREATE_VAULT',
+      'SWITCH_VAULT',
+      'RENAME_VAULT',
+      'DELETE_VAULT',
+      'GET_SHARING',
+      'CREATE_SHARING_IDENTITY',
+      'EXPORT_IDENTITY_CARD',
+      'CREATE_COLLECTION',
+      'ADD_COLLECTION_MEMBER',
+      'REMOVE_COLLECTION_MEMBER',
+      'ROTATE_COLLECTION_KEY',
+      'MOVE_TO_COLLECTION',
+      'EXPORT_SHARE_BUNDLE',
+      'IMPORT_SHARE_BUNDLE',
+      'LEAVE_COLLECTION',
+      'GET_SYNC_STATUS',
+      'CONFIGURE_SYNC',
+      'SYNC_NOW',
+      'DISCONNECT_SYNC',
+      'RESTORE_FROM_SYNC',
+      'GET_CONFLICTS',
+      'RESOLVE_CONFLICT',
+      'GET_FOLDERS_AND_TAGS',
+      'RENAME_FOLDER',
+      'GET_TOTP_CODES',
+      'GET_ATTACHMENTS',
+      'ADD_ATTACHMENT',
+      'DOWNLOAD_ATTACHMENT',
+      'REMOVE_ATTACHMENT',
+      'GET_EQUIVALENT_DOMAINS',
+      'UPDATE_EQUIVALENT_DOMAINS'
+    ]);
+    
+    // Messages that count as using the vault for the inactivity timer. Status
+    // polls and page-load credential lookups deliberately do not.
+    this.activityMessages = new Set([
+      'VAULT_ACTIVITY',
+      'SAVE_CREDENTIAL',
+      'UPDATE_CREDENTIAL',
+      'DELETE_CREDENTIAL',
+      'SEARCH_CREDENTIALS',
+      'GET_ALL_CREDENTIALS',
+      'ADD_ATTACHMENT',
+      'DOWNLOAD_ATTACHMENT',
+      'REMOVE_ATTACHMENT'
+    ]);
     this.unlockTime = null;
     this.argon2Loaded = false;
     
@@ -20,21 +148,53 @@ class LockdownBackground {
       salt: null        // Will be generated per encryption
     };
     
+    // Argon2id presets selectable in settings ('calibrated' is measured per machine)
+    this.kdfPresets = {
+      browser: { time: 2, mem: 32 * 1024, parallelism: 1 },
+      balanced: { time: 3, mem: 64 * 1024, parallelism: 1 },
+      desktop: { time: 4, mem: 256 * 1024, parallelism: 1 }
+    };
+    this.kdfPreset = 'browser';
+    
+    // Relative strength of each vault KDF; migrations only ever move upwards
+    this.kdfStrength = {
+      'legacy-pbkdf2': 0,
+      'enhanced-pbkdf2': 1,
+      'argon2id': 2
+    };
+    this.schema = new VaultSchema();
+    this.exporter = new VaultExport(this.schema);
+    this.importers = new CredentialImporters();
+    this.sharing = new VaultSharing();
+    this.sync = new VaultSync();
+    this.merger = new VaultMerge(this.schema);
+    this.deviceId = null;          // Recorded on every item this install changes
+    this.syncAlarm = 'lockdown-sync';
+    this.syncTimers = new Map();   // vaultId -> pending push after a save
+    this.syncRuns = new Map();     // vaultId -> running sync or key rotation, so runs never overlap
+    this.pendingImport = null;     // Parsed import awaiting confirmation
+    this.totp = new Totp();
+    this.attachments = new VaultAttachments();
+    this.domainMatcher = new DomainMatcher();
+    this.lookalikes = new LookalikeDetector(this.domainMatcher);
+    // Bundled groups (equivalent-domains.json), the ids of those the user
+    // switched off, and the user's own groups
+    this.equivalentDomains = { builtIn: [], excluded: [], custom: [] };
+    this.attachmentUploads = new Set();  // Attachment ids being stored, not yet in the vault
+    this.pendingTotp = new Map();  // tabId -> login just filled there, for its one-time code
+    this.pendingTotpTtl = 5 * 60 * 1000;
+    
     this.init();
   }
 
   async init() {
     console.log('Lockdown background initializing with REAL Argon2id...');
     
-    // Load Argon2 library
-    await this.loadArgon2Library();
-    
-    // Load settings
-    await this.loadSettings();
-    
-    // Set up message listeners
+    // Set up listeners before the first await: the event that woke a
+    // terminated service worker is only delivered to listeners registered
+    // synchronously. Handlers wait until startup has finished.
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      this.handleMessage(message).then(response => {
+      this.ready.then(() => this.handleMessage(message, sender)).then(response => {
         sendResponse(response);
       }).catch(error => {
         sendResponse({ error: error.message });
@@ -42,6 +202,47 @@ class LockdownBackground {
       return true; // Keep channel open for async response
     });
 
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === this.autoLockAlarm) {
+        this.ready.then(() => this.lockVault());
+      } else if (alarm.name === this.syncAlarm) {
+        this.ready.then(() => this.syncUnlockedVaults());
+      }
+    });
+
+    chrome.idle.onStateChanged.addListener((state) => {
+      this.ready.then(() => this.handleIdleStateChange(state));
+    });
+
+    chrome.windows.onRemoved.addListener(() => {
+      this.ready.then(() => this.handleWindowRemoved());
+    });
+
+    // The bundled suffix list only changes with an update, so that is when
+    // the matcher is checked against its corpus
+    chrome.runtime.onInstalled.addListener(() => {
+      this.ready.then(() => this.checkDomainCorpus());
+    });
+
+    this.ready = (async () => {
+      // Load Argon2 library
+      await this.loadArgon2Library();
+      
+      // Load settings
+      await this.loadSettings();
+
+      // Public suffixes and domain groups for matching logins to sites
+      await this.loadPublicSuffixList();
+      await this.loadEquivalentDomains();
+      
+      // Pick up an unlocked session from before a worker restart
+      await this.restoreSession();
+
+      // Pull changes from other devices while vaults are unlocked
+      chrome.alarms.create(this.syncAlarm, { periodInMinutes: 15 });
+    })();
+    await this.ready;
+
     console.log('Lockdown background ready with Argon2id security');
   }
 
@@ -193,25 +394,220 @@ class LockdownBackground {
     }
   }
 
+  async loadPublicSuffixList() {
+    try {
+      const response = await fetch(chrome.runtime.getURL('lib/public_suffix_list.dat'));
+      if (!response.ok) {
+        throw new Error(`Failed to fetch list: ${response.status}`);
+      }
+      const count = this.domainMatcher.load(await response.text());
+      console.log(`🌐 Public suffix list loaded with ${count} rules`);
+    } catch (error) {
+      console.error('Failed to load public suffix list:', error);
+      console.warn('Matching logins on the last label of each host only');
+    }
+  }
+
+  async loadEquivalentDomains() {
+    try {
+      const { equivalentDomains } = await chrome.storage.local.get(['equivalentDomains']);
+      if (equivalentDomains) {
+        this.equivalentDomains.excluded = equivalentDomains.excluded || [];
+        this.equivalentDomains.custom = equivalentDomains.custom || [];
+      }
+
+      const response = await fetch(chrome.runtime.getURL('equivalent-domains.json'));
+      if (!response.ok) {
+        throw new Error(`Failed to fetch groups: ${response.status}`);
+      }
+      this.equivalentDomains.builtIn = (await response.json()).groups;
+    } catch (error) {
+      console.error('Failed to load equivalent domains:', error);
+    }
+    this.applyEquivalentDomains();
+  }
+
+  applyEquivalentDomains() {
+    const { builtIn, excluded, custom } = this.equivalentDomains;
+    this.domainMatcher.setEquivalentGroups([
+      ...builtIn.filter(group => !excluded.includes(group.id)).map(group => group.domains),
+      ...custom
+    ]);
+  }
+
+  async checkDomainCorpus() {
+    try {
+      const response = await fetch(chrome.runtime.getURL('domain-corpus.json'));
+      if (!response.ok) {
+        throw new Error(`Failed to fetch corpus: ${response.status}`);
+      }
+      const corpus = await response.json();
+      const failures = [...this.domainMatcher.verify(corpus), ...this.lookalikes.verify(corpus)];
+      if (failures.length > 0) {
+        console.error(`❌ Domain matching fails ${failures.length} corpus cases:`, failures);
+      } else {
+        console.log('✅ Domain matching passes its corpus');
+      }
+    } catch (error) {
+      console.error('Domain corpus check failed:', error);
+    }
+  }
+
   async loadSettings() {
     try {
-      const result = await chrome.storage.local.get(['autoLockDelay']);
+      const result = await chrome.storage.local.get([
+        'autoLockDelay', 'lockPolicy', 'unlockPolicy', 'kdfSettings', 'passwordHistoryLimit',
+        'trashRetentionDays', 'vaults', 'activeVaultId', 'deviceId'
+      ]);
+      this.deviceId = result.deviceId || await this.createDeviceId();
       this.autoLockDelay = result.autoLockDelay || (5 * 60 * 1000);
+      this.lockPolicy = { ...this.lockPolicy, ...(result.lockPolicy || {}) };
+      this.unlockPolicy = { ...this.unlockPolicy, ...(result.unlockPolicy || {}) };
+      chrome.idle.setDetectionInterval(this.lockPolicy.idleSeconds);
+      this.vaultList = result.vaults || await this.getLegacyVaultList();
+      if (result.activeVaultId && this.vaultList.some(entry => entry.id === result.activeVaultId)) {
+        this.activeVaultId = result.activeVaultId;
+      }
+      await this.loadMigrationStatus();
+      if (Number.isInteger(result.passwordHistoryLimit)) {
+        this.passwordHistoryLimit = result.passwordHistoryLimit;
+      }
+      if (Number.isInteger(result.trashRetentionDays)) {
+        this.trashRetentionDays = result.trashRetentionDays;
+      }
+      
+      if (result.kdfSettings) {
+        this.applyArgon2Params(result.kdfSettings.params);
+        this.kdfPreset = result.kdfSettings.preset || 'calibrated';
+      }
     } catch (error) {
       console.error('Failed to load settings:', error);
     }
   }
 
-  async handleMessage(message) {
+  // Random and local to this install; never synced on its own
+  async createDeviceId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(8));
+    const deviceId = Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    await chrome.storage.local.set({ deviceId });
+    return deviceId;
+  }
+
+  // Installs from before named vaults have a single unregistered vault
+  async getLegacyVaultList() {
+    const { vault } = await chrome.storage.local.get(['vault']);
+    return vault ? [{ id: 'default', name: 'Personal', created: null }] : [];
+  }
+
+  async loadMigrationStatus(vaultId = this.activeVaultId) {
+    this.vaultState(vaultId).migrationStatus = await this.getVaultItem('vaultMigration', vaultId) || null;
+  }
+
+  vaultState(vaultId = this.activeVaultId) {
+    if (!this.openVaults.has(vaultId)) {
+      this.openVaults.set(vaultId, {
+        vault: null,
+        vaultKey: null,
+        vaultHeader: null,
+        isUnlocked: false,
+        migrationStatus: null
+      });
+    }
+    return this.openVaults.get(vaultId);
+  }
+
+  // Single-vault code paths read and write the active vault through these.
+  // Anything that awaits captures vaultId and vaultState(vaultId) first
+  // instead, since the popup can switch vaults while it waits.
+  get vault() { return this.vaultState().vault; }
+  set vault(value) { this.vaultState().vault = value; }
+  get vaultKey() { return this.vaultState().vaultKey; }
+  set vaultKey(value) { this.vaultState().vaultKey = value; }
+  get vaultHeader() { return this.vaultState().vaultHeader; }
+  set vaultHeader(value) { this.vaultState().vaultHeader = value; }
+  get isUnlocked() { return this.vaultState().isUnlocked; }
+  set isUnlocked(value) { this.vaultState().isUnlocked = value; }
+  get migrationStatus() { return this.vaultState().migrationStatus; }
+  set migrationStatus(value) { this.vaultState().migrationStatus = value; }
+
+  getUnlockedVaultIds() {
+    return [...this.openVaults.keys()].filter(vaultId => {
+      const state = this.openVaults.get(vaultId);
+      return state.isUnlocked && state.vault;
+    });
+  }
+
+  // Per-vault storage keys. The default vault keeps the original key names
+  // so vaults from before named vaults need no migration.
+  storageKey(name, vaultId = this.activeVaultId) {
+    return vaultId === 'default' ? name : `${name}:${vaultId}`;
+  }
+
+  async getVaultItem(name, vaultId = this.activeVaultId) {
+    const key = this.storageKey(name, vaultId);
+    const result = await chrome.storage.local.get([key]);
+    return result[key];
+  }
+
+  async setVaultItems(items, vaultId = this.activeVaultId) {
+    const keyed = {};
+    Object.keys(items).forEach(name => { keyed[this.storageKey(name, vaultId)] = items[name]; });
+    await chrome.storage.local.set(keyed);
+    if (items.vault) {
+      this.scheduleSync(vaultId);
+    }
+  }
+
+  async removeVaultItems(names, vaultId = this.activeVaultId) {
+    await chrome.storage.local.remove(names.map(name => this.storageKey(name, vaultId)));
+  }
+
+  async handleMessage(message, sender) {
+    if (this.privilegedMessages.has(message.type) && !this.isExtensionPage(sender)) {
+      console.warn(`Rejected ${message.type} from`, sender && sender.url);
+      return { error: 'Not allowed from this context' };
+    }
+
+    if (this.activityMessages.has(message.type)) {
+      await this.recordActivity();
+    }
+
     switch (message.type) {
       case 'SETUP_VAULT':
-        return await this.setupVault(message.masterPassword);
+        return await this.setupVault(message.masterPassword, message.createRecoveryKey === true);
       
       case 'UNLOCK_VAULT':
         return await this.unlockVault(message.masterPassword);
       
+      case 'GET_UNLOCK_STATUS':
+        return await this.getUnlockStatus();
+      
+      case 'UPDATE_UNLOCK_POLICY':
+        return await this.updateUnlockPolicy(message.wipeAfter);
+      
+      case 'RECOVER_VAULT':
+        return await this.recoverVault(message.recoveryKey, message.newPassword);
+      
+      case 'GENERATE_RECOVERY_KEY':
+        return await this.generateRecoveryKey(message.masterPassword);
+      
+      case 'REMOVE_RECOVERY_KEY':
+        return await this.removeRecoveryKey(message.masterPassword);
+      
+      case 'CHANGE_MASTER_PASSWORD':
+        return await this.changeMasterPassword(message.currentPassword, message.newPassword);
+      
+      case 'GET_KDF_SETTINGS':
+        return this.getKdfSettings();
+      
+      case 'CALIBRATE_KDF':
+        return await this.calibrateArgon2(message.targetMs);
+      
+      case 'UPDATE_KDF_PARAMS':
+        return await this.updateKdfParams(message.masterPassword, message.preset, message.params);
+      
       case 'LOCK_VAULT':
-        return this.lockVault();
+        return await this.lockVault(message.vaultId || null);
       
       case 'GET_STATUS':
         return this.getStatus();
@@ -220,20 +616,65 @@ class LockdownBackground {
         return await this.saveCredential(message.credential);
       
       case 'GET_CREDENTIALS':
-        return this.getCredentials(message.domain);
+        return this.getCredentials(this.requestPageUrl(message, sender), message.vaultId || null);
       
       case 'DELETE_CREDENTIAL':
         return await this.deleteCredential(message.credentialId);
       
+      case 'GET_TRASH':
+        return this.getTrash();
+      
+      case 'RESTORE_CREDENTIAL':
+        return await this.restoreCredential(message.credentialId);
+      
+      case 'PURGE_CREDENTIAL':
+        return await this.purgeCredential(message.credentialId);
+      
+      case 'EMPTY_TRASH':
+        return await this.emptyTrash();
+      
+      case 'UPDATE_TRASH_RETENTION':
+        return await this.updateTrashRetention(message.days);
+      
+      case 'GET_EQUIVALENT_DOMAINS':
+        return this.getEquivalentDomains();
+      
+      case 'UPDATE_EQUIVALENT_DOMAINS':
+        return await this.updateEquivalentDomains(message.excluded, message.custom);
+      
       case 'UPDATE_CREDENTIAL':
         return await this.updateCredential(message.credential);
       
+      case 'GET_PASSWORD_HISTORY':
+        return this.getPasswordHistory(message.credentialId);
+      
+      case 'RESTORE_PASSWORD_FROM_HISTORY':
+        return await this.restorePasswordFromHistory(message.credentialId, message.index);
+      
+      case 'UPDATE_PASSWORD_HISTORY_LIMIT':
+        return await this.updatePasswordHistoryLimit(message.limit);
+      
+      case 'EXPORT_VAULT':
+        return await this.exportVault(message.masterPassword, message.exportPassword);
+      
+      case 'PREVIEW_IMPORT':
+        return await this.previewImport(message.fileContent, message.password, message.format);
+      
+      case 'APPLY_IMPORT':
+        return await this.applyImport(message.importId, message.conflicts);
+      
       case 'GENERATE_PASSWORD':
         return this.generatePassword(message.length || 32, message.symbols !== false);
       
       case 'UPDATE_AUTO_LOCK':
         return await this.updateAutoLock(message.delay);
       
+      case 'UPDATE_LOCK_POLICY':
+        return await this.updateLockPolicy(message.policy);
+      
+      case 'VAULT_ACTIVITY':
+        return { success: true };
+      
       case 'GET_REMAINING_TIME':
         return this.getRemainingTime();
       
@@ -241,49 +682,173 @@ class LockdownBackground {
         return await this.openPopup();
         
       case 'GET_ALL_CREDENTIALS':
-        return this.getAllCredentials();
+        return this.getAllCredentials(message.vaultId || null, this.scopeFilters(message.filters, sender));
         
       case 'SEARCH_CREDENTIALS':
-        return this.searchCredentials(message.query);
+        return this.searchCredentials(message.query, message.vaultId || null, this.scopeFilters(message.filters, sender));
+      
+      case 'GET_ITEM_TYPES':
+        return { itemTypes: this.schema.itemTypes, matchModes: this.schema.matchModes };
+      
+      case 'GET_TOTP_CODES':
+        return await this.getTotpCodes(message.vaultId || null);
+      
+      case 'GET_TOTP_CODE':
+        return await this.getTotpCodeForTab(message.credentialId || null, sender);
+      
+      case 'CHECK_FILL_SAFETY':
+        return this.checkFillSafety(sender && sender.url);
+      
+      case 'GET_ATTACHMENTS':
+        return await this.getAttachments(message.credentialId);
+      
+      case 'ADD_ATTACHMENT':
+        return await this.addAttachment(message.credentialId, message.name, message.mimeType, message.data);
+      
+      case 'DOWNLOAD_ATTACHMENT':
+        return await this.downloadAttachment(message.credentialId, message.attachmentId);
+      
+      case 'REMOVE_ATTACHMENT':
+        return await this.removeAttachment(message.credentialId, message.attachmentId);
+      
+      case 'GET_FOLDERS_AND_TAGS':
+        return this.getFoldersAndTags(message.vaultId || null);
+      
+      case 'RENAME_FOLDER':
+        return await this.renameFolder(message.folder, message.newName);
       
       case 'GET_SECURITY_STATUS':
         return this.getSecurityStatus();
       
+      case 'GET_VAULT_SNAPSHOTS':
+        return await this.getVaultSnapshots();
+      
+      case 'DIFF_VAULT_SNAPSHOT':
+        return await this.diffVaultSnapshot(message.snapshotId);
+      
+      case 'RESTORE_VAULT_SNAPSHOT':
+        return await this.restoreVaultSnapshot(message.snapshotId);
+      
+      case 'ROLLBACK_VAULT_MIGRATION':
+        return await this.rollbackVaultMigration(message.allowDowngrade === true);
+      
+      case 'GET_VAULTS':
+        return await this.getVaults();
+      
+      case 'CREATE_VAULT':
+        return await this.createNamedVault(message.name, message.masterPassword, message.createRecoveryKey === true);
+      
+      case 'SWITCH_VAULT':
+        return await this.switchVault(message.vaultId);
+      
+      case 'RENAME_VAULT':
+        return await this.renameVault(message.vaultId, message.name);
+      
+      case 'DELETE_VAULT':
+        return await this.deleteVault(message.vaultId, message.masterPassword);
+      
+      case 'GET_SHARING':
+        return this.getSharing();
+      
+      case 'CREATE_SHARING_IDENTITY':
+        return await this.createSharingIdentity(message.name);
+      
+      case 'EXPORT_IDENTITY_CARD':
+        return this.exportIdentityCard();
+      
+      case 'CREATE_COLLECTION':
+        return await this.createCollection(message.name);
+      
+      case 'ADD_COLLECTION_MEMBER':
+        return await this.addCollectionMember(message.collectionId, message.identityCard);
+      
+      case 'REMOVE_COLLECTION_MEMBER':
+        return await this.removeCollectionMember(message.collectionId, message.fingerprint);
+      
+      case 'ROTATE_COLLECTION_KEY':
+        return await this.rotateCollectionKey(message.collectionId);
+      
+      case 'MOVE_TO_COLLECTION':
+        return await this.moveToCollection(message.credentialId, message.collectionId || null);
+      
+      case 'EXPORT_SHARE_BUNDLE':
+        return await this.exportShareBundle(message.collectionId);
+      
+      case 'IMPORT_SHARE_BUNDLE':
+        return await this.importShareBundle(message.fileContent);
+      
+      case 'LEAVE_COLLECTION':
+        return await this.leaveCollection(message.collectionId);
+      
+      case 'GET_SYNC_STATUS':
+        return await this.getSyncStatus();
+      
+      case 'CONFIGURE_SYNC':
+        return await this.configureSync(message.url, message.username, message.password);
+      
+      case 'SYNC_NOW':
+        return await this.syncVault();
+      
+      case 'DISCONNECT_SYNC':
+        return await this.disconnectSync();
+      
+      case 'RESTORE_FROM_SYNC':
+        return await this.restoreFromSync(message.url, message.username, message.password, message.masterPassword);
+      
+      case 'GET_CONFLICTS':
+        return this.getConflicts();
+      
+      case 'RESOLVE_CONFLICT':
+        return await this.resolveConflict(message.conflictId, message.choice);
+      
       default:
         throw new Error('Unknown message type: ' + message.type);
     }
   }
 
-  async setupVault(masterPassword) {
+  async setupVault(masterPassword, createRecoveryKey = false) {
     try {
       // Create new empty vault
-      const vaultData = {
-        credentials: [],
-        created: Date.now(),
-        version: '2.0',
-        security: this.argon2Loaded ? 'argon2id' : 'enhanced-pbkdf2'
-      };
+      const vaultData = this.schema.createVault(this.argon2Loaded ? 'argon2id' : 'enhanced-pbkdf2');
 
       console.log(`Creating vault with ${vaultData.security} encryption...`);
 
+      // Derive the key-encryption key once and wrap a fresh vault key
+      const rawKey = crypto.getRandomValues(new Uint8Array(32));
+      let header;
+      let recoveryKey = null;
+      try {
+        header = await this.createVaultHeader(rawKey, masterPassword);
+        if (createRecoveryKey) {
+          const created = await this.createRecoveryBlock(rawKey);
+          header.recovery = created.recovery;
+          recoveryKey = created.recoveryKey;
+        }
+        await this.activateVaultKey(rawKey, header);
+      } finally {
+        rawKey.fill(0);
+      }
+      vaultData.security = header.kdf;
+
       // Encrypt and save
-      const encrypted = await this.encryptData(vaultData, masterPassword);
-      await chrome.storage.local.set({ 
-        vault: encrypted,
-        setupCompleted: true 
-      });
+      const encrypted = await this.encryptVault(vaultData);
+      await this.setVaultItems({ vault: encrypted });
+      await chrome.storage.local.set({ setupCompleted: true });
+      await this.removeVaultItems(['vaultWiped', 'unlockThrottle']);
+      await this.removeVaultSnapshots();
+      await this.registerVault(this.activeVaultId);
 
       // Unlock the vault
       this.vault = vaultData;
-      this.masterPassword = masterPassword;
       this.isUnlocked = true;
-      this.startAutoLockTimer();
+      await this.startAutoLockTimer();
 
       // Notify all content scripts that vault is unlocked
       this.notifyContentScripts('VAULT_UNLOCKED');
 
       console.log(`✅ Vault created successfully with ${vaultData.security}`);
-      return { success: true, security: vaultData.security };
+      // The recovery key is never stored; this response is the only copy
+      return { success: true, security: vaultData.security, recoveryKey };
     } catch (error) {
       console.error('Vault setup failed:', error);
       return { error: error.message };
@@ -291,516 +856,4215 @@ class LockdownBackground {
   }
 
   async unlockVault(masterPassword) {
+    // One attempt at a time, so parallel guesses cannot slip past the backoff
+    if (this.unlockInProgress) {
+      return { error: 'Unlock already in progress' };
+    }
+
+    this.unlockInProgress = true;
+    try {
+      return await this.attemptUnlock(masterPassword);
+    } finally {
+      this.unlockInProgress = false;
+    }
+  }
+
+  async attemptUnlock(masterPassword) {
+    const throttle = await this.getUnlockThrottle();
+    if (throttle.lockedUntil && Date.now() < throttle.lockedUntil) {
+      const seconds = Math.ceil((throttle.lockedUntil - Date.now()) / 1000);
+      return {
+        error: `Too many failed attempts. Try again in ${seconds}s`,
+        lockedUntil: throttle.lockedUntil,
+        failures: throttle.failures
+      };
+    }
+
     try {
       // Get encrypted vault
-      const result = await chrome.storage.local.get(['vault']);
-      if (!result.vault) {
+      const storedVault = await this.getVaultItem('vault');
+      if (!storedVault) {
         return { error: 'No vault found' };
       }
 
-      console.log('Unlocking vault...');
-      console.log('Vault KDF:', result.vault.kdf || 'legacy');
+      console.log(`Unlocking vault ${this.activeVaultId}...`);
+      console.log('Vault KDF:', storedVault.kdf || 'legacy');
 
       // Decrypt vault with backward compatibility
-      const vaultData = await this.decryptVault(result.vault, masterPassword);
+      let opened;
+      try {
+        opened = await this.decryptVault(storedVault, masterPassword);
+      } catch (error) {
+        console.error('Unlock failed:', error);
+        if (!error.wrongKey) {
+          return { error: 'Unlock failed: ' + error.message };
+        }
+        return await this.recordUnlockFailure(throttle);
+      }
+
+      // Work out schema migrations before anything is written, so a vault
+      // from a newer Lockdown is refused without being touched
+      let schemaMigration;
+      try {
+        schemaMigration = this.prepareSchemaMigration(opened.vaultData);
+      } catch (error) {
+        console.error('Vault schema migration failed:', error);
+        return { error: 'Vault schema migration failed, original vault kept: ' + error.message };
+      }
+
+      // Upgrade legacy / PBKDF2 vaults now, while the password is at hand
+      let migrated;
+      try {
+        migrated = await this.migrateVaultKdf(storedVault, masterPassword, opened);
+      } catch (error) {
+        console.error('Vault migration failed:', error);
+        return { error: 'Vault migration failed, original vault kept: ' + error.message };
+      }
+
+      try {
+        await this.activateVaultKey(migrated.rawKey, migrated.header);
+      } finally {
+        migrated.rawKey.fill(0);
+      }
       
-      this.vault = vaultData;
-      this.masterPassword = masterPassword;
+      this.vault = opened.vaultData;
+      await this.commitSchemaMigration(schemaMigration);
+      await this.purgeExpiredTrash();
+      const vaultData = this.vault;
       this.isUnlocked = true;
-      this.startAutoLockTimer();
+      await this.startAutoLockTimer();
 
       // Notify all content scripts that vault is unlocked
       this.notifyContentScripts('VAULT_UNLOCKED');
 
+      // Report failures since the last unlock once, then start counting afresh
+      await this.setVaultItems({
+        unlockThrottle: { failures: 0, lockedUntil: null, history: throttle.history }
+      });
+
+      this.syncIfConfigured(this.activeVaultId);
+
       console.log('✅ Vault unlocked successfully');
-      return { success: true, vault: vaultData };
+      return { success: true, vault: vaultData, failedAttempts: throttle.failures };
     } catch (error) {
       console.error('Unlock failed:', error);
-      return { error: 'Invalid password' };
+      return { error: 'Unlock failed: ' + error.message };
     }
   }
 
-  // Enhanced encryption with REAL Argon2id
-  async encryptData(data, password) {
-    if (this.argon2Loaded) {
-      return await this.encryptDataWithArgon2(data, password);
-    } else {
-      console.warn('⚠️  Using enhanced PBKDF2 fallback');
-      return await this.encryptDataWithEnhancedPBKDF2(data, password);
+  async getUnlockThrottle(vaultId = this.activeVaultId) {
+    return await this.getVaultItem('unlockThrottle', vaultId) || { failures: 0, lockedUntil: null, history: [] };
+  }
+
+  getUnlockDelay(failures) {
+    if (failures < this.unlockPolicy.freeAttempts) {
+      return 0;
     }
+    return Math.min(1000 * 2 ** (failures - this.unlockPolicy.freeAttempts), this.unlockPolicy.maxDelay);
   }
 
-  async encryptDataWithArgon2(data, password) {
-    const startTime = performance.now();
-    
-    try {
-      const encoder = new TextEncoder();
-      const dataString = JSON.stringify(data);
-      
-      // Generate random salt for Argon2
-      const salt = crypto.getRandomValues(new Uint8Array(32));
-      
-      console.log('🔐 Deriving key with Argon2id...');
-      console.time('Argon2id Key Derivation');
-      
-      // Use REAL Argon2id with flexible calling pattern
-      let result;
-      
-      if (typeof argon2.hash === 'function') {
-        result = await argon2.hash({
-          pass: password,
-          salt: salt,
-          time: this.argon2Params.time,
-          mem: this.argon2Params.mem,
-          parallelism: this.argon2Params.parallelism,
-          type: argon2.ArgonType ? argon2.ArgonType.Argon2id : 2,
-          hashLen: this.argon2Params.hashLen
-        });
-      } else if (typeof argon2.argon2id === 'function') {
-        result = await argon2.argon2id({
-          password: password,
-          salt: salt,
-          time: this.argon2Params.time,
-          mem: this.argon2Params.mem,
-          parallelism: this.argon2Params.parallelism,
-          hashLen: this.argon2Params.hashLen
-        });
-      } else {
-        throw new Error('No suitable Argon2 function available');
-      }
-      
-      console.timeEnd('Argon2id Key Derivation');
-      
-      const argon2Key = new Uint8Array(result.hash || result.hashBytes);
-      
-      // Generate IV for AES-GCM
-      const iv = crypto.getRandomValues(new Uint8Array(12));
-      
-      // Import the derived key for AES-GCM
-      const cryptoKey = await crypto.subtle.importKey(
-        'raw',
-        argon2Key,
-        { name: 'AES-GCM' },
-        false,
-        ['encrypt']
-      );
-      
-      console.log('🔒 Encrypting data with AES-GCM...');
-      
-      // Encrypt the data
-      const dataBuffer = encoder.encode(dataString);
-      const encrypted = await crypto.subtle.encrypt(
-        { name: 'AES-GCM', iv: iv },
-        cryptoKey,
-        dataBuffer
-      );
+  async recordUnlockFailure(throttle, vaultId = this.activeVaultId) {
+    const failures = throttle.failures + 1;
+    const history = [{ at: Date.now() }, ...throttle.history].slice(0, 20);
 
-      const endTime = performance.now();
-      const totalTime = endTime - startTime;
-      
-      console.log(`✅ Encryption completed in ${totalTime.toFixed(2)}ms`);
+    if (this.unlockPolicy.wipeAfter && failures >= this.unlockPolicy.wipeAfter) {
+      await this.wipeVault(failures, vaultId);
+      return { error: `Vault wiped after ${failures} failed unlock attempts`, wiped: true };
+    }
 
-      return {
-        encrypted: Array.from(new Uint8Array(encrypted)),
-        salt: Array.from(salt),
-        iv: Array.from(iv),
-        version: '2.0',
-        kdf: 'argon2id',
-        kdfParams: {
-          time: this.argon2Params.time,
-          memory: this.argon2Params.mem,
-          parallelism: this.argon2Params.parallelism,
-          hashLen: this.argon2Params.hashLen
-        },
-        encryptionTime: totalTime
-      };
+    const delay = this.getUnlockDelay(failures);
+    const lockedUntil = delay ? Date.now() + delay : null;
+    await this.setVaultItems({
+      unlockThrottle: { failures, lockedUntil, history }
+    }, vaultId);
+
+    return {
+      error: 'Invalid password',
+      failures,
+      lockedUntil,
+      attemptsBeforeWipe: this.unlockPolicy.wipeAfter ? this.unlockPolicy.wipeAfter - failures : null
+    };
+  }
+
+  async getUnlockStatus() {
+    const throttle = await this.getUnlockThrottle();
+    const vaultWiped = await this.getVaultItem('vaultWiped');
+    const vault = await this.getVaultItem('vault');
+
+    return {
+      recoveryAvailable: !!(vault && vault.recovery),
+      failures: throttle.failures,
+      lockedUntil: throttle.lockedUntil && throttle.lockedUntil > Date.now() ? throttle.lockedUntil : null,
+      history: throttle.history,
+      wipeAfter: this.unlockPolicy.wipeAfter,
+      attemptsBeforeWipe: this.unlockPolicy.wipeAfter ? this.unlockPolicy.wipeAfter - throttle.failures : null,
+      vaultWiped: vaultWiped || null
+    };
+  }
+
+  async updateUnlockPolicy(wipeAfter) {
+    if (wipeAfter === 'never' || wipeAfter === null) {
+      this.unlockPolicy.wipeAfter = null;
+    } else {
+      const attempts = parseInt(wipeAfter);
+      if (!attempts || attempts < 5) {
+        return { error: 'Wipe threshold must be at least 5 attempts' };
+      }
+      this.unlockPolicy.wipeAfter = attempts;
+    }
+
+    await chrome.storage.local.set({
+      unlockPolicy: { wipeAfter: this.unlockPolicy.wipeAfter }
+    });
+    return { success: true, wipeAfter: this.unlockPolicy.wipeAfter };
+  }
+
+  // Irreversibly remove the encrypted vault and everything derived from it.
+  // Other named vaults are left alone.
+  async wipeVault(failures, vaultId = this.activeVaultId) {
+    console.warn(`⚠️  Wiping vault ${vaultId} after ${failures} failed unlock attempts`);
+    await this.lockVault(vaultId);
+    await this.removeVaultStorage(vaultId);
+    this.vaultState(vaultId).migrationStatus = null;
+    if (this.vaultList.every(entry => entry.id === vaultId)) {
+      await chrome.storage.local.remove('setupCompleted');
+    }
+    await this.setVaultItems({ vaultWiped: { at: Date.now(), failures } }, vaultId);
+  }
+
+  async removeVaultStorage(vaultId) {
+    const attachmentIndex = await this.getVaultItem('attachmentIndex', vaultId) || {};
+    await this.removeVaultItems(Object.keys(attachmentIndex).flatMap(id =>
+      Array.from({ length: attachmentIndex[id].chunks }, (unused, index) => this.attachmentChunkKey(id, index))), vaultId);
+    await this.removeVaultSnapshots(vaultId);
+    await this.removeVaultItems([
+      'attachmentIndex',
+      'vault',
+      'vaultRollback',
+      'vaultMigration',
+      'vaultSchemaBackup',
+      'unlockThrottle',
+      'syncConfig',
+      'syncBase'
+    ], vaultId);
+  }
+
+  isExtensionPage(sender) {
+    return !!sender && sender.id === chrome.runtime.id &&
+           typeof sender.url === 'string' && sender.url.startsWith(chrome.runtime.getURL(''));
+  }
+
+  async changeMasterPassword(currentPassword, newPassword) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    if (!newPassword || newPassword.length < 8) {
+      return { error: 'New password must be at least 8 characters' };
+    }
+
+    if (newPassword === currentPassword) {
+      return { error: 'New password must be different from the current one' };
+    }
+
+    try {
+      console.log('🔑 Re-encrypting vault under a new vault key...');
+      const result = await this.queueVaultRun(vaultId, () => this.rotateVaultKey(currentPassword, newPassword, vaultId));
+      if (result.error) return result;
+
+      console.log(`✅ Master password changed (${result.security})`);
+      return result;
     } catch (error) {
-      console.error('❌ Argon2id encryption failed:', error);
-      // Fallback to enhanced PBKDF2
-      console.warn('Falling back to enhanced PBKDF2...');
-      return await this.encryptDataWithEnhancedPBKDF2(data, password);
+      console.error('Master password change failed:', error);
+      return { error: error.message };
     }
   }
 
-  async encryptDataWithEnhancedPBKDF2(data, password) {
-    console.log('🔐 Using enhanced PBKDF2 encryption...');
-    
-    const encoder = new TextEncoder();
-    const dataString = JSON.stringify(data);
-    
-    // Generate key material from password
-    const keyMaterial = await crypto.subtle.importKey(
-      'raw',
-      encoder.encode(password),
-      { name: 'PBKDF2' },
-      false,
-      ['deriveKey']
-    );
+  // Verify the current password, wrap the vault key under a fresh KEK from
+  // newPassword (using the active KDF settings) and re-encrypt the vault
+  async rewrapVaultKey(currentPassword, newPassword, vaultId = this.activeVaultId) {
+    const state = this.vaultState(vaultId);
+    const storedVault = await this.getVaultItem('vault', vaultId);
+    if (!storedVault) {
+      return { error: 'No vault found' };
+    }
+
+    // Verify the current password against the stored vault
+    let opened;
+    try {
+      opened = await this.decryptVault(storedVault, currentPassword);
+    } catch (error) {
+      return { error: 'Current password is incorrect' };
+    }
+
+    if (!opened.kek) {
+      return { error: 'Unlock the vault again before changing the master password' };
+    }
+
+    const rawKey = await this.unwrapVaultKeyBytes(opened.header.wrappedKey, opened.kek);
+    let header;
+    try {
+      header = await this.createVaultHeader(rawKey, newPassword, {
+        currentKdf: opened.header.kdf,
+        recovery: opened.header.recovery
+      });
+    } finally {
+      rawKey.fill(0);
+    }
+
+    // Re-encrypt the whole vault and replace it in a single write, so the
+    // stored vault is never half old and half new
+    const encrypted = await this.encryptVault(state.vault, header, state.vaultKey);
+    await this.setVaultItems({ vault: encrypted }, vaultId);
+    state.vaultHeader = header;
+    await this.replaceVaultCopyHeaders(header, vaultId);
+
+    return { success: true, security: header.kdf, kdfParams: header.kdfParams };
+  }
+
+  // A new master password comes with a new vault key. Everything on this
+  // device sealed with the old one is re-encrypted under it in one write:
+  // the vault, its snapshots, the schema backup, the sync base and the sync
+  // login. Attachments get fresh keys too, since every copy of the vault
+  // holds theirs. A recovery key wraps the old vault key, so a vault that
+  // had one gets a new one, returned as recoveryKey.
+  //
+  // Copies made before the change (exports, other devices, the server copy
+  // until the next push) still open with the old password, but hold none of
+  // the keys in use from now on. Devices syncing with the old key can no
+  // longer read the server copy; see runSync.
+  async rotateVaultKey(currentPassword, newPassword, vaultId = this.activeVaultId) {
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vaultKey) {
+      return { error: 'Vault is locked' };
+    }
+
+    const storedVault = await this.getVaultItem('vault', vaultId);
+    if (!storedVault) {
+      return { error: 'No vault found' };
+    }
+
+    let opened;
+    try {
+      opened = await this.decryptVault(storedVault, currentPassword);
+    } catch (error) {
+      return { error: 'Current password is incorrect' };
+    }
+
+    if (!opened.kek) {
+      return { error: 'Unlock the vault again before changing the master password' };
+    }
+
+    // Open everything sealed with the old key before anything is written.
+    // Copies that no longer open are dropped rather than left behind.
+    const oldKey = state.vaultKey;
+    const open = async (blob) => {
+      if (!blob) {
+        return null;
+      }
+      try {
+        return await this.decryptWithVaultKey(blob, oldKey);
+      } catch (error) {
+        console.warn('Copy unreadable with the vault key, dropping it:', error.message);
+        return null;
+      }
+    };
+
+    const vault = JSON.parse(JSON.stringify(state.vault));
+    const snapshots = [];
+    for (const entry of await this.getSnapshotIndex(vaultId)) {
+      const vaultData = await open(await this.getVaultItem(this.snapshotKey(entry.id), vaultId));
+      snapshots.push({ entry, vaultData });
+    }
+    const schemaBackup = await this.getVaultItem('vaultSchemaBackup', vaultId);
+    const schemaBackupData = schemaBackup ? await open(schemaBackup.vault) : null;
+    const syncBaseData = await open(await this.getVaultItem('syncBase', vaultId));
+    const syncConfig = await this.getVaultItem('syncConfig', vaultId);
+    const syncPassword = syncConfig ? await open(syncConfig.auth) : null;
+
+    const updates = {};
+    const removals = ['vaultRollback'];
+
+    // Re-encrypt each attachment under a fresh key and point every copy of
+    // its metadata at it. Chunks whose key no copy holds cannot be opened
+    // by anyone, and go.
+    const documents = [vault, schemaBackupData, syncBaseData, ...snapshots.map(snapshot => snapshot.vaultData)].filter(Boolean);
+    const entries = documents.flatMap(document => this.attachmentEntries(document));
+    const attachmentIndex = await this.getVaultItem('attachmentIndex', vaultId);
+    for (const id of Object.keys(attachmentIndex || {})) {
+      const names = Array.from({ length: attachmentIndex[id].chunks }, (unused, index) => this.attachmentChunkKey(id, index));
+      const copies = entries.filter(entry => entry.id === id);
+      if (copies.length === 0) {
+        removals.push(...names);
+        delete attachmentIndex[id];
+        continue;
+      }
+
+      const chunks = await Promise.all(names.map(name => this.getVaultItem(name, vaultId)));
+      let rekeyed = null;
+      for (const copy of copies) {
+        try {
+          rekeyed = await this.attachments.rekey(copy, chunks);
+          break;
+        } catch (error) {
+          // An older copy may hold metadata from before a re-upload
+        }
+      }
+      if (!rekeyed) {
+        console.warn(`Attachment ${id} could not be opened, dropping it`);
+        removals.push(...names);
+        delete attachmentIndex[id];
+        continue;
+      }
+
+      rekeyed.stored.forEach((chunk, index) => { updates[this.attachmentChunkKey(id, index)] = chunk; });
+      removals.push(...names.slice(rekeyed.chunks));
+      copies.forEach(copy => { copy.key = rekeyed.key; copy.chunks = rekeyed.chunks; });
+      attachmentIndex[id] = { ...attachmentIndex[id], chunks: rekeyed.chunks };
+    }
+    if (attachmentIndex) {
+      updates.attachmentIndex = attachmentIndex;
+    }
+
+    const rawKey = crypto.getRandomValues(new Uint8Array(32));
+    let vaultKey;
+    let header;
+    let recovery = null;
+    try {
+      vaultKey = await this.importVaultKey(rawKey);
+      if (opened.header.recovery) {
+        recovery = await this.createRecoveryBlock(rawKey);
+      }
+      header = await this.createVaultHeader(rawKey, newPassword, {
+        currentKdf: opened.header.kdf,
+        recovery: recovery ? recovery.recovery : undefined
+      });
+
+      const seal = (vaultData) => this.encryptVault(vaultData, header, vaultKey);
+      updates.vault = await seal(vault);
+
+      const kept = [];
+      for (const { entry, vaultData } of snapshots) {
+        if (!vaultData) {
+          removals.push(this.snapshotKey(entry.id));
+          continue;
+        }
+        const sealed = await seal(vaultData);
+        updates[this.snapshotKey(entry.id)] = { encrypted: sealed.encrypted, iv: sealed.iv, version: sealed.version };
+        kept.push(entry);
+      }
+      updates.vaultSnapshots = kept;
+
+      if (schemaBackupData) {
+        updates.vaultSchemaBackup = { ...schemaBackup, vault: await seal(schemaBackupData) };
+      } else {
+        removals.push('vaultSchemaBackup');
+      }
+      if (syncBaseData) {
+        updates.syncBase = await seal(syncBaseData);
+      } else {
+        removals.push('syncBase');
+      }
+      if (syncConfig) {
+        updates.syncConfig = { ...syncConfig, auth: syncPassword ? await this.sealSecret(syncPassword, vaultKey) : null };
+      }
+
+      // One write, so storage never mixes the old and the new key
+      await this.setVaultItems(updates, vaultId);
+      await this.removeVaultItems(removals, vaultId);
+      state.vault = vault;
+      state.vaultKey = vaultKey;
+      state.vaultHeader = header;
+      await this.saveSession(rawKey, vaultId);
+    } finally {
+      rawKey.fill(0);
+    }
+
+    if (state.migrationStatus && state.migrationStatus.status === 'completed') {
+      state.migrationStatus = { ...state.migrationStatus, status: 'confirmed', confirmedAt: Date.now() };
+      await this.setVaultItems({ vaultMigration: state.migrationStatus }, vaultId);
+    }
+
+    // Replace the server copy, which still opens with the old key
+    this.scheduleSync(vaultId);
+
+    return {
+      success: true,
+      security: header.kdf,
+      kdfParams: header.kdfParams,
+      recoveryKey: recovery ? recovery.recoveryKey : null
+    };
+  }
+
+  // Attachment metadata anywhere in a vault document: items, the trash and
+  // the versions kept in conflicts
+  attachmentEntries(value, found = []) {
+    if (Array.isArray(value)) {
+      value.forEach(child => this.attachmentEntries(child, found));
+    } else if (value && typeof value === 'object') {
+      if (Array.isArray(value.attachments)) {
+        found.push(...value.attachments.filter(entry => entry && entry.id && Array.isArray(entry.key)));
+      }
+      Object.values(value).forEach(child => this.attachmentEntries(child, found));
+    }
+    return found;
+  }
 
+  // Copies kept beside the vault carry the key header they were written
+  // with, so after the KDF settings or recovery key change they would
+  // still open with the old password. The vault key itself is unchanged, so
+  // the schema backup and sync base just take the new header. The KDF
+  // rollback copy exists to bring back the old header, and is dropped.
+  async replaceVaultCopyHeaders(header, vaultId = this.activeVaultId) {
+    const withHeader = (blob) => blob && blob.wrappedKey
+      ? { ...header, encrypted: blob.encrypted, iv: blob.iv, version: blob.version }
+      : null;
+
+    const schemaBackup = await this.getVaultItem('vaultSchemaBackup', vaultId);
+    const syncBase = await this.getVaultItem('syncBase', vaultId);
+    const updates = {};
+    const removals = ['vaultRollback'];
+
+    if (schemaBackup && withHeader(schemaBackup.vault)) {
+      updates.vaultSchemaBackup = { ...schemaBackup, vault: withHeader(schemaBackup.vault) };
+    } else {
+      removals.push('vaultSchemaBackup');
+    }
+    if (syncBase && withHeader(syncBase)) {
+      updates.syncBase = withHeader(syncBase);
+    } else {
+      removals.push('syncBase');
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await this.setVaultItems(updates, vaultId);
+    }
+    await this.removeVaultItems(removals, vaultId);
+
+    const state = this.vaultState(vaultId);
+    if (state.migrationStatus && state.migrationStatus.status === 'completed') {
+      state.migrationStatus = { ...state.migrationStatus, status: 'confirmed', confirmedAt: Date.now() };
+      await this.setVaultItems({ vaultMigration: state.migrationStatus }, vaultId);
+    }
+  }
+
+  // Recovery key: 160 random bits shown to the user once as base32 groups.
+  // It is high-entropy, so HKDF is enough to turn it into a second KEK that
+  // wraps the same vault key as the master password does.
+  async createRecoveryBlock(rawKey) {
+    const keyBytes = crypto.getRandomValues(new Uint8Array(20));
     const salt = crypto.getRandomValues(new Uint8Array(32));
-    
-    // Use higher iterations for enhanced security
-    const iterations = 250000; // Increased from 100000
-    
-    const key = await crypto.subtle.deriveKey(
-      {
-        name: 'PBKDF2',
-        salt: salt,
-        iterations: iterations,
-        hash: 'SHA-256'
-      },
-      keyMaterial,
+    try {
+      const kek = await this.deriveRecoveryKek(keyBytes, salt);
+      return {
+        recoveryKey: this.formatRecoveryKey(keyBytes),
+        recovery: {
+          salt: Array.from(salt),
+          wrappedKey: await this.wrapVaultKey(rawKey, kek),
+          created: Date.now()
+        }
+      };
+    } finally {
+      keyBytes.fill(0);
+    }
+  }
+
+  async deriveRecoveryKek(keyBytes, salt) {
+    const baseKey = await crypto.subtle.importKey('raw', keyBytes, 'HKDF', false, ['deriveKey']);
+    return await crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: salt, info: new TextEncoder().encode('lockdown-recovery-key') },
+      baseKey,
       { name: 'AES-GCM', length: 256 },
       false,
-      ['encrypt']
+      ['encrypt', 'decrypt']
     );
+  }
 
-    const iv = crypto.getRandomValues(new Uint8Array(12));
-    const dataBuffer = encoder.encode(dataString);
-    
-    const encrypted = await crypto.subtle.encrypt(
-      { name: 'AES-GCM', iv: iv },
-      key,
-      dataBuffer
-    );
+  formatRecoveryKey(keyBytes) {
+    const alphabet = 'ABCDEFGHJKMNPQRSTVWXYZ0123456789';
+    let bits = '';
+    keyBytes.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
 
-    return {
-      encrypted: Array.from(new Uint8Array(encrypted)),
-      salt: Array.from(salt),
-      iv: Array.from(iv),
-      version: '2.0',
-      kdf: 'enhanced-pbkdf2',
-      kdfParams: {
-        iterations: iterations
-      }
-    };
+    let encoded = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      encoded += alphabet[parseInt(bits.slice(i, i + 5), 2)];
+    }
+    return encoded.match(/.{4}/g).join('-');
   }
 
-  // Decrypt vault with backward compatibility
-  async decryptVault(encryptedObj, password) {
-    console.log(`🔓 Decrypting vault (KDF: ${encryptedObj.kdf || 'legacy'})...`);
-    
-    if (encryptedObj.kdf === 'argon2id') {
-      return await this.decryptDataWithArgon2(encryptedObj, password);
-    } else if (encryptedObj.kdf === 'enhanced-pbkdf2') {
-      return await this.decryptDataWithEnhancedPBKDF2(encryptedObj, password);
-    } else {
-      // Legacy PBKDF2 decryption
-      console.log('📦 Decrypting legacy PBKDF2 vault...');
-      const decrypted = await this.decryptDataLegacy(encryptedObj, password);
-      console.log('⬆️  Vault will be upgraded to Argon2id on next save');
-      return decrypted;
+  // Accepts the key with or without dashes, spaces and in any case
+  parseRecoveryKey(recoveryKey) {
+    const alphabet = 'ABCDEFGHJKMNPQRSTVWXYZ0123456789';
+    const cleaned = String(recoveryKey || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (cleaned.length !== 32) {
+      return null;
     }
+
+    let bits = '';
+    for (const char of cleaned) {
+      const value = alphabet.indexOf(char);
+      if (value === -1) return null;
+      bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = new Uint8Array(20);
+    for (let i = 0; i < 20; i++) {
+      bytes[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2);
+    }
+    return bytes;
   }
 
-  async decryptDataWithArgon2(encryptedObj, password) {
-    if (!this.argon2Loaded) {
-      throw new Error('Argon2 library not available for decryption');
+  // Forgotten master password: open the vault with the recovery key and
+  // wrap the same vault key under a new master password
+  async recoverVault(recoveryKey, newPassword) {
+    if (!newPassword || newPassword.length < 8) {
+      return { error: 'New password must be at least 8 characters' };
+    }
+
+    if (this.unlockInProgress) {
+      return { error: 'Unlock already in progress' };
     }
 
+    this.unlockInProgress = true;
     try {
-      const decoder = new TextDecoder();
-      const salt = new Uint8Array(encryptedObj.salt);
-      const params = encryptedObj.kdfParams;
-      
-      console.time('Argon2id Decryption');
-      
-      // Derive key using stored parameters with flexible calling pattern
-      let result;
-      
-      if (typeof argon2.hash === 'function') {
-        result = await argon2.hash({
-          pass: password,
-          salt: salt,
-          time: params.time,
-          mem: params.memory,
-          parallelism: params.parallelism,
-          type: argon2.ArgonType ? argon2.ArgonType.Argon2id : 2,
-          hashLen: params.hashLen
-        });
-      } else if (typeof argon2.argon2id === 'function') {
-        result = await argon2.argon2id({
-          password: password,
-          salt: salt,
-          time: params.time,
-          mem: params.memory,
-          parallelism: params.parallelism,
-          hashLen: params.hashLen
+      const throttle = await this.getUnlockThrottle();
+      if (throttle.lockedUntil && Date.now() < throttle.lockedUntil) {
+        const seconds = Math.ceil((throttle.lockedUntil - Date.now()) / 1000);
+        return {
+          error: `Too many failed attempts. Try again in ${seconds}s`,
+          lockedUntil: throttle.lockedUntil,
+          failures: throttle.failures
+        };
+      }
+
+      const storedVault = await this.getVaultItem('vault');
+      if (!storedVault) {
+        return { error: 'No vault found' };
+      }
+      if (!storedVault.recovery) {
+        return { error: 'This vault has no recovery key' };
+      }
+
+      const keyBytes = this.parseRecoveryKey(recoveryKey);
+      if (!keyBytes) {
+        return { error: 'Recovery key format is invalid' };
+      }
+
+      let rawKey;
+      let vaultData;
+      try {
+        if (!this.isWrappedKey(storedVault.recovery.wrappedKey)) {
+          throw new Error('Recovery block is damaged');
+        }
+        const kek = await this.deriveRecoveryKek(keyBytes, new Uint8Array(storedVault.recovery.salt));
+        try {
+          rawKey = await this.unwrapVaultKeyBytes(storedVault.recovery.wrappedKey, kek);
+        } catch (error) {
+          throw this.keyCheckError(error);
+        }
+        vaultData = await this.decryptWithVaultKey(storedVault, await this.importVaultKey(rawKey));
+      } catch (error) {
+        console.error('Recovery failed:', error);
+        if (rawKey) rawKey.fill(0);
+        if (!error.wrongKey) {
+          return { error: 'Recovery failed: ' + error.message };
+        }
+        const failure = await this.recordUnlockFailure(throttle);
+        return { ...failure, error: failure.wiped ? failure.error : 'Invalid recovery key' };
+      } finally {
+        keyBytes.fill(0);
+      }
+
+      let schemaMigration;
+      try {
+        schemaMigration = this.prepareSchemaMigration(vaultData);
+      } catch (error) {
+        rawKey.fill(0);
+        return { error: 'Vault schema migration failed, original vault kept: ' + error.message };
+      }
+
+      console.log('🛟 Vault opened with recovery key, setting new master password...');
+      let header;
+      try {
+        header = await this.createVaultHeader(rawKey, newPassword, {
+          currentKdf: storedVault.kdf,
+          recovery: storedVault.recovery
         });
-      } else {
-        throw new Error('No suitable Argon2 function available for decryption');
+        const encrypted = await this.encryptVault(vaultData, header, await this.importVaultKey(rawKey));
+        await this.setVaultItems({ vault: encrypted });
+        await this.activateVaultKey(rawKey, header);
+      } finally {
+        rawKey.fill(0);
+      }
+      await this.replaceVaultCopyHeaders(header);
+
+      this.vault = vaultData;
+      await this.commitSchemaMigration(schemaMigration);
+      await this.purgeExpiredTrash();
+      this.isUnlocked = true;
+      await this.startAutoLockTimer();
+      this.notifyContentScripts('VAULT_UNLOCKED');
+
+      await this.setVaultItems({
+        unlockThrottle: { failures: 0, lockedUntil: null, history: throttle.history }
+      });
+
+      console.log('✅ Master password reset with recovery key');
+      return { success: true, security: header.kdf, failedAttempts: throttle.failures };
+    } catch (error) {
+      console.error('Recovery failed:', error);
+      return { error: 'Recovery failed: ' + error.message };
+    } finally {
+      this.unlockInProgress = false;
+    }
+  }
+
+  // Create a recovery key for an existing vault, replacing any previous one
+  async generateRecoveryKey(masterPassword) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    const storedVault = await this.getVaultItem('vault', vaultId);
+    let opened;
+    try {
+      opened = await this.decryptVault(storedVault, masterPassword);
+    } catch (error) {
+      return { error: 'Master password is incorrect' };
+    }
+
+    if (!opened.kek) {
+      return { error: 'Unlock the vault again before creating a recovery key' };
+    }
+
+    const rawKey = await this.unwrapVaultKeyBytes(opened.header.wrappedKey, opened.kek);
+    let created;
+    try {
+      created = await this.createRecoveryBlock(rawKey);
+    } finally {
+      rawKey.fill(0);
+    }
+
+    const header = { ...opened.header, recovery: created.recovery };
+    const encrypted = await this.encryptVault(state.vault, header, state.vaultKey);
+    await this.setVaultItems({ vault: encrypted }, vaultId);
+    state.vaultHeader = header;
+    await this.replaceVaultCopyHeaders(header, vaultId);
+
+    console.log('🛟 Recovery key created');
+    return { success: true, recoveryKey: created.recoveryKey };
+  }
+
+  async removeRecoveryKey(masterPassword) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    const storedVault = await this.getVaultItem('vault', vaultId);
+    let opened;
+    try {
+      opened = await this.decryptVault(storedVault, masterPassword);
+    } catch (error) {
+      return { error: 'Master password is incorrect' };
+    }
+
+    if (!opened.header) {
+      return { error: 'Unlock the vault again before removing the recovery key' };
+    }
+
+    const header = { ...opened.header };
+    delete header.recovery;
+    const encrypted = await this.encryptVault(state.vault, header, state.vaultKey);
+    await this.setVaultItems({ vault: encrypted }, vaultId);
+    state.vaultHeader = header;
+    await this.replaceVaultCopyHeaders(header, vaultId);
+
+    console.log('🛟 Recovery key removed');
+    return { success: true };
+  }
+
+  getKdfSettings() {
+    return {
+      argon2Available: this.argon2Loaded,
+      preset: this.kdfPreset,
+      presets: this.kdfPresets,
+      params: {
+        time: this.argon2Params.time,
+        mem: this.argon2Params.mem,
+        parallelism: this.argon2Params.parallelism
+      },
+      vaultKdf: this.vaultHeader ? this.vaultHeader.kdf : null,
+      vaultParams: this.vaultHeader ? this.vaultHeader.kdfParams : null
+    };
+  }
+
+  // Benchmark Argon2id on this machine and pick the strongest parameters whose
+  // derivation still fits in targetMs. Memory is raised first, then passes.
+  async calibrateArgon2(targetMs = 1000) {
+    if (!this.argon2Loaded) {
+      return { error: 'Argon2 library not available' };
+    }
+
+    targetMs = Math.min(Math.max(parseInt(targetMs) || 1000, 250), 5000);
+    const salt = crypto.getRandomValues(new Uint8Array(32));
+    const memoryLadder = [32, 64, 128, 256, 512].map(mb => mb * 1024);
+    const minTime = 2;
+
+    let best = null;
+    for (const mem of memoryLadder) {
+      const start = performance.now();
+      await this.argon2Hash('lockdown-calibration', salt, {
+        time: 1,
+        memory: mem,
+        parallelism: 1,
+        hashLen: 32
+      });
+      const perPass = performance.now() - start;
+      console.log(`Argon2id calibration: ${mem / 1024} MB → ${perPass.toFixed(0)}ms per pass`);
+
+      if (perPass * minTime > targetMs) break;
+      best = { mem, perPass };
+    }
+
+    if (!best) {
+      return {
+        success: true,
+        params: { ...this.kdfPresets.browser },
+        estimatedMs: null,
+        targetMs,
+        note: 'This device is too slow for stronger settings; keeping the browser preset'
+      };
+    }
+
+    const time = Math.min(Math.max(Math.floor(targetMs / best.perPass), minTime), 10);
+    return {
+      success: true,
+      params: { time, mem: best.mem, parallelism: 1 },
+      estimatedMs: Math.round(best.perPass * time),
+      targetMs
+    };
+  }
+
+  async updateKdfParams(masterPassword, preset, params) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    if (!this.argon2Loaded) {
+      return { error: 'Argon2 library not available' };
+    }
+
+    const chosen = this.kdfPresets[preset] || params;
+    const validationError = this.validateArgon2Params(chosen);
+    if (validationError) {
+      return { error: validationError };
+    }
+
+    const previous = {
+      time: this.argon2Params.time,
+      mem: this.argon2Params.mem,
+      parallelism: this.argon2Params.parallelism
+    };
+
+    try {
+      this.applyArgon2Params(chosen);
+
+      console.log(`🔐 Re-wrapping vault key with Argon2id t=${chosen.time}, m=${chosen.mem / 1024}MB...`);
+      const result = await this.rewrapVaultKey(masterPassword, masterPassword, vaultId);
+      if (result.error) {
+        this.applyArgon2Params(previous);
+        return result;
+      }
+
+      this.kdfPreset = this.kdfPresets[preset] ? preset : 'calibrated';
+      await chrome.storage.local.set({
+        kdfSettings: { preset: this.kdfPreset, params: chosen }
+      });
+
+      return result;
+    } catch (error) {
+      console.error('KDF update failed:', error);
+      this.applyArgon2Params(previous);
+      return { error: error.message };
+    }
+  }
+
+  validateArgon2Params(params) {
+    if (!params) {
+      return 'Missing Argon2id parameters';
+    }
+    if (!Number.isInteger(params.time) || params.time < 1 || params.time > 10) {
+      return 'Iterations must be between 1 and 10';
+    }
+    if (!Number.isInteger(params.mem) || params.mem < 8 * 1024 || params.mem > 1024 * 1024) {
+      return 'Memory must be between 8 MB and 1 GB';
+    }
+    if (!Number.isInteger(params.parallelism) || params.parallelism < 1 || params.parallelism > 4) {
+      return 'Parallelism must be between 1 and 4';
+    }
+    return null;
+  }
+
+  applyArgon2Params(params) {
+    if (!params || this.validateArgon2Params(params)) return;
+    this.argon2Params.time = params.time;
+    this.argon2Params.mem = params.mem;
+    this.argon2Params.parallelism = params.parallelism;
+  }
+
+  // Returns the migrated vault data, or null when already current. Throws if
+  // the vault is from a newer schema or the result fails validation.
+  prepareSchemaMigration(vaultData) {
+    if (this.schema.getVersion(vaultData) === this.schema.currentVersion) {
+      return null;
+    }
+    return { from: this.schema.getVersion(vaultData), ...this.schema.migrate(vaultData) };
+  }
+
+  // Swap in the migrated data once the vault key is active. The stored blob
+  // is kept as a backup until the next unlock that needs no migration.
+  async commitSchemaMigration(schemaMigration, vaultId = this.activeVaultId) {
+    if (!schemaMigration) {
+      await this.removeVaultItems(['vaultSchemaBackup'], vaultId);
+      return;
+    }
+
+    const storedVault = await this.getVaultItem('vault', vaultId);
+    await this.setVaultItems({
+      vaultSchemaBackup: { vault: storedVault, schemaVersion: schemaMigration.from, created: Date.now() }
+    }, vaultId);
+
+    this.vaultState(vaultId).vault = schemaMigration.vault;
+    await this.persistVault('schema-migration', vaultId);
+    console.log(`✅ Vault schema migrated v${schemaMigration.from} → v${this.schema.currentVersion}`);
+  }
+
+  getVaultKdf(encryptedObj) {
+    return encryptedObj.kdf || 'legacy-pbkdf2';
+  }
+
+  // Bring an opened vault up to the strongest available KDF in wrapped-key
+  // form. The original blob is kept as a rollback copy and the new one is only
+  // trusted after it has been read back from storage and decrypted again.
+  // Returns the raw vault key and header to activate; callers zero the key.
+  async migrateVaultKdf(storedVault, password, opened) {
+    const fromKdf = this.getVaultKdf(storedVault);
+    const targetKdf = this.argon2Loaded ? 'argon2id' : 'enhanced-pbkdf2';
+    const needsKeyWrap = !opened.vaultKey;
+    const needsUpgrade = this.kdfStrength[targetKdf] > this.kdfStrength[fromKdf];
+
+    if (!needsKeyWrap && !needsUpgrade) {
+      // A successful unlock of a migrated vault confirms the rollback copy
+      // is no longer needed
+      if (this.migrationStatus && this.migrationStatus.status === 'completed') {
+        await this.removeVaultItems(['vaultRollback']);
+        await this.setMigrationStatus({ ...this.migrationStatus, status: 'confirmed', confirmedAt: Date.now() });
+      }
+      const rawKey = await this.unwrapVaultKeyBytes(opened.header.wrappedKey, opened.kek);
+      return { rawKey, header: opened.header };
+    }
+
+    console.log(`⬆️  Migrating vault KDF: ${fromKdf} → ${targetKdf}...`);
+    await this.setVaultItems({
+      vaultRollback: { vault: storedVault, kdf: fromKdf, created: Date.now() }
+    });
+
+    const rawKey = needsKeyWrap
+      ? crypto.getRandomValues(new Uint8Array(32))
+      : await this.unwrapVaultKeyBytes(opened.header.wrappedKey, opened.kek);
+
+    let header;
+    try {
+      header = await this.createVaultHeader(rawKey, password, {
+        currentKdf: fromKdf,
+        recovery: opened.header ? opened.header.recovery : undefined
+      });
+      const vaultKey = needsKeyWrap ? await this.importVaultKey(rawKey) : opened.vaultKey;
+      const encrypted = await this.encryptVault(opened.vaultData, header, vaultKey);
+      await this.setVaultItems({ vault: encrypted });
+    } catch (error) {
+      rawKey.fill(0);
+      throw error;
+    }
+
+    try {
+      const check = await this.decryptVault(await this.getVaultItem('vault'), password);
+      if (JSON.stringify(check.vaultData) !== JSON.stringify(opened.vaultData)) {
+        throw new Error('Re-encrypted vault does not match the original');
+      }
+    } catch (error) {
+      rawKey.fill(0);
+      await this.setVaultItems({ vault: storedVault });
+      await this.setMigrationStatus({
+        status: 'rolled-back',
+        from: fromKdf,
+        to: header.kdf,
+        at: Date.now(),
+        error: error.message
+      });
+      throw error;
+    }
+
+    await this.setMigrationStatus({
+      status: header.kdf === 'argon2id' ? 'completed' : 'pending-argon2',
+      from: fromKdf,
+      to: header.kdf,
+      at: Date.now()
+    });
+
+    console.log(`✅ Vault migrated to ${header.kdf} and verified`);
+    return { rawKey, header };
+  }
+
+  async setMigrationStatus(status) {
+    this.migrationStatus = status;
+    await this.setVaultItems({ vaultMigration: status });
+  }
+
+  // Restoring the pre-migration copy weakens the vault KDF, so it needs the
+  // caller's explicit consent. It is refused once the vault has been saved
+  // since, as the copy holds none of those changes.
+  async rollbackVaultMigration(allowDowngrade) {
+    const vaultRollback = await this.getVaultItem('vaultRollback');
+    if (!vaultRollback) {
+      return { error: 'No rollback copy available' };
+    }
+
+    if (vaultRollback.changes) {
+      return {
+        error: `The vault has changed since the migration; rolling back would lose ${vaultRollback.changes} change(s)`,
+        changes: vaultRollback.changes
+      };
+    }
+
+    if (!allowDowngrade) {
+      return {
+        error: `Rollback would downgrade the vault KDF to ${vaultRollback.kdf}`,
+        requiresConsent: true
+      };
+    }
+
+    await this.setVaultItems({ vault: vaultRollback.vault });
+    await this.removeVaultItems(['vaultRollback']);
+    await this.setMigrationStatus({
+      status: 'rolled-back',
+      from: this.migrationStatus ? this.migrationStatus.to : null,
+      to: vaultRollback.kdf,
+      at: Date.now()
+    });
+
+    await this.lockVault(this.activeVaultId);
+    console.warn(`⚠️  Vault rolled back to ${vaultRollback.kdf}`);
+    return { success: true, security: vaultRollback.kdf };
+  }
+
+  // Enhanced encryption with REAL Argon2id
+  async encryptData(data, password) {
+    if (this.argon2Loaded) {
+      return await this.encryptDataWithArgon2(data, password);
+    } else {
+      console.warn('⚠️  Using enhanced PBKDF2 fallback');
+      return await this.encryptDataWithEnhancedPBKDF2(data, password);
+    }
+  }
+
+  async encryptDataWithArgon2(data, password) {
+    const startTime = performance.now();
+    
+    try {
+      const encoder = new TextEncoder();
+      const dataString = JSON.stringify(data);
+      
+      // Generate random salt for Argon2
+      const salt = crypto.getRandomValues(new Uint8Array(32));
+      
+      console.log('🔐 Deriving key with Argon2id...');
+      console.time('Argon2id Key Derivation');
+      
+      const argon2Key = await this.argon2Hash(password, salt, {
+        time: this.argon2Params.time,
+        memory: this.argon2Params.mem,
+        parallelism: this.argon2Params.parallelism,
+        hashLen: this.argon2Params.hashLen
+      });
+      
+      console.timeEnd('Argon2id Key Derivation');
+      
+      // Generate IV for AES-GCM
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      
+      // Import the derived key for AES-GCM
+      const cryptoKey = await crypto.subtle.importKey(
+        'raw',
+        argon2Key,
+        { name: 'AES-GCM' },
+        false,
+        ['encrypt']
+      );
+      
+      console.log('🔒 Encrypting data with AES-GCM...');
+      
+      // Encrypt the data
+      const dataBuffer = encoder.encode(dataString);
+      const encrypted = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: iv },
+        cryptoKey,
+        dataBuffer
+      );
+
+      const endTime = performance.now();
+      const totalTime = endTime - startTime;
+      
+      console.log(`✅ Encryption completed in ${totalTime.toFixed(2)}ms`);
+
+      return {
+        encrypted: Array.from(new Uint8Array(encrypted)),
+        salt: Array.from(salt),
+        iv: Array.from(iv),
+        version: '2.0',
+        kdf: 'argon2id',
+        kdfParams: {
+          time: this.argon2Params.time,
+          memory: this.argon2Params.mem,
+          parallelism: this.argon2Params.parallelism,
+          hashLen: this.argon2Params.hashLen
+        },
+        encryptionTime: totalTime
+      };
+    } catch (error) {
+      console.error('❌ Argon2id encryption failed:', error);
+      // Fallback to enhanced PBKDF2
+      console.warn('Falling back to enhanced PBKDF2...');
+      return await this.encryptDataWithEnhancedPBKDF2(data, password);
+    }
+  }
+
+  async encryptDataWithEnhancedPBKDF2(data, password) {
+    console.log('🔐 Using enhanced PBKDF2 encryption...');
+    
+    const encoder = new TextEncoder();
+    const dataString = JSON.stringify(data);
+    
+    // Generate key material from password
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(password),
+      { name: 'PBKDF2' },
+      false,
+      ['deriveKey']
+    );
+
+    const salt = crypto.getRandomValues(new Uint8Array(32));
+    
+    // Use higher iterations for enhanced security
+    const iterations = 250000; // Increased from 100000
+    
+    const key = await crypto.subtle.deriveKey(
+      {
+        name: 'PBKDF2',
+        salt: salt,
+        iterations: iterations,
+        hash: 'SHA-256'
+      },
+      keyMaterial,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt']
+    );
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const dataBuffer = encoder.encode(dataString);
+    
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: iv },
+      key,
+      dataBuffer
+    );
+
+    return {
+      encrypted: Array.from(new Uint8Array(encrypted)),
+      salt: Array.from(salt),
+      iv: Array.from(iv),
+      version: '2.0',
+      kdf: 'enhanced-pbkdf2',
+      kdfParams: {
+        iterations: iterations
+      }
+    };
+  }
+
+  // Decrypt vault with backward compatibility. Returns the vault data and,
+  // for wrapped-key (3.0) vaults, the unwrapped vault key, its header and KEK.
+  async decryptVault(encryptedObj, password) {
+    console.log(`🔓 Decrypting vault (KDF: ${encryptedObj.kdf || 'legacy'})...`);
+    
+    if (encryptedObj.wrappedKey) {
+      const header = this.extractVaultHeader(encryptedObj);
+      if (!this.isWrappedKey(header.wrappedKey)) {
+        throw new Error('Vault header is damaged');
+      }
+      const kek = await this.deriveKeyEncryptionKey(password, header.kdf, header.kdfParams, new Uint8Array(header.salt));
+      let vaultKey;
+      try {
+        vaultKey = await this.unwrapVaultKey(header.wrappedKey, kek);
+      } catch (error) {
+        throw this.keyCheckError(error);
+      }
+      const vaultData = await this.decryptWithVaultKey(encryptedObj, vaultKey);
+      return { vaultData, vaultKey, header, kek };
+    }
+
+    // Pre-3.0 vaults have no wrapped key; the vault itself is the key check
+    let vaultData;
+    try {
+      if (encryptedObj.kdf === 'argon2id') {
+        vaultData = await this.decryptDataWithArgon2(encryptedObj, password);
+      } else if (encryptedObj.kdf === 'enhanced-pbkdf2') {
+        vaultData = await this.decryptDataWithEnhancedPBKDF2(encryptedObj, password);
+      } else {
+        // Legacy PBKDF2 decryption
+        console.log('📦 Decrypting legacy PBKDF2 vault...');
+        vaultData = await this.decryptDataLegacy(encryptedObj, password);
+        console.log('⬆️  Vault will be migrated to a wrapped key right after unlock');
+      }
+    } catch (error) {
+      throw this.keyCheckError(error);
+    }
+    return { vaultData, vaultKey: null, header: null, kek: null };
+  }
+
+  // AES-GCM rejecting the key (an OperationError) is the only sign of a
+  // wrong password or recovery key. Anything else, such as Argon2 not being
+  // loaded, a KDF or storage failure or a damaged header, is passed on
+  // unmarked so it never counts towards the unlock throttle or the wipe.
+  keyCheckError(error) {
+    if (!error || error.name !== 'OperationError') {
+      return error;
+    }
+    const wrongKey = new Error('Invalid password');
+    wrongKey.wrongKey = true;
+    return wrongKey;
+  }
+
+  async decryptDataWithArgon2(encryptedObj, password) {
+    if (!this.argon2Loaded) {
+      throw new Error('Argon2 library not available for decryption');
+    }
+
+    try {
+      const decoder = new TextDecoder();
+      const salt = new Uint8Array(encryptedObj.salt);
+      const params = this.normalizeArgon2Params(encryptedObj.kdfParams);
+      
+      console.time('Argon2id Decryption');
+      
+      // Derive key using the parameters stored with the vault
+      const argon2Key = await this.argon2Hash(password, salt, params);
+      
+      console.timeEnd('Argon2id Decryption');
+      
+      // Import the derived key
+      const cryptoKey = await crypto.subtle.importKey(
+        'raw',
+        argon2Key,
+        { name: 'AES-GCM' },
+        false,
+        ['decrypt']
+      );
+      
+      // Decrypt the data
+      const decrypted = await crypto.subtle.decrypt(
+        { 
+          name: 'AES-GCM', 
+          iv: new Uint8Array(encryptedObj.iv) 
+        },
+        cryptoKey,
+        new Uint8Array(encryptedObj.encrypted)
+      );
+
+      const decryptedString = decoder.decode(decrypted);
+      return JSON.parse(decryptedString);
+    } catch (error) {
+      console.error('Argon2id decryption failed:', error);
+      if (error.name === 'OperationError') {
+        throw error;
+      }
+      throw new Error('Decryption failed: ' + error.message);
+    }
+  }
+
+  async decryptDataWithEnhancedPBKDF2(encryptedObj, password) {
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    const params = encryptedObj.kdfParams;
+    
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(password),
+      { name: 'PBKDF2' },
+      false,
+      ['deriveKey']
+    );
+
+    const key = await crypto.subtle.deriveKey(
+      {
+        name: 'PBKDF2',
+        salt: new Uint8Array(encryptedObj.salt),
+        iterations: params.iterations,
+        hash: 'SHA-256'
+      },
+      keyMaterial,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['decrypt']
+    );
+
+    const decrypted = await crypto.subtle.decrypt(
+      { 
+        name: 'AES-GCM', 
+        iv: new Uint8Array(encryptedObj.iv) 
+      },
+      key,
+      new Uint8Array(encryptedObj.encrypted)
+    );
+
+    const decryptedString = decoder.decode(decrypted);
+    return JSON.parse(decryptedString);
+  }
+
+  // Legacy PBKDF2 decryption for backward compatibility
+  async decryptDataLegacy(encryptedObj, password) {
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(password),
+      { name: 'PBKDF2' },
+      false,
+      ['deriveKey']
+    );
+
+    const key = await crypto.subtle.deriveKey(
+      {
+        name: 'PBKDF2',
+        salt: new Uint8Array(encryptedObj.salt),
+        iterations: 100000, // Original iteration count
+        hash: 'SHA-256'
+      },
+      keyMaterial,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['decrypt']
+    );
+
+    const decrypted = await crypto.subtle.decrypt(
+      { 
+        name: 'AES-GCM', 
+        iv: new Uint8Array(encryptedObj.iv) 
+      },
+      key,
+      new Uint8Array(encryptedObj.encrypted)
+    );
+
+    const decryptedString = decoder.decode(decrypted);
+    return JSON.parse(decryptedString);
+  }
+
+  // Make rawKey the in-memory vault key and keep a session-wrapped copy so
+  // the unlock survives service worker restarts
+  async activateVaultKey(rawKey, header) {
+    this.vaultKey = await this.importVaultKey(rawKey);
+    this.vaultHeader = header;
+    await this.saveSession(rawKey);
+  }
+
+  // Session persistence: a fresh non-extractable session key (kept in
+  // IndexedDB) wraps the vault key, and only that wrapped copy goes into
+  // chrome.storage.session, which is memory-backed and closed to content
+  // scripts. Neither half alone is enough to recover the vault key. One
+  // session key wraps the keys of all unlocked vaults.
+  async saveSession(rawKey, vaultId = this.activeVaultId) {
+    let sessionKey = await this.withSessionKeyStore('readonly', store => store.get('sessionKey'));
+    const result = await chrome.storage.session.get(['lockdownSession']);
+    let session = result.lockdownSession;
+
+    if (!sessionKey || !session || !session.vaults) {
+      sessionKey = await crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+      await this.withSessionKeyStore('readwrite', store => store.put(sessionKey, 'sessionKey'));
+      session = { vaults: {} };
+    }
+
+    session.vaults[vaultId] = await this.wrapVaultKey(rawKey, sessionKey);
+    session.unlockTime = this.unlockTime;
+    await chrome.storage.session.set({ lockdownSession: session });
+  }
+
+  async removeSessionVault(vaultId) {
+    const result = await chrome.storage.session.get(['lockdownSession']);
+    if (!result.lockdownSession || !result.lockdownSession.vaults) return;
+
+    delete result.lockdownSession.vaults[vaultId];
+    await chrome.storage.session.set({ lockdownSession: result.lockdownSession });
+  }
+
+  async updateSessionUnlockTime() {
+    const result = await chrome.storage.session.get(['lockdownSession']);
+    if (!result.lockdownSession) return;
+
+    result.lockdownSession.unlockTime = this.unlockTime;
+    await chrome.storage.session.set({ lockdownSession: result.lockdownSession });
+  }
+
+  async restoreSession() {
+    try {
+      const result = await chrome.storage.session.get(['lockdownSession']);
+      const session = result.lockdownSession;
+      if (!session || !session.vaults) {
+        await this.clearSession();
+        return;
+      }
+
+      if (this.autoLockDelay && session.unlockTime && Date.now() >= session.unlockTime + this.autoLockDelay) {
+        console.log('Session expired while the worker was stopped');
+        await this.lockVault();
+        return;
+      }
+
+      const sessionKey = await this.withSessionKeyStore('readonly', store => store.get('sessionKey'));
+      if (!sessionKey) {
+        await this.clearSession();
+        return;
+      }
+
+      for (const [vaultId, wrappedKey] of Object.entries(session.vaults)) {
+        const storedVault = await this.getVaultItem('vault', vaultId);
+        if (!storedVault) continue;
+
+        const state = this.vaultState(vaultId);
+        state.vaultKey = await this.unwrapVaultKey(wrappedKey, sessionKey);
+        state.vault = await this.decryptWithVaultKey(storedVault, state.vaultKey);
+        state.vaultHeader = this.extractVaultHeader(storedVault);
+        await this.commitSchemaMigration(this.prepareSchemaMigration(state.vault), vaultId);
+        state.isUnlocked = true;
+      }
+
+      if (this.getUnlockedVaultIds().length === 0) {
+        await this.clearSession();
+        return;
+      }
+      this.unlockTime = session.unlockTime;
+
+      // Re-create the alarm in case it was lost with the browser profile
+      if (this.autoLockDelay && this.unlockTime) {
+        chrome.alarms.create(this.autoLockAlarm, { when: this.unlockTime + this.autoLockDelay });
+      }
+
+      console.log(`🔓 Unlocked session restored after worker restart (${this.getUnlockedVaultIds().length} vault(s))`);
+    } catch (error) {
+      console.error('Session restore failed:', error);
+      await this.lockVault();
+    }
+  }
+
+  async clearSession() {
+    try {
+      await chrome.storage.session.remove('lockdownSession');
+      await this.withSessionKeyStore('readwrite', store => store.delete('sessionKey'));
+    } catch (error) {
+      console.error('Failed to clear session:', error);
+    }
+  }
+
+  withSessionKeyStore(mode, operation) {
+    return new Promise((resolve, reject) => {
+      const open = indexedDB.open('lockdown-session', 1);
+      open.onupgradeneeded = () => open.result.createObjectStore('keys');
+      open.onerror = () => reject(open.error);
+      open.onsuccess = () => {
+        const db = open.result;
+        const transaction = db.transaction('keys', mode);
+        const request = operation(transaction.objectStore('keys'));
+        transaction.oncomplete = () => {
+          db.close();
+          resolve(request.result);
+        };
+        transaction.onerror = () => {
+          db.close();
+          reject(transaction.error);
+        };
+      };
+    });
+  }
+
+  // Key hierarchy: the master password derives a key-encryption key (KEK)
+  // that wraps a random 256-bit vault key. Only the non-extractable vault key
+  // stays in memory while unlocked, so saves are a single AES-GCM pass.
+  // This wraps raw vault key bytes under a KEK derived from the password
+  // with a fresh salt. Refuses to end up on a weaker KDF than options.currentKdf
+  // unless options.allowDowngrade is set.
+  async createVaultHeader(rawKey, password, options = {}) {
+    let kdf = this.argon2Loaded ? 'argon2id' : 'enhanced-pbkdf2';
+    const salt = crypto.getRandomValues(new Uint8Array(32));
+
+    const assertNoDowngrade = (candidate) => {
+      if (options.currentKdf && !options.allowDowngrade &&
+          this.kdfStrength[candidate] < this.kdfStrength[options.currentKdf]) {
+        throw new Error(`Refusing to downgrade vault KDF from ${options.currentKdf} to ${candidate}`);
+      }
+    };
+    assertNoDowngrade(kdf);
+
+    let kek;
+    try {
+      kek = await this.deriveKeyEncryptionKey(password, kdf, this.getDefaultKdfParams(kdf), salt);
+    } catch (error) {
+      if (kdf !== 'argon2id') throw error;
+      console.error('❌ Argon2id key derivation failed:', error);
+      assertNoDowngrade('enhanced-pbkdf2');
+      console.warn('Falling back to enhanced PBKDF2...');
+      kdf = 'enhanced-pbkdf2';
+      kek = await this.deriveKeyEncryptionKey(password, kdf, this.getDefaultKdfParams(kdf), salt);
+    }
+
+    const header = {
+      kdf,
+      kdfParams: this.getDefaultKdfParams(kdf),
+      salt: Array.from(salt),
+      wrappedKey: await this.wrapVaultKey(rawKey, kek)
+    };
+    // The recovery key wraps the same vault key, so it survives re-wrapping
+    if (options.recovery) {
+      header.recovery = options.recovery;
+    }
+    return header;
+  }
+
+  getDefaultKdfParams(kdf) {
+    if (kdf === 'argon2id') {
+      return {
+        time: this.argon2Params.time,
+        memory: this.argon2Params.mem,
+        parallelism: this.argon2Params.parallelism,
+        hashLen: this.argon2Params.hashLen
+      };
+    }
+    return { iterations: 250000 };
+  }
+
+  async deriveKeyEncryptionKey(password, kdf, kdfParams, salt) {
+    const encoder = new TextEncoder();
+
+    if (kdf === 'argon2id') {
+      if (!this.argon2Loaded) {
+        throw new Error('Argon2 library not available for key derivation');
+      }
+
+      console.time('Argon2id Key Derivation');
+      const keyBytes = await this.argon2Hash(password, salt, this.normalizeArgon2Params(kdfParams));
+      console.timeEnd('Argon2id Key Derivation');
+
+      try {
+        return await crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+      } finally {
+        keyBytes.fill(0);
+      }
+    }
+
+    if (kdf === 'enhanced-pbkdf2') {
+      const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(password),
+        { name: 'PBKDF2' },
+        false,
+        ['deriveKey']
+      );
+
+      return await crypto.subtle.deriveKey(
+        {
+          name: 'PBKDF2',
+          salt: salt,
+          iterations: kdfParams.iterations,
+          hash: 'SHA-256'
+        },
+        keyMaterial,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+    }
+
+    throw new Error('Unsupported KDF: ' + kdf);
+  }
+
+  // Header params are honoured as stored; missing fields fall back to the
+  // values every pre-calibration vault was written with
+  normalizeArgon2Params(kdfParams = {}) {
+    return {
+      time: kdfParams.time || 2,
+      memory: kdfParams.memory || 32 * 1024,
+      parallelism: kdfParams.parallelism || 1,
+      hashLen: kdfParams.hashLen || 32
+    };
+  }
+
+  async argon2Hash(password, salt, params) {
+    let result;
+
+    if (typeof argon2.hash === 'function') {
+      result = await argon2.hash({
+        pass: password,
+        salt: salt,
+        time: params.time,
+        mem: params.memory,
+        parallelism: params.parallelism,
+        type: argon2.ArgonType ? argon2.ArgonType.Argon2id : 2,
+        hashLen: params.hashLen
+      });
+    } else if (typeof argon2.argon2id === 'function') {
+      result = await argon2.argon2id({
+        password: password,
+        salt: salt,
+        time: params.time,
+        mem: params.memory,
+        parallelism: params.parallelism,
+        hashLen: params.hashLen
+      });
+    } else {
+      throw new Error('No suitable Argon2 function available');
+    }
+
+    return new Uint8Array(result.hash || result.hashBytes);
+  }
+
+  async wrapVaultKey(rawKey, kek) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrapped = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, kek, rawKey);
+    return {
+      iv: Array.from(iv),
+      data: Array.from(new Uint8Array(wrapped))
+    };
+  }
+
+  // A wrapped 256-bit key: a 12-byte IV, then 32 bytes of ciphertext and the
+  // 16-byte tag
+  isWrappedKey(wrappedKey) {
+    return !!wrappedKey && Array.isArray(wrappedKey.iv) && wrappedKey.iv.length === 12 &&
+           Array.isArray(wrappedKey.data) && wrappedKey.data.length === 48;
+  }
+
+  // Returns the raw vault key bytes; callers must zero them when done
+  async unwrapVaultKeyBytes(wrappedKey, kek) {
+    const raw = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: new Uint8Array(wrappedKey.iv) },
+      kek,
+      new Uint8Array(wrappedKey.data)
+    );
+    return new Uint8Array(raw);
+  }
+
+  async unwrapVaultKey(wrappedKey, kek) {
+    const rawKey = await this.unwrapVaultKeyBytes(wrappedKey, kek);
+    try {
+      return await this.importVaultKey(rawKey);
+    } finally {
+      rawKey.fill(0);
+    }
+  }
+
+  async importVaultKey(rawKey) {
+    return await crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+  }
+
+  extractVaultHeader(encryptedObj) {
+    const header = {
+      kdf: encryptedObj.kdf,
+      kdfParams: encryptedObj.kdfParams,
+      salt: encryptedObj.salt,
+      wrappedKey: encryptedObj.wrappedKey
+    };
+    if (encryptedObj.recovery) {
+      header.recovery = encryptedObj.recovery;
+    }
+    return header;
+  }
+
+  async encryptVault(vaultData, header = this.vaultHeader, vaultKey = this.vaultKey) {
+    if (!vaultKey || !header) {
+      throw new Error('Vault key not available');
+    }
+
+    const encoder = new TextEncoder();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: iv },
+      vaultKey,
+      encoder.encode(JSON.stringify(vaultData))
+    );
+
+    return {
+      ...header,
+      encrypted: Array.from(new Uint8Array(encrypted)),
+      iv: Array.from(iv),
+      version: '3.0'
+    };
+  }
+
+  async decryptWithVaultKey(encryptedObj, vaultKey) {
+    const decoder = new TextDecoder();
+    const decrypted = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: new Uint8Array(encryptedObj.iv) },
+      vaultKey,
+      new Uint8Array(encryptedObj.encrypted)
+    );
+    return JSON.parse(decoder.decode(decrypted));
+  }
+
+  // Re-encrypt the in-memory vault with the vault key and write it out. The
+  // vault is fixed up front so a vault switch mid-save cannot redirect it.
+  async persistVault(reason = 'save', vaultId = this.activeVaultId) {
+    const state = this.vaultState(vaultId);
+    await this.stampVault(vaultId);
+    const errors = this.schema.validate(state.vault);
+    if (errors.length > 0) {
+      throw new Error('Refusing to save invalid vault: ' + errors[0]);
+    }
+
+    const encrypted = await this.encryptVault(state.vault, state.vaultHeader, state.vaultKey);
+    await this.snapshotVault(reason, vaultId);
+    await this.setVaultItems({ vault: encrypted }, vaultId);
+    await this.countChangeSinceMigration(reason, vaultId);
+    await this.collectAttachmentGarbage(vaultId);
+    return encrypted;
+  }
+
+  // Saves after a KDF migration are counted on its rollback copy, which
+  // would lose them. Schema migrations and trash purges are left out, as
+  // the next unlock does them again.
+  async countChangeSinceMigration(reason, vaultId = this.activeVaultId) {
+    if (reason === 'schema-migration' || reason === 'purge') {
+      return;
+    }
+    const vaultRollback = await this.getVaultItem('vaultRollback', vaultId);
+    if (vaultRollback) {
+      await this.setVaultItems({
+        vaultRollback: { ...vaultRollback, changes: (vaultRollback.changes || 0) + 1 }
+      }, vaultId);
+    }
+  }
+
+  // Item revisions are assigned against the copy on disk, so every path
+  // that changes the vault gets them without bumping anything itself
+  async stampVault(vaultId) {
+    const state = this.vaultState(vaultId);
+    const storedVault = await this.getVaultItem('vault', vaultId);
+    let previous = null;
+    if (storedVault && storedVault.wrappedKey) {
+      try {
+        previous = await this.decryptWithVaultKey(storedVault, state.vaultKey);
+      } catch (error) {
+        console.warn('Stored vault unreadable with the current key, stamping as new:', error.message);
+      }
+    }
+    this.merger.stamp(state.vault, previous, this.deviceId);
+  }
+
+  // Snapshots keep only the ciphertext, not the key header, so they open with
+  // the vault key alone and a previous master password cannot unlock them.
+  // Each is stored under its own key, with vaultSnapshots as a small index,
+  // so a save writes at most one vault-sized copy.
+  async snapshotVault(reason, vaultId = this.activeVaultId) {
+    try {
+      const storedVault = await this.getVaultItem('vault', vaultId);
+      if (!storedVault || !storedVault.wrappedKey) {
+        return;
+      }
+
+      const now = Date.now();
+      const snapshots = await this.getSnapshotIndex(vaultId);
+      if (snapshots.length > 0 && !this.snapshotPolicy.always.includes(reason) &&
+          now - snapshots[0].created < this.snapshotPolicy.interval) {
+        return;
+      }
+
+      const today = new Date(now).toDateString();
+      const snapshot = {
+        id: now.toString() + Math.random().toString(36).substr(2, 5),
+        created: now,
+        reason,
+        daily: !snapshots.some(entry => entry.daily && new Date(entry.created).toDateString() === today)
+      };
+
+      const ordered = [snapshot, ...snapshots];
+      const recent = ordered.slice(0, this.snapshotPolicy.recent);
+      const daily = ordered.filter(entry => entry.daily).slice(0, this.snapshotPolicy.daily);
+      const kept = ordered.filter(entry => recent.includes(entry) || daily.includes(entry));
+
+      await this.setVaultItems({
+        [this.snapshotKey(snapshot.id)]: { encrypted: storedVault.encrypted, iv: storedVault.iv, version: storedVault.version },
+        vaultSnapshots: kept
+      }, vaultId);
+      await this.removeVaultItems(ordered.filter(entry => !kept.includes(entry)).map(entry => this.snapshotKey(entry.id)), vaultId);
+    } catch (error) {
+      // A failed snapshot must never block the save itself
+      console.error('Vault snapshot failed:', error);
+    }
+  }
+
+  snapshotKey(snapshotId) {
+    return `snapshot:${snapshotId}`;
+  }
+
+  // Snapshots used to be kept inside the index; move any such copies out to
+  // their own keys the first time the index is read
+  async getSnapshotIndex(vaultId = this.activeVaultId) {
+    const snapshots = await this.getVaultItem('vaultSnapshots', vaultId) || [];
+    const inline = snapshots.filter(entry => entry.vault);
+    if (inline.length === 0) {
+      return snapshots;
+    }
+
+    const items = {};
+    inline.forEach(entry => { items[this.snapshotKey(entry.id)] = entry.vault; });
+    const index = snapshots.map(({ vault, ...entry }) => entry);
+    await this.setVaultItems({ ...items, vaultSnapshots: index }, vaultId);
+    return index;
+  }
+
+  async removeVaultSnapshots(vaultId = this.activeVaultId) {
+    const snapshots = await this.getVaultItem('vaultSnapshots', vaultId) || [];
+    await this.removeVaultItems([...snapshots.map(entry => this.snapshotKey(entry.id)), 'vaultSnapshots'], vaultId);
+  }
+
+  async openVaultSnapshot(snapshotId, vaultId = this.activeVaultId) {
+    const snapshots = await this.getSnapshotIndex(vaultId);
+    const snapshot = snapshots.find(entry => entry.id === snapshotId);
+    const stored = snapshot && await this.getVaultItem(this.snapshotKey(snapshot.id), vaultId);
+    if (!stored) {
+      throw new Error('Snapshot not found');
+    }
+
+    let vaultData;
+    try {
+      vaultData = await this.decryptWithVaultKey(stored, this.vaultState(vaultId).vaultKey);
+    } catch (error) {
+      throw new Error('Snapshot cannot be opened with the current vault key');
+    }
+
+    const schemaMigration = this.prepareSchemaMigration(vaultData);
+    return { snapshot, vaultData: schemaMigration ? schemaMigration.vault : vaultData };
+  }
+
+  async getVaultSnapshots() {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    const stored = await this.getSnapshotIndex(vaultId);
+    const snapshots = [];
+    for (const entry of stored) {
+      let credentialCount = null;
+      try {
+        const opened = await this.openVaultSnapshot(entry.id, vaultId);
+        credentialCount = opened.vaultData.credentials.length;
+      } catch (error) {
+        console.warn('Unreadable snapshot:', entry.id, error.message);
+      }
+      snapshots.push({
+        id: entry.id,
+        created: entry.created,
+        reason: entry.reason,
+        daily: entry.daily,
+        credentialCount
+      });
+    }
+
+    return { snapshots };
+  }
+
+  // Compare a snapshot with the current vault. Reports field names only,
+  // never the values, so the popup cannot leak passwords through the diff.
+  async diffVaultSnapshot(snapshotId) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    try {
+      const { vaultData } = await this.openVaultSnapshot(snapshotId, vaultId);
+      const describe = (cred) => ({ id: cred.id, name: cred.name || cred.domain, username: cred.username });
+      const before = new Map(vaultData.credentials.map(cred => [cred.id, cred]));
+      const after = new Map(state.vault.credentials.map(cred => [cred.id, cred]));
+
+      const added = [];
+      const removed = [];
+      const changed = [];
+
+      after.forEach((cred, id) => {
+        if (!before.has(id)) {
+          added.push(describe(cred));
+          return;
+        }
+        const old = before.get(id);
+        const fields = Object.keys({ ...old, ...cred }).filter(field =>
+          field !== 'modified' && JSON.stringify(old[field]) !== JSON.stringify(cred[field])
+        );
+        if (fields.length > 0) {
+          changed.push({ ...describe(cred), fields });
+        }
+      });
+
+      before.forEach((cred, id) => {
+        if (!after.has(id)) {
+          removed.push(describe(cred));
+        }
+      });
+
+      return { success: true, added, removed, changed };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  async restoreVaultSnapshot(snapshotId) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    try {
+      const { snapshot, vaultData } = await this.openVaultSnapshot(snapshotId, vaultId);
+      const errors = this.schema.validate(vaultData);
+      if (errors.length > 0) {
+        return { error: 'Snapshot is invalid: ' + errors[0] };
+      }
+
+      // persistVault snapshots the current vault first, so a restore can
+      // itself be undone
+      const previous = state.vault;
+      state.vault = vaultData;
+      try {
+        await this.persistVault('restore', vaultId);
+      } catch (error) {
+        state.vault = previous;
+        throw error;
+      }
+
+      console.log(`⏪ Vault restored from snapshot of ${new Date(snapshot.created).toISOString()}`);
+      return { success: true, credentialCount: vaultData.credentials.length };
+    } catch (error) {
+      console.error('Snapshot restore failed:', error);
+      return { error: error.message };
+    }
+  }
+
+  async saveCredential(credential) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    try {
+      // Normalise into an item with a fresh ID and timestamps
+      const {
+        id, created, modified, passwordHistory, historyCount, hasTotp, attachments, vaultId, vaultName, collectionId, collectionName, ...fields
+      } = credential;
+      if (fields.totp) {
+        fields.totp = this.canonicalTotp(fields.totp, fields);
+      }
+      credential = this.schema.normalizeCredential(fields);
+      const inputErrors = this.schema.checkItemInput(credential);
+      if (inputErrors.length > 0) {
+        return { error: inputErrors[0] };
+      }
+      
+      state.vault.credentials.push(credential);
+
+      // Save vault (fast re-encryption with the unlocked vault key)
+      const encrypted = await this.persistVault('save', vaultId);
+
+      const securityMethod = encrypted.kdf || 'legacy';
+      console.log(`✅ Credential saved with ${securityMethod} encryption:`, credential.name || credential.domain);
+      
+      return { success: true, credential: this.toPublicCredential(credential), security: securityMethod };
+    } catch (error) {
+      console.error('Save credential error:', error);
+      return { error: error.message };
+    }
+  }
+
+  async deleteCredential(credentialId) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    try {
+      const located = this.locateCredential(state.vault, credentialId);
+      if (!located) {
+        return { error: 'Credential not found' };
+      }
+
+      // Soft delete: the item moves to the trash until it expires or is purged.
+      // Items from a shared collection come back as personal items.
+      const [removed] = located.list.splice(located.index, 1);
+      state.vault.trash.unshift({ item: removed, deleted: Date.now() });
+      if (located.collection) {
+        this.touchCollection(located.collection);
+      }
+
+      // Save vault with the unlocked vault key
+      await this.persistVault('delete', vaultId);
+
+      console.log('🗑️  Moved to trash:', removed.name || removed.domain);
+      return { success: true, trashed: true, credentialId };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  getTrash() {
+    if (!this.isUnlocked || !this.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    const retention = this.trashRetentionDays * 24 * 60 * 60 * 1000;
+    return {
+      retentionDays: this.trashRetentionDays,
+      items: this.vault.trash.map(entry => ({
+        ...this.toPublicCredential(entry.item),
+        deleted: entry.deleted,
+        expires: entry.deleted + retention
+      }))
+    };
+  }
+
+  async restoreCredential(credentialId) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    try {
+      const index = state.vault.trash.findIndex(entry => entry.item.id === credentialId);
+      if (index === -1) {
+        return { error: 'Credential not found in trash' };
+      }
+
+      const [entry] = state.vault.trash.splice(index, 1);
+      state.vault.credentials.push(entry.item);
+      await this.persistVault('restore-item', vaultId);
+
+      console.log('♻️  Restored from trash:', entry.item.name || entry.item.domain);
+      return { success: true, credential: this.toPublicCredential(entry.item) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  async purgeCredential(credentialId) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    try {
+      const index = state.vault.trash.findIndex(entry => entry.item.id === credentialId);
+      if (index === -1) {
+        return { error: 'Credential not found in trash' };
+      }
+
+      state.vault.trash.splice(index, 1);
+      await this.persistVault('purge', vaultId);
+      return { success: true };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  async emptyTrash() {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    try {
+      const purged = state.vault.trash.length;
+      if (purged > 0) {
+        state.vault.trash = [];
+        await this.persistVault('purge', vaultId);
+      }
+      return { success: true, purged };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  // Runs after every unlock; expired items are dropped for good
+  async purgeExpiredTrash(vaultId = this.activeVaultId) {
+    const state = this.vaultState(vaultId);
+    const cutoff = Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+    const kept = state.vault.trash.filter(entry => entry.deleted > cutoff);
+    if (kept.length === state.vault.trash.length) {
+      return 0;
+    }
+
+    const previous = state.vault.trash;
+    try {
+      state.vault.trash = kept;
+      await this.persistVault('purge', vaultId);
+    } catch (error) {
+      // Try again on the next unlock rather than failing this one
+      console.error('Trash purge failed:', error);
+      state.vault.trash = previous;
+      return 0;
+    }
+
+    const purged = previous.length - kept.length;
+    console.log(`🗑️  Purged ${purged} expired item(s) from the trash`);
+    return purged;
+  }
+
+  async updateTrashRetention(days) {
+    const parsed = parseInt(days);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > 365) {
+      return { error: 'Retention must be between 1 and 365 days' };
+    }
+
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    this.trashRetentionDays = parsed;
+    await chrome.storage.local.set({ trashRetentionDays: parsed });
+    if (state.isUnlocked && state.vault) {
+      await this.purgeExpiredTrash(vaultId);
+    }
+    return { success: true, days: parsed };
+  }
+
+  async updateCredential(credential) {
+    if (this.getUnlockedVaultIds().length === 0) {
+      return { error: 'Vault is locked' };
+    }
+
+    try {
+      // Content scripts may update an item from any unlocked vault
+      const vaultId = this.findCredentialVault(credential.id);
+      if (!vaultId) {
+        return { error: 'Credential not found' };
+      }
+      const located = this.locateCredential(this.vaultState(vaultId).vault, credential.id);
+
+      // History is only ever changed here, never taken from the caller
+      const {
+        passwordHistory, historyCount, hasTotp, attachments, vaultId: ignored, vaultName, collectionId, collectionName, ...changes
+      } = credential;
+      if (changes.totp) {
+        changes.totp = this.canonicalTotp(changes.totp, { ...located.list[located.index], ...changes });
+      }
+      const updated = this.mergeCredential(located.list[located.index], changes);
+      const inputErrors = this.schema.checkItemInput(updated);
+      if (inputErrors.length > 0) {
+        return { error: inputErrors[0] };
+      }
+      located.list[located.index] = updated;
+      if (located.collection) {
+        this.touchCollection(located.collection);
+      }
+
+      // Save vault with the unlocked vault key
+      await this.persistVault('update', vaultId);
+
+      return { success: true };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  // Apply changes to an item, moving a replaced password into its history.
+  // Typed fields merge one by one, so a change may name only some of them.
+  mergeCredential(existing, changes) {
+    const updated = this.schema.normalizeCredential({
+      ...existing,
+      ...changes,
+      fields: { ...existing.fields, ...(changes.fields || {}) }
+    }, existing);
+    if (existing.password && updated.password !== existing.password) {
+      updated.passwordHistory = this.trimPasswordHistory([
+        { password: existing.password, changed: Date.now() },
+        ...existing.passwordHistory
+      ]);
+    }
+    return updated;
+  }
+
+  trimPasswordHistory(history) {
+    return history.slice(0, this.passwordHistoryLimit);
+  }
+
+  // Credentials as handed to the popup and content scripts: previous
+  // passwords stay in the background and are fetched one item at a time, and
+  // authenticator keys never leave it (codes come from getTotpCodes)
+  toPublicCredential(cred) {
+    const { passwordHistory, totp, attachments, ...rest } = cred;
+    return {
+      ...rest,
+      historyCount: passwordHistory ? passwordHistory.length : 0,
+      hasTotp: !!totp,
+      attachments: (attachments || []).map(attachment => this.publicAttachment(attachment))
+    };
+  }
+
+  getPasswordHistory(credentialId) {
+    if (!this.isUnlocked || !this.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    const located = this.locateCredential(this.vault, credentialId);
+    if (!located) {
+      return { error: 'Credential not found' };
+    }
+    return { history: located.list[located.index].passwordHistory, limit: this.passwordHistoryLimit };
+  }
+
+  // Swap an old password back in; the current one moves into the history
+  async restorePasswordFromHistory(credentialId, index) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    if (!Number.isInteger(index) || index < 0) {
+      return { error: 'Invalid history entry' };
+    }
+
+    const located = this.locateCredential(state.vault, credentialId);
+    if (!located) {
+      return { error: 'Credential not found' };
+    }
+
+    const cred = located.list[located.index];
+    const entry = cred.passwordHistory[index];
+    if (!entry) {
+      return { error: 'History entry not found' };
+    }
+
+    try {
+      const remaining = cred.passwordHistory.filter((item, i) => i !== index);
+      const restored = {
+        ...cred,
+        password: entry.password,
+        modified: Date.now(),
+        passwordHistory: this.trimPasswordHistory([
+          { password: cred.password, changed: Date.now() },
+          ...remaining
+        ])
+      };
+      located.list[located.index] = restored;
+      if (located.collection) {
+        this.touchCollection(located.collection);
+      }
+      await this.persistVault('update', vaultId);
+
+      console.log('⏪ Restored previous password for', cred.name || cred.domain);
+      return { success: true, credential: this.toPublicCredential(restored) };
+    } catch (error) {
+      console.error('Password restore failed:', error);
+      return { error: error.message };
+    }
+  }
+
+  async updatePasswordHistoryLimit(limit) {
+    const parsed = parseInt(limit);
+    if (!Number.isInteger(parsed) || parsed < 0 || parsed > 100) {
+      return { error: 'History size must be between 0 and 100' };
+    }
+
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    this.passwordHistoryLimit = parsed;
+    await chrome.storage.local.set({ passwordHistoryLimit: parsed });
+
+    // Drop entries beyond the new limit right away rather than on next edit
+    if (state.isUnlocked && state.vault &&
+        state.vault.credentials.some(cred => cred.passwordHistory.length > parsed)) {
+      state.vault.credentials.forEach(cred => {
+        cred.passwordHistory = this.trimPasswordHistory(cred.passwordHistory);
+      });
+      await this.persistVault('history-limit', vaultId);
+    }
+
+    return { success: true, limit: parsed };
+  }
+
+  async exportVault(masterPassword, exportPassword) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    if (exportPassword && exportPassword.length < 8) {
+      return { error: 'Export password must be at least 8 characters' };
+    }
+
+    // Exports leave the vault's protection, so confirm who is asking
+    try {
+      await this.decryptVault(await this.getVaultItem('vault', vaultId), masterPassword);
+    } catch (error) {
+      return { error: 'Master password is incorrect' };
+    }
+
+    try {
+      const payload = await this.exporter.createPayload(state.vault.credentials);
+      let cipher = null;
+      if (exportPassword) {
+        const { encryptionTime, ...encrypted } = await this.encryptData(payload, exportPassword);
+        cipher = encrypted;
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      console.log(`📤 Exported ${payload.items.length} items${cipher ? ` (${cipher.kdf})` : ' (unencrypted)'}`);
+      return {
+        success: true,
+        data: this.exporter.wrap(payload, cipher),
+        filename: `lockdown-export-${date}.json`,
+        encrypted: !!cipher,
+        count: payload.items.length
+      };
+    } catch (error) {
+      console.error('Export failed:', error);
+      return { error: 'Export failed: ' + error.message };
+    }
+  }
+
+  // Parse, decrypt and verify an export, then report what importing it
+  // would do. The parsed items wait in memory for applyImport. Exports from
+  // other password managers go through CredentialImporters instead.
+  async previewImport(fileContent, password, format = 'auto') {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    try {
+      const detected = format === 'auto' ? this.importers.detect(fileContent) : format;
+      if (detected !== 'lockdown') {
+        return this.previewForeignImport(fileContent, detected, vaultId);
+      }
+
+      const file = this.exporter.parse(fileContent);
+      let payload = file.payload;
+
+      if (file.encrypted) {
+        if (!password) {
+          return { error: 'This export is encrypted', needsPassword: true };
+        }
+        try {
+          if (file.cipher.kdf === 'argon2id') {
+            payload = await this.decryptDataWithArgon2(file.cipher, password);
+          } else if (file.cipher.kdf === 'enhanced-pbkdf2') {
+            payload = await this.decryptDataWithEnhancedPBKDF2(file.cipher, password);
+          } else {
+            return { error: `Unsupported export encryption: ${file.cipher.kdf}` };
+          }
+        } catch (error) {
+          console.error('Export decryption failed:', error);
+          return { error: 'Wrong export password or damaged file', needsPassword: true };
+        }
+      }
+
+      const items = await this.exporter.readPayload(payload);
+      return {
+        ...this.stageImport(items, 'lockdown', vaultId),
+        source: { format: 'lockdown', label: 'Lockdown export' },
+        exported: file.exported
+      };
+    } catch (error) {
+      console.error('Import preview failed:', error);
+      return { error: error.message };
+    }
+  }
+
+  previewForeignImport(fileContent, format, vaultId = this.activeVaultId) {
+    if (!format) {
+      return { error: 'Unrecognised file. Choose the format it was exported in.' };
+    }
+
+    const parsed = this.importers.parse(fileContent, format);
+    const items = parsed.items.map((item, index) => {
+      const normalized = this.schema.normalizeCredential(this.readImportedTotp(item));
+      const errors = this.schema.validateCredential(normalized);
+      if (errors.length > 0) {
+        throw new Error(`Invalid item ${index + 1} ("${normalized.name}"): ${errors[0]}`);
+      }
+      return normalized;
+    });
+
+    console.log(`📥 Parsed ${parsed.label}: ${items.length} items, ${parsed.skipped.length} skipped`);
+    return {
+      ...this.stageImport(items, parsed.format, vaultId),
+      source: { format: parsed.format, label: parsed.label },
+      mapping: parsed.mapping,
+      skipped: parsed.skipped
+    };
+  }
+
+  // Keys are stored as otpauth:// URIs. A bare setup key is labelled with
+  // the login, so an export reads well in another authenticator app.
+  canonicalTotp(value, cred) {
+    const config = this.totp.parse(value);
+    return this.totp.toUri({
+      ...config,
+      issuer: config.issuer || String(cred.name || ''),
+      account: config.account || String(cred.username || '')
+    });
+  }
+
+  // Exporters write authenticator keys as otpauth:// links or bare secrets;
+  // one that cannot be read moves to custom rather than failing the file
+  readImportedTotp(item) {
+    if (typeof item.totp !== 'string') {
+      return item;
+    }
+
+    try {
+      return { ...item, totp: this.canonicalTotp(item.totp, item) };
+    } catch (error) {
+      console.warn(`⚠️ Unreadable authenticator key on "${item.name || item.url}": ${error.message}`);
+      const { totp, ...rest } = item;
+      return { ...rest, custom: { ...item.custom, totp } };
+    }
+  }
+
+  // Plan the import against the vault and hold the items for applyImport
+  stageImport(items, format, vaultId = this.activeVaultId) {
+    const entries = this.exporter.planImport(this.vaultState(vaultId).vault.credentials, items);
+    const counts = { new: 0, duplicate: 0, conflict: 0 };
+    entries.forEach(entry => { counts[entry.status]++; });
+
+    this.pendingImport = {
+      id: Date.now().toString() + Math.random().toString(36).substr(2, 5),
+      vaultId,
+      items,
+      entries,
+      format
+    };
+
+    return { success: true, importId: this.pendingImport.id, entries, counts };
+  }
+
+  // conflicts: 'skip' keeps the vault's item, 'overwrite' takes the imported
+  // password (the old one goes to history), 'keep-both' adds a second item,
+  // 'merge' (Lockdown exports only) merges by item revision
+  async applyImport(importId, conflicts = 'skip') {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    if (!this.pendingImport || this.pendingImport.id !== importId || this.pendingImport.vaultId !== vaultId) {
+      return { error: 'Import expired, please preview the file again' };
+    }
+
+    if (conflicts === 'merge') {
+      return await this.mergeImport(vaultId);
+    }
+
+    if (!['skip', 'overwrite', 'keep-both'].includes(conflicts)) {
+      return { error: 'Unknown conflict handling: ' + conflicts };
+    }
+
+    const { items, entries } = this.pendingImport;
+    const previous = state.vault.credentials;
+    const credentials = [...previous];
+    const usedIds = new Set([...credentials, ...state.vault.trash.map(entry => entry.item)].map(item => item.id));
+    const result = { added: 0, overwritten: 0, skipped: 0 };
+
+    const add = (item) => {
+      const copy = { ...item };
+      while (usedIds.has(copy.id)) {
+        copy.id = this.schema.generateId();
+      }
+      usedIds.add(copy.id);
+      credentials.push(copy);
+      result.added++;
+    };
+
+    entries.forEach(entry => {
+      const item = items[entry.index];
+      if (entry.status === 'duplicate' || (entry.status === 'conflict' && conflicts === 'skip')) {
+        result.skipped++;
+      } else if (entry.status === 'conflict' && conflicts === 'overwrite') {
+        const index = credentials.findIndex(cred => cred.id === entry.existingId);
+        credentials[index] = this.mergeCredential(credentials[index], item.type === 'login'
+          ? { password: item.password }
+          : {
+              notes: item.notes,
+              // Replace every field, not just the ones the file has
+              fields: Object.assign(Object.fromEntries(Object.keys(credentials[index].fields).map(key => [key, ''])), item.fields)
+            });
+        result.overwritten++;
+      } else {
+        add(item);
+      }
+    });
+
+    try {
+      state.vault.credentials = credentials;
+      await this.persistVault('import', vaultId);
+    } catch (error) {
+      state.vault.credentials = previous;
+      console.error('Import failed:', error);
+      return { error: 'Import failed: ' + error.message };
+    }
+
+    this.pendingImport = null;
+    console.log(`📥 Imported: ${result.added} added, ${result.overwritten} overwritten, ${result.skipped} skipped`);
+    return { success: true, ...result };
+  }
+
+  // An export of this vault from another device or an older backup carries
+  // item revisions, so it merges like a sync copy without tombstones:
+  // nothing is deleted, newer edits win and real conflicts are kept for the
+  // user to resolve
+  async mergeImport(vaultId = this.activeVaultId) {
+    if (this.pendingImport.format !== 'lockdown') {
+      return { error: 'Only Lockdown exports carry the item history needed to merge' };
+    }
+
+    const state = this.vaultState(vaultId);
+    const imported = { credentials: this.pendingImport.items, trash: [], collections: [], tombstones: [], conflicts: [] };
+    const { vault, stats } = this.merger.merge(state.vault, imported);
+    const previous = state.vault;
+    try {
+      state.vault = vault;
+      await this.persistVault('import', vaultId);
+    } catch (error) {
+      state.vault = previous;
+      console.error('Import merge failed:', error);
+      return { error: 'Import failed: ' + error.message };
+    }
+
+    this.pendingImport = null;
+    console.log(`📥 Import merged: ${stats.fromRemote} from the file, ${stats.conflicts} conflicts`);
+    return { success: true, merged: stats.fromRemote, conflicts: stats.conflicts };
+  }
+
+  getSecurityStatus() {
+    return {
+      argon2Available: this.argon2Loaded,
+      currentSecurity: this.vaultHeader ? this.vaultHeader.kdf : (this.argon2Loaded ? 'argon2id' : 'enhanced-pbkdf2'),
+      isUnlocked: this.isUnlocked,
+      hasVault: this.vault !== null,
+      credentialCount: this.vault ? this.vault.credentials.length : 0,
+      hasRecoveryKey: !!(this.vaultHeader && this.vaultHeader.recovery),
+      schemaVersion: this.vault ? this.schema.getVersion(this.vault) : null,
+      migration: this.migrationStatus
+    };
+  }
+
+  getStatus() {
+    const activeVault = this.vaultList.find(entry => entry.id === this.activeVaultId);
+    return {
+      isUnlocked: this.isUnlocked,
+      activeVaultId: this.activeVaultId,
+      activeVaultName: activeVault ? activeVault.name : null,
+      unlockedVaultCount: this.getUnlockedVaultIds().length,
+      hasVault: this.vault !== null,
+      unlockTime: this.unlockTime,
+      autoLockDelay: this.autoLockDelay,
+      lockPolicy: this.lockPolicy,
+      passwordHistoryLimit: this.passwordHistoryLimit,
+      trashRetentionDays: this.trashRetentionDays,
+      credentialCount: this.vault ? this.vault.credentials.length : 0,
+      conflictCount: this.vault ? this.vault.conflicts.length : 0,
+      securityLevel: this.argon2Loaded ? 'argon2id' : 'enhanced-pbkdf2',
+      argon2Available: this.argon2Loaded
+    };
+  }
+
+  // Lock one vault, or all of them when vaultId is null (auto-lock, idle,
+  // screen lock and the popup's Lock button)
+  async lockVault(vaultId = null) {
+    const vaultIds = vaultId ? [vaultId] : [...this.openVaults.keys()];
+    vaultIds.forEach(id => {
+      const state = this.openVaults.get(id);
+      if (!state) return;
+      state.vault = null;
+      state.vaultKey = null;
+      state.vaultHeader = null;
+      state.isUnlocked = false;
+    });
+    this.pendingImport = null;
+    this.pendingTotp.clear();
+
+    if (this.getUnlockedVaultIds().length > 0) {
+      await this.removeSessionVault(vaultId);
+      this.notifyContentScripts('VAULTS_CHANGED');
+      return { success: true };
+    }
+
+    this.unlockTime = null;
+    await chrome.alarms.clear(this.autoLockAlarm);
+    await this.clearSession();
+
+    this.notifyContentScripts('VAULT_LOCKED');
+    return { success: true };
+  }
+
+  // Credentials from every unlocked vault, or just vaultId, tagged with the
+  // vault they came from. Locked vaults never contribute.
+  collectCredentials(vaultId = null) {
+    const vaultIds = this.getUnlockedVaultIds().filter(id => !vaultId || id === vaultId);
+    const collected = [];
+    vaultIds.forEach(id => {
+      const entry = this.vaultList.find(item => item.id === id);
+      const vault = this.openVaults.get(id).vault;
+      const vaultName = entry ? entry.name : id;
+      vault.credentials.forEach(cred => {
+        collected.push({ cred, vaultId: id, vaultName });
+      });
+      vault.collections.forEach(collection => {
+        collection.items.forEach(cred => {
+          collected.push({ cred, vaultId: id, vaultName, collectionId: collection.id, collectionName: collection.name });
+        });
+      });
+    });
+    return collected;
+  }
+
+  // Favourites first, then the most recently changed
+  toVaultCredentials(collected) {
+    collected.sort((a, b) => (b.cred.favorite - a.cred.favorite) ||
+      (b.cred.modified || b.cred.created) - (a.cred.modified || a.cred.created));
+    return collected.map(({ cred, vaultId, vaultName, collectionId, collectionName }) => {
+      const credential = { ...this.toPublicCredential(cred), vaultId, vaultName };
+      if (collectionId) {
+        credential.collectionId = collectionId;
+        credential.collectionName = collectionName;
+      }
+      return credential;
+    });
+  }
+
+  // Find an item among the vault's own credentials or its shared collections
+  locateCredential(vault, credentialId) {
+    const index = vault.credentials.findIndex(cred => cred.id === credentialId);
+    if (index !== -1) {
+      return { list: vault.credentials, index, collection: null };
+    }
+    for (const collection of vault.collections) {
+      const itemIndex = collection.items.findIndex(cred => cred.id === credentialId);
+      if (itemIndex !== -1) {
+        return { list: collection.items, index: itemIndex, collection };
+      }
+    }
+    return null;
+  }
+
+  findCredentialVault(credentialId) {
+    const match = this.collectCredentials().find(({ cred }) => cred.id === credentialId);
+    return match ? match.vaultId : null;
+  }
+
+  // Logins for a page, for autofill; other item types never reach pages
+  getCredentials(pageUrl, vaultId = null) {
+    const credentials = this.collectCredentials(vaultId).filter(({ cred }) => this.credentialMatchesPage(cred, pageUrl));
+    return { credentials: this.toVaultCredentials(credentials) };
+  }
+
+  credentialMatchesPage(cred, pageUrl) {
+    return cred.type === 'login' && this.domainMatcher.matches(cred, pageUrl);
+  }
+
+  // Content scripts get logins for the page they run in, whatever they
+  // ask for; the popup names its tab's URL (or only its host)
+  requestPageUrl(message, sender) {
+    if (!this.isExtensionPage(sender)) {
+      return sender && sender.url ? sender.url : '';
+    }
+    if (message.url) {
+      return String(message.url);
+    }
+    return message.domain ? `https://${message.domain}/` : '';
+  }
+
+  // Registrable domains of the logins in every unlocked vault. Regular
+  // expression items name no domain.
+  savedDomains() {
+    const domains = new Set();
+    this.collectCredentials().forEach(({ cred }) => {
+      if (cred.type !== 'login' || cred.match === 'regex') {
+        return;
+      }
+      const url = this.domainMatcher.parseUrl(cred.url) || this.domainMatcher.parseUrl(cred.domain);
+      const domain = url && this.domainMatcher.registrableDomain(url.hostname);
+      if (domain) domains.add(domain);
+    });
+    return domains;
+  }
+
+  // Asked by content scripts before they fill anything. A page that is not
+  // a saved site but resembles one (see lookalike-detector.js) is refused
+  // with a warning naming the real site. A page some login matches, by any
+  // match rule including regular expressions, is a saved site.
+  checkFillSafety(pageUrl) {
+    let host;
+    try {
+      host = new URL(pageUrl).hostname;
+    } catch (error) {
+      return { error: 'Not allowed from this context' };
+    }
+
+    if (this.collectCredentials().some(({ cred }) => this.credentialMatchesPage(cred, pageUrl))) {
+      return { success: true, safe: true };
+    }
+
+    const nearMiss = this.lookalikes.check(host, this.savedDomains());
+    if (!nearMiss) {
+      return { success: true, safe: true };
+    }
+
+    const { domain, reason } = nearMiss;
+    const pageDomain = this.domainMatcher.registrableDomain(host);
+    const shown = this.lookalikes.toUnicode(pageDomain) === pageDomain
+      ? pageDomain
+      : `${this.lookalikes.toUnicode(pageDomain)} (${pageDomain})`;
+    const reasons = {
+      homograph: `${shown} spells ${domain} with letters from another alphabet`,
+      lookalike: `${shown} is made to look like ${domain}`,
+      suffix: `${shown} has the name of ${domain} with a different ending`,
+      typo: `${shown} is a misspelling of ${domain}`,
+      subdomain: `${host} puts ${domain} in front of a different site, ${shown}`,
+      brand: `${shown} uses the name of ${domain} but is a different site`
+    };
+    console.warn(`🎣 Refused to fill ${host}: resembles ${domain} (${reason})`);
+    return {
+      success: true,
+      safe: false,
+      domain,
+      reason,
+      warning: `Lockdown did not fill this page: ${reasons[reason]}. Your login is saved for ${domain}; go there directly to sign in.`
+    };
+  }
+
+  getEquivalentDomains() {
+    const { builtIn, excluded, custom } = this.equivalentDomains;
+    return {
+      builtIn: builtIn.map(group => ({ ...group, enabled: !excluded.includes(group.id) })),
+      custom
+    };
+  }
+
+  // custom is a list of groups, each a list of domains or URLs as the user
+  // typed them; every entry is reduced to its registrable domain. Widening
+  // where logins fill, so only while a vault is unlocked.
+  async updateEquivalentDomains(excluded, custom) {
+    if (this.getUnlockedVaultIds().length === 0) {
+      return { error: 'Vault is locked' };
+    }
+    if (!Array.isArray(excluded) || !Array.isArray(custom)) {
+      return { error: 'Invalid equivalent domains' };
+    }
+
+    const groups = [];
+    for (const group of custom) {
+      if (!Array.isArray(group)) {
+        return { error: 'Invalid equivalent domains' };
+      }
+      const domains = [];
+      for (const entry of group) {
+        const url = this.domainMatcher.parseUrl(entry);
+        const domain = url ? this.domainMatcher.registrableDomain(url.hostname) : null;
+        if (!domain) {
+          return { error: `"${entry}" is not a domain that can be grouped` };
+        }
+        if (!domains.includes(domain)) domains.push(domain);
+      }
+      if (domains.length < 2) {
+        return { error: `Each group needs at least two different domains (${group.join(', ')})` };
+      }
+      groups.push(domains);
+    }
+
+    this.equivalentDomains.excluded = excluded.filter(id => typeof id === 'string');
+    this.equivalentDomains.custom = groups;
+    await chrome.storage.local.set({
+      equivalentDomains: { excluded: this.equivalentDomains.excluded, custom: groups }
+    });
+    this.applyEquivalentDomains();
+
+    console.log(`🔗 Equivalent domains updated: ${groups.length} custom group(s), ${this.equivalentDomains.excluded.length} built-in group(s) off`);
+    return { success: true, ...this.getEquivalentDomains() };
+  }
+
+  // filters: folder (includes subfolders; '' is items without a folder),
+  // tag (case-insensitive), favorites (only favourites when true) and type
+  matchesFilters(cred, filters = {}) {
+    if (filters.type && cred.type !== filters.type) {
+      return false;
+    }
+    if (typeof filters.folder === 'string') {
+      const folder = this.schema.normalizeFolder(filters.folder);
+      if (folder ? !(cred.folder === folder || cred.folder.startsWith(folder + '/')) : cred.folder !== '') {
+        return false;
+      }
+    }
+    if (filters.tag && !cred.tags.some(tag => tag.toLowerCase() === String(filters.tag).toLowerCase())) {
+      return false;
+    }
+    if (filters.favorites && !cred.favorite) {
+      return false;
+    }
+    return true;
+  }
+
+  hasFilters(filters = {}) {
+    return typeof filters.folder === 'string' || !!filters.tag || !!filters.favorites || !!filters.type;
+  }
+
+  // Content scripts only ever see logins
+  scopeFilters(filters, sender) {
+    return this.isExtensionPage(sender) ? (filters || {}) : { ...(filters || {}), type: 'login' };
+  }
+
+  getAllCredentials(vaultId = null, filters = {}) {
+    const credentials = this.collectCredentials(vaultId).filter(({ cred }) => this.matchesFilters(cred, filters));
+    return { credentials: this.toVaultCredentials(credentials) };
+  }
+
+  searchCredentials(query, vaultId = null, filters = {}) {
+    if (!query && !this.hasFilters(filters)) {
+      return { credentials: [] };
+    }
+
+    const searchTerm = (query || '').toLowerCase();
+    const credentials = this.collectCredentials(vaultId).filter(({ cred }) => {
+      if (!this.matchesFilters(cred, filters)) {
+        return false;
+      }
+      return !searchTerm ||
+             (cred.name && cred.name.toLowerCase().includes(searchTerm)) ||
+             (cred.domain && cred.domain.toLowerCase().includes(searchTerm)) ||
+             (cred.username && cred.username.toLowerCase().includes(searchTerm)) ||
+             (cred.email && cred.email.toLowerCase().includes(searchTerm)) ||
+             cred.folder.toLowerCase().includes(searchTerm) ||
+             cred.tags.some(tag => tag.toLowerCase().includes(searchTerm)) ||
+             this.schema.searchableText(cred).some(value => value.toLowerCase().includes(searchTerm));
+    });
+
+    return { credentials: this.toVaultCredentials(credentials) };
+  }
+
+  // Every folder (parents included, counting items in subfolders) and tag
+  // in use, for the popup's filters
+  getFoldersAndTags(vaultId = null) {
+    const folders = new Map();
+    const tags = new Map();
+    this.collectCredentials(vaultId).forEach(({ cred }) => {
+      const parts = cred.folder ? cred.folder.split('/') : [];
+      parts.forEach((part, index) => {
+        const path = parts.slice(0, index + 1).join('/');
+        folders.set(path, (folders.get(path) || 0) + 1);
+      });
+      cred.tags.forEach(tag => {
+        const key = tag.toLowerCase();
+        const entry = tags.get(key) || { name: tag, count: 0 };
+        entry.count++;
+        tags.set(key, entry);
+      });
+    });
+
+    return {
+      folders: [...folders.entries()].map(([name, count]) => ({ name, count })).sort((a, b) => a.name.localeCompare(b.name)),
+      tags: [...tags.values()].sort((a, b) => a.name.localeCompare(b.name))
+    };
+  }
+
+  // Rename or move a folder, subfolders included. An empty newName takes
+  // the items out of any folder.
+  async renameFolder(folder, newName) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    const from = this.schema.normalizeFolder(folder);
+    const to = this.schema.normalizeFolder(newName);
+    if (!from) {
+      return { error: 'Choose a folder to rename' };
+    }
+    if (to === from || to.startsWith(from + '/')) {
+      return { error: 'A folder cannot be moved into itself' };
+    }
+
+    const previous = JSON.parse(JSON.stringify(state.vault));
+    let moved = 0;
+    const rename = (item) => {
+      if (item.folder === from || item.folder.startsWith(from + '/')) {
+        item.folder = this.schema.normalizeFolder(to + item.folder.slice(from.length));
+        moved++;
+      }
+    };
+    state.vault.credentials.forEach(rename);
+    state.vault.collections.forEach(collection => {
+      const before = moved;
+      collection.items.forEach(rename);
+      if (moved > before) {
+        this.touchCollection(collection);
+      }
+    });
+
+    if (moved === 0) {
+      return { error: 'Folder not found' };
+    }
+    try {
+      await this.persistVault('rename-folder', vaultId);
+    } catch (error) {
+      state.vault = previous;
+      return { error: error.message };
+    }
+
+    console.log(`📁 Folder "${from}" → "${to || '(none)'}": ${moved} items`);
+    return { success: true, moved };
+  }
+
+  // ---- Named vaults ----
+
+  async getVaults() {
+    const vaults = [];
+    for (const entry of this.vaultList) {
+      const state = this.openVaults.get(entry.id);
+      vaults.push({
+        ...entry,
+        isUnlocked: !!(state && state.isUnlocked && state.vault),
+        hasVault: !!(await this.getVaultItem('vault', entry.id))
+      });
+    }
+    return { vaults, activeVaultId: this.activeVaultId };
+  }
+
+  validateVaultName(name, exceptId = null) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      return { error: 'Vault name is required' };
+    }
+    if (trimmed.length > 40) {
+      return { error: 'Vault name must be at most 40 characters' };
+    }
+    if (this.vaultList.some(entry => entry.id !== exceptId && entry.name.toLowerCase() === trimmed.toLowerCase())) {
+      return { error: `A vault named "${trimmed}" already exists` };
+    }
+    return { name: trimmed };
+  }
+
+  // Record a vault in the registry; the first one is the pre-existing
+  // default vault and keeps its id
+  async registerVault(vaultId, name = 'Personal') {
+    if (!this.vaultList.some(entry => entry.id === vaultId)) {
+      this.vaultList = [...this.vaultList, { id: vaultId, name, created: Date.now() }];
+    }
+    await chrome.storage.local.set({ vaults: this.vaultList, activeVaultId: vaultId });
+  }
+
+  async createNamedVault(name, masterPassword, createRecoveryKey = false) {
+    const checked = this.validateVaultName(name);
+    if (checked.error) return checked;
+
+    if (!masterPassword || masterPassword.length < 8) {
+      return { error: 'Master password must be at least 8 characters' };
+    }
+    if (this.unlockInProgress) {
+      return { error: 'Unlock already in progress' };
+    }
+
+    const previousVaultId = this.activeVaultId;
+    const vaultId = this.vaultList.length === 0 ? 'default' : 'v' + this.schema.generateId();
+    this.activeVaultId = vaultId;
+    this.vaultList = [...this.vaultList, { id: vaultId, name: checked.name, created: Date.now() }];
+
+    // Hold off switches and unlocks while the new vault is the active one
+    this.unlockInProgress = true;
+    let result;
+    try {
+      result = await this.setupVault(masterPassword, createRecoveryKey);
+    } finally {
+      this.unlockInProgress = false;
+    }
+    if (result.error) {
+      this.vaultList = this.vaultList.filter(entry => entry.id !== vaultId);
+      this.openVaults.delete(vaultId);
+      this.activeVaultId = previousVaultId;
+      return result;
+    }
+
+    console.log(`🗄️  Created vault "${checked.name}"`);
+    return { ...result, vaultId };
+  }
+
+  // Switching only changes which vault the popup works on; other vaults stay
+  // unlocked for autofill until they are locked
+  async switchVault(vaultId) {
+    if (!this.vaultList.some(entry => entry.id === vaultId)) {
+      return { error: 'Vault not found' };
+    }
+    if (this.unlockInProgress) {
+      return { error: 'Unlock already in progress' };
+    }
+
+    this.activeVaultId = vaultId;
+    this.pendingImport = null;
+    await this.loadMigrationStatus(vaultId);
+    await chrome.storage.local.set({ activeVaultId: vaultId });
+    return { success: true, activeVaultId: vaultId, isUnlocked: this.isUnlocked };
+  }
+
+  async renameVault(vaultId, name) {
+    if (!this.vaultList.some(entry => entry.id === vaultId)) {
+      return { error: 'Vault not found' };
+    }
+    const checked = this.validateVaultName(name, vaultId);
+    if (checked.error) return checked;
+
+    this.vaultList = this.vaultList.map(entry => entry.id === vaultId ? { ...entry, name: checked.name } : entry);
+    await chrome.storage.local.set({ vaults: this.vaultList });
+    return { success: true, name: checked.name };
+  }
+
+  // Deleting needs that vault's own master password, like an export
+  async deleteVault(vaultId, masterPassword) {
+    if (!this.vaultList.some(entry => entry.id === vaultId)) {
+      return { error: 'Vault not found' };
+    }
+    if (this.vaultList.length === 1) {
+      return { error: 'Cannot delete the only vault' };
+    }
+
+    // Same backoff as unlocking, so this cannot be used to guess the password
+    if (this.unlockInProgress) {
+      return { error: 'Unlock already in progress' };
+    }
+
+    this.unlockInProgress = true;
+    try {
+      const throttle = await this.getUnlockThrottle(vaultId);
+      if (throttle.lockedUntil && Date.now() < throttle.lockedUntil) {
+        const seconds = Math.ceil((throttle.lockedUntil - Date.now()) / 1000);
+        return {
+          error: `Too many failed attempts. Try again in ${seconds}s`,
+          lockedUntil: throttle.lockedUntil,
+          failures: throttle.failures
+        };
+      }
+
+      try {
+        await this.decryptVault(await this.getVaultItem('vault', vaultId), masterPassword);
+      } catch (error) {
+        if (!error.wrongKey) {
+          return { error: 'Could not check the master password: ' + error.message };
+        }
+        const failure = await this.recordUnlockFailure(throttle, vaultId);
+        return { ...failure, error: failure.wiped ? failure.error : 'Master password is incorrect' };
+      }
+    } finally {
+      this.unlockInProgress = false;
+    }
+
+    await this.lockVault(vaultId);
+    this.openVaults.delete(vaultId);
+    await this.removeVaultStorage(vaultId);
+    await this.removeVaultItems(['vaultWiped'], vaultId);
+
+    this.vaultList = this.vaultList.filter(entry => entry.id !== vaultId);
+    if (this.activeVaultId === vaultId) {
+      this.activeVaultId = this.vaultList[0].id;
+      await this.loadMigrationStatus();
+    }
+    await chrome.storage.local.set({ vaults: this.vaultList, activeVaultId: this.activeVaultId });
+
+    console.log(`🗑️  Deleted vault ${vaultId}`);
+    return { success: true, activeVaultId: this.activeVaultId };
+  }
+
+  // ---- Shared collections ----
+  //
+  // Bundles are files, so there is no server: the owner exports a bundle
+  // after each change and teammates import it. Only the owner's bundles may
+  // change membership; anyone's newer bundle updates the items.
+
+  getSharing() {
+    if (!this.isUnlocked || !this.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    const identity = this.vault.identity;
+    return {
+      identity: identity ? {
+        name: identity.name,
+        fingerprint: this.sharing.formatFingerprint(identity.fingerprint),
+        created: identity.created
+      } : null,
+      collections: this.vault.collections.map(collection => ({
+        id: collection.id,
+        name: collection.name,
+        isOwner: !!identity && collection.owner === identity.fingerprint,
+        ownerName: (collection.members.find(member => member.fingerprint === collection.owner) || { name: 'Unknown' }).name,
+        members: collection.members.map(member => ({
+          name: member.name,
+          fingerprint: member.fingerprint,
+          display: this.sharing.formatFingerprint(member.fingerprint),
+          isSelf: !!identity && member.fingerprint === identity.fingerprint
+        })),
+        items: collection.items.map(item => this.toPublicCredential(item)),
+        revision: collection.revision,
+        updated: collection.updated
+      }))
+    };
+  }
+
+  async createSharingIdentity(name) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+    if (state.vault.identity) {
+      return { error: 'This vault already has a sharing identity' };
+    }
+
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      return { error: 'Choose a name teammates will recognise' };
+    }
+
+    try {
+      state.vault.identity = await this.sharing.createIdentity(trimmed.slice(0, 80));
+      await this.persistVault('sharing', vaultId);
+    } catch (error) {
+      state.vault.identity = null;
+      console.error('Sharing identity creation failed:', error);
+      return { error: error.message };
+    }
+
+    console.log('🤝 Sharing identity created:', this.sharing.formatFingerprint(state.vault.identity.fingerprint));
+    return { success: true, fingerprint: this.sharing.formatFingerprint(state.vault.identity.fingerprint) };
+  }
+
+  exportIdentityCard() {
+    if (!this.isUnlocked || !this.vault) {
+      return { error: 'Vault is locked' };
+    }
+    if (!this.vault.identity) {
+      return { error: 'Create a sharing identity first' };
+    }
+
+    const slug = this.vault.identity.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'identity';
+    return {
+      success: true,
+      data: this.sharing.createIdentityCard(this.vault.identity),
+      filename: `lockdown-identity-${slug}.json`
+    };
+  }
+
+  findCollection(collectionId, vault = this.vault) {
+    return vault.collections.find(collection => collection.id === collectionId) || null;
+  }
+
+  touchCollection(collection) {
+    collection.revision++;
+    collection.updated = Date.now();
+  }
+
+  // Run a change against a collection and persist it, undoing the change in
+  // memory if it cannot be saved. ownerOnly changes alter membership or keys.
+  async changeCollection(collectionId, ownerOnly, change) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    const collection = this.findCollection(collectionId, state.vault);
+    if (!collection) {
+      return { error: 'Collection not found' };
+    }
+    if (ownerOnly && (!state.vault.identity || collection.owner !== state.vault.identity.fingerprint)) {
+      return { error: 'Only the collection owner can do this' };
+    }
+
+    const before = JSON.parse(JSON.stringify(state.vault));
+    try {
+      const result = await change(collection);
+      if (result && result.error) {
+        state.vault = before;
+        return result;
+      }
+      this.touchCollection(collection);
+      await this.persistVault('sharing', vaultId);
+      return { success: true, revision: collection.revision, ...result };
+    } catch (error) {
+      state.vault = before;
+      console.error('Collection change failed:', error);
+      return { error: error.message };
+    }
+  }
+
+  async createCollection(name) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+    if (!state.vault.identity) {
+      return { error: 'Create a sharing identity first' };
+    }
+
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      return { error: 'Collection name is required' };
+    }
+
+    const identity = state.vault.identity;
+    const collection = {
+      id: 'c' + this.schema.generateId(),
+      name: trimmed.slice(0, 80),
+      owner: identity.fingerprint,
+      key: this.sharing.generateCollectionKey(),
+      members: [{ name: identity.name, publicKey: identity.publicKey, fingerprint: identity.fingerprint, added: Date.now() }],
+      items: [],
+      revision: 1,
+      updated: Date.now()
+    };
+
+    state.vault.collections.push(collection);
+    try {
+      await this.persistVault('sharing', vaultId);
+    } catch (error) {
+      state.vault.collections = state.vault.collections.filter(entry => entry !== collection);
+      return { error: error.message };
+    }
+
+    console.log('🤝 Shared collection created:', collection.name);
+    return { success: true, collectionId: collection.id };
+  }
+
+  async addCollectionMember(collectionId, identityCard) {
+    let member;
+    try {
+      member = await this.sharing.readIdentityCard(identityCard);
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    return await this.changeCollection(collectionId, true, (collection) => {
+      if (collection.members.some(existing => existing.fingerprint === member.fingerprint)) {
+        return { error: `${member.name} is already a member` };
+      }
+      collection.members.push(member);
+      console.log(`🤝 Added ${member.name} to ${collection.name}`);
+      return { member: { name: member.name, fingerprint: this.sharing.formatFingerprint(member.fingerprint) } };
+    });
+  }
+
+  // Revoking re-keys the collection: later bundles are unreadable to the
+  // removed member. What they already imported stays with them.
+  async removeCollectionMember(collectionId, fingerprint) {
+    return await this.changeCollection(collectionId, true, (collection) => {
+      if (fingerprint === collection.owner) {
+        return { error: 'The owner cannot be removed' };
+      }
+      const remaining = collection.members.filter(member => member.fingerprint !== fingerprint);
+      if (remaining.length === collection.members.length) {
+        return { error: 'Member not found' };
+      }
+      collection.members = remaining;
+      collection.key = this.sharing.generateCollectionKey();
+      console.log(`🔑 Member removed from ${collection.name}, collection re-keyed`);
+      return { rekeyed: true };
+    });
+  }
+
+  async rotateCollectionKey(collectionId) {
+    return await this.changeCollection(collectionId, true, (collection) => {
+      collection.key = this.sharing.generateCollectionKey();
+      console.log(`🔑 Collection ${collection.name} re-keyed`);
+      return { rekeyed: true };
+    });
+  }
+
+  // Move a personal item into a collection, or back out when collectionId
+  // is null
+  async moveToCollection(credentialId, collectionId) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    const located = this.locateCredential(state.vault, credentialId);
+    if (!located) {
+      return { error: 'Credential not found' };
+    }
+    if (collectionId && located.collection && located.collection.id === collectionId) {
+      return { success: true };
+    }
+    if (collectionId && !this.findCollection(collectionId, state.vault)) {
+      return { error: 'Collection not found' };
+    }
+
+    const before = JSON.parse(JSON.stringify(state.vault));
+    try {
+      const [item] = located.list.splice(located.index, 1);
+      if (located.collection) {
+        this.touchCollection(located.collection);
+      }
+      if (collectionId) {
+        const target = this.findCollection(collectionId, state.vault);
+        target.items.push(item);
+        this.touchCollection(target);
+      } else {
+        state.vault.credentials.push(item);
+      }
+      await this.persistVault('sharing', vaultId);
+      return { success: true };
+    } catch (error) {
+      state.vault = before;
+      return { error: error.message };
+    }
+  }
+
+  async exportShareBundle(collectionId) {
+    if (!this.isUnlocked || !this.vault) {
+      return { error: 'Vault is locked' };
+    }
+    if (!this.vault.identity) {
+      return { error: 'Create a sharing identity first' };
+    }
+
+    const collection = this.findCollection(collectionId);
+    if (!collection) {
+      return { error: 'Collection not found' };
+    }
+
+    try {
+      const slug = collection.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'collection';
+      console.log(`📤 Share bundle for ${collection.name} r${collection.revision} to ${collection.members.length} member(s)`);
+      return {
+        success: true,
+        data: await this.sharing.createBundle(collection, this.vault.identity),
+        filename: `lockdown-share-${slug}-r${collection.revision}.json`,
+        recipients: collection.members.length
+      };
+    } catch (error) {
+      console.error('Share bundle export failed:', error);
+      return { error: 'Export failed: ' + error.message };
+    }
+  }
+
+  async importShareBundle(fileContent) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+    if (!state.vault.identity) {
+      return { error: 'Create a sharing identity first' };
+    }
+
+    let opened;
+    try {
+      opened = await this.sharing.openBundle(fileContent, state.vault.identity);
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    const { contents } = opened;
+    const existing = this.findCollection(opened.collectionId, state.vault);
+    if (existing && opened.revision <= existing.revision) {
+      return { error: `This bundle (revision ${opened.revision}) is not newer than your copy (revision ${existing.revision})` };
+    }
+
+    // The sender must be a member, and only the owner may change who is
+    if (existing && !existing.members.some(member => member.fingerprint === opened.from.fingerprint)) {
+      return { error: `${opened.from.name || 'The sender'} is not a member of this collection` };
+    }
+    const fromOwner = opened.from.fingerprint === (existing ? existing.owner : contents.owner);
+    if (!existing && !fromOwner) {
+      return { error: 'The first bundle for a collection must come from its owner' };
+    }
+
+    let items;
+    try {
+      items = (contents.items || []).map(item => {
+        const normalized = this.schema.normalizeCredential(item);
+        const errors = this.schema.validateCredential(normalized);
+        if (errors.length > 0) {
+          throw new Error(`Invalid item "${normalized.name}": ${errors[0]}`);
+        }
+        return normalized;
+      });
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    const collection = {
+      id: opened.collectionId,
+      name: fromOwner ? String(contents.name || 'Shared') : existing.name,
+      owner: existing ? existing.owner : contents.owner,
+      key: opened.key,
+      members: fromOwner
+        ? (Array.isArray(contents.members) ? contents.members : []).map(member => ({
+            name: String(member.name || 'Unnamed').slice(0, 80),
+            publicKey: this.sharing.publicJwk(member.publicKey || {}),
+            fingerprint: String(member.fingerprint || ''),
+            added: Number(member.added) || Date.now()
+          }))
+        : existing.members,
+      items,
+      revision: opened.revision,
+      updated: Date.now()
+    };
+
+    const previous = state.vault.collections;
+    state.vault.collections = existing
+      ? previous.map(entry => entry.id === collection.id ? collection : entry)
+      : [...previous, collection];
+    try {
+      await this.persistVault('sharing', vaultId);
+    } catch (error) {
+      state.vault.collections = previous;
+      console.error('Share bundle import failed:', error);
+      return { error: 'Import failed: ' + error.message };
+    }
+
+    console.log(`📥 Share bundle ${collection.name} r${collection.revision} from ${opened.from.name}`);
+    return {
+      success: true,
+      collectionId: collection.id,
+      name: collection.name,
+      revision: collection.revision,
+      itemCount: items.length,
+      from: opened.from.name,
+      created: !existing
+    };
+  }
+
+  // Drop the local copy. Items go to the trash rather than disappearing.
+  async leaveCollection(collectionId) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    const collection = this.findCollection(collectionId, state.vault);
+    if (!collection) {
+      return { error: 'Collection not found' };
+    }
+
+    const before = JSON.parse(JSON.stringify(state.vault));
+    try {
+      const now = Date.now();
+      collection.items.forEach(item => state.vault.trash.unshift({ item, deleted: now }));
+      state.vault.collections = state.vault.collections.filter(entry => entry.id !== collectionId);
+      await this.persistVault('sharing', vaultId);
+      return { success: true, trashed: collection.items.length };
+    } catch (error) {
+      state.vault = before;
+      return { error: error.message };
+    }
+  }
+
+  // ---- One-time codes ----
+
+  // Current codes for every login with an authenticator key, keyed by item
+  // id. All codes are computed for the same instant so the popup's
+  // countdowns stay in step.
+  async getTotpCodes(vaultId = null) {
+    if (this.getUnlockedVaultIds().length === 0) {
+      return { error: 'Vault is locked' };
+    }
+
+    const now = Date.now();
+    const codes = {};
+    for (const { cred } of this.collectCredentials(vaultId)) {
+      if (cred.type !== 'login' || !cred.totp) continue;
+      try {
+        const config = this.totp.parse(cred.totp);
+        codes[cred.id] = { ...(await this.totp.generate(config, now)), issuer: config.issuer, account: config.account };
+      } catch (error) {
+        codes[cred.id] = { error: error.message };
+      }
+    }
+    return { codes };
+  }
+
+  // For content scripts. With credentialId, the login just filled on this
+  // tab; without, the one remembered from that fill, so a code page that
+  // loads after the login form submits can still be filled. Either way the
+  // login must belong to the tab's site, and the site must not be a
+  // lookalike of another saved one.
+  async getTotpCodeForTab(credentialId, sender) {
+    const tab = sender && sender.tab;
+    if (!tab || !tab.url) {
+      return { error: 'Not allowed from this context' };
+    }
+
+    const filled = !!credentialId;
+    const pending = this.pendingTotp.get(tab.id);
+    if (!filled && pending && pending.expires > Date.now()) {
+      credentialId = pending.credentialId;
+    }
+    if (!credentialId) {
+      return { error: 'No login was filled on this tab' };
+    }
+
+    const safety = this.checkFillSafety(tab.url);
+    if (!safety.safe) {
+      return { error: safety.warning || safety.error };
+    }
+
+    const match = this.collectCredentials().find(({ cred }) => cred.id === credentialId);
+    if (!match || !this.credentialMatchesPage(match.cred, tab.url)) {
+      return { error: 'Credential not found' };
+    }
+    if (!match.cred.totp) {
+      return { error: 'This login has no authenticator key' };
+    }
+
+    if (filled) {
+      this.pendingTotp.set(tab.id, { credentialId, expires: Date.now() + this.pendingTotpTtl });
+    }
+    try {
+      return { success: true, ...(await this.totp.generate(match.cred.totp)) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  // ---- Attachments ----
+
+  attachmentChunkKey(attachmentId, index) {
+    return `attachment:${attachmentId}:${index}`;
+  }
+
+  // The item an attachment request names, in whichever unlocked vault holds it
+  locateAttachmentItem(credentialId) {
+    const vaultId = this.findCredentialVault(credentialId);
+    if (!vaultId) {
+      return null;
+    }
+    const located = this.locateCredential(this.vaultState(vaultId).vault, credentialId);
+    return { vaultId, ...located, item: located.list[located.index] };
+  }
+
+  // Bytes of attachment content the vault refers to; an attachment copied
+  // to several items (e.g. by keeping both sides of a conflict) counts once
+  attachmentUsage(vault) {
+    const sizes = new Map();
+    this.merger.index(vault).forEach(({ item }) => {
+      item.attachments.forEach(attachment => sizes.set(attachment.id, attachment.size));
+    });
+    return [...sizes.values()].reduce((total, size) => total + size, 0);
+  }
+
+  publicAttachment(attachment) {
+    const { key, sha256, chunks, ...rest } = attachment;
+    return rest;
+  }
+
+  async getAttachments(credentialId) {
+    const located = this.locateAttachmentItem(credentialId);
+    if (!located) {
+      return { error: 'Credential not found' };
+    }
+
+    const index = await this.getVaultItem('attachmentIndex', located.vaultId) || {};
+    return {
+      attachments: located.item.attachments.map(attachment => ({
+        ...this.publicAttachment(attachment),
+        // Contents stay on the device that added them; synced or shared
+        // copies of the item only carry the metadata
+        available: !!index[attachment.id] && index[attachment.id].chunks === attachment.chunks
+      })),
+      usage: this.attachmentUsage(this.vaultState(located.vaultId).vault),
+      limits: this.attachmentPolicy
+    };
+  }
+
+  // data is the file's contents as base64
+  async addAttachment(credentialId, name, type, data) {
+    const located = this.locateAttachmentItem(credentialId);
+    if (!located) {
+      return { error: 'Credential not found' };
+    }
+
+    const fileName = String(name || '').split(/[\\/]/).pop().trim().slice(0, 200);
+    if (!fileName) {
+      return { error: 'The file needs a name' };
+    }
+    if (typeof data !== 'string') {
+      return { error: 'No file contents' };
+    }
+
+    let bytes;
+    try {
+      bytes = this.attachments.fromBase64(data);
+    } catch (error) {
+      return { error: 'File contents are not valid base64' };
+    }
+
+    const policy = this.attachmentPolicy;
+    const vault = this.vaultState(located.vaultId).vault;
+    if (bytes.length > policy.maxFileBytes) {
+      return { error: `Files can be at most ${this.formatBytes(policy.maxFileBytes)}` };
+    }
+    if (located.item.attachments.length >= policy.maxPerItem) {
+      return { error: `An item can have at most ${policy.maxPerItem} attachments` };
+    }
+    if (this.attachmentUsage(vault) + bytes.length > policy.maxVaultBytes) {
+      return { error: `Attachments in this vault are limited to ${this.formatBytes(policy.maxVaultBytes)} in total` };
+    }
+
+    const id = this.schema.generateId();
+    this.attachmentUploads.add(id);
+    try {
+      const { attachment, chunks } = await this.attachments.encrypt(id, fileName, String(type || ''), bytes);
+
+      // Contents first, so the vault never refers to chunks that are not there
+      const stored = {};
+      chunks.forEach((chunk, index) => { stored[this.attachmentChunkKey(id, index)] = chunk; });
+      const attachmentIndex = await this.getVaultItem('attachmentIndex', located.vaultId) || {};
+      attachmentIndex[id] = { chunks: chunks.length, orphaned: null };
+      await this.setVaultItems({ ...stored, attachmentIndex }, located.vaultId);
+
+      located.list[located.index] = { ...located.item, attachments: [...located.item.attachments, attachment], modified: Date.now() };
+      if (located.collection) {
+        this.touchCollection(located.collection);
+      }
+      try {
+        await this.persistVault('add-attachment', located.vaultId);
+      } catch (error) {
+        located.list[located.index] = located.item;
+        throw error;
+      }
+
+      console.log(`📎 Attached ${fileName} (${this.formatBytes(bytes.length)}, ${chunks.length} chunk(s))`);
+      return { success: true, attachment: this.publicAttachment(attachment) };
+    } catch (error) {
+      console.error('Attachment failed:', error);
+      return { error: 'Attachment failed: ' + error.message };
+    } finally {
+      this.attachmentUploads.delete(id);
+    }
+  }
+
+  // Returns the decrypted contents as base64 for the popup to save
+  async downloadAttachment(credentialId, attachmentId) {
+    const located = this.locateAttachmentItem(credentialId);
+    const attachment = located && located.item.attachments.find(entry => entry.id === attachmentId);
+    if (!attachment) {
+      return { error: 'Attachment not found' };
+    }
+
+    try {
+      const names = Array.from({ length: attachment.chunks }, (unused, index) => this.attachmentChunkKey(attachment.id, index));
+      const chunks = await Promise.all(names.map(name => this.getVaultItem(name, located.vaultId)));
+      const bytes = await this.attachments.decrypt(attachment, chunks);
+      return {
+        success: true,
+        name: attachment.name,
+        type: attachment.type,
+        size: attachment.size,
+        data: this.attachments.toBase64(bytes)
+      };
+    } catch (error) {
+      console.error('Attachment download failed:', error);
+      return { error: error.message };
+    }
+  }
+
+  async removeAttachment(credentialId, attachmentId) {
+    const located = this.locateAttachmentItem(credentialId);
+    if (!located || !located.item.attachments.some(entry => entry.id === attachmentId)) {
+      return { error: 'Attachment not found' };
+    }
+
+    located.list[located.index] = {
+      ...located.item,
+      attachments: located.item.attachments.filter(entry => entry.id !== attachmentId),
+      modified: Date.now()
+    };
+    if (located.collection) {
+      this.touchCollection(located.collection);
+    }
+    try {
+      await this.persistVault('remove-attachment', located.vaultId);
+    } catch (error) {
+      located.list[located.index] = located.item;
+      return { error: error.message };
+    }
+    return { success: true };
+  }
+
+  // Called after every save. Contents no item refers to any more (removed,
+  // purged with their item, dropped by a merge) are kept for
+  // attachmentPolicy.orphanDays so restoring a recent snapshot brings them
+  // back, then deleted.
+  async collectAttachmentGarbage(vaultId) {
+    try {
+      const attachmentIndex = await this.getVaultItem('attachmentIndex', vaultId);
+      if (!attachmentIndex) {
+        return;
       }
-      
-      console.timeEnd('Argon2id Decryption');
-      
-      const argon2Key = new Uint8Array(result.hash || result.hashBytes);
-      
-      // Import the derived key
-      const cryptoKey = await crypto.subtle.importKey(
-        'raw',
-        argon2Key,
-        { name: 'AES-GCM' },
-        false,
-        ['decrypt']
-      );
-      
-      // Decrypt the data
-      const decrypted = await crypto.subtle.decrypt(
-        { 
-          name: 'AES-GCM', 
-          iv: new Uint8Array(encryptedObj.iv) 
-        },
-        cryptoKey,
-        new Uint8Array(encryptedObj.encrypted)
-      );
 
-      const decryptedString = decoder.decode(decrypted);
-      return JSON.parse(decryptedString);
+      const state = this.vaultState(vaultId);
+      const referenced = new Set();
+      this.merger.index(state.vault).forEach(({ item }) => item.attachments.forEach(entry => referenced.add(entry.id)));
+      state.vault.conflicts.forEach(conflict => conflict.versions.forEach(version => {
+        if (!version.deleted) version.item.attachments.forEach(entry => referenced.add(entry.id));
+      }));
+
+      const now = Date.now();
+      const expiry = this.attachmentPolicy.orphanDays * 24 * 60 * 60 * 1000;
+      const expired = [];
+      let changed = false;
+      Object.keys(attachmentIndex).forEach(id => {
+        const entry = attachmentIndex[id];
+        if (referenced.has(id) || this.attachmentUploads.has(id)) {
+          if (entry.orphaned) {
+            entry.orphaned = null;
+            changed = true;
+          }
+        } else if (!entry.orphaned) {
+          entry.orphaned = now;
+          changed = true;
+        } else if (now - entry.orphaned > expiry) {
+          expired.push(id);
+        }
+      });
+
+      if (expired.length > 0) {
+        await this.removeVaultItems(expired.flatMap(id =>
+          Array.from({ length: attachmentIndex[id].chunks }, (unused, index) => this.attachmentChunkKey(id, index))), vaultId);
+        expired.forEach(id => delete attachmentIndex[id]);
+        changed = true;
+        console.log(`🧹 Deleted ${expired.length} removed attachment(s)`);
+      }
+      if (changed) {
+        await this.setVaultItems({ attachmentIndex }, vaultId);
+      }
     } catch (error) {
-      console.error('Argon2id decryption failed:', error);
-      throw new Error('Decryption failed: Invalid password or corrupted data');
+      // Cleanup must never fail the save that triggered it
+      console.error('Attachment cleanup failed:', error);
     }
   }
 
-  async decryptDataWithEnhancedPBKDF2(encryptedObj, password) {
-    const encoder = new TextEncoder();
-    const decoder = new TextDecoder();
-    const params = encryptedObj.kdfParams;
-    
-    const keyMaterial = await crypto.subtle.importKey(
-      'raw',
-      encoder.encode(password),
-      { name: 'PBKDF2' },
-      false,
-      ['deriveKey']
-    );
+  formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} bytes`;
+  }
 
-    const key = await crypto.subtle.deriveKey(
-      {
-        name: 'PBKDF2',
-        salt: new Uint8Array(encryptedObj.salt),
-        iterations: params.iterations,
-        hash: 'SHA-256'
-      },
-      keyMaterial,
-      { name: 'AES-GCM', length: 256 },
-      false,
-      ['decrypt']
-    );
+  // ---- Conflicts ----
+  //
+  // Items changed differently on two devices (or in an import merge) stay
+  // in vault.conflicts with every competing version until the user picks
+  // one. See VaultMerge.
 
-    const decrypted = await crypto.subtle.decrypt(
-      { 
-        name: 'AES-GCM', 
-        iv: new Uint8Array(encryptedObj.iv) 
-      },
-      key,
-      new Uint8Array(encryptedObj.encrypted)
-    );
+  describeDevice(deviceId) {
+    if (!deviceId) return 'Unknown device';
+    return deviceId === this.deviceId ? 'This device' : `Device ${deviceId.slice(0, 6)}`;
+  }
 
-    const decryptedString = decoder.decode(decrypted);
-    return JSON.parse(decryptedString);
+  describeLocation(location) {
+    if (location === 'trash') return 'Trash';
+    if (location.startsWith('collection:')) {
+      const collection = this.findCollection(location.slice(11));
+      return collection ? collection.name : 'Shared collection';
+    }
+    const activeVault = this.vaultList.find(entry => entry.id === this.activeVaultId);
+    return activeVault ? activeVault.name : 'Vault';
   }
 
-  // Legacy PBKDF2 decryption for backward compatibility
-  async decryptDataLegacy(encryptedObj, password) {
-    const encoder = new TextEncoder();
-    const decoder = new TextDecoder();
-    
-    const keyMaterial = await crypto.subtle.importKey(
-      'raw',
-      encoder.encode(password),
-      { name: 'PBKDF2' },
-      false,
-      ['deriveKey']
-    );
+  // Versions without their secrets: which fields differ is enough to choose
+  getConflicts() {
+    if (!this.isUnlocked || !this.vault) {
+      return { error: 'Vault is locked' };
+    }
 
-    const key = await crypto.subtle.deriveKey(
-      {
-        name: 'PBKDF2',
-        salt: new Uint8Array(encryptedObj.salt),
-        iterations: 100000, // Original iteration count
-        hash: 'SHA-256'
-      },
-      keyMaterial,
-      { name: 'AES-GCM', length: 256 },
-      false,
-      ['decrypt']
-    );
+    const fields = ['name', 'username', 'password', 'url', 'match', 'notes', 'totp', 'folder', 'tags', 'favorite', 'fields', 'attachments', 'custom'];
+    const conflicts = this.vault.conflicts.map(conflict => {
+      const items = conflict.versions.filter(version => !version.deleted);
+      const differs = fields.filter(field => new Set(items.map(version =>
+        this.merger.canonical(version.item[field] === undefined ? null : version.item[field]))).size > 1);
+      if (new Set(items.map(version => version.location)).size > 1) {
+        differs.push('location');
+      }
 
-    const decrypted = await crypto.subtle.decrypt(
-      { 
-        name: 'AES-GCM', 
-        iv: new Uint8Array(encryptedObj.iv) 
-      },
-      key,
-      new Uint8Array(encryptedObj.encrypted)
+      return {
+        id: conflict.id,
+        name: conflict.name,
+        detected: conflict.detected,
+        differs,
+        versions: conflict.versions.map((version, index) => version.deleted
+          ? { index, deleted: true, device: this.describeDevice(version.device) }
+          : {
+              index,
+              deleted: false,
+              device: this.describeDevice(version.item.device),
+              name: version.item.name,
+              username: version.item.username,
+              url: version.item.url,
+              modified: version.item.modified,
+              location: this.describeLocation(version.location)
+            })
+      };
+    });
+    return { conflicts };
+  }
+
+  // choice is a version index, or 'both' to keep every version as its own item
+  async resolveConflict(conflictId, choice) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    const previous = JSON.parse(JSON.stringify(state.vault));
+    try {
+      this.merger.resolve(state.vault, conflictId, choice === 'both' ? 'both' : Number(choice), this.deviceId);
+      await this.persistVault('resolve-conflict', vaultId);
+    } catch (error) {
+      state.vault = previous;
+      console.error('Conflict resolution failed:', error);
+      return { error: error.message };
+    }
+
+    console.log(`🔀 Conflict on ${conflictId} resolved (${choice})`);
+    return { success: true, remaining: state.vault.conflicts.length };
+  }
+
+  // ---- Sync ----
+  //
+  // Only the stored vault blob (header, wrapped key, ciphertext) goes to the
+  // server. Devices share the vault key, so a blob pulled from another
+  // device opens with the key already in memory. Its contents are then
+  // re-encrypted under this device's own header: whoever can write to the
+  // server must not be able to swap in a weaker KDF or drop the recovery
+  // key, so a master password change stays on the device that made it.
+  // The server password is kept
+  // encrypted under the vault key, so sync runs only while a vault is
+  // unlocked. Per vault, syncConfig holds:
+  //   etag       - server version last seen
+  //   syncedTag  - local blob version that matched it (see VaultSync.blobTag)
+  //   status     - 'ok' or 'error', with lastError
+  // syncBase holds the blob both sides last agreed on, the base for merging
+  // when the vault changed here and on another device (see VaultMerge).
+
+  async sealSecret(value, vaultKey = this.vaultKey) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      vaultKey,
+      new TextEncoder().encode(JSON.stringify(value))
     );
+    return { iv: Array.from(iv), encrypted: Array.from(new Uint8Array(encrypted)) };
+  }
 
-    const decryptedString = decoder.decode(decrypted);
-    return JSON.parse(decryptedString);
+  async openSyncBackend(config, vaultKey) {
+    const password = config.auth ? await this.decryptWithVaultKey(config.auth, vaultKey) : '';
+    return this.sync.createBackend({ backend: config.backend, url: config.url, username: config.username, password });
   }
 
-  async saveCredential(credential) {
-    if (!this.isUnlocked || !this.vault) {
+  async getSyncStatus() {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+
+    const config = await this.getVaultItem('syncConfig', vaultId);
+    if (!config) {
+      return { configured: false };
+    }
+
+    const storedVault = await this.getVaultItem('vault', vaultId);
+    return {
+      configured: true,
+      url: config.url,
+      username: config.username,
+      status: config.status,
+      lastError: config.lastError,
+      lastSync: config.lastSync,
+      pending: this.sync.blobTag(storedVault) !== config.syncedTag
+    };
+  }
+
+  // Connect this vault to a server. If the server already holds this vault
+  // (another device connected first), the two copies are merged item by item.
+  async configureSync(url, username, password) {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
       return { error: 'Vault is locked' };
     }
 
+    const urlError = this.sync.validateUrl(url);
+    if (urlError) {
+      return { error: urlError };
+    }
+
     try {
-      // Generate ID and timestamps
-      credential.id = Date.now().toString() + Math.random().toString(36).substr(2, 9);
-      credential.created = Date.now();
-      credential.modified = Date.now();
-      
-      // Add domain if not present
-      if (!credential.domain && credential.url) {
+      const backend = this.sync.createBackend({ backend: 'webdav', url, username, password });
+      const remote = await backend.read(null);
+      const config = {
+        backend: 'webdav',
+        url,
+        username: username || '',
+        auth: password ? await this.sealSecret(password, state.vaultKey) : null,
+        etag: null,
+        syncedTag: null,
+        status: 'ok',
+        lastError: null,
+        lastSync: null
+      };
+
+      let stats = null;
+      if (remote) {
+        if (!this.sync.isVaultBlob(remote.blob)) {
+          return { error: 'The server has a file at that URL that is not a Lockdown vault' };
+        }
         try {
-          credential.domain = new URL(credential.url).hostname;
-        } catch (e) {
-          // If URL parsing fails, use provided domain or current tab
+          await this.decryptWithVaultKey(remote.blob, state.vaultKey);
+        } catch (error) {
+          return { error: 'The server holds a different vault. Use "Restore from sync" on a new vault to open it, or choose another URL.' };
         }
+        // No common base yet, so revisions decide
+        stats = await this.mergeRemoteVault(vaultId, remote.blob, null);
       }
-      
-      this.vault.credentials.push(credential);
 
-      // Save vault (will use best available encryption)
-      const encrypted = await this.encryptData(this.vault, this.masterPassword);
-      await chrome.storage.local.set({ vault: encrypted });
+      const storedVault = await this.getVaultItem('vault', vaultId);
+      const written = await backend.write(storedVault, remote ? remote.etag : null);
+      if (written.conflict) {
+        return { error: 'The server copy changed while connecting. Try again.' };
+      }
+      config.etag = written.etag;
+      config.syncedTag = this.sync.blobTag(storedVault);
+
+      await this.setVaultItems({ syncConfig: { ...config, lastSync: Date.now() }, syncBase: storedVault }, vaultId);
 
-      const securityMethod = encrypted.kdf || 'legacy';
-      console.log(`✅ Credential saved with ${securityMethod} encryption:`, credential.name || credential.domain);
-      
-      return { success: true, credential, security: securityMethod };
+      console.log(`🔄 Sync connected to ${backend.describe()}`);
+      return { success: true, merged: !!stats, conflicts: stats ? stats.conflicts : 0 };
     } catch (error) {
-      console.error('Save credential error:', error);
+      console.error('Sync setup failed:', error);
       return { error: error.message };
     }
   }
 
-  async deleteCredential(credentialId) {
-    if (!this.isUnlocked || !this.vault) {
-      return { error: 'Vault is locked' };
+  async recordSync(vaultId, changes) {
+    const config = await this.getVaultItem('syncConfig', vaultId);
+    if (!config) return;
+    await this.setVaultItems({ syncConfig: { ...config, ...changes } }, vaultId);
+  }
+
+  // Replace the local vault with the contents of a blob from the server,
+  // kept under the local header. The current vault is snapshotted first, so
+  // a pull can be undone like any other save. Returns the stored blob.
+  async applyRemoteVault(vaultId, blob) {
+    const state = this.vaultState(vaultId);
+    const vaultData = await this.decryptWithVaultKey(blob, state.vaultKey);
+    const schemaMigration = this.prepareSchemaMigration(vaultData);
+    const errors = this.schema.validate(schemaMigration ? schemaMigration.vault : vaultData);
+    if (errors.length > 0) {
+      throw new Error('Server copy is invalid: ' + errors[0]);
     }
 
-    try {
-      const index = this.vault.credentials.findIndex(cred => cred.id === credentialId);
-      if (index === -1) {
-        return { error: 'Credential not found' };
-      }
+    await this.snapshotVault('sync', vaultId);
+    const encrypted = await this.encryptVault(vaultData, state.vaultHeader, state.vaultKey);
+    await this.setVaultItems({ vault: encrypted }, vaultId);
+    await this.countChangeSinceMigration('sync', vaultId);
+    state.vault = vaultData;
+    await this.commitSchemaMigration(schemaMigration, vaultId);
+    if (vaultId === this.activeVaultId) {
+      this.pendingImport = null;
+    }
+
+    this.notifyContentScripts('VAULTS_CHANGED');
+    console.log(`📥 Vault ${vaultId} updated from sync`);
+    return await this.getVaultItem('vault', vaultId);
+  }
 
-      this.vault.credentials.splice(index, 1);
+  // Merge a server copy into a vault that also changed locally, and save
+  // the result. baseBlob is the last copy both sides agreed on, or null.
+  async mergeRemoteVault(vaultId, remoteBlob, baseBlob) {
+    const state = this.vaultState(vaultId);
+    const open = async (blob) => {
+      const vaultData = await this.decryptWithVaultKey(blob, state.vaultKey);
+      const schemaMigration = this.prepareSchemaMigration(vaultData);
+      return schemaMigration ? schemaMigration.vault : vaultData;
+    };
 
-      // Save vault with current best encryption
-      const encrypted = await this.encryptData(this.vault, this.masterPassword);
-      await chrome.storage.local.set({ vault: encrypted });
+    const remoteVault = await open(remoteBlob);
+    const remoteErrors = this.schema.validate(remoteVault);
+    if (remoteErrors.length > 0) {
+      throw new Error('Server copy is invalid: ' + remoteErrors[0]);
+    }
 
-      return { success: true };
+    let baseVault = null;
+    if (baseBlob) {
+      try {
+        baseVault = await open(baseBlob);
+      } catch (error) {
+        console.warn('Sync base unreadable, merging by revision:', error.message);
+      }
+    }
+
+    const { vault, stats } = this.merger.merge(state.vault, remoteVault, baseVault);
+
+    // Saved under the local header, like a pull
+    const previousVault = state.vault;
+    state.vault = vault;
+    try {
+      await this.persistVault('sync-merge', vaultId);
     } catch (error) {
-      return { error: error.message };
+      state.vault = previousVault;
+      throw error;
+    }
+    if (vaultId === this.activeVaultId) {
+      this.pendingImport = null;
     }
+
+    this.notifyContentScripts('VAULTS_CHANGED');
+    console.log(`🔀 Vault ${vaultId} merged: ${stats.fromRemote} from the server, ${stats.fromLocal} local, ${stats.conflicts} conflicts`);
+    return stats;
   }
 
-  async updateCredential(credential) {
-    if (!this.isUnlocked || !this.vault) {
+  async syncVault(vaultId = this.activeVaultId) {
+    return await this.queueVaultRun(vaultId, () => this.runSync(vaultId));
+  }
+
+  // One sync run at a time per vault. A vault key rotation queues here too,
+  // so no sync run writes under the old key after it.
+  async queueVaultRun(vaultId, task) {
+    const previous = this.syncRuns.get(vaultId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    this.syncRuns.set(vaultId, run);
+    try {
+      return await run;
+    } finally {
+      if (this.syncRuns.get(vaultId) === run) {
+        this.syncRuns.delete(vaultId);
+      }
+    }
+  }
+
+  async runSync(vaultId) {
+    const config = await this.getVaultItem('syncConfig', vaultId);
+    if (!config) {
+      return { error: 'Sync is not set up for this vault' };
+    }
+
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vaultKey) {
       return { error: 'Vault is locked' };
     }
 
     try {
-      const index = this.vault.credentials.findIndex(cred => cred.id === credential.id);
-      if (index === -1) {
-        return { error: 'Credential not found' };
-      }
+      const backend = await this.openSyncBackend(config, state.vaultKey);
+      let storedVault = await this.getVaultItem('vault', vaultId);
+      const changedHere = this.sync.blobTag(storedVault) !== config.syncedTag;
 
-      credential.modified = Date.now();
-      this.vault.credentials[index] = credential;
+      const remote = await backend.read(config.etag);
+      const changedThere = !!remote && !remote.notModified;
 
-      // Save vault with current best encryption
-      const encrypted = await this.encryptData(this.vault, this.masterPassword);
-      await chrome.storage.local.set({ vault: encrypted });
+      let result = 'unchanged';
+      let conflicts = 0;
+      let base = remote === null ? null : config.etag;
+      if (changedThere) {
+        if (!this.sync.isVaultBlob(remote.blob)) {
+          throw new Error('The server copy is not a Lockdown vault');
+        }
+        // A master password change gives the vault a new key, which the
+        // devices still on the old password do not have
+        try {
+          await this.decryptWithVaultKey(remote.blob, state.vaultKey);
+        } catch (error) {
+          throw new Error('The server copy uses a different vault key, as after a master password change. On a device still using the old password, use "Restore from sync" on a new vault with the new one.');
+        }
+        if (changedHere) {
+          const stats = await this.mergeRemoteVault(vaultId, remote.blob, await this.getVaultItem('syncBase', vaultId));
+          conflicts = stats.conflicts;
+          storedVault = await this.getVaultItem('vault', vaultId);
+          base = remote.etag;
+          result = 'merged';
+        } else {
+          // The re-encrypted copy holds what the server has, so it counts
+          // as in step and is not pushed back
+          const pulled = await this.applyRemoteVault(vaultId, remote.blob);
+          await this.recordSync(vaultId, { etag: remote.etag, syncedTag: this.sync.blobTag(pulled) });
+          await this.setVaultItems({ syncBase: pulled }, vaultId);
+          result = 'pulled';
+        }
+      }
 
-      return { success: true };
+      if (result === 'merged' || (result === 'unchanged' && (changedHere || remote === null))) {
+        const written = await backend.write(storedVault, base);
+        if (written.conflict) {
+          // Another device wrote between our read and write; the next run
+          // merges with what it wrote
+          await this.recordSync(vaultId, { status: 'error', lastError: 'The server copy changed during sync, retrying later' });
+          this.scheduleSync(vaultId);
+          return { error: 'The server copy changed during sync. Try again.' };
+        }
+        await this.recordSync(vaultId, { etag: written.etag, syncedTag: this.sync.blobTag(storedVault) });
+        await this.setVaultItems({ syncBase: storedVault }, vaultId);
+        if (result === 'unchanged') {
+          result = 'pushed';
+        }
+      }
+
+      await this.recordSync(vaultId, { status: 'ok', lastError: null, lastSync: Date.now() });
+      if (result !== 'unchanged') {
+        console.log(`🔄 Vault ${vaultId} sync: ${result}`);
+      }
+      return { success: true, result, conflicts };
     } catch (error) {
+      console.error('Sync failed:', error);
+      await this.recordSync(vaultId, { status: 'error', lastError: error.message });
       return { error: error.message };
     }
   }
 
-  getSecurityStatus() {
-    return {
-      argon2Available: this.argon2Loaded,
-      currentSecurity: this.argon2Loaded ? 'argon2id' : 'enhanced-pbkdf2',
-      isUnlocked: this.isUnlocked,
-      hasVault: this.vault !== null,
-      credentialCount: this.vault ? this.vault.credentials.length : 0
-    };
+  // Push shortly after a save, so a burst of edits is one upload
+  scheduleSync(vaultId) {
+    clearTimeout(this.syncTimers.get(vaultId));
+    this.syncTimers.set(vaultId, setTimeout(() => {
+      this.syncTimers.delete(vaultId);
+      this.syncIfConfigured(vaultId);
+    }, 2000));
   }
 
-  getStatus() {
-    return {
-      isUnlocked: this.isUnlocked,
-      hasVault: this.vault !== null,
-      unlockTime: this.unlockTime,
-      autoLockDelay: this.autoLockDelay,
-      credentialCount: this.vault ? this.vault.credentials.length : 0,
-      securityLevel: this.argon2Loaded ? 'argon2id' : 'enhanced-pbkdf2',
-      argon2Available: this.argon2Loaded
-    };
+  async syncIfConfigured(vaultId) {
+    try {
+      if (!this.vaultState(vaultId).isUnlocked || !await this.getVaultItem('syncConfig', vaultId)) {
+        return;
+      }
+      await this.syncVault(vaultId);
+    } catch (error) {
+      console.error('Background sync failed:', error);
+    }
   }
 
-  // Rest of methods remain the same...
-  lockVault() {
-    this.vault = null;
-    this.masterPassword = null;
-    this.isUnlocked = false;
-    this.unlockTime = null;
-    
-    if (this.autoLockTimer) {
-      clearTimeout(this.autoLockTimer);
-      this.autoLockTimer = null;
+  async syncUnlockedVaults() {
+    for (const vaultId of this.getUnlockedVaultIds()) {
+      await this.syncIfConfigured(vaultId);
     }
+  }
 
-    this.notifyContentScripts('VAULT_LOCKED');
+  // Leaves the server copy in place; other devices keep syncing with it
+  async disconnectSync() {
+    const vaultId = this.activeVaultId;
+    const state = this.vaultState(vaultId);
+    if (!state.isUnlocked || !state.vault) {
+      return { error: 'Vault is locked' };
+    }
+    await this.removeVaultItems(['syncConfig', 'syncBase'], vaultId);
+    console.log('🔄 Sync disconnected');
     return { success: true };
   }
 
-  getCredentials(domain) {
-    if (!this.isUnlocked || !this.vault) {
-      return { credentials: [] };
+  // Set up the active (empty) vault on a new device from a server copy
+  async restoreFromSync(url, username, password, masterPassword) {
+    if (this.unlockInProgress) {
+      return { error: 'Unlock already in progress' };
     }
 
-    const credentials = this.vault.credentials.filter(cred => {
-      return cred.domain === domain || 
-             (cred.url && cred.url.includes(domain)) ||
-             (cred.name && cred.name.toLowerCase().includes(domain.toLowerCase()));
-    });
-
-    credentials.sort((a, b) => (b.modified || b.created) - (a.modified || a.created));
-    return { credentials };
-  }
-
-  getAllCredentials() {
-    if (!this.isUnlocked || !this.vault) {
-      return { credentials: [] };
+    const urlError = this.sync.validateUrl(url);
+    if (urlError) {
+      return { error: urlError };
     }
 
-    const credentials = [...this.vault.credentials];
-    credentials.sort((a, b) => (b.modified || b.created) - (a.modified || a.created));
-    return { credentials };
-  }
+    // The flag also keeps the popup from switching vaults until this is done
+    const vaultId = this.activeVaultId;
+    this.unlockInProgress = true;
+    try {
+      if (await this.getVaultItem('vault', vaultId)) {
+        return { error: 'This vault already exists. Connect it to sync from Settings instead.' };
+      }
 
-  searchCredentials(query) {
-    if (!this.isUnlocked || !this.vault || !query) {
-      return { credentials: [] };
-    }
+      const backend = this.sync.createBackend({ backend: 'webdav', url, username, password });
+      const remote = await backend.read(null);
+      if (!remote) {
+        return { error: 'Nothing is stored at that URL yet' };
+      }
+      if (!this.sync.isVaultBlob(remote.blob)) {
+        return { error: 'The file at that URL is not a Lockdown vault' };
+      }
 
-    const searchTerm = query.toLowerCase();
-    const credentials = this.vault.credentials.filter(cred => {
-      return (cred.name && cred.name.toLowerCase().includes(searchTerm)) ||
-             (cred.domain && cred.domain.toLowerCase().includes(searchTerm)) ||
-             (cred.username && cred.username.toLowerCase().includes(searchTerm)) ||
-             (cred.email && cred.email.toLowerCase().includes(searchTerm));
-    });
+      // Store the blob and unlock it like any other vault, which also
+      // upgrades its KDF or schema if this Lockdown is newer
+      await this.setVaultItems({ vault: remote.blob }, vaultId);
+      const unlocked = await this.attemptUnlock(masterPassword);
+      if (!unlocked.success) {
+        await this.removeVaultItems(['vault'], vaultId);
+        return unlocked;
+      }
+
+      const state = this.vaultState(vaultId);
+      await chrome.storage.local.set({ setupCompleted: true });
+      await this.removeVaultItems(['vaultWiped'], vaultId);
+      await this.registerVault(vaultId);
+      await this.setVaultItems({
+        syncConfig: {
+          backend: 'webdav',
+          url,
+          username: username || '',
+          auth: password ? await this.sealSecret(password, state.vaultKey) : null,
+          etag: remote.etag,
+          syncedTag: this.sync.blobTag(remote.blob),
+          status: 'ok',
+          lastError: null,
+          lastSync: Date.now()
+        },
+        syncBase: remote.blob
+      }, vaultId);
+      this.scheduleSync(vaultId);
 
-    credentials.sort((a, b) => (b.modified || b.created) - (a.modified || a.created));
-    return { credentials };
+      console.log(`📥 Vault restored from ${backend.describe()}`);
+      return { success: true, credentialCount: state.vault.credentials.length };
+    } catch (error) {
+      console.error('Restore from sync failed:', error);
+      return { error: error.message };
+    } finally {
+      this.unlockInProgress = false;
+    }
   }
 
   generatePassword(length = 32, includeSymbols = true) {
@@ -840,14 +5104,73 @@ class LockdownBackground {
     }
     
     await chrome.storage.local.set({ autoLockDelay: this.autoLockDelay });
-    if (this.isUnlocked) {
-      this.startAutoLockTimer();
+    if (this.getUnlockedVaultIds().length > 0) {
+      await this.startAutoLockTimer();
     }
     return { success: true };
   }
 
+  async updateLockPolicy(policy = {}) {
+    const updated = { ...this.lockPolicy };
+
+    ['resetOnActivity', 'lockOnIdle', 'lockOnScreenLock', 'lockOnWindowsClosed'].forEach(key => {
+      if (typeof policy[key] === 'boolean') {
+        updated[key] = policy[key];
+      }
+    });
+
+    if (policy.idleSeconds !== undefined) {
+      const idleSeconds = parseInt(policy.idleSeconds);
+      if (!idleSeconds || idleSeconds < 15) {
+        return { error: 'Idle time must be at least 15 seconds' };
+      }
+      updated.idleSeconds = idleSeconds;
+    }
+
+    this.lockPolicy = updated;
+    chrome.idle.setDetectionInterval(updated.idleSeconds);
+    await chrome.storage.local.set({ lockPolicy: updated });
+    return { success: true, lockPolicy: updated };
+  }
+
+  // Restart the auto-lock countdown on vault use. Throttled so a burst of
+  // requests does not rewrite the alarm and session on every message.
+  async recordActivity() {
+    if (this.getUnlockedVaultIds().length === 0 || !this.lockPolicy.resetOnActivity || !this.autoLockDelay) {
+      return;
+    }
+
+    const now = Date.now();
+    if (this.lastActivity && now - this.lastActivity < 10 * 1000) {
+      return;
+    }
+
+    this.lastActivity = now;
+    await this.startAutoLockTimer();
+  }
+
+  async handleIdleStateChange(state) {
+    if (this.getUnlockedVaultIds().length === 0) return;
+
+    if ((state === 'locked' && this.lockPolicy.lockOnScreenLock) ||
+        (state === 'idle' && this.lockPolicy.lockOnIdle)) {
+      console.log(`🔒 Locking vault: system is ${state}`);
+      await this.lockVault();
+    }
+  }
+
+  async handleWindowRemoved() {
+    if (this.getUnlockedVaultIds().length === 0 || !this.lockPolicy.lockOnWindowsClosed) return;
+
+    const windows = await chrome.windows.getAll();
+    if (windows.length === 0) {
+      console.log('🔒 Locking vault: last browser window closed');
+      await this.lockVault();
+    }
+  }
+
   getRemainingTime() {
-    if (!this.isUnlocked || !this.unlockTime || !this.autoLockDelay) {
+    if (this.getUnlockedVaultIds().length === 0 || !this.unlockTime || !this.autoLockDelay) {
       return { remaining: null };
     }
 
@@ -865,20 +5188,19 @@ class LockdownBackground {
     };
   }
 
-  startAutoLockTimer() {
-    if (this.autoLockTimer) {
-      clearTimeout(this.autoLockTimer);
-      this.autoLockTimer = null;
-    }
+  // Auto-lock runs on chrome.alarms so it still fires after the service
+  // worker has been stopped; unlockTime (the start of the current countdown,
+  // moved forward on activity) is mirrored into the session
+  async startAutoLockTimer() {
+    await chrome.alarms.clear(this.autoLockAlarm);
 
     if (!this.autoLockDelay) {
       return;
     }
 
     this.unlockTime = Date.now();
-    this.autoLockTimer = setTimeout(() => {
-      this.lockVault();
-    }, this.autoLockDelay);
+    chrome.alarms.create(this.autoLockAlarm, { when: this.unlockTime + this.autoLockDelay });
+    await this.updateSessionUnlockTime();
   }
 
   async openPopup() {
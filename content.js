@@ -5,6 +5,7 @@ class LockdownContent {
     this.domain = window.location.hostname;
     this.forms = new Map();
     this.gameSystem = null;
+    this.awaitingOneTimeCode = false;
     this.init();
   }
 
@@ -14,6 +15,9 @@ class LockdownContent {
     // Find forms on page load
     this.scanForms();
     
+    // A code page that follows a filled login
+    this.fillOneTimeCode();
+    
     // Watch for new forms
     this.observeChanges();
     
@@ -222,7 +226,7 @@ class LockdownContent {
       
       if (response && response.credentials && response.credentials.length > 0) {
         const credential = response.credentials[0]; // Use first match
-        this.performAutofill(passwordField, credential);
+        await this.performAutofill(passwordField, credential);
       } else {
         this.showNotification('No credentials found for this site', 'info');
       }
@@ -232,7 +236,30 @@ class LockdownContent {
     }
   }
 
-  performAutofill(passwordField, credential) {
+  // Returns why this page must not be filled, or null when it may be. The
+  // background refuses pages made to look like a saved site; when it cannot
+  // be asked, nothing is filled either. Static so password-assistant.js,
+  // loaded after this file, asks the same way.
+  static async fillBlockedReason() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'CHECK_FILL_SAFETY' });
+      if (response && response.safe) {
+        return null;
+      }
+      return (response && (response.warning || response.error)) || 'Lockdown could not check this site, so nothing was filled';
+    } catch (error) {
+      console.error('Fill safety check failed:', error);
+      return 'Lockdown could not check this site, so nothing was filled';
+    }
+  }
+
+  async performAutofill(passwordField, credential) {
+    const blocked = await LockdownContent.fillBlockedReason();
+    if (blocked) {
+      this.showNotification(`🎣 ${this.escapeHtml(blocked)}`, 'error', 12000);
+      return { success: false, error: blocked };
+    }
+
     try {
       const form = passwordField.closest('form');
       let filledFields = 0;
@@ -258,19 +285,81 @@ class LockdownContent {
       
       this.showNotification(`Filled ${filledFields} field(s) - Check out the daily quiz for points! 🏆`, 'success');
       
+      // Filling counts as vault use for the inactivity auto-lock
+      chrome.runtime.sendMessage({ type: 'VAULT_ACTIVITY' }).catch(() => {});
+      
+      if (credential.hasTotp) {
+        this.fillOneTimeCode(credential.id);
+      }
+      
       // Focus submit button if available
       const submitBtn = form?.querySelector('button[type="submit"], input[type="submit"]') ||
                        form?.querySelector('button:not([type]), button[type="button"]');
       if (submitBtn) {
         setTimeout(() => submitBtn.focus(), 100);
       }
+      return { success: true };
       
     } catch (error) {
       console.error('Autofill error:', error);
       this.showNotification('Autofill failed', 'error');
+      return { success: false, error: 'Autofill failed' };
+    }
+  }
+
+  // Put the login's authenticator code into the page's one-time code field.
+  // Sites often ask on the next page or in a dialog after the password, so
+  // without a field the background remembers the login for this tab and the
+  // code is filled when a field turns up.
+  async fillOneTimeCode(credentialId = null) {
+    const fields = this.findOneTimeCodeFields();
+    if (!credentialId && fields.length === 0) {
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_TOTP_CODE', credentialId });
+      if (!response || !response.success) {
+        return;
+      }
+      if (fields.length === 0) {
+        this.awaitingOneTimeCode = true;
+        return;
+      }
+
+      this.awaitingOneTimeCode = false;
+      this.enterOneTimeCode(fields, response.code);
+      this.showNotification('Filled your authenticator code 🔐', 'success');
+    } catch (error) {
+      console.error('One-time code fill failed:', error);
     }
   }
 
+  findOneTimeCodeFields() {
+    const visible = input => !input.disabled && !input.readOnly && !input.value && input.offsetParent !== null;
+    const marked = [...document.querySelectorAll('input[autocomplete="one-time-code"]')].filter(visible);
+    if (marked.length > 0) {
+      return marked;
+    }
+
+    // Card security codes are not one-time codes
+    const named = /(^|[^a-z])(otp|totp|2fa|mfa|one.?time.?(code|password)|verification.?code|auth(entication|enticator)?.?code|two.?factor)([^a-z]|$)/i;
+    return [...document.querySelectorAll('input:not([type="hidden"]):not([type="password"]):not([autocomplete^="cc-"])')]
+      .filter(input => named.test([input.name, input.id, input.placeholder, input.getAttribute('aria-label')].join(' ')))
+      .filter(visible);
+  }
+
+  // One field, or one box per digit
+  enterOneTimeCode(fields, code) {
+    const perDigit = fields.length >= code.length && fields.every(field => field.maxLength === 1);
+    const targets = perDigit ? fields.slice(0, code.length) : [fields[0]];
+    targets.forEach((field, index) => {
+      field.value = perDigit ? code[index] : code;
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+      field.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  }
+
   observeChanges() {
     const observer = new MutationObserver((mutations) => {
       let shouldRescan = false;
@@ -288,6 +377,11 @@ class LockdownContent {
       if (shouldRescan) {
         setTimeout(() => this.scanForms(), 100);
       }
+      
+      if (this.awaitingOneTimeCode && mutations.some(mutation => mutation.addedNodes.length > 0)) {
+        clearTimeout(this.oneTimeCodeTimer);
+        this.oneTimeCodeTimer = setTimeout(() => this.fillOneTimeCode(), 300);
+      }
     });
     
     observer.observe(document.body, {
@@ -304,8 +398,7 @@ class LockdownContent {
         case 'AUTOFILL':
           const passwordField = document.querySelector('input[type="password"]');
           if (passwordField && message.credential) {
-            this.performAutofill(passwordField, message.credential);
-            sendResponse({ success: true });
+            sendResponse(await this.performAutofill(passwordField, message.credential));
           } else {
             sendResponse({ success: false, error: 'No password field found' });
           }
@@ -357,6 +450,7 @@ class LockdownContent {
           break;
           
         case 'VAULT_LOCKED':
+        case 'VAULTS_CHANGED':
           sendResponse({ success: true });
           break;
           
@@ -369,7 +463,7 @@ class LockdownContent {
     }
   }
 
-  showNotification(message, type = 'info') {
+  showNotification(message, type = 'info', duration = 4000) {
     const notification = document.createElement('div');
     notification.style.cssText = `
       position: fixed;
@@ -432,7 +526,7 @@ class LockdownContent {
     
     document.body.appendChild(notification);
     
-    // Remove after 4 seconds (longer for gamification messages)
+    // Remove after 4 seconds unless the caller asks for longer
     setTimeout(() => {
       notification.style.animation = 'slideOut 0.3s ease';
       setTimeout(() => {
@@ -440,7 +534,13 @@ class LockdownContent {
           notification.parentNode.removeChild(notification);
         }
       }, 300);
-    }, 4000);
+    }, duration);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
   }
 }
 
@@ -0,0 +1,221 @@
+// domain-matcher.js - Deciding which logins belong to a page
+//
+// Built on the Public Suffix List (lib/public_suffix_list.dat, from
+// https://publicsuffix.org/), which says where the part of a host anyone
+// can register ends: "example.co.uk" and "alice.github.io" are registrable
+// domains, "co.uk" and "github.io" are not. Each login picks a match mode:
+//
+//   domain       same registrable domain, so example.com also fills on
+//                login.example.com (the default); registrable domains in
+//                one equivalent-domain group, such as amazon.com and
+//                amazon.de, count as the same
+//   host         the exact host name
+//   host-port    the exact host name and port
+//   starts-with  the page URL starts with the item's URL
+//   regex        the item's URL is a regular expression tested against the
+//                page URL
+//
+// Only http(s) pages ever match. Until the list is loaded, or if it cannot
+// be, every host's public suffix is taken to be its last label.
+//
+// domain-corpus.json holds tricky hosts and URLs with the answers the
+// matcher must give; verify() runs them, and node tests/domain-corpus.js
+// runs verify() outside the browser.
+
+class DomainMatcher {
+  constructor() {
+    this.rules = new Set();       // "co.uk"
+    this.wildcards = new Set();   // "ck" for *.ck
+    this.exceptions = new Set();  // "www.ck" for !www.ck
+    this.equivalents = new Map(); // registrable domain -> Set of the domains it is grouped with
+  }
+
+  // Parse the list's text format: one rule per line, "//" comments, rules
+  // in Unicode. Rules are kept in punycode, as URL gives host names.
+  load(text) {
+    this.rules.clear();
+    this.wildcards.clear();
+    this.exceptions.clear();
+
+    text.split('\n').forEach(line => {
+      const rule = line.trim().split(/\s/)[0];
+      if (!rule || rule.startsWith('//')) {
+        return;
+      }
+      if (rule.startsWith('!')) {
+        this.exceptions.add(this.normalizeHost(rule.slice(1)));
+      } else if (rule.startsWith('*.')) {
+        this.wildcards.add(this.normalizeHost(rule.slice(2)));
+      } else {
+        this.rules.add(this.normalizeHost(rule));
+      }
+    });
+    return this.rules.size + this.wildcards.size + this.exceptions.size;
+  }
+
+  // groups are arrays of registrable domains. A domain in several groups is
+  // equivalent to the members of each, not to everything they reach.
+  setEquivalentGroups(groups) {
+    this.equivalents = new Map();
+    groups.forEach(group => {
+      const domains = group.map(domain => this.normalizeHost(domain));
+      domains.forEach(domain => {
+        const grouped = this.equivalents.get(domain) || new Set();
+        domains.forEach(other => grouped.add(other));
+        this.equivalents.set(domain, grouped);
+      });
+    });
+  }
+
+  areEquivalent(domain, other) {
+    const grouped = this.equivalents.get(domain);
+    return !!grouped && grouped.has(other);
+  }
+
+  normalizeHost(host) {
+    const lower = String(host || '').trim().toLowerCase().replace(/\.$/, '');
+    if (!/[^\x00-\x7f]/.test(lower)) {
+      return lower;
+    }
+    try {
+      return new URL(`http://${lower}/`).hostname;
+    } catch (error) {
+      return lower;
+    }
+  }
+
+  isIpAddress(host) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[');
+  }
+
+  // The longest matching rule wins, except that an exception rule names
+  // its parent as the suffix. Hosts no rule covers use the last label.
+  publicSuffix(host) {
+    const labels = this.normalizeHost(host).split('.');
+    for (let start = 0; start < labels.length; start++) {
+      const candidate = labels.slice(start).join('.');
+      if (this.exceptions.has(candidate)) {
+        return labels.slice(start + 1).join('.');
+      }
+      if (start > 0 && this.wildcards.has(candidate)) {
+        return labels.slice(start - 1).join('.');
+      }
+      if (this.rules.has(candidate)) {
+        return candidate;
+      }
+    }
+    return labels[labels.length - 1];
+  }
+
+  // The suffix plus one label. IP addresses and unlisted single-label hosts
+  // such as localhost are their own registrable domain; a public suffix,
+  // top-level domains included, has none.
+  registrableDomain(host) {
+    const normalized = this.normalizeHost(host);
+    if (!normalized || normalized.startsWith('.') || normalized.includes('..')) {
+      return null;
+    }
+    if (this.isIpAddress(normalized)) {
+      return normalized;
+    }
+    if (!normalized.includes('.')) {
+      return this.rules.has(normalized) || this.wildcards.has(normalized) ? null : normalized;
+    }
+
+    const suffix = this.publicSuffix(normalized);
+    if (suffix === normalized) {
+      return null;
+    }
+    const labels = normalized.slice(0, -suffix.length - 1).split('.');
+    return `${labels[labels.length - 1]}.${suffix}`;
+  }
+
+  // Stored URLs are often bare host names; those are taken as https
+  parseUrl(value) {
+    const text = String(value || '').trim();
+    if (!text) {
+      return null;
+    }
+    try {
+      const url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+      return ['http:', 'https:'].includes(url.protocol) && url.hostname ? url : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // item is a login ({ url, domain, match }); pageUrl the page's full URL
+  matches(item, pageUrl) {
+    let page;
+    try {
+      page = new URL(pageUrl);
+    } catch (error) {
+      return false;
+    }
+    if (!['http:', 'https:'].includes(page.protocol) || !page.hostname) {
+      return false;
+    }
+
+    if (item.match === 'regex') {
+      try {
+        return !!item.url && new RegExp(item.url, 'i').test(page.href);
+      } catch (error) {
+        return false;
+      }
+    }
+
+    const target = this.parseUrl(item.url) || this.parseUrl(item.domain);
+    if (!target) {
+      return false;
+    }
+    const pageHost = this.normalizeHost(page.hostname);
+    const targetHost = this.normalizeHost(target.hostname);
+
+    switch (item.match) {
+      case 'host':
+        return pageHost === targetHost;
+      case 'host-port':
+        return pageHost === targetHost && page.port === target.port;
+      case 'starts-with':
+        return page.href.startsWith(target.href);
+      default: {
+        if (pageHost === targetHost) {
+          return true;
+        }
+        const registrable = this.registrableDomain(targetHost);
+        const pageRegistrable = this.registrableDomain(pageHost);
+        return !!registrable && (registrable === pageRegistrable || this.areEquivalent(registrable, pageRegistrable));
+      }
+    }
+  }
+
+  // Returns the corpus cases the matcher gets wrong, each with the answer
+  // it gave instead. The corpus brings its own equivalent-domain groups, so
+  // the user's do not change the answers.
+  verify(corpus) {
+    const equivalents = this.equivalents;
+    this.setEquivalentGroups(corpus.equivalentGroups || []);
+    try {
+      return this.runCorpus(corpus);
+    } finally {
+      this.equivalents = equivalents;
+    }
+  }
+
+  runCorpus(corpus) {
+    const failures = [];
+    (corpus.registrable || []).forEach(([host, expected]) => {
+      const actual = this.registrableDomain(host);
+      if (actual !== expected) {
+        failures.push({ host, expected, actual });
+      }
+    });
+    (corpus.matches || []).forEach(test => {
+      const actual = this.matches({ url: test.url, domain: test.domain || '', match: test.match }, test.page);
+      if (actual !== test.expected) {
+        failures.push({ ...test, actual });
+      }
+    });
+    return failures;
+  }
+}
@@ -0,0 +1,461 @@
+// importers.js - Pure parsers for other password managers' export files
+//
+// Every parser takes the file's text and returns
+//   { format, label, items, skipped, mapping }
+// where items are plain objects in the shape saveCredential accepts
+// ({ name, url, match, username, password, notes, totp, folder, tags, favorite, custom }),
+// skipped lists { row, reason } for records that were left out, and mapping lists
+// { source, target } for each source field (target null = not imported).
+// Nothing here touches chrome.* or the DOM, so parsers run anywhere.
+
+class CredentialImporters {
+  constructor() {
+    // Column aliases per CSV format, matched case-insensitively. Targets of
+    // the form custom.x are kept on the item under custom.
+    this.formats = {
+      chrome: {
+        label: 'Chrome / Edge CSV',
+        columns: {
+          name: ['name'],
+          url: ['url'],
+          username: ['username'],
+          password: ['password'],
+          notes: ['note', 'notes']
+        }
+      },
+      firefox: {
+        label: 'Firefox CSV',
+        columns: {
+          url: ['url'],
+          username: ['username'],
+          password: ['password'],
+          created: ['timecreated'],
+          modified: ['timepasswordchanged']
+        },
+        skip: (record) => record.url && record.url.startsWith('chrome://') ? 'Firefox internal login' : null
+      },
+      'bitwarden-csv': {
+        label: 'Bitwarden CSV',
+        columns: {
+          name: ['name'],
+          url: ['login_uri'],
+          username: ['login_username'],
+          password: ['login_password'],
+          notes: ['notes'],
+          totp: ['login_totp'],
+          folder: ['folder'],
+          favorite: ['favorite']
+        },
+        skip: (record, raw) => raw.type && raw.type !== 'login' ? `Bitwarden ${raw.type} item` : null
+      },
+      '1password-csv': {
+        label: '1Password CSV',
+        columns: {
+          name: ['title'],
+          url: ['url', 'website', 'urls'],
+          username: ['username'],
+          password: ['password'],
+          notes: ['notes', 'notesplain'],
+          totp: ['otpauth', 'one-time password'],
+          tags: ['tags'],
+          favorite: ['favorite']
+        },
+        skip: (record, raw) => raw.archived === 'true' ? 'Archived in 1Password' : null
+      },
+      lastpass: {
+        label: 'LastPass CSV',
+        columns: {
+          name: ['name'],
+          url: ['url'],
+          username: ['username'],
+          password: ['password'],
+          notes: ['extra'],
+          totp: ['totp'],
+          folder: ['grouping'],
+          favorite: ['fav']
+        },
+        // LastPass exports secure notes with the pseudo URL http://sn
+        skip: (record) => record.url === 'http://sn' ? 'LastPass secure note' : null
+      },
+      'bitwarden-json': {
+        label: 'Bitwarden JSON'
+      },
+      keepass: {
+        label: 'KeePass XML'
+      }
+    };
+  }
+
+  // Guess the format from the file contents
+  detect(content) {
+    const text = this.stripBom(content).trim();
+
+    if (text.startsWith('<')) {
+      return /<KeePassFile[\s>]/.test(text) ? 'keepass' : null;
+    }
+
+    if (text.startsWith('{')) {
+      try {
+        const json = JSON.parse(text);
+        if (json.format === 'lockdown-export') return 'lockdown';
+        if (Array.isArray(json.items) && ('encrypted' in json || Array.isArray(json.folders))) return 'bitwarden-json';
+      } catch (error) {
+        return null;
+      }
+      return null;
+    }
+
+    const headers = (this.parseCsv(text)[0] || []).map(header => header.trim().toLowerCase());
+    const has = (...names) => names.every(name => headers.includes(name));
+
+    if (has('login_uri', 'login_username', 'login_password')) return 'bitwarden-csv';
+    if (has('url', 'username', 'password', 'extra', 'grouping')) return 'lastpass';
+    if (has('url', 'username', 'password', 'httprealm')) return 'firefox';
+    if (has('title', 'password') && (has('url') || has('website') || has('otpauth'))) return '1password-csv';
+    if (has('name', 'url', 'username', 'password')) return 'chrome';
+    return null;
+  }
+
+  parse(content, format = 'auto') {
+    const resolved = format === 'auto' ? this.detect(content) : format;
+    if (!resolved || resolved === 'lockdown' || !this.formats[resolved]) {
+      throw new Error(resolved === 'lockdown'
+        ? 'Lockdown exports are read by the Lockdown importer'
+        : 'Unrecognised export format');
+    }
+
+    const text = this.stripBom(content);
+    let result;
+    if (resolved === 'bitwarden-json') {
+      result = this.parseBitwardenJson(text);
+    } else if (resolved === 'keepass') {
+      result = this.parseKeePassXml(text);
+    } else {
+      result = this.parseMappedCsv(text, this.formats[resolved]);
+    }
+
+    return { format: resolved, label: this.formats[resolved].label, ...result };
+  }
+
+  // ---- CSV ----
+
+  // RFC 4180: quoted fields may contain commas, doubled quotes and newlines
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+  }
+
+  parseMappedCsv(text, spec) {
+    const rows = this.parseCsv(text);
+    if (rows.length === 0) {
+      throw new Error('File is empty');
+    }
+
+    const headers = rows[0].map(header => header.trim().toLowerCase());
+    const columnFor = {};
+    Object.entries(spec.columns).forEach(([target, aliases]) => {
+      const index = headers.findIndex(header => aliases.includes(header));
+      if (index !== -1) columnFor[target] = index;
+    });
+
+    if (columnFor.password === undefined) {
+      throw new Error(`No password column found for ${spec.label}`);
+    }
+
+    const mapping = rows[0].map((source, index) => ({
+      source,
+      target: Object.keys(columnFor).find(target => columnFor[target] === index) || null
+    }));
+
+    const items = [];
+    const skipped = [];
+
+    rows.slice(1).forEach((cells, offset) => {
+      const row = offset + 2;  // 1-based, after the header line
+      if (cells.length !== headers.length) {
+        skipped.push({ row, reason: `Expected ${headers.length} columns, found ${cells.length}` });
+        return;
+      }
+
+      const raw = {};
+      headers.forEach((header, index) => { raw[header] = cells[index]; });
+
+      const record = {};
+      Object.entries(columnFor).forEach(([target, index]) => { record[target] = cells[index]; });
+
+      const reason = (spec.skip && spec.skip(record, raw)) || this.checkLogin(record);
+      if (reason) {
+        skipped.push({ row, reason });
+        return;
+      }
+
+      items.push(this.toItem(record));
+    });
+
+    return { items, skipped, mapping };
+  }
+
+  // ---- Bitwarden JSON ----
+
+  parseBitwardenJson(text) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+
+    if (json.encrypted) {
+      throw new Error('Encrypted Bitwarden exports are not supported; export as unencrypted JSON');
+    }
+
+    const types = { 1: 'login', 2: 'secure note', 3: 'card', 4: 'identity' };
+    // Bitwarden's URI match detection; its "exact" and "never" have no
+    // equivalent and get the default
+    const matchModes = { 0: 'domain', 1: 'host', 2: 'starts-with', 4: 'regex' };
+    const folders = new Map((json.folders || []).map(folder => [folder.id, folder.name]));
+    const items = [];
+    const skipped = [];
+
+    (json.items || []).forEach((entry, index) => {
+      const row = index + 1;
+      if (entry.type !== 1 || !entry.login) {
+        skipped.push({ row, reason: `Bitwarden ${types[entry.type] || 'unknown'} item` });
+        return;
+      }
+
+      const uriEntries = (entry.login.uris || []).filter(uri => uri && uri.uri);
+      const uris = uriEntries.map(uri => uri.uri);
+      const record = {
+        name: entry.name,
+        url: uris[0] || '',
+        match: uriEntries.length > 0 ? matchModes[uriEntries[0].match] : undefined,
+        username: entry.login.username,
+        password: entry.login.password,
+        notes: entry.notes,
+        totp: entry.login.totp,
+        folder: folders.get(entry.folderId),
+        favorite: entry.favorite ? 'true' : ''
+      };
+      if (uris.length > 1) record['custom.urls'] = uris.slice(1);
+      if (Array.isArray(entry.fields) && entry.fields.length > 0) {
+        record['custom.fields'] = entry.fields.map(field => ({ name: field.name, value: field.value }));
+      }
+
+      const reason = this.checkLogin(record);
+      if (reason) {
+        skipped.push({ row, reason });
+        return;
+      }
+      items.push(this.toItem(record));
+    });
+
+    const mapping = [
+      { source: 'name', target: 'name' },
+      { source: 'login.uris[0]', target: 'url' },
+      { source: 'login.uris[0].match', target: 'match' },
+      { source: 'login.uris[1..]', target: 'custom.urls' },
+      { source: 'login.username', target: 'username' },
+      { source: 'login.password', target: 'password' },
+      { source: 'login.totp', target: 'totp' },
+      { source: 'notes', target: 'notes' },
+      { source: 'folderId', target: 'folder' },
+      { source: 'favorite', target: 'favorite' },
+      { source: 'fields', target: 'custom.fields' },
+      { source: 'passwordHistory', target: null }
+    ];
+
+    return { items, skipped, mapping };
+  }
+
+  // ---- KeePass XML ----
+
+  parseKeePassXml(text) {
+    const root = this.parseXml(text);
+    const file = root.children.find(node => node.name === 'KeePassFile');
+    const rootNode = file && this.child(file, 'Root');
+    if (!rootNode) {
+      throw new Error('Not a KeePass XML export');
+    }
+
+    const known = { Title: 'name', URL: 'url', UserName: 'username', Password: 'password', Notes: 'notes', otp: 'totp' };
+    const sources = new Set();
+    const items = [];
+    const skipped = [];
+    let row = 0;
+
+    const walkGroup = (group, path) => {
+      const name = this.textOf(this.child(group, 'Name'));
+      const groupPath = name ? [...path, name] : path;
+      const inRecycleBin = name === 'Recycle Bin';
+
+      group.children.forEach(node => {
+        if (node.name === 'Group') {
+          walkGroup(node, groupPath);
+          return;
+        }
+        if (node.name !== 'Entry') return;
+
+        row++;
+        const record = {};
+        node.children.filter(child => child.name === 'String').forEach(string => {
+          const key = this.textOf(this.child(string, 'Key'));
+          const value = this.textOf(this.child(string, 'Value'));
+          sources.add(key);
+          record[known[key] || `custom.${key}`] = value;
+        });
+        // The top-level group is the database itself
+        if (groupPath.length > 1) {
+          record.folder = groupPath.slice(1).join('/');
+        }
+
+        const reason = inRecycleBin ? 'In the KeePass recycle bin' : this.checkLogin(record);
+        if (reason) {
+          skipped.push({ row, reason });
+          return;
+        }
+        items.push(this.toItem(record));
+      });
+    };
+
+    rootNode.children.filter(node => node.name === 'Group').forEach(group => walkGroup(group, []));
+
+    const mapping = [...sources].map(source => ({ source, target: known[source] || `custom.${source}` }));
+    mapping.push({ source: 'Group', target: 'folder' });
+
+    return { items, skipped, mapping };
+  }
+
+  // Minimal XML reader: elements, attributes, text, CDATA and entities.
+  // Enough for KeePass exports; not a validating parser.
+  parseXml(text) {
+    const root = { name: '#document', attrs: {}, children: [], text: '' };
+    const stack = [root];
+    const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const [, cdata, closeName, openName, attrText, selfClosing, textContent] = match;
+      const current = stack[stack.length - 1];
+
+      if (cdata !== undefined) {
+        current.text += cdata;
+      } else if (closeName) {
+        if (current.name !== closeName) {
+          throw new Error(`Malformed XML: unexpected </${closeName}>`);
+        }
+        stack.pop();
+      } else if (openName) {
+        const attrs = {};
+        const attrPattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let attr;
+        while ((attr = attrPattern.exec(attrText)) !== null) {
+          attrs[attr[1]] = this.decodeEntities(attr[2] !== undefined ? attr[2] : attr[3]);
+        }
+
+        const node = { name: openName, attrs, children: [], text: '' };
+        current.children.push(node);
+        if (!selfClosing) stack.push(node);
+      } else if (textContent !== undefined) {
+        current.text += this.decodeEntities(textContent);
+      }
+    }
+
+    if (stack.length !== 1) {
+      throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+    }
+    return root;
+  }
+
+  // A reference to no character (past U+10FFFF, or a lone surrogate) reads
+  // as U+FFFD rather than failing the whole file
+  decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        const valid = value <= 0x10FFFF && (value < 0xD800 || value > 0xDFFF);
+        return valid ? String.fromCodePoint(value) : '\uFFFD';
+      }
+      return named[code] !== undefined ? named[code] : entity;
+    });
+  }
+
+  child(node, name) {
+    return node.children.find(childNode => childNode.name === name) || null;
+  }
+
+  textOf(node) {
+    return node ? node.text : '';
+  }
+
+  // ---- Shared ----
+
+  checkLogin(record) {
+    if (!record.password) {
+      return record.username || record.url ? 'No password' : 'Empty row';
+    }
+    return null;
+  }
+
+  toItem(record) {
+    const item = { custom: {} };
+    Object.entries(record).forEach(([target, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      if (target === 'favorite') {
+        // Exporters write 1/0, true/false or TRUE/FALSE
+        if (['1', 'true'].includes(String(value).toLowerCase())) item.favorite = true;
+      } else if (target.startsWith('custom.')) {
+        item.custom[target.slice(7)] = value;
+      } else if (target === 'created' || target === 'modified') {
+        const time = Number(value);
+        if (Number.isFinite(time) && time > 0) item[target] = time;
+      } else {
+        item[target] = value;
+      }
+    });
+    return item;
+  }
+
+  stripBom(text) {
+    return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  }
+}
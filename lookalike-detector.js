@@ -0,0 +1,230 @@
+// lookalike-detector.js - Spotting sites made to look like saved ones
+//
+// Before anything is filled, the page's host is compared with the
+// registrable domains of the user's saved logins. A page on a saved domain
+// (or one grouped with it, see equivalent-domains.json) is fine, and so is a
+// page that resembles nothing saved. A near miss is reported with the saved
+// domain it resembles and one of these reasons:
+//
+//   homograph  an internationalised (xn--) name whose letters look the same,
+//              e.g. pаypal.com with a Cyrillic "а"
+//   lookalike  plain characters that read the same, e.g. paypa1.com, rnicrosoft.com
+//   suffix     the same name with another ending, e.g. paypal.co
+//   typo       one letter off (two for long names), e.g. paypall.com
+//   subdomain  the saved domain in front of another site, e.g. paypal.com.evil.io
+//   brand      the saved name inside another, e.g. paypal-login.com
+//
+// Comparisons work on a "skeleton": the name decoded from punycode, with
+// accents dropped and confusable characters mapped to the ASCII letter they
+// imitate. Relies on DomainMatcher for public suffixes.
+
+class LookalikeDetector {
+  constructor(matcher) {
+    this.matcher = matcher;
+
+    // Names shorter than this are too common inside other words to flag
+    // for typos, brand use or subdomains
+    this.minNameLength = 4;
+
+    // Letters from other scripts that render like Latin ones. Accented
+    // Latin letters need no entry: NFKD splits off their accents.
+    this.confusables = {
+      // Cyrillic
+      'а': 'a', 'е': 'e', 'һ': 'h', 'і': 'i', 'ј': 'j', 'к': 'k', 'ӏ': 'l', 'о': 'o', 'р': 'p',
+      'ԛ': 'q', 'ѕ': 's', 'с': 'c', 'у': 'y', 'ү': 'y', 'х': 'x', 'ԁ': 'd', 'ԝ': 'w', 'ь': 'b',
+      // Greek
+      'α': 'a', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'υ': 'u', 'χ': 'x', 'γ': 'y',
+      // Armenian
+      'հ': 'h', 'ո': 'n', 'ս': 'u', 'օ': 'o', 'զ': 'q',
+      // Latin letters NFKD leaves alone
+      'ı': 'i', 'ȷ': 'j', 'ɑ': 'a', 'ɡ': 'g', 'ł': 'l', 'ŀ': 'l', 'ø': 'o', 'đ': 'd', 'ħ': 'h',
+      // ASCII
+      '0': 'o', '1': 'l'
+    };
+    // Letter pairs that read as one letter in most fonts
+    this.confusablePairs = [['rn', 'm'], ['vv', 'w']];
+
+    this.savedDescriptions = new Map();  // saved domain -> describe() of it
+  }
+
+  // savedDomains: registrable domains of the saved logins. Returns null, or
+  // { domain, reason } naming the saved domain the host imitates.
+  check(host, savedDomains) {
+    const pageHost = this.matcher.normalizeHost(host);
+    const pageDomain = this.matcher.registrableDomain(pageHost);
+    if (!pageDomain || this.matcher.isIpAddress(pageDomain) || !pageDomain.includes('.')) {
+      return null;
+    }
+
+    const saved = [...savedDomains].filter(domain => domain.includes('.') && !this.matcher.isIpAddress(domain));
+    if (saved.some(domain => domain === pageDomain || this.matcher.areEquivalent(domain, pageDomain))) {
+      return null;
+    }
+
+    const page = this.describe(pageHost, pageDomain);
+    for (const domain of saved) {
+      if (!this.savedDescriptions.has(domain)) {
+        this.savedDescriptions.set(domain, this.describe(domain, domain));
+      }
+      const reason = this.compare(page, this.savedDescriptions.get(domain));
+      if (reason) {
+        return { domain, reason };
+      }
+    }
+    return null;
+  }
+
+  // Splits e.g. login.paypal.co.uk into name "paypal", suffix "co.uk" and
+  // subdomain "login", each also as a skeleton
+  describe(host, domain) {
+    const suffix = this.matcher.publicSuffix(domain);
+    const name = domain.slice(0, -suffix.length - 1);
+    const subdomain = host.length > domain.length ? host.slice(0, -domain.length - 1) : '';
+    return {
+      domain,
+      name,
+      suffix,
+      subdomain,
+      international: /(^|\.)xn--/.test(host),
+      nameSkeleton: this.skeleton(name),
+      suffixSkeleton: this.skeleton(suffix),
+      subdomainSkeleton: this.skeleton(subdomain)
+    };
+  }
+
+  compare(page, saved) {
+    if (page.nameSkeleton === saved.nameSkeleton) {
+      if (page.suffixSkeleton !== saved.suffixSkeleton) {
+        return 'suffix';
+      }
+      return page.international ? 'homograph' : 'lookalike';
+    }
+
+    const length = saved.nameSkeleton.length;
+    if (length < this.minNameLength) {
+      return null;
+    }
+    if (this.editDistance(page.nameSkeleton, saved.nameSkeleton) <= (length >= 9 ? 2 : 1)) {
+      return 'typo';
+    }
+    const subdomainTokens = page.subdomainSkeleton.split(/[.-]/);
+    if (subdomainTokens.includes(saved.nameSkeleton) ||
+        `.${page.subdomainSkeleton}.`.includes(`.${saved.nameSkeleton}.${saved.suffixSkeleton}.`)) {
+      return 'subdomain';
+    }
+    if (page.nameSkeleton.split(/[.-]/).includes(saved.nameSkeleton)) {
+      return 'brand';
+    }
+    return null;
+  }
+
+  skeleton(text) {
+    let result = '';
+    for (const char of this.toUnicode(text).normalize('NFKD').toLowerCase()) {
+      if (/\p{M}/u.test(char)) continue;
+      result += this.confusables[char] || char;
+    }
+    return this.confusablePairs.reduce((value, [pair, letter]) => value.split(pair).join(letter), result);
+  }
+
+  // Host names arrive in punycode; decode each xn-- label
+  toUnicode(host) {
+    return host.split('.').map(label => {
+      if (!label.startsWith('xn--')) {
+        return label;
+      }
+      try {
+        return this.decodePunycode(label.slice(4));
+      } catch (error) {
+        return label;
+      }
+    }).join('.');
+  }
+
+  // RFC 3492 section 6.2
+  decodePunycode(input) {
+    const base = 36, tMin = 1, tMax = 26, skew = 38, damp = 700;
+    const adapt = (delta, points, first) => {
+      delta = first ? Math.floor(delta / damp) : delta >> 1;
+      delta += Math.floor(delta / points);
+      let k = 0;
+      while (delta > ((base - tMin) * tMax) >> 1) {
+        delta = Math.floor(delta / (base - tMin));
+        k += base;
+      }
+      return k + Math.floor((base - tMin + 1) * delta / (delta + skew));
+    };
+    const digitOf = (code) => {
+      if (code >= 48 && code <= 57) return code - 22;
+      if (code >= 65 && code <= 90) return code - 65;
+      if (code >= 97 && code <= 122) return code - 97;
+      throw new Error('Invalid punycode');
+    };
+
+    const output = [];
+    const delimiter = input.lastIndexOf('-');
+    for (let j = 0; j < Math.max(delimiter, 0); j++) {
+      output.push(input.charCodeAt(j));
+    }
+
+    let n = 128;
+    let i = 0;
+    let bias = 72;
+    for (let index = delimiter > 0 ? delimiter + 1 : 0; index < input.length;) {
+      const previous = i;
+      for (let w = 1, k = base; ; k += base) {
+        if (index >= input.length) {
+          throw new Error('Invalid punycode');
+        }
+        const digit = digitOf(input.charCodeAt(index++));
+        i += digit * w;
+        const t = k <= bias ? tMin : (k >= bias + tMax ? tMax : k - bias);
+        if (digit < t) break;
+        w *= base - t;
+      }
+      bias = adapt(i - previous, output.length + 1, previous === 0);
+      n += Math.floor(i / (output.length + 1));
+      i %= output.length + 1;
+      output.splice(i++, 0, n);
+    }
+    return String.fromCodePoint(...output);
+  }
+
+  // Optimal string alignment distance: edits, plus swapping two neighbours
+  editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, row) => [row]);
+    for (let column = 1; column <= b.length; column++) {
+      rows[0][column] = column;
+    }
+    for (let row = 1; row <= a.length; row++) {
+      for (let column = 1; column <= b.length; column++) {
+        const cost = a[row - 1] === b[column - 1] ? 0 : 1;
+        rows[row][column] = Math.min(
+          rows[row - 1][column] + 1,
+          rows[row][column - 1] + 1,
+          rows[row - 1][column - 1] + cost
+        );
+        if (row > 1 && column > 1 && a[row - 1] === b[column - 2] && a[row - 2] === b[column - 1]) {
+          rows[row][column] = Math.min(rows[row][column], rows[row - 2][column - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  // Corpus cases (see domain-corpus.json) the detector gets wrong, checked
+  // with the corpus's equivalent-domain groups in place of the user's. Also
+  // run by node tests/domain-corpus.js.
+  verify(corpus) {
+    const equivalents = this.matcher.equivalents;
+    this.matcher.setEquivalentGroups(corpus.equivalentGroups || []);
+    try {
+      return (corpus.lookalikes || []).map(test => ({
+        ...test,
+        actual: (this.check(test.host, test.saved) || {}).reason || null
+      })).filter(test => test.actual !== test.expected);
+    } finally {
+      this.matcher.equivalents = equivalents;
+    }
+  }
+}
@@ -36,7 +36,10 @@ class PasswordAssistant {
   async checkVaultStatus() {
     try {
       const response = await chrome.runtime.sendMessage({ type: 'GET_STATUS' });
-      this.isUnlocked = response.isUnlocked || false;
+      // Suggestions come from every unlocked vault; new saves go to the
+      // vault active in the popup
+      this.isUnlocked = response.unlockedVaultCount > 0;
+      this.activeVaultName = response.isUnlocked ? response.activeVaultName : null;
     } catch (error) {
       console.log('Vault status check failed, assuming locked');
       this.isUnlocked = false;
@@ -64,9 +67,10 @@ class PasswordAssistant {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       switch (message.type) {
         case 'VAULT_UNLOCKED':
-          this.isUnlocked = true;
-          this.loadCredentials();
-          this.refreshAllSuggestions();
+        case 'VAULTS_CHANGED':
+          this.checkVaultStatus()
+            .then(() => this.loadCredentials())
+            .then(() => this.refreshAllSuggestions());
           break;
         case 'VAULT_LOCKED':
           this.isUnlocked = false;
@@ -312,6 +316,7 @@ class PasswordAssistant {
             </div>
             <div style="color: #999; font-size: 12px;">
               ${this.escapeHtml(cred.username || cred.email || 'Saved password')}
+              ${cred.vaultName ? `<span style="color: #666;"> · ${this.escapeHtml(cred.vaultName)}</span>` : ''}
             </div>
           </div>
         `;
@@ -620,6 +625,13 @@ class PasswordAssistant {
   async fillPassword(field, credId) {
     const credential = this.savedCredentials.find(c => c.id === credId);
     if (!credential) return;
+
+    // The background refuses pages made to look like a saved site
+    const blocked = await LockdownContent.fillBlockedReason();
+    if (blocked) {
+      this.showNotification(`🎣 ${this.escapeHtml(blocked)}`, 'error', 12000);
+      return;
+    }
     
     // Fill password
     field.value = credential.password;
@@ -641,6 +653,9 @@ class PasswordAssistant {
     }
     
     this.showNotification('Password filled from Lockdown', 'success');
+    
+    // Filling counts as vault use for the inactivity auto-lock
+    chrome.runtime.sendMessage({ type: 'VAULT_ACTIVITY' }).catch(() => {});
   }
 
   async generateAndFillPassword(field) {
@@ -735,6 +750,14 @@ class PasswordAssistant {
     let prompt = document.getElementById('lockdown-page-save-prompt');
     if (prompt) return; // Already showing
     
+    // A new password for a login we already have updates that item, so the
+    // old password lands in its history instead of a duplicate entry.
+    // savedCredentials only holds logins that match this page. Without a
+    // username there is no telling which login it is, so it is saved new.
+    const existing = formData.username
+      ? this.savedCredentials.find(cred => cred.username === formData.username)
+      : null;
+    
     prompt = document.createElement('div');
     prompt.id = 'lockdown-page-save-prompt';
     prompt.style.cssText = `
@@ -757,7 +780,9 @@ class PasswordAssistant {
         <div style="font-size: 24px; margin-right: 12px;">🔒</div>
         <div>
           <div style="color: #10B981; font-weight: 700; font-size: 16px;">
-            Save Password to Lockdown?
+            ${existing
+              ? `Update Password in ${this.escapeHtml(existing.vaultName || 'Lockdown')}?`
+              : `Save Password to ${this.escapeHtml(this.activeVaultName || 'Lockdown')}?`}
           </div>
           <div style="color: #999; font-size: 13px;">
             We detected a new password for ${this.domain}
@@ -778,7 +803,7 @@ class PasswordAssistant {
           cursor: pointer;
           transition: transform 0.2s;
         " onmouseover="this.style.transform='scale(1.05)'" onmouseout="this.style.transform='scale(1)'">
-          Save Password
+          ${existing ? 'Update Password' : 'Save Password'}
         </button>
         <button id="page-save-later" style="
           padding: 12px 16px;
@@ -812,13 +837,13 @@ class PasswordAssistant {
     // Event listeners
     prompt.querySelector('#page-save-yes').addEventListener('click', async () => {
       try {
-        const response = await chrome.runtime.sendMessage({
-          type: 'SAVE_CREDENTIAL',
-          credential: formData
-        });
+        const response = await chrome.runtime.sendMessage(existing
+          ? { type: 'UPDATE_CREDENTIAL', credential: { id: existing.id, password: formData.password } }
+          : { type: 'SAVE_CREDENTIAL', credential: formData }
+        );
         
         if (response.success) {
-          this.showNotification('Password saved to Lockdown!', 'success');
+          this.showNotification(existing ? 'Password updated in Lockdown!' : 'Password saved to Lockdown!', 'success');
           await this.loadCredentials();
         } else {
           this.showNotification('Failed to save password', 'error');
@@ -884,7 +909,7 @@ class PasswordAssistant {
     return modal;
   }
 
-  showNotification(message, type = 'info') {
+  showNotification(message, type = 'info', duration = 3000) {
     const notification = document.createElement('div');
     notification.style.cssText = `
       position: fixed;
@@ -934,7 +959,7 @@ class PasswordAssistant {
       if (notification.parentNode) {
         notification.parentNode.removeChild(notification);
       }
-    }, 3000);
+    }, duration);
   }
 
   escapeHtml(text) {
@@ -4,8 +4,19 @@ class LockdownPopup {
   constructor() {
     this.isUnlocked = false;
     this.credentials = [];
+    this.listedCredentials = [];   // The filtered "All Passwords" list
+    this.credentialFilters = { query: '', type: '', folder: null, tag: '', favorites: false };
+    this.itemTypes = null;         // Item type definitions from the background
+    this.matchModes = null;        // Website match modes, with their labels
+    this.vaults = [];
+    this.activeVaultId = null;
     this.currentDomain = '';
+    this.currentUrl = '';
     this.countdownUpdateInterval = null;
+    this.unlockStatusInterval = null;
+    this.totpCodes = {};           // Item id -> current authenticator code
+    this.totpFetched = 0;
+    this.totpInterval = null;
     this.gameSystem = null;
     this.userStats = null;
     
@@ -23,8 +34,13 @@ class LockdownPopup {
       // Start countdown updates if unlocked
       if (this.isUnlocked) {
         this.startCountdownUpdates();
+        this.reportActivity();
       }
       
+      // Any interaction with the popup counts as using the vault
+      document.addEventListener('click', () => this.reportActivity());
+      document.addEventListener('keydown', () => this.reportActivity());
+      
       console.log('Popup ready');
       
     } catch (error) {
@@ -60,6 +76,7 @@ class LockdownPopup {
       if (tab && tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://')) {
         const url = new URL(tab.url);
         this.currentDomain = url.hostname;
+        this.currentUrl = url.href;
       } else {
         this.currentDomain = 'extension';
       }
@@ -77,8 +94,11 @@ class LockdownPopup {
     try {
       const setupResult = await chrome.storage.local.get(['setupCompleted']);
       const hasSetup = setupResult.setupCompleted;
+      await this.loadVaults();
 
-      if (!hasSetup) {
+      // A wiped named vault is set up again in place
+      const activeVault = this.vaults.find(vault => vault.id === this.activeVaultId);
+      if (!hasSetup || (activeVault && !activeVault.hasVault)) {
         this.showSetup();
         return;
       }
@@ -97,8 +117,281 @@ class LockdownPopup {
     }
   }
 
+  async loadVaults() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_VAULTS' });
+      this.vaults = response.vaults || [];
+      this.activeVaultId = response.activeVaultId || null;
+    } catch (error) {
+      console.error('Failed to load vaults:', error);
+      this.vaults = [];
+    }
+  }
+
+  renderVaultSwitcher() {
+    if (this.vaults.length === 0) return '';
+
+    return `
+      <div class="vault-switcher">
+        <select id="vaultSelect" title="Switch vault">
+          ${this.vaults.map(vault => `
+            <option value="${this.escapeHtml(vault.id)}" ${vault.id === this.activeVaultId ? 'selected' : ''}>
+              ${vault.isUnlocked ? '🔓' : '🔒'} ${this.escapeHtml(vault.name)}
+            </option>
+          `).join('')}
+        </select>
+        <button id="newVaultBtn" class="icon-btn" title="New vault">➕</button>
+        <button id="manageVaultsBtn" class="icon-btn" title="Manage vaults">⚙️</button>
+      </div>
+    `;
+  }
+
+  setupVaultSwitcher() {
+    const select = document.getElementById('vaultSelect');
+    if (!select) return;
+
+    select.addEventListener('change', () => this.switchVault(select.value));
+    document.getElementById('newVaultBtn').addEventListener('click', () => this.showCreateVault());
+    document.getElementById('manageVaultsBtn').addEventListener('click', () => this.showManageVaults());
+  }
+
+  async switchVault(vaultId) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SWITCH_VAULT', vaultId });
+      if (response.error) {
+        this.showMessage(response.error, 'error');
+        return;
+      }
+
+      this.stopCountdownUpdates();
+      this.stopUnlockStatusUpdates();
+      this.isUnlocked = false;
+      await this.checkStatus();
+      if (this.isUnlocked) {
+        this.startCountdownUpdates();
+      }
+    } catch (error) {
+      console.error('Vault switch failed:', error);
+      this.showMessage('Failed to switch vault', 'error');
+    }
+  }
+
+  showCreateVault() {
+    try {
+      const modal = this.createModal('New Vault', `
+        <div style="color: #999; font-size: 12px; margin-bottom: 12px;">
+          Each vault has its own master password. Items never move between vaults.
+        </div>
+        
+        <div class="form-group">
+          <input type="text" id="newVaultName" placeholder="Vault name, e.g. Work" maxlength="40">
+        </div>
+        
+        <div class="form-group">
+          <input type="password" id="newVaultPassword" placeholder="Master password for this vault">
+        </div>
+        
+        <div class="form-group">
+          <input type="password" id="newVaultConfirm" placeholder="Confirm master password">
+        </div>
+        
+        <div class="setting-group" style="font-size: 12px;">
+          <label><input type="checkbox" id="newVaultRecoveryKey"> Create a recovery key for this vault</label>
+        </div>
+        
+        <div class="modal-actions">
+          <button id="cancelNewVault" class="secondary-btn">Cancel</button>
+          <button id="confirmNewVault" class="primary-btn">Create</button>
+        </div>
+      `);
+
+      const createBtn = modal.querySelector('#confirmNewVault');
+
+      createBtn.addEventListener('click', async () => {
+        const name = modal.querySelector('#newVaultName').value.trim();
+        const password = modal.querySelector('#newVaultPassword').value;
+
+        if (!name) {
+          this.showMessage('Give the vault a name', 'error');
+          return;
+        }
+        if (password.length < 8) {
+          this.showMessage('Password must be at least 8 characters', 'error');
+          return;
+        }
+        if (password !== modal.querySelector('#newVaultConfirm').value) {
+          this.showMessage('Passwords do not match', 'error');
+          return;
+        }
+
+        createBtn.disabled = true;
+        createBtn.textContent = 'Creating...';
+
+        try {
+          const response = await chrome.runtime.sendMessage({
+            type: 'CREATE_VAULT',
+            name,
+            masterPassword: password,
+            createRecoveryKey: modal.querySelector('#newVaultRecoveryKey').checked
+          });
+
+          if (response.success) {
+            document.body.removeChild(modal);
+            this.stopCountdownUpdates();
+            await this.checkStatus();
+            this.startCountdownUpdates();
+            this.showMessage(`Vault "${name}" created`, 'success');
+            if (response.recoveryKey) {
+              this.showRecoveryKey(response.recoveryKey);
+            }
+            return;
+          }
+          this.showMessage(response.error, 'error');
+        } catch (error) {
+          console.error('Vault creation failed:', error);
+          this.showMessage('Failed to create vault', 'error');
+        }
+
+        createBtn.disabled = false;
+        createBtn.textContent = 'Create';
+      });
+
+      modal.querySelector('#cancelNewVault').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+      setTimeout(() => modal.querySelector('#newVaultName').focus(), 100);
+
+    } catch (error) {
+      console.error('Error in showCreateVault:', error);
+      this.showMessage('Failed to open new vault', 'error');
+    }
+  }
+
+  async showManageVaults() {
+    try {
+      await this.loadVaults();
+
+      const modal = this.createModal('Vaults', `
+        <div id="vaultList" style="margin-bottom: 12px;">
+          ${this.vaults.map(vault => `
+            <div class="setting-group" data-vault-id="${this.escapeHtml(vault.id)}">
+              <div class="form-group" style="display: flex; gap: 8px; margin-bottom: 8px;">
+                <input type="text" class="vault-name" value="${this.escapeHtml(vault.name)}" maxlength="40">
+                <button class="icon-btn rename-vault" title="Rename">💾</button>
+                ${this.vaults.length > 1 ? '<button class="icon-btn delete delete-vault" title="Delete">🗑️</button>' : ''}
+              </div>
+              <div style="color: #666; font-size: 11px;">
+                ${vault.isUnlocked ? '🔓 Unlocked' : '🔒 Locked'}${vault.created ? ` • created ${this.escapeHtml(new Date(vault.created).toLocaleDateString())}` : ''}
+              </div>
+            </div>
+          `).join('')}
+        </div>
+        
+        <div class="modal-actions">
+          <button id="closeVaults" class="secondary-btn">Close</button>
+        </div>
+      `);
+
+      modal.querySelectorAll('[data-vault-id]').forEach(row => {
+        const vaultId = row.dataset.vaultId;
+
+        row.querySelector('.rename-vault').addEventListener('click', async () => {
+          const response = await chrome.runtime.sendMessage({
+            type: 'RENAME_VAULT',
+            vaultId,
+            name: row.querySelector('.vault-name').value
+          });
+          if (response.success) {
+            await this.loadVaults();
+            this.showMessage('Vault renamed', 'success');
+            return;
+          }
+          this.showMessage(response.error, 'error');
+        });
+
+        const deleteBtn = row.querySelector('.delete-vault');
+        if (deleteBtn) {
+          deleteBtn.addEventListener('click', () => {
+            document.body.removeChild(modal);
+            this.showDeleteVault(this.vaults.find(vault => vault.id === vaultId));
+          });
+        }
+      });
+
+      modal.querySelector('#closeVaults').addEventListener('click', async () => {
+        document.body.removeChild(modal);
+        await this.checkStatus();
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showManageVaults:', error);
+      this.showMessage('Failed to open vaults', 'error');
+    }
+  }
+
+  showDeleteVault(vault) {
+    const modal = this.createModal(`Delete "${this.escapeHtml(vault.name)}"`, `
+      <div class="message error">
+        Every item in this vault, its trash and its snapshots are erased. Export it first if you may need them.
+      </div>
+      
+      <div class="form-group">
+        <input type="password" id="deleteVaultPassword" placeholder="Master password of this vault">
+      </div>
+      
+      <div class="modal-actions">
+        <button id="cancelDeleteVault" class="secondary-btn">Cancel</button>
+        <button id="confirmDeleteVault" class="primary-btn">Delete Vault</button>
+      </div>
+    `);
+
+    const deleteBtn = modal.querySelector('#confirmDeleteVault');
+    deleteBtn.addEventListener('click', async () => {
+      const password = modal.querySelector('#deleteVaultPassword').value;
+      if (!password) return;
+      deleteBtn.disabled = true;
+
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'DELETE_VAULT',
+          vaultId: vault.id,
+          masterPassword: password
+        });
+
+        if (response.success) {
+          document.body.removeChild(modal);
+          this.stopCountdownUpdates();
+          this.isUnlocked = false;
+          await this.checkStatus();
+          if (this.isUnlocked) {
+            this.startCountdownUpdates();
+          }
+          this.showMessage(`Vault "${vault.name}" deleted`, 'success');
+          return;
+        }
+        this.showMessage(response.error, 'error');
+      } catch (error) {
+        console.error('Vault deletion failed:', error);
+        this.showMessage('Failed to delete vault', 'error');
+      }
+      deleteBtn.disabled = false;
+    });
+
+    modal.querySelector('#cancelDeleteVault').addEventListener('click', () => {
+      document.body.removeChild(modal);
+    });
+
+    document.body.appendChild(modal);
+    setTimeout(() => modal.querySelector('#deleteVaultPassword').focus(), 100);
+  }
+
   showSetup() {
     const setupHtml = `
+      ${this.vaults.length > 1 ? this.renderVaultSwitcher() : ''}
       <div class="setup-container">
         <h2>Welcome to Lockdown</h2>
         <p>Create your master password to get started and unlock gamified security learning!</p>
@@ -130,12 +423,20 @@ class LockdownPopup {
           <input type="password" id="setupConfirm" placeholder="Confirm master password" class="password-input">
         </div>
         
+        <div class="setting-group" style="text-align: left; font-size: 12px;">
+          <label><input type="checkbox" id="setupRecoveryKey"> Create a recovery key in case I forget this password</label>
+        </div>
+        
         <button id="createVaultBtn" class="primary-btn" disabled>Create Vault & Start Learning</button>
+        <button id="restoreFromSyncBtn" class="secondary-btn">🔄 Restore from Sync Server</button>
       </div>
     `;
 
     this.setMainContent(setupHtml);
-    setTimeout(() => this.setupSetupListeners(), 10);
+    setTimeout(() => {
+      this.setupSetupListeners();
+      this.setupVaultSwitcher();
+    }, 10);
   }
 
   setupSetupListeners() {
@@ -154,6 +455,7 @@ class LockdownPopup {
 
     passwordInput.addEventListener('input', validateSetup);
     confirmInput.addEventListener('input', validateSetup);
+    document.getElementById('restoreFromSyncBtn').addEventListener('click', () => this.showRestoreFromSync());
 
     createBtn.addEventListener('click', async () => {
       const password = passwordInput.value;
@@ -169,7 +471,8 @@ class LockdownPopup {
       try {
         const response = await chrome.runtime.sendMessage({
           type: 'SETUP_VAULT',
-          masterPassword: password
+          masterPassword: password,
+          createRecoveryKey: document.getElementById('setupRecoveryKey').checked
         });
 
         if (response.success) {
@@ -177,6 +480,9 @@ class LockdownPopup {
           await this.showUnlocked();
           this.showMessage('Vault created successfully!', 'success');
           this.startCountdownUpdates();
+          if (response.recoveryKey) {
+            this.showRecoveryKey(response.recoveryKey);
+          }
         } else {
           this.showMessage(response.error, 'error');
         }
@@ -191,8 +497,10 @@ class LockdownPopup {
 
   showLocked() {
     this.stopCountdownUpdates();
+    this.stopTotpUpdates();
     
     const lockedHtml = `
+      ${this.renderVaultSwitcher()}
       <div class="vault-status locked">
         <div class="vault-icon">🔒</div>
         <h3>Vault Locked</h3>
@@ -206,6 +514,10 @@ class LockdownPopup {
       </div>
 
       <button id="unlockBtn" class="primary-btn">Unlock Vault</button>
+      
+      <div id="unlockStatus"></div>
+      
+      <button id="forgotPasswordBtn" class="secondary-btn hidden">Forgot password? Use recovery key</button>
     `;
 
     this.setMainContent(lockedHtml);
@@ -229,12 +541,23 @@ class LockdownPopup {
 
           if (response.success) {
             this.isUnlocked = true;
+            this.stopUnlockStatusUpdates();
             await this.showUnlocked();
             this.showMessage('Vault unlocked!', 'success');
+            if (response.failedAttempts > 0) {
+              this.showMessage(`⚠️ ${response.failedAttempts} failed unlock attempt(s) since your last unlock`, 'error');
+            }
             this.startCountdownUpdates();
-          } else {
+            return;
+          }
+
+          if (response.wiped) {
+            this.stopUnlockStatusUpdates();
+            this.showSetup();
             this.showMessage(response.error, 'error');
+            return;
           }
+          this.showMessage(response.error, 'error');
         } catch (error) {
           this.showMessage('Unlock failed: ' + error.message, 'error');
         }
@@ -242,22 +565,99 @@ class LockdownPopup {
         unlockBtn.disabled = false;
         unlockBtn.textContent = 'Unlock Vault';
         passwordInput.value = '';
+        this.refreshUnlockStatus();
       };
 
       if (unlockBtn) unlockBtn.addEventListener('click', unlock);
+      this.setupVaultSwitcher();
       if (passwordInput) {
         passwordInput.addEventListener('keypress', (e) => {
           if (e.key === 'Enter') unlock();
         });
         passwordInput.focus();
       }
+      
+      this.refreshUnlockStatus();
     }, 10);
   }
 
+  // Failed-attempt history and backoff countdown on the locked screen
+  async refreshUnlockStatus() {
+    const container = document.getElementById('unlockStatus');
+    const unlockBtn = document.getElementById('unlockBtn');
+    if (!container) return;
+
+    try {
+      const status = await chrome.runtime.sendMessage({ type: 'GET_UNLOCK_STATUS' });
+      if (!status) return;
+
+      const recent = (status.history || []).slice(0, 5);
+      let html = '';
+
+      if (status.failures > 0) {
+        html += `
+          <div class="message error">
+            ${status.failures} failed attempt(s) since the last unlock
+            ${status.attemptsBeforeWipe !== null ? `<br>Vault will be wiped after ${status.attemptsBeforeWipe} more` : ''}
+          </div>
+        `;
+      }
+
+      if (recent.length > 0) {
+        html += `
+          <div style="color: #666; font-size: 11px; margin-bottom: 12px;">
+            <div style="margin-bottom: 4px;">Recent failed attempts:</div>
+            ${recent.map(entry => `<div>• ${this.escapeHtml(new Date(entry.at).toLocaleString())}</div>`).join('')}
+          </div>
+        `;
+      }
+
+      container.innerHTML = html;
+
+      const forgotBtn = document.getElementById('forgotPasswordBtn');
+      if (forgotBtn && status.recoveryAvailable && forgotBtn.classList.contains('hidden')) {
+        forgotBtn.classList.remove('hidden');
+        forgotBtn.addEventListener('click', () => this.showRecoverVault());
+      }
+
+      this.stopUnlockStatusUpdates();
+      if (status.lockedUntil && unlockBtn) {
+        const tick = () => {
+          const seconds = Math.ceil((status.lockedUntil - Date.now()) / 1000);
+          if (seconds <= 0) {
+            this.stopUnlockStatusUpdates();
+            unlockBtn.disabled = false;
+            unlockBtn.textContent = 'Unlock Vault';
+            return;
+          }
+          unlockBtn.disabled = true;
+          unlockBtn.textContent = `Try again in ${seconds}s`;
+        };
+        tick();
+        this.unlockStatusInterval = setInterval(tick, 1000);
+      }
+    } catch (error) {
+      console.error('Failed to load unlock status:', error);
+    }
+  }
+
+  stopUnlockStatusUpdates() {
+    if (this.unlockStatusInterval) {
+      clearInterval(this.unlockStatusInterval);
+      this.unlockStatusInterval = null;
+    }
+  }
+
   async showUnlocked() {
+    await this.loadVaults();
     await this.loadCredentials();
+    await this.loadItemTypes();
+    const unlockedCount = this.vaults.filter(vault => vault.isUnlocked).length;
+    const status = await chrome.runtime.sendMessage({ type: 'GET_STATUS' });
+    const conflictCount = status.conflictCount || 0;
     
     const unlockedHtml = `
+      ${this.renderVaultSwitcher()}
       <div class="vault-status unlocked">
         <div class="vault-icon">
           <img src="icons/vault_icon-removebg-preview.png" alt="Unlocked" class="vault-logo">
@@ -268,6 +668,13 @@ class LockdownPopup {
 
       <div id="countdown" class="countdown-display hidden"></div>
 
+      ${conflictCount > 0 ? `
+        <div class="message error" style="display: flex; justify-content: space-between; align-items: center;">
+          <span>🔀 ${conflictCount} item${conflictCount === 1 ? ' was' : 's were'} changed differently on two devices</span>
+          <button id="conflictsBtn" class="secondary-btn" style="width: auto; margin: 0;">Review</button>
+        </div>
+      ` : ''}
+
       ${this.renderGameStatusCard()}
 
       <div class="quick-actions">
@@ -300,14 +707,32 @@ class LockdownPopup {
       <div class="credentials-section">
         <div class="section-title">
           <span>All Passwords</span>
-          <span>${this.credentials.length}</span>
+          <span id="listedCount"></span>
         </div>
-        <div id="allCredentials"></div>
+        <div class="credential-filters">
+          <div class="filter-row">
+            <input type="text" id="credentialSearch" placeholder="Search name, username, folder or tag"
+                   value="${this.escapeHtml(this.credentialFilters.query)}">
+            <select id="typeFilter" title="Item type" style="flex: 0 0 auto;">
+              <option value="">All items</option>
+              ${Object.entries(this.itemTypes || {}).map(([type, itemType]) => `
+                <option value="${type}" ${this.credentialFilters.type === type ? 'selected' : ''}>${itemType.icon} ${this.escapeHtml(itemType.label)}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="filter-row">
+            <select id="folderFilter" title="Folder"></select>
+            <select id="tagFilter" title="Tag"></select>
+            <button id="favoritesFilter" class="icon-btn ${this.credentialFilters.favorites ? 'active' : ''}" title="Favourites only">⭐</button>
+            <button id="renameFolderBtn" class="icon-btn hidden" title="Rename folder">✏️</button>
+          </div>
+        </div>
+        <div id="allCredentials" class="credential-list"></div>
       </div>
 
       <div class="actions">
         <button id="settingsBtn" class="secondary-btn">Settings</button>
-        <button id="lockBtn" class="secondary-btn">Lock Vault</button>
+        <button id="lockBtn" class="secondary-btn">${unlockedCount > 1 ? 'Lock All Vaults' : 'Lock Vault'}</button>
       </div>
     `;
 
@@ -316,6 +741,8 @@ class LockdownPopup {
     setTimeout(() => {
       this.displayCredentials();
       this.setupUnlockedListeners();
+      this.setupCredentialFilters();
+      this.setupVaultSwitcher();
       this.updateQuizButtonState();
     }, 10);
   }
@@ -400,9 +827,11 @@ class LockdownPopup {
 
   async loadCredentials() {
     try {
+      // The popup only ever shows the active vault
       const response = await chrome.runtime.sendMessage({
         type: 'GET_CREDENTIALS',
-        domain: this.currentDomain
+        url: this.currentUrl,
+        vaultId: this.activeVaultId
       });
       
       this.credentials = response.credentials || [];
@@ -421,9 +850,8 @@ class LockdownPopup {
       return;
     }
     
-    const currentCreds = this.credentials.filter(cred => 
-      cred.domain === this.currentDomain
-    );
+    // The background only returns logins that match the tab
+    const currentCreds = this.credentials;
     
     if (currentCreds.length === 0) {
       currentContainer.innerHTML = '<p class="no-credentials">No credentials for this site</p>';
@@ -433,26 +861,224 @@ class LockdownPopup {
       ).join('');
     }
 
-    if (this.credentials.length === 0) {
-      allContainer.innerHTML = '<p class="no-credentials">No saved passwords</p>';
+    this.startTotpUpdates();
+    this.refreshCredentialList();
+  }
+
+  // The "All Passwords" list: every item of the active vault, favourites
+  // first, narrowed by the search box and the folder, tag and favourite
+  // filters
+  async refreshCredentialList() {
+    const allContainer = document.getElementById('allCredentials');
+    if (!allContainer) return;
+
+    const { query, type, folder, tag, favorites } = this.credentialFilters;
+    const filters = { type: type || undefined, folder: folder === null ? undefined : folder, tag: tag || undefined, favorites };
+    const filtered = !!query || !!type || folder !== null || !!tag || favorites;
+
+    try {
+      const [response, labels] = await Promise.all([
+        chrome.runtime.sendMessage(filtered
+          ? { type: 'SEARCH_CREDENTIALS', query, filters, vaultId: this.activeVaultId }
+          : { type: 'GET_ALL_CREDENTIALS', vaultId: this.activeVaultId }),
+        chrome.runtime.sendMessage({ type: 'GET_FOLDERS_AND_TAGS', vaultId: this.activeVaultId })
+      ]);
+      this.listedCredentials = response.credentials || [];
+      this.renderFilterOptions(labels);
+    } catch (error) {
+      console.error('Failed to load credential list:', error);
+      this.listedCredentials = [];
+    }
+
+    const count = document.getElementById('listedCount');
+    if (count) count.textContent = this.listedCredentials.length;
+
+    if (this.listedCredentials.length === 0) {
+      allContainer.innerHTML = `<p class="no-credentials">${filtered ? 'No matching passwords' : 'No saved passwords'}</p>`;
     } else {
-      allContainer.innerHTML = this.credentials.slice(0, 5).map(cred => 
+      allContainer.innerHTML = this.listedCredentials.map(cred =>
         this.createCredentialHtml(cred, false)
       ).join('');
     }
+    this.startTotpUpdates();
+  }
+
+  renderFilterOptions(labels) {
+    const folderFilter = document.getElementById('folderFilter');
+    const tagFilter = document.getElementById('tagFilter');
+    if (!folderFilter || !tagFilter) return;
+
+    const { folder, tag } = this.credentialFilters;
+    const folders = labels.folders || [];
+    const tags = labels.tags || [];
+
+    // A filter whose last item just went away falls back to everything
+    if (folder && !folders.some(entry => entry.name === folder)) {
+      this.credentialFilters.folder = null;
+    }
+    if (tag && !tags.some(entry => entry.name.toLowerCase() === tag.toLowerCase())) {
+      this.credentialFilters.tag = '';
+    }
+
+    // Nested folders are indented under their parent
+    folderFilter.innerHTML = `
+      <option value="*">All folders</option>
+      <option value="">No folder</option>
+      ${folders.map(entry => `
+        <option value="${this.escapeHtml(entry.name)}">
+          ${'\u00a0\u00a0'.repeat(entry.name.split('/').length - 1)}📁 ${this.escapeHtml(entry.name.split('/').pop())} (${entry.count})
+        </option>
+      `).join('')}
+    `;
+    folderFilter.value = this.credentialFilters.folder === null ? '*' : this.credentialFilters.folder;
+
+    tagFilter.innerHTML = `
+      <option value="">All tags</option>
+      ${tags.map(entry => `
+        <option value="${this.escapeHtml(entry.name)}">#${this.escapeHtml(entry.name)} (${entry.count})</option>
+      `).join('')}
+    `;
+    tagFilter.value = tags.find(entry => entry.name.toLowerCase() === this.credentialFilters.tag.toLowerCase())?.name || '';
+
+    const renameBtn = document.getElementById('renameFolderBtn');
+    if (renameBtn) {
+      renameBtn.classList.toggle('hidden', !this.credentialFilters.folder);
+    }
+  }
+
+  setupCredentialFilters() {
+    const search = document.getElementById('credentialSearch');
+    const typeFilter = document.getElementById('typeFilter');
+    const folderFilter = document.getElementById('folderFilter');
+    const tagFilter = document.getElementById('tagFilter');
+    const favoritesFilter = document.getElementById('favoritesFilter');
+    const renameBtn = document.getElementById('renameFolderBtn');
+    if (!search || !typeFilter || !folderFilter || !tagFilter || !favoritesFilter) return;
+
+    let searchTimer = null;
+    search.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        this.credentialFilters.query = search.value.trim();
+        this.refreshCredentialList();
+      }, 150);
+    });
+
+    typeFilter.addEventListener('change', () => {
+      this.credentialFilters.type = typeFilter.value;
+      this.refreshCredentialList();
+    });
+
+    folderFilter.addEventListener('change', () => {
+      this.credentialFilters.folder = folderFilter.value === '*' ? null : folderFilter.value;
+      this.refreshCredentialList();
+    });
+
+    tagFilter.addEventListener('change', () => {
+      this.credentialFilters.tag = tagFilter.value;
+      this.refreshCredentialList();
+    });
+
+    favoritesFilter.addEventListener('click', () => {
+      this.credentialFilters.favorites = !this.credentialFilters.favorites;
+      favoritesFilter.classList.toggle('active', this.credentialFilters.favorites);
+      this.refreshCredentialList();
+    });
+
+    if (renameBtn) {
+      renameBtn.addEventListener('click', () => this.showRenameFolder(this.credentialFilters.folder));
+    }
+  }
+
+  findCredential(credId) {
+    return this.credentials.find(c => c.id === credId) || this.listedCredentials.find(c => c.id === credId);
+  }
+
+  async loadItemTypes() {
+    if (!this.itemTypes) {
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_ITEM_TYPES' });
+        this.itemTypes = response.itemTypes || null;
+        this.matchModes = response.matchModes || null;
+      } catch (error) {
+        console.error('Failed to load item types:', error);
+      }
+    }
+    return this.itemTypes || { login: { label: 'Login', icon: '🔑', fields: [] } };
+  }
+
+  isLogin(cred) {
+    return !cred.type || cred.type === 'login';
+  }
+
+  // One line about a typed item for lists; secrets stay hidden, except the
+  // last digits of a card number
+  describeItem(cred) {
+    const itemType = this.itemTypes && this.itemTypes[cred.type];
+    if (!itemType) return '';
+    const parts = [];
+    if (cred.type === 'card' && cred.fields.number) {
+      parts.push(`•••• ${cred.fields.number.slice(-4)}`);
+    }
+    itemType.fields
+      .filter(field => !field.secret && cred.fields[field.key])
+      .slice(0, 2)
+      .forEach(field => parts.push(cred.fields[field.key]));
+    return parts.length ? parts.join(' • ') : itemType.label;
+  }
+
+  // What the copy button copies: the password, or a typed item's first
+  // secret (a note's text for secure notes)
+  primarySecret(cred) {
+    if (this.isLogin(cred)) {
+      return { label: 'Password', value: cred.password };
+    }
+    const itemType = this.itemTypes && this.itemTypes[cred.type];
+    const field = itemType && itemType.fields.find(entry => entry.secret && cred.fields[entry.key]);
+    if (field) {
+      return { label: field.label, value: cred.fields[field.key] };
+    }
+    return { label: 'Note', value: cred.notes };
   }
 
+  // Buttons carry data-action and data-id; handleCredentialAction runs them
   createCredentialHtml(cred, showAutofill) {
+    const id = this.escapeHtml(cred.id);
+    const isLogin = this.isLogin(cred);
+    const itemType = !isLogin && this.itemTypes && this.itemTypes[cred.type];
+    const labels = [
+      this.escapeHtml(isLogin ? (cred.username || cred.email || 'No username') : this.describeItem(cred)),
+      cred.folder ? `📁 ${this.escapeHtml(cred.folder)}` : '',
+      (cred.tags || []).map(tag => '#' + this.escapeHtml(tag)).join(' '),
+      cred.collectionName ? `🤝 ${this.escapeHtml(cred.collectionName)}` : '',
+      cred.attachments && cred.attachments.length ? `📎 ${cred.attachments.length}` : ''
+    ].filter(Boolean);
+
     return `
       <div class="credential-item">
         <div class="credential-info">
           <div class="credential-details">
-            <h4>${this.escapeHtml(cred.name || cred.domain)}</h4>
-            <p>${this.escapeHtml(cred.username || cred.email || 'No username')}</p>
+            <h4>${cred.favorite ? '⭐ ' : ''}${itemType ? itemType.icon + ' ' : ''}${this.escapeHtml(cred.name || cred.domain)}</h4>
+            <p>${labels.join(' • ')}</p>
+            ${isLogin && cred.hasTotp ? `
+              <button class="totp-code" data-totp="${id}" title="Copy authenticator code" data-action="copy-totp" data-id="${id}">
+                <svg class="totp-ring" viewBox="0 0 20 20">
+                  <circle class="track" cx="10" cy="10" r="8"></circle>
+                  <circle class="progress" cx="10" cy="10" r="8" stroke-dasharray="50.27"></circle>
+                </svg>
+                <span class="totp-digits">••• •••</span>
+              </button>
+            ` : ''}
           </div>
           <div class="credential-actions">
-            ${showAutofill ? '<button class="icon-btn autofill" onclick="lockdownPopup.autofill(\'' + cred.id + '\')">↗️</button>' : ''}
-            <button class="icon-btn copy" onclick="lockdownPopup.copyPassword('${cred.id}')">📋</button>
+            ${showAutofill && isLogin ? `<button class="icon-btn autofill" data-action="autofill" data-id="${id}">↗️</button>` : ''}
+            ${isLogin ? '' : `<button class="icon-btn view" title="Open" data-action="view" data-id="${id}">👁️</button>`}
+            <button class="icon-btn copy" title="Copy ${this.escapeHtml(this.primarySecret(cred).label.toLowerCase())}" data-action="copy" data-id="${id}">📋</button>
+            ${isLogin ? `<button class="icon-btn totp" title="Authenticator code" data-action="totp" data-id="${id}">🔢</button>` : ''}
+            <button class="icon-btn attachments" title="${cred.attachments && cred.attachments.length ? cred.attachments.length + ' attachment(s)' : 'Attachments'}" data-action="attachments" data-id="${id}">📎</button>
+            <button class="icon-btn organize" title="Folder, tags and favourite" data-action="organize" data-id="${id}">🏷️</button>
+            ${cred.historyCount > 0 ? `<button class="icon-btn history" title="Password history" data-action="history" data-id="${id}">🕘</button>` : ''}
+            <button class="icon-btn delete" title="Move to trash" data-action="delete" data-id="${id}">🗑️</button>
           </div>
         </div>
       </div>
@@ -488,10 +1114,44 @@ class LockdownPopup {
     setupListener('leaderboardBtn', () => this.showLeaderboard(), 'leaderboard');
     setupListener('settingsBtn', () => this.showSettings(), 'settings');
     setupListener('lockBtn', () => this.lockVault(), 'lock vault');
+    if (document.getElementById('conflictsBtn')) {
+      setupListener('conflictsBtn', () => this.showConflicts(), 'conflicts');
+    }
+
+    // The popup's CSP blocks inline handlers, so each list gets one
+    // listener for the buttons on its items
+    ['currentCredentials', 'allCredentials'].forEach(id => {
+      const list = document.getElementById(id);
+      if (list) {
+        list.addEventListener('click', (e) => this.handleCredentialAction(e));
+      }
+    });
     
     console.log('Finished setting up listeners');
   }
 
+  handleCredentialAction(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const actions = {
+      autofill: (id) => this.autofill(id),
+      view: (id) => this.showItem(id),
+      copy: (id) => this.copyPassword(id),
+      'copy-totp': (id) => this.copyTotp(id),
+      totp: (id) => this.showTotpSetup(id),
+      attachments: (id) => this.showAttachments(id),
+      history: (id) => this.showPasswordHistory(id),
+      organize: (id) => this.showOrganize(id),
+      delete: (id) => this.deleteCredential(id)
+    };
+    const action = actions[button.dataset.action];
+    if (action) {
+      e.preventDefault();
+      action(button.dataset.id);
+    }
+  }
+
   async startQuiz() {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -615,22 +1275,49 @@ class LockdownPopup {
     }
   }
 
-  showAddCredential() {
+  async showAddCredential() {
     console.log('Opening add credential form...');
     
     try {
-      const modal = this.createModal('Add Credential', `
+      const itemTypes = await this.loadItemTypes();
+      const type = this.credentialFilters.type || 'login';
+      const modal = this.createModal('Add Item', `
+        <div class="form-group">
+          <select id="credType">
+            ${Object.entries(itemTypes).map(([key, itemType]) => `
+              <option value="${key}" ${key === type ? 'selected' : ''}>${itemType.icon} ${this.escapeHtml(itemType.label)}</option>
+            `).join('')}
+          </select>
+        </div>
+        
         <div class="form-group">
-          <input type="text" id="credName" placeholder="Site name" value="${this.currentDomain}">
+          <input type="text" id="credName" placeholder="Site name" value="${this.escapeHtml(this.currentDomain)}">
+        </div>
+        
+        <div id="loginFields">
+          <div class="form-group">
+            <input type="text" id="credUsername" placeholder="Username or email">
+          </div>
+          
+          <div class="form-group" style="position: relative;">
+            <input type="password" id="credPassword" placeholder="Password" style="padding-right: 40px;">
+            <button type="button" id="generateForCred" class="icon-btn" style="position: absolute; right: 8px; top: 50%; transform: translateY(-50%);">🔑</button>
+          </div>
+          
+          <div class="form-group">
+            <input type="text" id="credTotp" placeholder="Authenticator key or otpauth:// link (optional)" autocomplete="off" spellcheck="false">
+          </div>
         </div>
         
+        <div id="typedFields"></div>
+        
         <div class="form-group">
-          <input type="text" id="credUsername" placeholder="Username or email">
+          <input type="text" id="credFolder" placeholder="Folder (optional)"
+                 value="${this.credentialFilters.folder ? this.escapeHtml(this.credentialFilters.folder) : ''}">
         </div>
         
-        <div class="form-group" style="position: relative;">
-          <input type="password" id="credPassword" placeholder="Password" style="padding-right: 40px;">
-          <button type="button" id="generateForCred" class="icon-btn" style="position: absolute; right: 8px; top: 50%; transform: translateY(-50%);">🔑</button>
+        <div class="form-group">
+          <input type="text" id="credTags" placeholder="Tags, separated by commas (optional)">
         </div>
         
         <div class="modal-actions">
@@ -639,11 +1326,23 @@ class LockdownPopup {
         </div>
       `);
 
+      const typeSelect = modal.querySelector('#credType');
+      const nameInput = modal.querySelector('#credName');
       const generateBtn = modal.querySelector('#generateForCred');
       const saveBtn = modal.querySelector('#saveCredential');
       const cancelBtn = modal.querySelector('#cancelAdd');
 
-      if (generateBtn) {
+      const switchType = () => {
+        const isLogin = typeSelect.value === 'login';
+        modal.querySelector('#loginFields').style.display = isLogin ? '' : 'none';
+        modal.querySelector('#typedFields').innerHTML = isLogin ? '' : this.renderItemFields(itemTypes[typeSelect.value]);
+        nameInput.placeholder = isLogin ? 'Site name' : `Name (defaults to "${itemTypes[typeSelect.value].label}")`;
+        if (nameInput.value === this.currentDomain && !isLogin) nameInput.value = '';
+      };
+      typeSelect.addEventListener('change', switchType);
+      switchType();
+
+      if (generateBtn) {
         generateBtn.addEventListener('click', async () => {
           try {
             const response = await chrome.runtime.sendMessage({ type: 'GENERATE_PASSWORD' });
@@ -660,22 +1359,31 @@ class LockdownPopup {
 
       if (saveBtn) {
         saveBtn.addEventListener('click', async () => {
-          const name = modal.querySelector('#credName').value;
-          const username = modal.querySelector('#credUsername').value;
-          const password = modal.querySelector('#credPassword').value;
+          const name = nameInput.value;
+          let credential;
 
-          if (!name || !username || !password) {
-            this.showMessage('Please fill all fields', 'error');
-            return;
-          }
+          if (typeSelect.value === 'login') {
+            const username = modal.querySelector('#credUsername').value;
+            const password = modal.querySelector('#credPassword').value;
 
-          const credential = {
-            name,
-            domain: this.currentDomain,
-            username,
-            password,
-            url: `https://${this.currentDomain}`
-          };
+            if (!name || !username || !password) {
+              this.showMessage('Please fill all fields', 'error');
+              return;
+            }
+
+            credential = {
+              name,
+              domain: this.currentDomain,
+              username,
+              password,
+              url: `https://${this.currentDomain}`,
+              totp: modal.querySelector('#credTotp').value.trim()
+            };
+          } else {
+            credential = { type: typeSelect.value, name, ...this.readItemFields(modal) };
+          }
+          credential.folder = modal.querySelector('#credFolder').value;
+          credential.tags = modal.querySelector('#credTags').value;
 
           try {
             saveBtn.disabled = true;
@@ -690,7 +1398,7 @@ class LockdownPopup {
               await this.loadCredentials();
               this.displayCredentials();
               document.body.removeChild(modal);
-              this.showMessage('Credential saved!', 'success');
+              this.showMessage(`${itemTypes[typeSelect.value].label} saved!`, 'success');
             } else {
               this.showMessage(response.error, 'error');
             }
@@ -717,8 +1425,10 @@ class LockdownPopup {
       document.body.appendChild(modal);
       
       setTimeout(() => {
-        const usernameField = modal.querySelector('#credUsername');
-        if (usernameField) usernameField.focus();
+        const firstField = typeSelect.value === 'login'
+          ? modal.querySelector('#credUsername')
+          : modal.querySelector('#typedFields input, #typedFields textarea');
+        if (firstField) firstField.focus();
       }, 100);
       
     } catch (error) {
@@ -727,6 +1437,154 @@ class LockdownPopup {
     }
   }
 
+  // Inputs for a typed item's fields plus its notes. Values are filled in
+  // through the DOM by the caller, never spliced into the markup.
+  renderItemFields(itemType) {
+    const inputType = field => {
+      if (field.secret) return 'password';
+      if (field.format === 'date') return 'date';
+      if (field.format === 'email') return 'email';
+      if (field.format === 'url') return 'url';
+      return 'text';
+    };
+
+    return `
+      ${itemType.fields.map(field => `
+        <div class="form-group">
+          <label style="display: block; font-size: 12px; margin-bottom: 4px;">${this.escapeHtml(field.label)}${field.required ? ' *' : ''}</label>
+          <input type="${inputType(field)}" data-field="${field.key}" autocomplete="off">
+        </div>
+      `).join('')}
+      <div class="form-group">
+        <textarea id="itemNotes" rows="${itemType.fields.length ? 3 : 8}" placeholder="${itemType.fields.length ? 'Notes (optional)' : 'Note'}"></textarea>
+      </div>
+    `;
+  }
+
+  readItemFields(container) {
+    const fields = {};
+    container.querySelectorAll('[data-field]').forEach(input => {
+      fields[input.dataset.field] = input.value;
+    });
+    return { fields, notes: container.querySelector('#itemNotes').value };
+  }
+
+  async showItem(credId) {
+    const cred = this.findCredential(credId);
+    const itemTypes = await this.loadItemTypes();
+    const itemType = cred && itemTypes[cred.type];
+    if (!itemType) return;
+
+    const filled = itemType.fields.filter(field => cred.fields[field.key]);
+    const modal = this.createModal(`${itemType.icon} ${this.escapeHtml(cred.name)}`, `
+      ${filled.map(field => `
+        <div class="setting-group">
+          <label style="display: block; font-size: 12px; color: rgba(255, 255, 255, 0.6);">${this.escapeHtml(field.label)}</label>
+          <div style="display: flex; align-items: center; gap: 8px;">
+            <span class="item-value" data-field="${field.key}" style="flex: 1; word-break: break-all; font-family: ${field.secret ? 'monospace' : 'inherit'};">
+              ${field.secret ? '••••••••' : this.escapeHtml(cred.fields[field.key])}
+            </span>
+            ${field.secret ? `<button class="icon-btn reveal" data-field="${field.key}" title="Show">👁️</button>` : ''}
+            <button class="icon-btn copy" data-field="${field.key}" title="Copy">📋</button>
+          </div>
+        </div>
+      `).join('')}
+      ${cred.notes ? `
+        <div class="setting-group">
+          <label style="display: block; font-size: 12px; color: rgba(255, 255, 255, 0.6);">${itemType.fields.length ? 'Notes' : 'Note'}</label>
+          <div style="white-space: pre-wrap; word-break: break-word;">${this.escapeHtml(cred.notes)}</div>
+        </div>
+      ` : ''}
+      <div class="modal-actions">
+        <button id="closeItem" class="secondary-btn">Close</button>
+        <button id="editItem" class="primary-btn">Edit</button>
+      </div>
+    `);
+
+    modal.querySelectorAll('.reveal').forEach(button => {
+      button.addEventListener('click', () => {
+        const value = modal.querySelector(`.item-value[data-field="${button.dataset.field}"]`);
+        const hidden = button.textContent === '👁️';
+        value.textContent = hidden ? cred.fields[button.dataset.field] : '••••••••';
+        button.textContent = hidden ? '🙈' : '👁️';
+      });
+    });
+
+    modal.querySelectorAll('.copy').forEach(button => {
+      button.addEventListener('click', async () => {
+        const field = itemType.fields.find(entry => entry.key === button.dataset.field);
+        try {
+          await navigator.clipboard.writeText(cred.fields[field.key]);
+          this.showMessage(`${field.label} copied!`, 'success');
+        } catch (error) {
+          this.showMessage('Copy failed', 'error');
+        }
+      });
+    });
+
+    modal.querySelector('#closeItem').addEventListener('click', () => {
+      document.body.removeChild(modal);
+    });
+
+    modal.querySelector('#editItem').addEventListener('click', () => {
+      document.body.removeChild(modal);
+      this.showEditItem(cred);
+    });
+
+    document.body.appendChild(modal);
+  }
+
+  showEditItem(cred) {
+    const itemType = this.itemTypes[cred.type];
+    const modal = this.createModal(`Edit ${this.escapeHtml(itemType.label)}`, `
+      <div class="form-group">
+        <input type="text" id="editItemName" placeholder="Name">
+      </div>
+      ${this.renderItemFields(itemType)}
+      <div class="modal-actions">
+        <button id="cancelEditItem" class="secondary-btn">Cancel</button>
+        <button id="saveEditItem" class="primary-btn">Save</button>
+      </div>
+    `);
+
+    modal.querySelector('#editItemName').value = cred.name;
+    modal.querySelector('#itemNotes').value = cred.notes || '';
+    modal.querySelectorAll('[data-field]').forEach(input => {
+      input.value = cred.fields[input.dataset.field] || '';
+    });
+
+    const saveBtn = modal.querySelector('#saveEditItem');
+    saveBtn.addEventListener('click', async () => {
+      saveBtn.disabled = true;
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'UPDATE_CREDENTIAL',
+          credential: { id: cred.id, name: modal.querySelector('#editItemName').value, ...this.readItemFields(modal) }
+        });
+        if (!response.success) {
+          this.showMessage(response.error, 'error');
+          saveBtn.disabled = false;
+          return;
+        }
+
+        document.body.removeChild(modal);
+        await this.loadCredentials();
+        this.displayCredentials();
+        this.showMessage('Saved', 'success');
+      } catch (error) {
+        console.error('Edit failed:', error);
+        this.showMessage('Save failed: ' + error.message, 'error');
+        saveBtn.disabled = false;
+      }
+    });
+
+    modal.querySelector('#cancelEditItem').addEventListener('click', () => {
+      document.body.removeChild(modal);
+    });
+
+    document.body.appendChild(modal);
+  }
+
   showSettings() {
     console.log('Settings button clicked');
     
@@ -743,6 +1601,88 @@ class LockdownPopup {
           </select>
         </div>
         
+        <div class="setting-group">
+          <label><input type="checkbox" id="resetOnActivity"> Restart timer when I use the vault</label>
+          <label><input type="checkbox" id="lockOnScreenLock"> Lock when the screen locks</label>
+          <label><input type="checkbox" id="lockOnWindowsClosed"> Lock when the last window closes</label>
+          <label><input type="checkbox" id="lockOnIdle"> Lock when the system is idle for</label>
+          <select id="idleSecondsSelect">
+            <option value="60">1 minute</option>
+            <option value="300">5 minutes</option>
+            <option value="900">15 minutes</option>
+            <option value="1800">30 minutes</option>
+          </select>
+        </div>
+        
+        <div class="setting-group">
+          <label>Wipe vault after failed unlocks:</label>
+          <select id="wipeAfterSelect">
+            <option value="never">Never</option>
+            <option value="10">10 attempts</option>
+            <option value="20">20 attempts</option>
+          </select>
+        </div>
+        
+        <div class="setting-group">
+          <label>Master password:</label>
+          <button id="changePasswordBtn" class="secondary-btn" style="width: 100%;">
+            🔑 Change Master Password
+          </button>
+          <button id="kdfSettingsBtn" class="secondary-btn" style="width: 100%;">
+            ⚙️ Key Derivation Strength
+          </button>
+          <button id="recoveryKeyBtn" class="secondary-btn" style="width: 100%;">
+            🛟 Recovery Key
+          </button>
+        </div>
+        
+        <div class="setting-group">
+          <label>Previous passwords kept per item:</label>
+          <select id="historyLimitSelect">
+            <option value="0">None</option>
+            <option value="5">5</option>
+            <option value="10">10</option>
+            <option value="25">25</option>
+          </select>
+          <div style="color: #999; font-size: 12px; margin-top: 4px;">
+            Lowering this drops older passwords from items, but vault snapshots
+            from before the change still hold them until they expire.
+          </div>
+        </div>
+        
+        <div class="setting-group">
+          <label>Autofill:</label>
+          <button id="equivalentDomainsBtn" class="secondary-btn" style="width: 100%;">
+            🔗 Equivalent Domains
+          </button>
+        </div>
+        
+        <div class="setting-group">
+          <label>Backups:</label>
+          <button id="snapshotsBtn" class="secondary-btn" style="width: 100%;">
+            🕘 Vault Snapshots
+          </button>
+          <button id="trashBtn" class="secondary-btn" style="width: 100%;">
+            🗑️ Trash
+          </button>
+          <button id="exportBtn" class="secondary-btn" style="width: 100%;">
+            📤 Export Vault
+          </button>
+          <button id="importBtn" class="secondary-btn" style="width: 100%;">
+            📥 Import
+          </button>
+        </div>
+        
+        <div class="setting-group">
+          <label>Sharing:</label>
+          <button id="collectionsBtn" class="secondary-btn" style="width: 100%;">
+            🤝 Shared Collections
+          </button>
+          <button id="syncBtn" class="secondary-btn" style="width: 100%;">
+            🔄 Sync
+          </button>
+        </div>
+        
         <div class="setting-group">
           <label>Quiz & Game Settings:</label>
           <button id="forceQuiz" class="secondary-btn" style="width: 100%; margin-bottom: 8px;">
@@ -764,12 +1704,36 @@ class LockdownPopup {
           if (selectElement && response && response.autoLockDelay !== undefined) {
             selectElement.value = response.autoLockDelay || 'never';
           }
+          
+          if (response && response.lockPolicy) {
+            ['resetOnActivity', 'lockOnScreenLock', 'lockOnWindowsClosed', 'lockOnIdle'].forEach(key => {
+              const checkbox = modal.querySelector('#' + key);
+              if (checkbox) checkbox.checked = response.lockPolicy[key];
+            });
+            const idleSelect = modal.querySelector('#idleSecondsSelect');
+            if (idleSelect) idleSelect.value = response.lockPolicy.idleSeconds;
+          }
+          
+          const historySelect = modal.querySelector('#historyLimitSelect');
+          if (historySelect && response && response.passwordHistoryLimit !== undefined) {
+            historySelect.value = response.passwordHistoryLimit;
+          }
         })
         .catch(error => {
           console.error('Failed to get current settings:', error);
         });
 
       const selectElement = modal.querySelector('#autoLockSelect');
+      const changePasswordBtn = modal.querySelector('#changePasswordBtn');
+      const kdfSettingsBtn = modal.querySelector('#kdfSettingsBtn');
+      const recoveryKeyBtn = modal.querySelector('#recoveryKeyBtn');
+      const snapshotsBtn = modal.querySelector('#snapshotsBtn');
+      const trashBtn = modal.querySelector('#trashBtn');
+      const exportBtn = modal.querySelector('#exportBtn');
+      const importBtn = modal.querySelector('#importBtn');
+      const collectionsBtn = modal.querySelector('#collectionsBtn');
+      const syncBtn = modal.querySelector('#syncBtn');
+      const equivalentDomainsBtn = modal.querySelector('#equivalentDomainsBtn');
       const forceQuizBtn = modal.querySelector('#forceQuiz');
       const closeButton = modal.querySelector('#closeSettings');
 
@@ -794,6 +1758,154 @@ class LockdownPopup {
         });
       }
 
+      const savePolicy = async (policy) => {
+        try {
+          const response = await chrome.runtime.sendMessage({
+            type: 'UPDATE_LOCK_POLICY',
+            policy
+          });
+          
+          if (response && response.success) {
+            this.showMessage('Settings saved!', 'success');
+          } else {
+            this.showMessage(response?.error || 'Failed to save settings', 'error');
+          }
+        } catch (error) {
+          console.error('Lock policy save error:', error);
+          this.showMessage('Failed to save settings', 'error');
+        }
+      };
+
+      ['resetOnActivity', 'lockOnScreenLock', 'lockOnWindowsClosed', 'lockOnIdle'].forEach(key => {
+        const checkbox = modal.querySelector('#' + key);
+        if (checkbox) {
+          checkbox.addEventListener('change', (e) => savePolicy({ [key]: e.target.checked }));
+        }
+      });
+
+      const idleSelect = modal.querySelector('#idleSecondsSelect');
+      if (idleSelect) {
+        idleSelect.addEventListener('change', (e) => savePolicy({ idleSeconds: parseInt(e.target.value) }));
+      }
+
+      const historyLimitSelect = modal.querySelector('#historyLimitSelect');
+      if (historyLimitSelect) {
+        historyLimitSelect.addEventListener('change', async (e) => {
+          try {
+            const response = await chrome.runtime.sendMessage({
+              type: 'UPDATE_PASSWORD_HISTORY_LIMIT',
+              limit: parseInt(e.target.value)
+            });
+            this.showMessage(response.success ? 'Settings saved!' : response.error, response.success ? 'success' : 'error');
+          } catch (error) {
+            console.error('History limit save error:', error);
+            this.showMessage('Failed to save settings', 'error');
+          }
+        });
+      }
+
+      const wipeSelect = modal.querySelector('#wipeAfterSelect');
+      chrome.runtime.sendMessage({ type: 'GET_UNLOCK_STATUS' })
+        .then(status => {
+          if (wipeSelect && status) {
+            wipeSelect.value = status.wipeAfter || 'never';
+          }
+        })
+        .catch(error => {
+          console.error('Failed to get unlock policy:', error);
+        });
+
+      if (wipeSelect) {
+        wipeSelect.addEventListener('change', async (e) => {
+          if (e.target.value !== 'never' &&
+              !confirm(`Permanently erase the vault after ${e.target.value} failed unlock attempts?`)) {
+            e.target.value = 'never';
+            return;
+          }
+
+          try {
+            const response = await chrome.runtime.sendMessage({
+              type: 'UPDATE_UNLOCK_POLICY',
+              wipeAfter: e.target.value
+            });
+            this.showMessage(response.success ? 'Settings saved!' : response.error, response.success ? 'success' : 'error');
+          } catch (error) {
+            console.error('Unlock policy save error:', error);
+            this.showMessage('Failed to save settings', 'error');
+          }
+        });
+      }
+
+      if (changePasswordBtn) {
+        changePasswordBtn.addEventListener('click', () => {
+          document.body.removeChild(modal);
+          this.showChangeMasterPassword();
+        });
+      }
+
+      if (kdfSettingsBtn) {
+        kdfSettingsBtn.addEventListener('click', () => {
+          document.body.removeChild(modal);
+          this.showKdfSettings();
+        });
+      }
+
+      if (recoveryKeyBtn) {
+        recoveryKeyBtn.addEventListener('click', () => {
+          document.body.removeChild(modal);
+          this.showRecoveryKeySettings();
+        });
+      }
+
+      if (snapshotsBtn) {
+        snapshotsBtn.addEventListener('click', () => {
+          document.body.removeChild(modal);
+          this.showSnapshots();
+        });
+      }
+
+      if (trashBtn) {
+        trashBtn.addEventListener('click', () => {
+          document.body.removeChild(modal);
+          this.showTrash();
+        });
+      }
+
+      if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+          document.body.removeChild(modal);
+          this.showExport();
+        });
+      }
+
+      if (importBtn) {
+        importBtn.addEventListener('click', () => {
+          document.body.removeChild(modal);
+          this.showImport();
+        });
+      }
+
+      if (collectionsBtn) {
+        collectionsBtn.addEventListener('click', () => {
+          document.body.removeChild(modal);
+          this.showCollections();
+        });
+      }
+
+      if (syncBtn) {
+        syncBtn.addEventListener('click', () => {
+          document.body.removeChild(modal);
+          this.showSync();
+        });
+      }
+
+      if (equivalentDomainsBtn) {
+        equivalentDomainsBtn.addEventListener('click', () => {
+          document.body.removeChild(modal);
+          this.showEquivalentDomains();
+        });
+      }
+
       if (forceQuizBtn) {
         forceQuizBtn.addEventListener('click', async () => {
           try {
@@ -828,45 +1940,2476 @@ class LockdownPopup {
     }
   }
 
-  async copyPassword(credId) {
-    const cred = this.credentials.find(c => c.id === credId);
-    if (cred) {
-      try {
-        await navigator.clipboard.writeText(cred.password);
-        this.showMessage('Password copied!', 'success');
-      } catch (error) {
-        console.error('Copy failed:', error);
-        this.showMessage('Failed to copy password', 'error');
-      }
-    }
-  }
+  showChangeMasterPassword() {
+    try {
+      const modal = this.createModal('Change Master Password', `
+        <div class="form-group">
+          <input type="password" id="currentMasterPassword" placeholder="Current master password">
+        </div>
+        
+        <div class="form-group">
+          <input type="password" id="newMasterPassword" placeholder="New master password">
+          <div class="password-strength" id="changeStrength">
+            <div class="strength-bar"></div>
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <input type="password" id="confirmMasterPassword" placeholder="Confirm new master password">
+        </div>
+        
+        <div style="color: #666; font-size: 11px; margin-bottom: 8px;">
+          Your vault, its snapshots and attachments will be re-encrypted under a new vault key.
+          Copies made before the change, such as exports, still open with the old password.
+          Other synced devices must restore from sync with the new one.
+        </div>
+        
+        <div class="modal-actions">
+          <button id="cancelChangePassword" class="secondary-btn">Cancel</button>
+          <button id="confirmChangePassword" class="primary-btn" disabled>Change</button>
+        </div>
+      `);
 
-  async autofill(credId) {
-    const cred = this.credentials.find(c => c.id === credId);
-    if (!cred) return;
+      const currentInput = modal.querySelector('#currentMasterPassword');
+      const newInput = modal.querySelector('#newMasterPassword');
+      const confirmInput = modal.querySelector('#confirmMasterPassword');
+      const changeBtn = modal.querySelector('#confirmChangePassword');
+      const cancelBtn = modal.querySelector('#cancelChangePassword');
 
-    try {
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      await chrome.tabs.sendMessage(tab.id, {
-        type: 'AUTOFILL',
-        credential: cred
+      const validate = () => {
+        const isValid = currentInput.value.length > 0 &&
+                        newInput.value.length >= 8 &&
+                        newInput.value === confirmInput.value;
+        changeBtn.disabled = !isValid;
+        this.updatePasswordStrength(newInput.value, 'changeStrength');
+      };
+
+      [currentInput, newInput, confirmInput].forEach(input => {
+        input.addEventListener('input', validate);
       });
-      this.showMessage('Autofilled!', 'success');
+
+      changeBtn.addEventListener('click', async () => {
+        changeBtn.disabled = true;
+        changeBtn.textContent = 'Re-encrypting...';
+
+        try {
+          const response = await chrome.runtime.sendMessage({
+            type: 'CHANGE_MASTER_PASSWORD',
+            currentPassword: currentInput.value,
+            newPassword: newInput.value
+          });
+
+          if (response.success) {
+            document.body.removeChild(modal);
+            this.showMessage('Master password changed!', 'success');
+            // The old recovery key opened the old vault key only
+            if (response.recoveryKey) {
+              this.showRecoveryKey(response.recoveryKey);
+            }
+            return;
+          }
+          this.showMessage(response.error, 'error');
+        } catch (error) {
+          console.error('Master password change failed:', error);
+          this.showMessage('Password change failed: ' + error.message, 'error');
+        }
+
+        changeBtn.textContent = 'Change';
+        validate();
+      });
+
+      cancelBtn.addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+      setTimeout(() => currentInput.focus(), 100);
+
     } catch (error) {
-      console.error('Autofill failed:', error);
-      this.showMessage('Autofill failed', 'error');
+      console.error('Error in showChangeMasterPassword:', error);
+      this.showMessage('Failed to open password change form', 'error');
     }
   }
 
-  async lockVault() {
+  // Shown exactly once: the background never stores the recovery key itself
+  showRecoveryKey(recoveryKey) {
     try {
-      await chrome.runtime.sendMessage({ type: 'LOCK_VAULT' });
-      this.isUnlocked = false;
-      this.stopCountdownUpdates();
-      this.showLocked();
-    } catch (error) {
-      this.showMessage('Lock failed', 'error');
-    }
+      const modal = this.createModal('Your Recovery Key', `
+        <div style="color: #999; font-size: 12px; margin-bottom: 12px;">
+          This key can reset your master password. It will not be shown again.
+          Download the emergency kit and keep it somewhere safe and offline.
+        </div>
+        
+        <div class="form-group">
+          <input type="text" id="recoveryKeyValue" readonly style="font-family: monospace; font-size: 12px;">
+        </div>
+        
+        <button id="downloadKitBtn" class="secondary-btn">📄 Download Emergency Kit</button>
+        <button id="copyRecoveryKeyBtn" class="secondary-btn">📋 Copy Recovery Key</button>
+        
+        <div class="setting-group" style="font-size: 12px;">
+          <label><input type="checkbox" id="recoveryKeySaved"> I have saved my recovery key</label>
+        </div>
+        
+        <div class="modal-actions">
+          <button id="closeRecoveryKey" class="primary-btn" disabled>Done</button>
+        </div>
+      `, false);
+
+      modal.querySelector('#recoveryKeyValue').value = recoveryKey;
+      const savedCheckbox = modal.querySelector('#recoveryKeySaved');
+      const closeBtn = modal.querySelector('#closeRecoveryKey');
+
+      modal.querySelector('#downloadKitBtn').addEventListener('click', () => {
+        this.downloadEmergencyKit(recoveryKey);
+      });
+
+      modal.querySelector('#copyRecoveryKeyBtn').addEventListener('click', async () => {
+        try {
+          await navigator.clipboard.writeText(recoveryKey);
+          this.showMessage('Recovery key copied!', 'success');
+        } catch (error) {
+          console.error('Copy failed:', error);
+          this.showMessage('Failed to copy recovery key', 'error');
+        }
+      });
+
+      savedCheckbox.addEventListener('change', () => {
+        closeBtn.disabled = !savedCheckbox.checked;
+      });
+
+      closeBtn.addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showRecoveryKey:', error);
+      this.showMessage('Failed to show recovery key', 'error');
+    }
+  }
+
+  downloadEmergencyKit(recoveryKey) {
+    const created = new Date().toLocaleString();
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Lockdown Emergency Kit</title>
+<style>
+  body { font-family: sans-serif; max-width: 640px; margin: 40px auto; color: #111; }
+  h1 { font-size: 24px; }
+  .key { font-family: monospace; font-size: 20px; padding: 16px; border: 2px dashed #333; text-align: center; letter-spacing: 1px; }
+  .note { color: #555; font-size: 14px; }
+  .blank { border-bottom: 1px solid #999; height: 32px; }
+</style>
+</head>
+<body>
+<h1>Lockdown Emergency Kit</h1>
+<p class="note">Created ${this.escapeHtml(created)}</p>
+<h2>Recovery key</h2>
+<div class="key">${this.escapeHtml(recoveryKey)}</div>
+<h2>How to use it</h2>
+<ol>
+  <li>Open the Lockdown popup while the vault is locked.</li>
+  <li>Choose "Forgot password? Use recovery key".</li>
+  <li>Enter this key and choose a new master password.</li>
+</ol>
+<h2>Master password (optional)</h2>
+<div class="blank"></div>
+<p class="note">Anyone holding this page can open your vault. Print it, store it somewhere safe
+and offline, and delete the downloaded file.</p>
+</body>
+</html>`;
+
+    this.downloadFile(html, 'lockdown-emergency-kit.html', 'text/html');
+  }
+
+  showRecoverVault() {
+    try {
+      const modal = this.createModal('Recover Vault', `
+        <div style="color: #999; font-size: 12px; margin-bottom: 12px;">
+          Enter the recovery key from your emergency kit and choose a new master password.
+        </div>
+        
+        <div class="form-group">
+          <input type="text" id="recoveryKeyInput" placeholder="XXXX-XXXX-XXXX-XXXX-..." style="font-family: monospace;">
+        </div>
+        
+        <div class="form-group">
+          <input type="password" id="recoverNewPassword" placeholder="New master password">
+          <div class="password-strength" id="recoverStrength">
+            <div class="strength-bar"></div>
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <input type="password" id="recoverConfirmPassword" placeholder="Confirm new master password">
+        </div>
+        
+        <div class="modal-actions">
+          <button id="cancelRecover" class="secondary-btn">Cancel</button>
+          <button id="confirmRecover" class="primary-btn" disabled>Reset</button>
+        </div>
+      `);
+
+      const keyInput = modal.querySelector('#recoveryKeyInput');
+      const newInput = modal.querySelector('#recoverNewPassword');
+      const confirmInput = modal.querySelector('#recoverConfirmPassword');
+      const recoverBtn = modal.querySelector('#confirmRecover');
+
+      const validate = () => {
+        const isValid = keyInput.value.trim().length > 0 &&
+                        newInput.value.length >= 8 &&
+                        newInput.value === confirmInput.value;
+        recoverBtn.disabled = !isValid;
+        this.updatePasswordStrength(newInput.value, 'recoverStrength');
+      };
+
+      [keyInput, newInput, confirmInput].forEach(input => {
+        input.addEventListener('input', validate);
+      });
+
+      recoverBtn.addEventListener('click', async () => {
+        recoverBtn.disabled = true;
+        recoverBtn.textContent = 'Recovering...';
+
+        try {
+          const response = await chrome.runtime.sendMessage({
+            type: 'RECOVER_VAULT',
+            recoveryKey: keyInput.value,
+            newPassword: newInput.value
+          });
+
+          if (response.success) {
+            document.body.removeChild(modal);
+            this.isUnlocked = true;
+            this.stopUnlockStatusUpdates();
+            await this.showUnlocked();
+            this.showMessage('Master password reset!', 'success');
+            this.startCountdownUpdates();
+            return;
+          }
+
+          if (response.wiped) {
+            document.body.removeChild(modal);
+            this.stopUnlockStatusUpdates();
+            this.showSetup();
+            this.showMessage(response.error, 'error');
+            return;
+          }
+          this.showMessage(response.error, 'error');
+          this.refreshUnlockStatus();
+        } catch (error) {
+          console.error('Vault recovery failed:', error);
+          this.showMessage('Recovery failed: ' + error.message, 'error');
+        }
+
+        recoverBtn.textContent = 'Reset';
+        validate();
+      });
+
+      modal.querySelector('#cancelRecover').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+      setTimeout(() => keyInput.focus(), 100);
+
+    } catch (error) {
+      console.error('Error in showRecoverVault:', error);
+      this.showMessage('Failed to open recovery form', 'error');
+    }
+  }
+
+  async showRecoveryKeySettings() {
+    try {
+      const security = await chrome.runtime.sendMessage({ type: 'GET_SECURITY_STATUS' });
+      const hasKey = security && security.hasRecoveryKey;
+
+      const modal = this.createModal('Recovery Key', `
+        <div style="color: #999; font-size: 12px; margin-bottom: 12px;">
+          ${hasKey
+            ? 'A recovery key is set. Creating a new one makes the old emergency kit useless.'
+            : 'No recovery key is set. If you forget your master password, your vault cannot be recovered.'}
+        </div>
+        
+        <div class="form-group">
+          <input type="password" id="recoveryMasterPassword" placeholder="Master password">
+        </div>
+        
+        <div class="modal-actions">
+          ${hasKey ? '<button id="removeRecoveryKey" class="secondary-btn">Remove</button>' : ''}
+          <button id="createRecoveryKey" class="primary-btn">${hasKey ? 'Replace' : 'Create'}</button>
+        </div>
+      `);
+
+      const passwordInput = modal.querySelector('#recoveryMasterPassword');
+      const createBtn = modal.querySelector('#createRecoveryKey');
+      const removeBtn = modal.querySelector('#removeRecoveryKey');
+
+      createBtn.addEventListener('click', async () => {
+        if (!passwordInput.value) return;
+        createBtn.disabled = true;
+
+        try {
+          const response = await chrome.runtime.sendMessage({
+            type: 'GENERATE_RECOVERY_KEY',
+            masterPassword: passwordInput.value
+          });
+
+          if (response.success) {
+            document.body.removeChild(modal);
+            this.showRecoveryKey(response.recoveryKey);
+            return;
+          }
+          this.showMessage(response.error, 'error');
+        } catch (error) {
+          console.error('Recovery key creation failed:', error);
+          this.showMessage('Failed to create recovery key', 'error');
+        }
+        createBtn.disabled = false;
+      });
+
+      if (removeBtn) {
+        removeBtn.addEventListener('click', async () => {
+          if (!passwordInput.value) return;
+          if (!confirm('Remove the recovery key? A forgotten master password will no longer be recoverable.')) return;
+
+          try {
+            const response = await chrome.runtime.sendMessage({
+              type: 'REMOVE_RECOVERY_KEY',
+              masterPassword: passwordInput.value
+            });
+
+            if (response.success) {
+              document.body.removeChild(modal);
+              this.showMessage('Recovery key removed', 'success');
+              return;
+            }
+            this.showMessage(response.error, 'error');
+          } catch (error) {
+            console.error('Recovery key removal failed:', error);
+            this.showMessage('Failed to remove recovery key', 'error');
+          }
+        });
+      }
+
+      document.body.appendChild(modal);
+      setTimeout(() => passwordInput.focus(), 100);
+
+    } catch (error) {
+      console.error('Error in showRecoveryKeySettings:', error);
+      this.showMessage('Failed to open recovery key settings', 'error');
+    }
+  }
+
+  async showSnapshots() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_VAULT_SNAPSHOTS' });
+      if (response.error) {
+        this.showMessage(response.error, 'error');
+        return;
+      }
+
+      const reasons = {
+        save: 'Before save',
+        update: 'Before edit',
+        delete: 'Before delete',
+        restore: 'Before restore',
+        'restore-item': 'Before undelete',
+        purge: 'Before purge',
+        import: 'Before import',
+        'history-limit': 'Before history trim',
+        'schema-migration': 'Before upgrade'
+      };
+
+      const snapshotsHtml = response.snapshots.length > 0
+        ? response.snapshots.map(snapshot => `
+          <div class="credential-item" data-snapshot-id="${this.escapeHtml(snapshot.id)}">
+            <div class="credential-info">
+              <div class="credential-details">
+                <h4>${this.escapeHtml(new Date(snapshot.created).toLocaleString())}</h4>
+                <p>${this.escapeHtml(reasons[snapshot.reason] || snapshot.reason)}${snapshot.daily ? ' • daily' : ''} •
+                   ${snapshot.credentialCount === null ? 'unreadable' : snapshot.credentialCount + ' items'}</p>
+              </div>
+              <div class="credential-actions">
+                <button class="icon-btn snapshot-diff" title="Compare with current vault">🔍</button>
+                <button class="icon-btn snapshot-restore" title="Restore">⏪</button>
+              </div>
+            </div>
+          </div>
+        `).join('')
+        : '<div class="no-credentials">No snapshots yet. One is taken before the next save.</div>';
+
+      const modal = this.createModal('Vault Snapshots', `
+        <div style="color: #999; font-size: 12px; margin-bottom: 12px;">
+          Encrypted copies of your vault from before recent saves, at most one every 5 minutes
+          but always before an import, restore, purge or sync, plus one per day.
+        </div>
+        
+        ${snapshotsHtml}
+        
+        <div id="snapshotDiff"></div>
+        
+        <div class="modal-actions">
+          <button id="closeSnapshots" class="primary-btn">Close</button>
+        </div>
+      `);
+
+      const diffContainer = modal.querySelector('#snapshotDiff');
+
+      modal.querySelectorAll('.snapshot-diff').forEach(button => {
+        button.addEventListener('click', async (e) => {
+          const snapshotId = e.target.closest('[data-snapshot-id]').dataset.snapshotId;
+          try {
+            const diff = await chrome.runtime.sendMessage({ type: 'DIFF_VAULT_SNAPSHOT', snapshotId });
+            if (diff.error) {
+              this.showMessage(diff.error, 'error');
+              return;
+            }
+            diffContainer.innerHTML = this.renderSnapshotDiff(diff);
+          } catch (error) {
+            console.error('Snapshot diff failed:', error);
+            this.showMessage('Failed to compare snapshot', 'error');
+          }
+        });
+      });
+
+      modal.querySelectorAll('.snapshot-restore').forEach(button => {
+        button.addEventListener('click', async (e) => {
+          const snapshotId = e.target.closest('[data-snapshot-id]').dataset.snapshotId;
+          if (!confirm('Replace the current vault with this snapshot? The current vault is kept as a new snapshot.')) {
+            return;
+          }
+
+          try {
+            const result = await chrome.runtime.sendMessage({ type: 'RESTORE_VAULT_SNAPSHOT', snapshotId });
+            if (result.success) {
+              document.body.removeChild(modal);
+              await this.loadCredentials();
+              this.displayCredentials();
+              this.showMessage(`Vault restored (${result.credentialCount} items)`, 'success');
+              return;
+            }
+            this.showMessage(result.error, 'error');
+          } catch (error) {
+            console.error('Snapshot restore failed:', error);
+            this.showMessage('Failed to restore snapshot', 'error');
+          }
+        });
+      });
+
+      modal.querySelector('#closeSnapshots').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showSnapshots:', error);
+      this.showMessage('Failed to open snapshots', 'error');
+    }
+  }
+
+  renderSnapshotDiff(diff) {
+    const line = (symbol, color, cred, extra = '') => `
+      <div style="color: ${color}; font-size: 12px; margin-bottom: 4px;">
+        ${symbol} ${this.escapeHtml(cred.name || 'Untitled')}
+        <span style="color: #666;">${this.escapeHtml(cred.username || '')}${extra}</span>
+      </div>
+    `;
+
+    if (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0) {
+      return '<div class="message info">No differences from the current vault</div>';
+    }
+
+    return `
+      <div class="setting-group">
+        <label>Since this snapshot:</label>
+        ${diff.added.map(cred => line('+', '#10B981', cred)).join('')}
+        ${diff.removed.map(cred => line('−', '#EF4444', cred)).join('')}
+        ${diff.changed.map(cred => line('~', '#F59E0B', cred, ' • ' + this.escapeHtml(cred.fields.join(', ')))).join('')}
+      </div>
+    `;
+  }
+
+  async showKdfSettings() {
+    try {
+      const settings = await chrome.runtime.sendMessage({ type: 'GET_KDF_SETTINGS' });
+
+      if (!settings || !settings.argon2Available) {
+        this.showMessage('Argon2id is not available in this browser', 'error');
+        return;
+      }
+
+      const describe = (params) => params
+        ? `${params.time} passes, ${Math.round((params.mem || params.memory) / 1024)} MB, ${params.parallelism} lane(s)`
+        : 'unknown';
+
+      const modal = this.createModal('Key Derivation Strength', `
+        <div style="color: #999; font-size: 12px; margin-bottom: 12px;">
+          Vault uses: ${this.escapeHtml(describe(settings.vaultParams))}
+        </div>
+        
+        <div class="form-group">
+          <select id="kdfPreset">
+            <option value="browser">Browser (32 MB, fastest)</option>
+            <option value="balanced">Balanced (64 MB)</option>
+            <option value="desktop">Desktop (256 MB, strongest)</option>
+            <option value="calibrated">Calibrate for this device</option>
+          </select>
+        </div>
+        
+        <div class="form-group hidden" id="calibrationGroup">
+          <select id="kdfTarget">
+            <option value="500">Target unlock: 0.5 seconds</option>
+            <option value="1000" selected>Target unlock: 1 second</option>
+            <option value="2000">Target unlock: 2 seconds</option>
+          </select>
+          <button id="runCalibration" class="secondary-btn" style="width: 100%; margin-top: 8px;">Run Calibration</button>
+        </div>
+        
+        <div id="kdfSummary" style="color: #10B981; font-size: 12px; margin-bottom: 12px;"></div>
+        
+        <div class="form-group">
+          <input type="password" id="kdfMasterPassword" placeholder="Master password">
+        </div>
+        
+        <div class="modal-actions">
+          <button id="cancelKdf" class="secondary-btn">Cancel</button>
+          <button id="applyKdf" class="primary-btn">Apply</button>
+        </div>
+      `);
+
+      const presetSelect = modal.querySelector('#kdfPreset');
+      const calibrationGroup = modal.querySelector('#calibrationGroup');
+      const calibrateBtn = modal.querySelector('#runCalibration');
+      const summary = modal.querySelector('#kdfSummary');
+      const passwordInput = modal.querySelector('#kdfMasterPassword');
+      const applyBtn = modal.querySelector('#applyKdf');
+      let calibratedParams = null;
+
+      const refreshSummary = () => {
+        const preset = presetSelect.value;
+        calibrationGroup.classList.toggle('hidden', preset !== 'calibrated');
+
+        if (preset === 'calibrated') {
+          summary.textContent = calibratedParams
+            ? `Selected: ${describe(calibratedParams)}`
+            : 'Run calibration to measure this device';
+        } else {
+          summary.textContent = `Selected: ${describe(settings.presets[preset])}`;
+        }
+      };
+
+      presetSelect.value = settings.presets[settings.preset] ? settings.preset : 'calibrated';
+      if (!settings.presets[settings.preset]) {
+        calibratedParams = settings.params;
+      }
+      presetSelect.addEventListener('change', refreshSummary);
+      refreshSummary();
+
+      calibrateBtn.addEventListener('click', async () => {
+        calibrateBtn.disabled = true;
+        calibrateBtn.textContent = 'Calibrating...';
+
+        try {
+          const response = await chrome.runtime.sendMessage({
+            type: 'CALIBRATE_KDF',
+            targetMs: parseInt(modal.querySelector('#kdfTarget').value)
+          });
+
+          if (response.success) {
+            calibratedParams = response.params;
+            refreshSummary();
+            if (response.note) this.showMessage(response.note, 'info');
+          } else {
+            this.showMessage(response.error, 'error');
+          }
+        } catch (error) {
+          console.error('Calibration failed:', error);
+          this.showMessage('Calibration failed', 'error');
+        }
+
+        calibrateBtn.disabled = false;
+        calibrateBtn.textContent = 'Run Calibration';
+      });
+
+      applyBtn.addEventListener('click', async () => {
+        const preset = presetSelect.value;
+        if (preset === 'calibrated' && !calibratedParams) {
+          this.showMessage('Run calibration first', 'error');
+          return;
+        }
+        if (!passwordInput.value) {
+          this.showMessage('Enter your master password', 'error');
+          return;
+        }
+
+        applyBtn.disabled = true;
+        applyBtn.textContent = 'Applying...';
+
+        try {
+          const response = await chrome.runtime.sendMessage({
+            type: 'UPDATE_KDF_PARAMS',
+            masterPassword: passwordInput.value,
+            preset,
+            params: preset === 'calibrated' ? calibratedParams : null
+          });
+
+          if (response.success) {
+            document.body.removeChild(modal);
+            this.showMessage('Key derivation updated!', 'success');
+            return;
+          }
+          this.showMessage(response.error, 'error');
+        } catch (error) {
+          console.error('KDF update failed:', error);
+          this.showMessage('Failed to update key derivation', 'error');
+        }
+
+        applyBtn.disabled = false;
+        applyBtn.textContent = 'Apply';
+      });
+
+      modal.querySelector('#cancelKdf').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showKdfSettings:', error);
+      this.showMessage('Failed to open key derivation settings', 'error');
+    }
+  }
+
+  async showPasswordHistory(credId) {
+    const cred = this.findCredential(credId);
+    if (!cred) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_PASSWORD_HISTORY', credentialId: credId });
+      if (response.error) {
+        this.showMessage(response.error, 'error');
+        return;
+      }
+
+      const entriesHtml = response.history.length > 0
+        ? response.history.map((entry, index) => `
+          <div class="credential-item" data-history-index="${index}">
+            <div class="credential-info">
+              <div class="credential-details">
+                <h4 class="history-password" style="font-family: monospace;">••••••••</h4>
+                <p>Replaced ${this.escapeHtml(entry.changed ? new Date(entry.changed).toLocaleString() : 'at an unknown time')}</p>
+              </div>
+              <div class="credential-actions">
+                <button class="icon-btn history-show" title="Show">👁️</button>
+                <button class="icon-btn copy history-copy" title="Copy">📋</button>
+                <button class="icon-btn history-restore" title="Make current">⏪</button>
+              </div>
+            </div>
+          </div>
+        `).join('')
+        : '<div class="no-credentials">No previous passwords</div>';
+
+      const modal = this.createModal('Password History', `
+        <div style="color: #999; font-size: 12px; margin-bottom: 12px;">
+          ${this.escapeHtml(cred.name || cred.domain)} • keeping up to ${response.limit} previous passwords
+        </div>
+        
+        ${entriesHtml}
+        
+        <div class="modal-actions">
+          <button id="closeHistory" class="primary-btn">Close</button>
+        </div>
+      `);
+
+      const entryFor = (e) => {
+        const item = e.target.closest('[data-history-index]');
+        const index = parseInt(item.dataset.historyIndex);
+        return { item, index, entry: response.history[index] };
+      };
+
+      modal.querySelectorAll('.history-show').forEach(button => {
+        button.addEventListener('click', (e) => {
+          const { item, entry } = entryFor(e);
+          const label = item.querySelector('.history-password');
+          label.textContent = label.textContent === entry.password ? '••••••••' : entry.password;
+        });
+      });
+
+      modal.querySelectorAll('.history-copy').forEach(button => {
+        button.addEventListener('click', async (e) => {
+          try {
+            await navigator.clipboard.writeText(entryFor(e).entry.password);
+            this.showMessage('Password copied!', 'success');
+          } catch (error) {
+            console.error('Copy failed:', error);
+            this.showMessage('Failed to copy password', 'error');
+          }
+        });
+      });
+
+      modal.querySelectorAll('.history-restore').forEach(button => {
+        button.addEventListener('click', async (e) => {
+          if (!confirm('Make this the current password? The current one is kept in the history.')) return;
+
+          try {
+            const result = await chrome.runtime.sendMessage({
+              type: 'RESTORE_PASSWORD_FROM_HISTORY',
+              credentialId: credId,
+              index: entryFor(e).index
+            });
+            if (result.success) {
+              document.body.removeChild(modal);
+              await this.loadCredentials();
+              this.displayCredentials();
+              this.showMessage('Previous password restored!', 'success');
+              return;
+            }
+            this.showMessage(result.error, 'error');
+          } catch (error) {
+            console.error('Password restore failed:', error);
+            this.showMessage('Failed to restore password', 'error');
+          }
+        });
+      });
+
+      modal.querySelector('#closeHistory').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showPasswordHistory:', error);
+      this.showMessage('Failed to open password history', 'error');
+    }
+  }
+
+  async showOrganize(credId) {
+    const cred = this.findCredential(credId);
+    if (!cred) return;
+
+    try {
+      const labels = await chrome.runtime.sendMessage({ type: 'GET_FOLDERS_AND_TAGS', vaultId: this.activeVaultId });
+      await this.loadItemTypes();
+      const matchModes = this.matchModes || { domain: 'Base domain, including subdomains' };
+      const isLogin = this.isLogin(cred);
+      const modal = this.createModal(`Organise "${this.escapeHtml(cred.name || cred.domain)}"`, `
+        ${isLogin ? `
+          <div class="form-group">
+            <input type="text" id="organizeUrl" placeholder="Website URL, or a pattern for regular expressions"
+                   value="${this.escapeHtml(cred.url || cred.domain || '')}" spellcheck="false">
+          </div>
+          
+          <div class="form-group">
+            <select id="organizeMatch" title="Which pages this login is offered on">
+              ${Object.entries(matchModes).map(([mode, label]) => `
+                <option value="${mode}" ${mode === (cred.match || 'domain') ? 'selected' : ''}>🌐 ${this.escapeHtml(label)}</option>
+              `).join('')}
+            </select>
+          </div>
+        ` : ''}
+        
+        <div class="form-group">
+          <input type="text" id="organizeFolder" list="organizeFolders" placeholder="Folder, e.g. Work/Servers"
+                 value="${this.escapeHtml(cred.folder || '')}">
+          <datalist id="organizeFolders">
+            ${(labels.folders || []).map(entry => `<option value="${this.escapeHtml(entry.name)}">`).join('')}
+          </datalist>
+        </div>
+        
+        <div class="form-group">
+          <input type="text" id="organizeTags" placeholder="Tags, separated by commas"
+                 value="${this.escapeHtml((cred.tags || []).join(', '))}">
+        </div>
+        
+        <div class="setting-group">
+          <label><input type="checkbox" id="organizeFavorite" ${cred.favorite ? 'checked' : ''}> ⭐ Favourite (pinned to the top)</label>
+        </div>
+        
+        <div class="modal-actions">
+          <button id="cancelOrganize" class="secondary-btn">Cancel</button>
+          <button id="saveOrganize" class="primary-btn">Save</button>
+        </div>
+      `);
+
+      const saveBtn = modal.querySelector('#saveOrganize');
+      saveBtn.addEventListener('click', async () => {
+        saveBtn.disabled = true;
+        try {
+          const changes = {
+            id: cred.id,
+            folder: modal.querySelector('#organizeFolder').value,
+            tags: modal.querySelector('#organizeTags').value,
+            favorite: modal.querySelector('#organizeFavorite').checked
+          };
+          if (isLogin) {
+            const url = modal.querySelector('#organizeUrl').value.trim();
+            changes.match = modal.querySelector('#organizeMatch').value;
+            if (url !== (cred.url || cred.domain || '')) {
+              // Cleared so the background takes it from the new URL
+              changes.url = url;
+              changes.domain = '';
+            }
+          }
+          const response = await chrome.runtime.sendMessage({
+            type: 'UPDATE_CREDENTIAL',
+            credential: changes
+          });
+          if (!response.success) {
+            this.showMessage(response.error, 'error');
+            saveBtn.disabled = false;
+            return;
+          }
+
+          document.body.removeChild(modal);
+          await this.loadCredentials();
+          this.displayCredentials();
+          this.showMessage('Saved', 'success');
+        } catch (error) {
+          console.error('Organise failed:', error);
+          this.showMessage('Save failed: ' + error.message, 'error');
+          saveBtn.disabled = false;
+        }
+      });
+
+      modal.querySelector('#cancelOrganize').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showOrganize:', error);
+      this.showMessage('Failed to open item', 'error');
+    }
+  }
+
+  async showAttachments(credId) {
+    const cred = this.findCredential(credId);
+    if (!cred) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_ATTACHMENTS', credentialId: credId });
+      if (response.error) {
+        this.showMessage(response.error, 'error');
+        return;
+      }
+
+      const { attachments, usage, limits } = response;
+      const modal = this.createModal(`📎 Attachments for "${this.escapeHtml(cred.name || cred.domain)}"`, `
+        ${attachments.length === 0 ? '<p class="no-credentials">No attachments yet</p>' : attachments.map(attachment => `
+          <div class="setting-group" style="display: flex; justify-content: space-between; align-items: center; gap: 8px;">
+            <div style="min-width: 0;">
+              <div style="word-break: break-all;">${this.escapeHtml(attachment.name)}</div>
+              <div style="color: #999; font-size: 12px;">
+                ${this.formatBytes(attachment.size)} • ${this.escapeHtml(new Date(attachment.added).toLocaleDateString())}
+                ${attachment.available ? '' : ' • ⚠️ Only on the device that added it'}
+              </div>
+            </div>
+            <div class="credential-actions">
+              ${attachment.available ? `<button class="icon-btn download-attachment" data-id="${attachment.id}" title="Download">⬇️</button>` : ''}
+              <button class="icon-btn delete remove-attachment" data-id="${attachment.id}" title="Remove">🗑️</button>
+            </div>
+          </div>
+        `).join('')}
+        
+        <div class="form-group">
+          <input type="file" id="attachmentFile">
+        </div>
+        <div style="color: #999; font-size: 12px; margin-bottom: 12px;">
+          Files are encrypted before they are stored and stay on this device; sync and share bundles carry only their names.
+          Up to ${this.formatBytes(limits.maxFileBytes)} per file and ${limits.maxPerItem} files per item.
+          ${this.formatBytes(usage)} of ${this.formatBytes(limits.maxVaultBytes)} used in this vault.
+        </div>
+        
+        <div class="modal-actions">
+          <button id="closeAttachments" class="secondary-btn">Close</button>
+          <button id="addAttachment" class="primary-btn">Attach</button>
+        </div>
+      `);
+
+      const reopen = async () => {
+        document.body.removeChild(modal);
+        await this.loadCredentials();
+        this.displayCredentials();
+        this.showAttachments(credId);
+      };
+
+      modal.querySelectorAll('.download-attachment').forEach(button => {
+        button.addEventListener('click', async () => {
+          button.disabled = true;
+          try {
+            const file = await chrome.runtime.sendMessage({
+              type: 'DOWNLOAD_ATTACHMENT', credentialId: credId, attachmentId: button.dataset.id
+            });
+            if (!file.success) {
+              this.showMessage(file.error, 'error');
+              return;
+            }
+            const binary = atob(file.data);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+              bytes[i] = binary.charCodeAt(i);
+            }
+            this.downloadFile(bytes, file.name, file.type || 'application/octet-stream');
+          } catch (error) {
+            console.error('Attachment download failed:', error);
+            this.showMessage('Download failed: ' + error.message, 'error');
+          } finally {
+            button.disabled = false;
+          }
+        });
+      });
+
+      modal.querySelectorAll('.remove-attachment').forEach(button => {
+        button.addEventListener('click', async () => {
+          const attachment = attachments.find(entry => entry.id === button.dataset.id);
+          if (!confirm(`Remove "${attachment.name}"?`)) return;
+
+          const result = await chrome.runtime.sendMessage({
+            type: 'REMOVE_ATTACHMENT', credentialId: credId, attachmentId: attachment.id
+          });
+          if (!result.success) {
+            this.showMessage(result.error, 'error');
+            return;
+          }
+          this.showMessage('Attachment removed', 'success');
+          await reopen();
+        });
+      });
+
+      const addBtn = modal.querySelector('#addAttachment');
+      addBtn.addEventListener('click', async () => {
+        const file = modal.querySelector('#attachmentFile').files[0];
+        if (!file) {
+          this.showMessage('Choose a file to attach', 'error');
+          return;
+        }
+        if (file.size > limits.maxFileBytes) {
+          this.showMessage(`Files can be at most ${this.formatBytes(limits.maxFileBytes)}`, 'error');
+          return;
+        }
+
+        addBtn.disabled = true;
+        addBtn.textContent = 'Encrypting...';
+        try {
+          // Messages are JSON, so the bytes travel as base64
+          const bytes = new Uint8Array(await file.arrayBuffer());
+          let binary = '';
+          for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+          }
+          const result = await chrome.runtime.sendMessage({
+            type: 'ADD_ATTACHMENT',
+            credentialId: credId,
+            name: file.name,
+            mimeType: file.type,
+            data: btoa(binary)
+          });
+          if (!result.success) {
+            this.showMessage(result.error, 'error');
+            return;
+          }
+          this.showMessage(`Attached ${file.name}`, 'success');
+          await reopen();
+        } catch (error) {
+          console.error('Attach failed:', error);
+          this.showMessage('Attach failed: ' + error.message, 'error');
+        } finally {
+          addBtn.disabled = false;
+          addBtn.textContent = 'Attach';
+        }
+      });
+
+      modal.querySelector('#closeAttachments').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showAttachments:', error);
+      this.showMessage('Failed to open attachments', 'error');
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} bytes`;
+  }
+
+  showRenameFolder(folder) {
+    if (!folder) return;
+
+    try {
+      const modal = this.createModal('Rename Folder', `
+        <div style="color: #999; font-size: 12px; margin-bottom: 12px;">
+          Renames "${this.escapeHtml(folder)}" and its subfolders. Use / to move it under another folder, or leave it empty to take the items out of any folder.
+        </div>
+        
+        <div class="form-group">
+          <input type="text" id="renameFolderName" value="${this.escapeHtml(folder)}">
+        </div>
+        
+        <div class="modal-actions">
+          <button id="cancelRenameFolder" class="secondary-btn">Cancel</button>
+          <button id="confirmRenameFolder" class="primary-btn">Rename</button>
+        </div>
+      `);
+
+      const confirmBtn = modal.querySelector('#confirmRenameFolder');
+      confirmBtn.addEventListener('click', async () => {
+        confirmBtn.disabled = true;
+        try {
+          const newName = modal.querySelector('#renameFolderName').value;
+          const response = await chrome.runtime.sendMessage({ type: 'RENAME_FOLDER', folder, newName });
+          if (!response.success) {
+            this.showMessage(response.error, 'error');
+            confirmBtn.disabled = false;
+            return;
+          }
+
+          document.body.removeChild(modal);
+          this.credentialFilters.folder = newName.split('/').map(part => part.trim()).filter(Boolean).join('/') || null;
+          await this.loadCredentials();
+          this.displayCredentials();
+          this.showMessage(`Moved ${response.moved} items`, 'success');
+        } catch (error) {
+          console.error('Rename folder failed:', error);
+          this.showMessage('Rename failed: ' + error.message, 'error');
+          confirmBtn.disabled = false;
+        }
+      });
+
+      modal.querySelector('#cancelRenameFolder').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showRenameFolder:', error);
+      this.showMessage('Failed to rename folder', 'error');
+    }
+  }
+
+  async deleteCredential(credId) {
+    const cred = this.findCredential(credId);
+    if (!cred) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'DELETE_CREDENTIAL', credentialId: credId });
+      if (!response.success) {
+        this.showMessage(response.error, 'error');
+        return;
+      }
+
+      await this.loadCredentials();
+      this.displayCredentials();
+      this.showUndoToast(`Moved "${cred.name || cred.domain}" to trash`, async () => {
+        const result = await chrome.runtime.sendMessage({ type: 'RESTORE_CREDENTIAL', credentialId: credId });
+        if (!result.success) {
+          this.showMessage(result.error, 'error');
+          return;
+        }
+        await this.loadCredentials();
+        this.displayCredentials();
+        this.showMessage('Credential restored!', 'success');
+      });
+    } catch (error) {
+      console.error('Delete failed:', error);
+      this.showMessage('Failed to delete credential', 'error');
+    }
+  }
+
+  showUndoToast(message, onUndo) {
+    const toast = document.createElement('div');
+    toast.className = 'message info';
+    toast.style.display = 'flex';
+    toast.style.justifyContent = 'space-between';
+    toast.style.alignItems = 'center';
+    toast.innerHTML = `
+      <span></span>
+      <button class="secondary-btn" style="width: auto; margin: 0 0 0 8px; padding: 4px 12px;">Undo</button>
+    `;
+    toast.querySelector('span').textContent = message;
+
+    const dismiss = () => {
+      if (toast.parentNode) {
+        toast.parentNode.removeChild(toast);
+      }
+    };
+
+    toast.querySelector('button').addEventListener('click', async () => {
+      dismiss();
+      try {
+        await onUndo();
+      } catch (error) {
+        console.error('Undo failed:', error);
+        this.showMessage('Undo failed', 'error');
+      }
+    });
+
+    const container = document.querySelector('.content');
+    if (container) {
+      container.appendChild(toast);
+      setTimeout(dismiss, 8000);
+    }
+  }
+
+  async showTrash() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_TRASH' });
+      if (response.error) {
+        this.showMessage(response.error, 'error');
+        return;
+      }
+
+      const daysLeft = (expires) => Math.max(0, Math.ceil((expires - Date.now()) / (24 * 60 * 60 * 1000)));
+      const itemsHtml = response.items.length > 0
+        ? response.items.map(item => `
+          <div class="credential-item" data-trash-id="${this.escapeHtml(item.id)}">
+            <div class="credential-info">
+              <div class="credential-details">
+                <h4>${this.escapeHtml(item.name || item.domain)}</h4>
+                <p>${this.escapeHtml(item.username || 'No username')} • deleted ${this.escapeHtml(new Date(item.deleted).toLocaleDateString())} • ${daysLeft(item.expires)}d left</p>
+              </div>
+              <div class="credential-actions">
+                <button class="icon-btn trash-restore" title="Restore">♻️</button>
+                <button class="icon-btn trash-purge" title="Delete forever">✖️</button>
+              </div>
+            </div>
+          </div>
+        `).join('')
+        : '<div class="no-credentials">Trash is empty</div>';
+
+      const modal = this.createModal('Trash', `
+        <div class="setting-group">
+          <label>Keep deleted items for:</label>
+          <select id="trashRetentionSelect">
+            <option value="7">7 days</option>
+            <option value="30">30 days</option>
+            <option value="90">90 days</option>
+          </select>
+        </div>
+        
+        ${itemsHtml}
+        
+        <div class="modal-actions">
+          <button id="emptyTrash" class="secondary-btn" ${response.items.length === 0 ? 'disabled' : ''}>Empty Trash</button>
+          <button id="closeTrash" class="primary-btn">Close</button>
+        </div>
+      `);
+
+      const reopen = () => {
+        document.body.removeChild(modal);
+        this.showTrash();
+      };
+
+      const retentionSelect = modal.querySelector('#trashRetentionSelect');
+      retentionSelect.value = response.retentionDays;
+      retentionSelect.addEventListener('change', async (e) => {
+        try {
+          const result = await chrome.runtime.sendMessage({ type: 'UPDATE_TRASH_RETENTION', days: parseInt(e.target.value) });
+          if (!result.success) {
+            this.showMessage(result.error, 'error');
+            return;
+          }
+          reopen();
+        } catch (error) {
+          console.error('Trash retention save error:', error);
+          this.showMessage('Failed to save settings', 'error');
+        }
+      });
+
+      modal.querySelectorAll('.trash-restore').forEach(button => {
+        button.addEventListener('click', async (e) => {
+          const credentialId = e.target.closest('[data-trash-id]').dataset.trashId;
+          try {
+            const result = await chrome.runtime.sendMessage({ type: 'RESTORE_CREDENTIAL', credentialId });
+            if (!result.success) {
+              this.showMessage(result.error, 'error');
+              return;
+            }
+            await this.loadCredentials();
+            this.displayCredentials();
+            reopen();
+          } catch (error) {
+            console.error('Restore failed:', error);
+            this.showMessage('Failed to restore credential', 'error');
+          }
+        });
+      });
+
+      modal.querySelectorAll('.trash-purge').forEach(button => {
+        button.addEventListener('click', async (e) => {
+          const credentialId = e.target.closest('[data-trash-id]').dataset.trashId;
+          if (!confirm('Delete this item forever? This cannot be undone.')) return;
+
+          try {
+            const result = await chrome.runtime.sendMessage({ type: 'PURGE_CREDENTIAL', credentialId });
+            if (!result.success) {
+              this.showMessage(result.error, 'error');
+              return;
+            }
+            reopen();
+          } catch (error) {
+            console.error('Purge failed:', error);
+            this.showMessage('Failed to delete credential', 'error');
+          }
+        });
+      });
+
+      modal.querySelector('#emptyTrash').addEventListener('click', async () => {
+        if (!confirm(`Delete all ${response.items.length} items in the trash forever?`)) return;
+
+        try {
+          const result = await chrome.runtime.sendMessage({ type: 'EMPTY_TRASH' });
+          if (!result.success) {
+            this.showMessage(result.error, 'error');
+            return;
+          }
+          reopen();
+        } catch (error) {
+          console.error('Empty trash failed:', error);
+          this.showMessage('Failed to empty trash', 'error');
+        }
+      });
+
+      modal.querySelector('#closeTrash').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showTrash:', error);
+      this.showMessage('Failed to open trash', 'error');
+    }
+  }
+
+  showExport() {
+    try {
+      const modal = this.createModal('Export Vault', `
+        <div class="form-group">
+          <input type="password" id="exportMasterPassword" placeholder="Master password">
+        </div>
+        
+        <div class="setting-group" style="font-size: 12px;">
+          <label><input type="checkbox" id="exportEncrypt" checked> Encrypt with an export password</label>
+        </div>
+        
+        <div id="exportPasswordGroup">
+          <div class="form-group">
+            <input type="password" id="exportPassword" placeholder="Export password">
+          </div>
+          <div class="form-group">
+            <input type="password" id="exportPasswordConfirm" placeholder="Confirm export password">
+          </div>
+        </div>
+        
+        <div id="exportWarning" class="message error hidden">
+          The file will contain every password in plain text.
+        </div>
+        
+        <div class="modal-actions">
+          <button id="cancelExport" class="secondary-btn">Cancel</button>
+          <button id="confirmExport" class="primary-btn">Export</button>
+        </div>
+      `);
+
+      const encryptCheckbox = modal.querySelector('#exportEncrypt');
+      const passwordGroup = modal.querySelector('#exportPasswordGroup');
+      const warning = modal.querySelector('#exportWarning');
+      const exportBtn = modal.querySelector('#confirmExport');
+
+      encryptCheckbox.addEventListener('change', () => {
+        passwordGroup.classList.toggle('hidden', !encryptCheckbox.checked);
+        warning.classList.toggle('hidden', encryptCheckbox.checked);
+      });
+
+      exportBtn.addEventListener('click', async () => {
+        const masterPassword = modal.querySelector('#exportMasterPassword').value;
+        const exportPassword = modal.querySelector('#exportPassword').value;
+        const confirmPassword = modal.querySelector('#exportPasswordConfirm').value;
+
+        if (!masterPassword) {
+          this.showMessage('Enter your master password', 'error');
+          return;
+        }
+        if (encryptCheckbox.checked && exportPassword !== confirmPassword) {
+          this.showMessage('Export passwords do not match', 'error');
+          return;
+        }
+
+        exportBtn.disabled = true;
+        exportBtn.textContent = 'Exporting...';
+
+        try {
+          const response = await chrome.runtime.sendMessage({
+            type: 'EXPORT_VAULT',
+            masterPassword,
+            exportPassword: encryptCheckbox.checked ? exportPassword : null
+          });
+
+          if (response.success) {
+            this.downloadFile(response.data, response.filename, 'application/json');
+            document.body.removeChild(modal);
+            this.showMessage(`Exported ${response.count} items`, 'success');
+            return;
+          }
+          this.showMessage(response.error, 'error');
+        } catch (error) {
+          console.error('Export failed:', error);
+          this.showMessage('Export failed: ' + error.message, 'error');
+        }
+
+        exportBtn.disabled = false;
+        exportBtn.textContent = 'Export';
+      });
+
+      modal.querySelector('#cancelExport').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showExport:', error);
+      this.showMessage('Failed to open export', 'error');
+    }
+  }
+
+  showImport() {
+    try {
+      const modal = this.createModal('Import', `
+        <div class="form-group">
+          <input type="file" id="importFile" accept=".json,.csv,.xml,application/json,text/csv,text/xml">
+        </div>
+        
+        <div class="form-group">
+          <select id="importFormat">
+            <option value="auto">Detect format</option>
+            <option value="lockdown">Lockdown export</option>
+            <option value="chrome">Chrome / Edge CSV</option>
+            <option value="firefox">Firefox CSV</option>
+            <option value="bitwarden-json">Bitwarden JSON</option>
+            <option value="bitwarden-csv">Bitwarden CSV</option>
+            <option value="1password-csv">1Password CSV</option>
+            <option value="lastpass">LastPass CSV</option>
+            <option value="keepass">KeePass XML</option>
+          </select>
+        </div>
+        
+        <div class="form-group hidden" id="importPasswordGroup">
+          <input type="password" id="importPassword" placeholder="Export password">
+        </div>
+        
+        <div id="importPreview"></div>
+        
+        <div class="form-group hidden" id="importConflictGroup">
+          <select id="importConflicts">
+            <option value="skip">Keep my existing passwords</option>
+            <option value="overwrite">Use the imported passwords</option>
+            <option value="keep-both">Keep both as separate items</option>
+            <option value="merge" id="importMergeOption" disabled>Merge by item history (Lockdown exports)</option>
+          </select>
+        </div>
+        
+        <div class="modal-actions">
+          <button id="cancelImport" class="secondary-btn">Cancel</button>
+          <button id="previewImport" class="primary-btn">Preview</button>
+          <button id="confirmImport" class="primary-btn hidden">Import</button>
+        </div>
+      `);
+
+      const fileInput = modal.querySelector('#importFile');
+      const passwordGroup = modal.querySelector('#importPasswordGroup');
+      const preview = modal.querySelector('#importPreview');
+      const conflictGroup = modal.querySelector('#importConflictGroup');
+      const previewBtn = modal.querySelector('#previewImport');
+      const importBtn = modal.querySelector('#confirmImport');
+      let importId = null;
+
+      const resetPreview = () => {
+        importId = null;
+        preview.innerHTML = '';
+        conflictGroup.classList.add('hidden');
+        importBtn.classList.add('hidden');
+        previewBtn.classList.remove('hidden');
+      };
+      fileInput.addEventListener('change', resetPreview);
+      modal.querySelector('#importFormat').addEventListener('change', resetPreview);
+
+      previewBtn.addEventListener('click', async () => {
+        const file = fileInput.files[0];
+        if (!file) {
+          this.showMessage('Choose an export file', 'error');
+          return;
+        }
+
+        previewBtn.disabled = true;
+        previewBtn.textContent = 'Reading...';
+
+        try {
+          const response = await chrome.runtime.sendMessage({
+            type: 'PREVIEW_IMPORT',
+            fileContent: await file.text(),
+            password: modal.querySelector('#importPassword').value || null,
+            format: modal.querySelector('#importFormat').value
+          });
+
+          if (response.success) {
+            importId = response.importId;
+            preview.innerHTML = this.renderImportPreview(response);
+            // Lockdown exports carry item revisions, so they can be merged
+            // like a synced copy from another device
+            const mergeable = !!response.source && response.source.format === 'lockdown';
+            modal.querySelector('#importMergeOption').disabled = !mergeable;
+            if (!mergeable && modal.querySelector('#importConflicts').value === 'merge') {
+              modal.querySelector('#importConflicts').value = 'skip';
+            }
+            conflictGroup.classList.toggle('hidden', response.counts.conflict === 0 && !mergeable);
+            previewBtn.classList.add('hidden');
+            importBtn.classList.remove('hidden');
+            importBtn.disabled = response.counts.new === 0 && response.counts.conflict === 0 && !mergeable;
+          } else {
+            if (response.needsPassword) {
+              passwordGroup.classList.remove('hidden');
+            }
+            this.showMessage(response.error, 'error');
+          }
+        } catch (error) {
+          console.error('Import preview failed:', error);
+          this.showMessage('Import failed: ' + error.message, 'error');
+        }
+
+        previewBtn.disabled = false;
+        previewBtn.textContent = 'Preview';
+      });
+
+      importBtn.addEventListener('click', async () => {
+        importBtn.disabled = true;
+        importBtn.textContent = 'Importing...';
+
+        try {
+          const response = await chrome.runtime.sendMessage({
+            type: 'APPLY_IMPORT',
+            importId,
+            conflicts: modal.querySelector('#importConflicts').value
+          });
+
+          if (response.success) {
+            document.body.removeChild(modal);
+            await this.loadCredentials();
+            this.displayCredentials();
+            this.showMessage(response.merged === undefined
+              ? `Imported ${response.added} new, updated ${response.overwritten}, skipped ${response.skipped}`
+              : `Merged ${response.merged} items${response.conflicts ? `, ${response.conflicts} need your decision` : ''}`, 'success');
+            return;
+          }
+          this.showMessage(response.error, 'error');
+        } catch (error) {
+          console.error('Import failed:', error);
+          this.showMessage('Import failed: ' + error.message, 'error');
+        }
+
+        importBtn.disabled = false;
+        importBtn.textContent = 'Import';
+      });
+
+      modal.querySelector('#cancelImport').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showImport:', error);
+      this.showMessage('Failed to open import', 'error');
+    }
+  }
+
+  renderImportPreview(preview) {
+    const labels = {
+      new: ['+', '#10B981'],
+      duplicate: ['=', '#666'],
+      conflict: ['~', '#F59E0B']
+    };
+
+    // Only foreign formats carry a field mapping and skipped-row report
+    const mapping = preview.mapping ? `
+      <details style="font-size: 12px; margin-bottom: 8px;">
+        <summary style="color: #999; cursor: pointer;">Field mapping</summary>
+        ${preview.mapping.map(field => `
+          <div style="color: ${field.target ? '#ccc' : '#666'}; margin-top: 4px;">
+            ${this.escapeHtml(field.source)} → ${field.target ? this.escapeHtml(field.target) : 'not imported'}
+          </div>
+        `).join('')}
+      </details>
+    ` : '';
+
+    const skipped = preview.skipped && preview.skipped.length > 0 ? `
+      <details style="font-size: 12px; margin-bottom: 8px;">
+        <summary style="color: #F59E0B; cursor: pointer;">${preview.skipped.length} row${preview.skipped.length === 1 ? '' : 's'} skipped</summary>
+        ${preview.skipped.map(row => `
+          <div style="color: #999; margin-top: 4px;">Row ${row.row}: ${this.escapeHtml(row.reason)}</div>
+        `).join('')}
+      </details>
+    ` : '';
+
+    return `
+      <div style="color: #ccc; font-size: 12px; margin-bottom: 8px;">
+        ${this.escapeHtml(preview.source ? preview.source.label : 'Import')}
+      </div>
+      ${mapping}
+      ${skipped}
+      <div style="color: #999; font-size: 12px; margin-bottom: 8px;">
+        ${preview.counts.new} new • ${preview.counts.conflict} with a different password • ${preview.counts.duplicate} already in vault
+      </div>
+      <div style="max-height: 160px; overflow-y: auto; margin-bottom: 12px;">
+        ${preview.entries.map(entry => `
+          <div style="color: ${labels[entry.status][1]}; font-size: 12px; margin-bottom: 4px;">
+            ${labels[entry.status][0]} ${this.escapeHtml(entry.name || entry.domain || 'Untitled')}
+            <span style="color: #666;">${this.escapeHtml(entry.username || '')}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // Sites that share one sign-in: bundled groups can be switched off, and
+  // the user's own groups are written one per line
+  async showEquivalentDomains() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_EQUIVALENT_DOMAINS' });
+      if (response.error) {
+        this.showMessage(response.error, 'error');
+        return;
+      }
+
+      const modal = this.createModal('🔗 Equivalent Domains', `
+        <div style="color: #999; font-size: 12px; margin-bottom: 12px;">
+          Logins saved on one domain of a group are offered on all of them. Items set to match an exact host or URL are not affected.
+        </div>
+        
+        <div class="setting-group" style="max-height: 200px; overflow-y: auto;">
+          ${response.builtIn.map(group => `
+            <label title="${this.escapeHtml(group.domains.join(', '))}">
+              <input type="checkbox" class="equivalent-group" value="${this.escapeHtml(group.id)}" ${group.enabled ? 'checked' : ''}>
+              ${this.escapeHtml(group.name)}
+              <span style="color: #666; font-size: 11px;">${this.escapeHtml(group.domains.slice(0, 3).join(', '))}${group.domains.length > 3 ? ` +${group.domains.length - 3}` : ''}</span>
+            </label>
+          `).join('')}
+        </div>
+        
+        <div class="form-group">
+          <label>Your groups, one per line:</label>
+          <textarea id="customEquivalents" rows="4" spellcheck="false"
+                    placeholder="example.com, example.co.uk, example-login.com">${this.escapeHtml(response.custom.map(group => group.join(', ')).join('\n'))}</textarea>
+        </div>
+        
+        <div class="modal-actions">
+          <button id="cancelEquivalents" class="secondary-btn">Cancel</button>
+          <button id="saveEquivalents" class="primary-btn">Save</button>
+        </div>
+      `);
+
+      const saveBtn = modal.querySelector('#saveEquivalents');
+      saveBtn.addEventListener('click', async () => {
+        const excluded = Array.from(modal.querySelectorAll('.equivalent-group'))
+          .filter(checkbox => !checkbox.checked)
+          .map(checkbox => checkbox.value);
+        const custom = modal.querySelector('#customEquivalents').value
+          .split('\n')
+          .map(line => line.split(/[\s,]+/).filter(Boolean))
+          .filter(group => group.length > 0);
+
+        saveBtn.disabled = true;
+        try {
+          const result = await chrome.runtime.sendMessage({ type: 'UPDATE_EQUIVALENT_DOMAINS', excluded, custom });
+          if (!result.success) {
+            this.showMessage(result.error, 'error');
+            saveBtn.disabled = false;
+            return;
+          }
+
+          document.body.removeChild(modal);
+          await this.loadCredentials();
+          this.displayCredentials();
+          this.showMessage('Equivalent domains saved', 'success');
+        } catch (error) {
+          console.error('Saving equivalent domains failed:', error);
+          this.showMessage('Save failed: ' + error.message, 'error');
+          saveBtn.disabled = false;
+        }
+      });
+
+      modal.querySelector('#cancelEquivalents').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showEquivalentDomains:', error);
+      this.showMessage('Failed to open equivalent domains', 'error');
+    }
+  }
+
+  async showCollections() {
+    try {
+      const sharing = await chrome.runtime.sendMessage({ type: 'GET_SHARING' });
+      if (sharing.error) {
+        this.showMessage(sharing.error, 'error');
+        return;
+      }
+
+      // Collections are shared by swapping files, so a sharing identity has
+      // to exist before anything else
+      const identity = sharing.identity ? `
+        <div class="setting-group">
+          <label>Your identity: ${this.escapeHtml(sharing.identity.name)}</label>
+          <div style="color: #999; font-size: 11px; font-family: monospace; margin-bottom: 8px;">
+            ${this.escapeHtml(sharing.identity.fingerprint)}
+          </div>
+          <button id="downloadCardBtn" class="secondary-btn">📇 Download Identity Card</button>
+        </div>
+      ` : `
+        <div class="message info">
+          Create a sharing identity, then send its identity card to the teammates who will share with you.
+        </div>
+        <div class="form-group">
+          <input type="text" id="identityName" placeholder="Name teammates know you by" maxlength="80">
+        </div>
+        <button id="createIdentityBtn" class="primary-btn">Create Sharing Identity</button>
+      `;
+
+      const modal = this.createModal('Shared Collections', `
+        ${identity}
+        
+        ${sharing.identity ? `
+          <div style="margin-bottom: 12px;">
+            ${sharing.collections.length === 0 ? '<div class="no-credentials">No shared collections yet</div>' : sharing.collections.map(collection => `
+              <div class="credential-item" data-collection-id="${this.escapeHtml(collection.id)}" style="cursor: pointer;">
+                <div class="credential-details">
+                  <h4>${this.escapeHtml(collection.name)}</h4>
+                  <p>${collection.items.length} item${collection.items.length === 1 ? '' : 's'} • ${collection.members.length} member${collection.members.length === 1 ? '' : 's'} • ${collection.isOwner ? 'owned by you' : 'from ' + this.escapeHtml(collection.ownerName)}</p>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+          
+          <div class="form-group" style="display: flex; gap: 8px;">
+            <input type="text" id="collectionName" placeholder="New collection name" maxlength="80">
+            <button id="createCollectionBtn" class="icon-btn" title="Create">➕</button>
+          </div>
+          
+          <div class="form-group">
+            <label style="font-size: 12px; color: #999;">Import a share bundle:</label>
+            <input type="file" id="bundleFile" accept=".json,application/json">
+          </div>
+        ` : ''}
+        
+        <div class="modal-actions">
+          <button id="closeCollections" class="secondary-btn">Close</button>
+        </div>
+      `);
+
+      const reopen = () => {
+        document.body.removeChild(modal);
+        this.showCollections();
+      };
+
+      const createIdentityBtn = modal.querySelector('#createIdentityBtn');
+      if (createIdentityBtn) {
+        createIdentityBtn.addEventListener('click', async () => {
+          createIdentityBtn.disabled = true;
+          const response = await chrome.runtime.sendMessage({
+            type: 'CREATE_SHARING_IDENTITY',
+            name: modal.querySelector('#identityName').value
+          });
+          if (response.success) {
+            this.showMessage('Sharing identity created', 'success');
+            reopen();
+            return;
+          }
+          createIdentityBtn.disabled = false;
+          this.showMessage(response.error, 'error');
+        });
+      }
+
+      const downloadCardBtn = modal.querySelector('#downloadCardBtn');
+      if (downloadCardBtn) {
+        downloadCardBtn.addEventListener('click', async () => {
+          const response = await chrome.runtime.sendMessage({ type: 'EXPORT_IDENTITY_CARD' });
+          if (response.success) {
+            this.downloadFile(response.data, response.filename, 'application/json');
+            return;
+          }
+          this.showMessage(response.error, 'error');
+        });
+      }
+
+      const createCollectionBtn = modal.querySelector('#createCollectionBtn');
+      if (createCollectionBtn) {
+        createCollectionBtn.addEventListener('click', async () => {
+          const response = await chrome.runtime.sendMessage({
+            type: 'CREATE_COLLECTION',
+            name: modal.querySelector('#collectionName').value
+          });
+          if (response.success) {
+            document.body.removeChild(modal);
+            this.showCollection(response.collectionId);
+            return;
+          }
+          this.showMessage(response.error, 'error');
+        });
+      }
+
+      const bundleFile = modal.querySelector('#bundleFile');
+      if (bundleFile) {
+        bundleFile.addEventListener('change', async () => {
+          const file = bundleFile.files[0];
+          if (!file) return;
+
+          const response = await chrome.runtime.sendMessage({
+            type: 'IMPORT_SHARE_BUNDLE',
+            fileContent: await file.text()
+          });
+          if (response.success) {
+            this.showMessage(`${response.created ? 'Joined' : 'Updated'} "${response.name}" from ${response.from} (${response.itemCount} items)`, 'success');
+            await this.loadCredentials();
+            reopen();
+            return;
+          }
+          bundleFile.value = '';
+          this.showMessage(response.error, 'error');
+        });
+      }
+
+      modal.querySelectorAll('[data-collection-id]').forEach(row => {
+        row.addEventListener('click', () => {
+          document.body.removeChild(modal);
+          this.showCollection(row.dataset.collectionId);
+        });
+      });
+
+      modal.querySelector('#closeCollections').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showCollections:', error);
+      this.showMessage('Failed to open shared collections', 'error');
+    }
+  }
+
+  async showCollection(collectionId) {
+    try {
+      const sharing = await chrome.runtime.sendMessage({ type: 'GET_SHARING' });
+      const collection = sharing.collections && sharing.collections.find(entry => entry.id === collectionId);
+      if (!collection) {
+        this.showMessage(sharing.error || 'Collection not found', 'error');
+        return;
+      }
+
+      const all = await chrome.runtime.sendMessage({ type: 'GET_ALL_CREDENTIALS', vaultId: this.activeVaultId });
+      const personal = (all.credentials || []).filter(cred => !cred.collectionId);
+
+      const modal = this.createModal(this.escapeHtml(collection.name), `
+        <div style="color: #666; font-size: 11px; margin-bottom: 12px;">
+          Revision ${collection.revision} • ${collection.isOwner ? 'owned by you' : 'owned by ' + this.escapeHtml(collection.ownerName)}
+        </div>
+        
+        <div class="setting-group">
+          <label>Members:</label>
+          ${collection.members.map(member => `
+            <div class="credential-info" data-member="${this.escapeHtml(member.fingerprint)}" style="margin-bottom: 6px;">
+              <div class="credential-details">
+                <h4>${this.escapeHtml(member.name)}${member.isSelf ? ' (you)' : ''}</h4>
+                <p style="font-family: monospace; font-size: 10px;">${this.escapeHtml(member.display)}</p>
+              </div>
+              ${collection.isOwner && !member.isSelf ? '<button class="icon-btn delete remove-member" title="Revoke">🚫</button>' : ''}
+            </div>
+          `).join('')}
+          ${collection.isOwner ? `
+            <label style="font-size: 12px; color: #999; margin-top: 8px;">Add a member from their identity card:</label>
+            <input type="file" id="memberCard" accept=".json,application/json">
+          ` : ''}
+        </div>
+        
+        <div class="setting-group">
+          <label>Items:</label>
+          ${collection.items.length === 0 ? '<div class="no-credentials">No items shared yet</div>' : collection.items.map(item => `
+            <div class="credential-info" data-item="${this.escapeHtml(item.id)}" style="margin-bottom: 6px;">
+              <div class="credential-details">
+                <h4>${this.escapeHtml(item.name || item.domain)}</h4>
+                <p>${this.escapeHtml(item.username || '')}</p>
+              </div>
+              <button class="icon-btn move-out" title="Move back to my vault">↩️</button>
+            </div>
+          `).join('')}
+          ${personal.length > 0 ? `
+            <div class="form-group" style="display: flex; gap: 8px; margin-top: 8px;">
+              <select id="moveItemSelect">
+                ${personal.map(cred => `<option value="${this.escapeHtml(cred.id)}">${this.escapeHtml(cred.name || cred.domain)} (${this.escapeHtml(cred.username || '')})</option>`).join('')}
+              </select>
+              <button id="moveInBtn" class="icon-btn" title="Share this item">➕</button>
+            </div>
+          ` : ''}
+        </div>
+        
+        <div class="message info" style="font-size: 12px;">
+          Changes reach teammates only when you send them a new share bundle.
+        </div>
+        
+        <button id="exportBundleBtn" class="primary-btn">📤 Export Share Bundle</button>
+        ${collection.isOwner ? '<button id="rotateKeyBtn" class="secondary-btn">🔑 Re-key Collection</button>' : ''}
+        <button id="leaveCollectionBtn" class="secondary-btn">${collection.isOwner ? '🗑️ Delete Collection' : '🚪 Leave Collection'}</button>
+        
+        <div class="modal-actions">
+          <button id="backToCollections" class="secondary-btn">Back</button>
+        </div>
+      `);
+
+      const reopen = () => {
+        document.body.removeChild(modal);
+        this.showCollection(collectionId);
+      };
+
+      const send = async (message, success) => {
+        const response = await chrome.runtime.sendMessage(message);
+        if (response.success) {
+          if (success) this.showMessage(success, 'success');
+          await this.loadCredentials();
+          reopen();
+          return;
+        }
+        this.showMessage(response.error, 'error');
+      };
+
+      modal.querySelectorAll('.remove-member').forEach(button => {
+        button.addEventListener('click', () => {
+          const fingerprint = button.closest('[data-member]').dataset.member;
+          const member = collection.members.find(entry => entry.fingerprint === fingerprint);
+          if (!confirm(`Revoke ${member.name}? The collection is re-keyed so future bundles are unreadable to them, but they keep what they already imported. Change any passwords they should no longer know.`)) return;
+          send({ type: 'REMOVE_COLLECTION_MEMBER', collectionId, fingerprint }, `${member.name} revoked and collection re-keyed`);
+        });
+      });
+
+      const memberCard = modal.querySelector('#memberCard');
+      if (memberCard) {
+        memberCard.addEventListener('change', async () => {
+          const file = memberCard.files[0];
+          if (!file) return;
+          const identityCard = await file.text();
+          send({ type: 'ADD_COLLECTION_MEMBER', collectionId, identityCard }, 'Member added');
+        });
+      }
+
+      modal.querySelectorAll('.move-out').forEach(button => {
+        button.addEventListener('click', () => {
+          const credentialId = button.closest('[data-item]').dataset.item;
+          send({ type: 'MOVE_TO_COLLECTION', credentialId, collectionId: null }, 'Moved back to your vault');
+        });
+      });
+
+      const moveInBtn = modal.querySelector('#moveInBtn');
+      if (moveInBtn) {
+        moveInBtn.addEventListener('click', () => {
+          const credentialId = modal.querySelector('#moveItemSelect').value;
+          send({ type: 'MOVE_TO_COLLECTION', credentialId, collectionId }, 'Item shared');
+        });
+      }
+
+      modal.querySelector('#exportBundleBtn').addEventListener('click', async () => {
+        const response = await chrome.runtime.sendMessage({ type: 'EXPORT_SHARE_BUNDLE', collectionId });
+        if (response.success) {
+          this.downloadFile(response.data, response.filename, 'application/json');
+          this.showMessage(`Bundle encrypted to ${response.recipients} member${response.recipients === 1 ? '' : 's'}`, 'success');
+          return;
+        }
+        this.showMessage(response.error, 'error');
+      });
+
+      const rotateKeyBtn = modal.querySelector('#rotateKeyBtn');
+      if (rotateKeyBtn) {
+        rotateKeyBtn.addEventListener('click', () => {
+          send({ type: 'ROTATE_COLLECTION_KEY', collectionId }, 'Collection re-keyed. Export a new bundle for your teammates.');
+        });
+      }
+
+      modal.querySelector('#leaveCollectionBtn').addEventListener('click', async () => {
+        if (!confirm(`Remove "${collection.name}" from this vault? Its ${collection.items.length} item(s) move to the trash.`)) return;
+        const response = await chrome.runtime.sendMessage({ type: 'LEAVE_COLLECTION', collectionId });
+        if (response.success) {
+          document.body.removeChild(modal);
+          await this.loadCredentials();
+          this.showCollections();
+          return;
+        }
+        this.showMessage(response.error, 'error');
+      });
+
+      modal.querySelector('#backToCollections').addEventListener('click', () => {
+        document.body.removeChild(modal);
+        this.showCollections();
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showCollection:', error);
+      this.showMessage('Failed to open collection', 'error');
+    }
+  }
+
+  async showSync() {
+    try {
+      const status = await chrome.runtime.sendMessage({ type: 'GET_SYNC_STATUS' });
+      if (status.error) {
+        this.showMessage(status.error, 'error');
+        return;
+      }
+
+      const body = status.configured ? `
+        <div class="setting-group">
+          <label>Server:</label>
+          <div style="color: #ccc; font-size: 12px; word-break: break-all;">${this.escapeHtml(status.url)}</div>
+          <div style="color: #666; font-size: 11px; margin-top: 4px;">
+            ${status.lastSync ? 'Last synced ' + this.escapeHtml(new Date(status.lastSync).toLocaleString()) : 'Not synced yet'}${status.pending ? ' • changes waiting to upload' : ''}
+          </div>
+        </div>
+        
+        ${status.status === 'error' ? `
+          <div class="message error">${this.escapeHtml(status.lastError)}</div>
+        ` : ''}
+        
+        <button id="syncNowBtn" class="primary-btn">Sync Now</button>
+        <button id="disconnectSyncBtn" class="secondary-btn">Disconnect</button>
+      ` : `
+        <div style="color: #999; font-size: 12px; margin-bottom: 12px;">
+          Keep this vault on a WebDAV or HTTP server you control. Only the encrypted vault is uploaded; your master password never leaves this device.
+        </div>
+        
+        <div class="form-group">
+          <input type="url" id="syncUrl" placeholder="https://dav.example.com/lockdown/vault.json">
+        </div>
+        
+        <div class="form-group">
+          <input type="text" id="syncUsername" placeholder="Server username (optional)" autocomplete="off">
+        </div>
+        
+        <div class="form-group">
+          <input type="password" id="syncPassword" placeholder="Server password (optional)" autocomplete="off">
+        </div>
+        
+        <div style="color: #666; font-size: 11px; margin-bottom: 8px;">
+          If the server already has this vault from another device, the two copies are merged item by item.
+        </div>
+        
+        <button id="connectSyncBtn" class="primary-btn">Connect</button>
+      `;
+
+      const modal = this.createModal('Sync', `
+        ${body}
+        
+        <div class="modal-actions">
+          <button id="closeSync" class="secondary-btn">Close</button>
+        </div>
+      `);
+
+      const reopen = () => {
+        document.body.removeChild(modal);
+        this.showSync();
+      };
+
+      const run = async (button, message, success) => {
+        button.disabled = true;
+        try {
+          const response = await chrome.runtime.sendMessage(message);
+          if (response.success) {
+            this.showMessage(success(response), 'success');
+            await this.loadCredentials();
+            reopen();
+            return response;
+          }
+          this.showMessage(response.error, 'error');
+          return response;
+        } catch (error) {
+          this.showMessage('Sync failed: ' + error.message, 'error');
+        } finally {
+          button.disabled = false;
+        }
+      };
+
+      const results = {
+        pushed: 'Uploaded to the server',
+        pulled: 'Updated from the server',
+        merged: 'Merged with changes from another device',
+        unchanged: 'Already up to date'
+      };
+      const describe = (response) => response.conflicts > 0
+        ? `${results[response.result] || 'Merged'}; ${response.conflicts} item${response.conflicts === 1 ? '' : 's'} need${response.conflicts === 1 ? 's' : ''} your decision`
+        : results[response.result];
+
+      const connectBtn = modal.querySelector('#connectSyncBtn');
+      if (connectBtn) {
+        connectBtn.addEventListener('click', async () => {
+          connectBtn.disabled = true;
+          connectBtn.textContent = 'Connecting...';
+          try {
+            const response = await chrome.runtime.sendMessage({
+              type: 'CONFIGURE_SYNC',
+              url: modal.querySelector('#syncUrl').value.trim(),
+              username: modal.querySelector('#syncUsername').value,
+              password: modal.querySelector('#syncPassword').value
+            });
+
+            if (response.success) {
+              this.showMessage(response.merged ? describe({ result: 'merged', conflicts: response.conflicts }) : 'Sync connected', 'success');
+              await this.loadCredentials();
+              reopen();
+              return;
+            }
+            this.showMessage(response.error, 'error');
+          } catch (error) {
+            this.showMessage('Sync failed: ' + error.message, 'error');
+          }
+          connectBtn.disabled = false;
+          connectBtn.textContent = 'Connect';
+        });
+      }
+
+      const syncNowBtn = modal.querySelector('#syncNowBtn');
+      if (syncNowBtn) {
+        syncNowBtn.addEventListener('click', () => {
+          run(syncNowBtn, { type: 'SYNC_NOW' }, describe);
+        });
+      }
+
+      const disconnectBtn = modal.querySelector('#disconnectSyncBtn');
+      if (disconnectBtn) {
+        disconnectBtn.addEventListener('click', () => {
+          if (!confirm('Stop syncing this vault? The copy on the server is left in place.')) return;
+          run(disconnectBtn, { type: 'DISCONNECT_SYNC' }, () => 'Sync disconnected');
+        });
+      }
+
+      modal.querySelector('#closeSync').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showSync:', error);
+      this.showMessage('Failed to open sync', 'error');
+    }
+  }
+
+  // Items edited differently on two devices. Each version can be kept, or
+  // all of them as separate items.
+  async showConflicts() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CONFLICTS' });
+      if (response.error) {
+        this.showMessage(response.error, 'error');
+        return;
+      }
+
+      const differs = {
+        name: 'name', username: 'username', password: 'password', url: 'website',
+        notes: 'notes', folder: 'folder', tags: 'tags', favorite: 'favourite',
+        fields: 'item details', totp: 'authenticator key', attachments: 'attachments',
+        custom: 'extra fields', location: 'where it is kept'
+      };
+
+      const modal = this.createModal('Resolve Conflicts', `
+        ${response.conflicts.length === 0 ? '<div class="message info">No conflicts left</div>' : `
+          <div style="color: #999; font-size: 12px; margin-bottom: 12px;">
+            These items were changed on two devices before they synced. Until you choose, the vault uses the most recently changed version.
+          </div>
+        `}
+        
+        ${response.conflicts.map(conflict => `
+          <div class="setting-group">
+            <label>${this.escapeHtml(conflict.name)}</label>
+            <div style="color: #666; font-size: 11px; margin-bottom: 6px;">
+              ${conflict.differs.length ? 'Differs in ' + this.escapeHtml(conflict.differs.map(field => differs[field] || field).join(', ')) : 'Deleted on one device, edited on another'}
+            </div>
+            ${conflict.versions.map(version => `
+              <div style="display: flex; justify-content: space-between; align-items: center; padding: 6px 0; border-top: 1px solid #333;">
+                <div style="font-size: 12px; color: #ccc; min-width: 0;">
+                  ${version.deleted ? '🗑️ Deleted' : `
+                    ${this.escapeHtml(version.name)}${version.username ? ' • ' + this.escapeHtml(version.username) : ''}
+                    <div style="color: #666; font-size: 11px;">
+                      ${this.escapeHtml(version.location)} • ${this.escapeHtml(new Date(version.modified).toLocaleString())}
+                    </div>
+                  `}
+                  <div style="color: #666; font-size: 11px;">${this.escapeHtml(version.device)}</div>
+                </div>
+                <button class="secondary-btn keep-version-btn" style="width: auto; margin: 0;"
+                        data-conflict="${this.escapeHtml(conflict.id)}" data-choice="${version.index}">
+                  ${version.deleted ? 'Delete' : 'Keep This'}
+                </button>
+              </div>
+            `).join('')}
+            ${conflict.versions.filter(version => !version.deleted).length > 1 ? `
+              <button class="secondary-btn keep-version-btn" data-conflict="${this.escapeHtml(conflict.id)}" data-choice="both">
+                Keep All as Separate Items
+              </button>
+            ` : ''}
+          </div>
+        `).join('')}
+        
+        <div class="modal-actions">
+          <button id="closeConflicts" class="secondary-btn">Close</button>
+        </div>
+      `);
+
+      modal.querySelectorAll('.keep-version-btn').forEach(button => {
+        button.addEventListener('click', async () => {
+          button.disabled = true;
+          try {
+            const result = await chrome.runtime.sendMessage({
+              type: 'RESOLVE_CONFLICT',
+              conflictId: button.dataset.conflict,
+              choice: button.dataset.choice
+            });
+            if (result.error) {
+              this.showMessage(result.error, 'error');
+              button.disabled = false;
+              return;
+            }
+
+            document.body.removeChild(modal);
+            this.showMessage('Conflict resolved', 'success');
+            if (result.remaining > 0) {
+              this.showConflicts();
+            } else {
+              await this.showUnlocked();
+            }
+          } catch (error) {
+            this.showMessage('Failed to resolve conflict: ' + error.message, 'error');
+            button.disabled = false;
+          }
+        });
+      });
+
+      modal.querySelector('#closeConflicts').addEventListener('click', () => {
+        document.body.removeChild(modal);
+        this.showUnlocked();
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showConflicts:', error);
+      this.showMessage('Failed to open conflicts', 'error');
+    }
+  }
+
+  showRestoreFromSync() {
+    try {
+      const modal = this.createModal('Restore from Sync', `
+        <div style="color: #999; font-size: 12px; margin-bottom: 12px;">
+          Open a vault another device keeps on your sync server. You need the master password of the device that last synced it.
+        </div>
+        
+        <div class="form-group">
+          <input type="url" id="restoreSyncUrl" placeholder="https://dav.example.com/lockdown/vault.json">
+        </div>
+        
+        <div class="form-group">
+          <input type="text" id="restoreSyncUsername" placeholder="Server username (optional)" autocomplete="off">
+        </div>
+        
+        <div class="form-group">
+          <input type="password" id="restoreSyncPassword" placeholder="Server password (optional)" autocomplete="off">
+        </div>
+        
+        <div class="form-group">
+          <input type="password" id="restoreMasterPassword" placeholder="Vault master password">
+        </div>
+        
+        <div class="modal-actions">
+          <button id="cancelRestoreSync" class="secondary-btn">Cancel</button>
+          <button id="confirmRestoreSync" class="primary-btn">Restore</button>
+        </div>
+      `);
+
+      const restoreBtn = modal.querySelector('#confirmRestoreSync');
+      restoreBtn.addEventListener('click', async () => {
+        const masterPassword = modal.querySelector('#restoreMasterPassword').value;
+        if (!masterPassword) return;
+
+        restoreBtn.disabled = true;
+        restoreBtn.textContent = 'Restoring...';
+
+        try {
+          const response = await chrome.runtime.sendMessage({
+            type: 'RESTORE_FROM_SYNC',
+            url: modal.querySelector('#restoreSyncUrl').value.trim(),
+            username: modal.querySelector('#restoreSyncUsername').value,
+            password: modal.querySelector('#restoreSyncPassword').value,
+            masterPassword
+          });
+
+          if (response.success) {
+            document.body.removeChild(modal);
+            this.isUnlocked = true;
+            await this.showUnlocked();
+            this.showMessage(`Vault restored with ${response.credentialCount} items`, 'success');
+            this.startCountdownUpdates();
+            return;
+          }
+          this.showMessage(response.error, 'error');
+        } catch (error) {
+          console.error('Restore from sync failed:', error);
+          this.showMessage('Restore failed: ' + error.message, 'error');
+        }
+
+        restoreBtn.disabled = false;
+        restoreBtn.textContent = 'Restore';
+      });
+
+      modal.querySelector('#cancelRestoreSync').addEventListener('click', () => {
+        document.body.removeChild(modal);
+      });
+
+      document.body.appendChild(modal);
+
+    } catch (error) {
+      console.error('Error in showRestoreFromSync:', error);
+      this.showMessage('Failed to open restore form', 'error');
+    }
+  }
+
+  downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async copyPassword(credId) {
+    const cred = this.findCredential(credId);
+    if (cred) {
+      try {
+        const secret = this.primarySecret(cred);
+        await navigator.clipboard.writeText(secret.value);
+        this.showMessage(`${secret.label} copied!`, 'success');
+      } catch (error) {
+        console.error('Copy failed:', error);
+        this.showMessage('Failed to copy password', 'error');
+      }
+    }
+  }
+
+  async copyTotp(credId) {
+    const entry = this.totpCodes[credId];
+    if (!entry || !entry.code) {
+      this.showMessage(entry && entry.error ? entry.error : 'Code not ready yet', 'error');
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(entry.code);
+      this.showMessage('Code copied!', 'success');
+    } catch (error) {
+      console.error('Copy failed:', error);
+      this.showMessage('Failed to copy code', 'error');
+    }
+  }
+
+  // Authenticator codes in the lists tick down every second and are fetched
+  // again from the background when the shortest one runs out
+  startTotpUpdates() {
+    if (!document.querySelector('[data-totp]')) {
+      return;
+    }
+    if (!this.totpInterval) {
+      this.totpInterval = setInterval(() => this.updateTotpCodes(), 1000);
+    }
+    this.updateTotpCodes(true);
+  }
+
+  stopTotpUpdates() {
+    if (this.totpInterval) {
+      clearInterval(this.totpInterval);
+      this.totpInterval = null;
+    }
+    this.totpCodes = {};
+  }
+
+  async updateTotpCodes(refresh = false) {
+    const elements = document.querySelectorAll('[data-totp]');
+    if (elements.length === 0) {
+      this.stopTotpUpdates();
+      return;
+    }
+
+    const elapsed = Math.floor((Date.now() - this.totpFetched) / 1000);
+    const expired = [...elements].some(element => {
+      const entry = this.totpCodes[element.dataset.totp];
+      return !entry || (entry.code && entry.remaining - elapsed <= 0);
+    });
+    if (refresh || expired) {
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_TOTP_CODES' });
+        if (response.error) return;
+        this.totpCodes = response.codes;
+        this.totpFetched = Date.now();
+      } catch (error) {
+        console.error('Failed to load authenticator codes:', error);
+        return;
+      }
+    }
+
+    const now = Math.floor((Date.now() - this.totpFetched) / 1000);
+    document.querySelectorAll('[data-totp]').forEach(element => {
+      const entry = this.totpCodes[element.dataset.totp];
+      if (!entry) return;
+      const digits = element.querySelector('.totp-digits');
+      if (entry.error) {
+        digits.textContent = '⚠️ key unreadable';
+        element.title = entry.error;
+        return;
+      }
+
+      const remaining = Math.max(entry.remaining - now, 0);
+      const half = Math.ceil(entry.code.length / 2);
+      digits.textContent = `${entry.code.slice(0, half)} ${entry.code.slice(half)}`;
+      element.classList.toggle('expiring', remaining <= 5);
+      element.title = `Copy authenticator code (${remaining}s left)`;
+      element.querySelector('.progress').setAttribute('stroke-dashoffset', (50.27 * (1 - remaining / entry.period)).toFixed(2));
+    });
+  }
+
+  async showTotpSetup(credId) {
+    const cred = this.findCredential(credId);
+    if (!cred) return;
+
+    const current = this.totpCodes[credId];
+    const modal = this.createModal(`Authenticator for "${this.escapeHtml(cred.name || cred.domain)}"`, `
+      ${cred.hasTotp ? `
+        <div class="setting-group">
+          <label>Current key</label>
+          <div style="color: #999; font-size: 12px;">
+            ${current && current.code
+              ? this.escapeHtml([current.issuer, current.account].filter(Boolean).join(' • ') || 'Time-based code') + ` • ${current.code.length} digits every ${current.period}s`
+              : 'Set'}
+          </div>
+        </div>
+      ` : ''}
+      <div class="form-group">
+        <input type="text" id="totpKey" autocomplete="off" spellcheck="false"
+               placeholder="${cred.hasTotp ? 'New' : 'Setup'} key or otpauth:// link">
+      </div>
+      <div style="color: #999; font-size: 12px; margin-bottom: 12px;">
+        When a site shows a QR code for an authenticator app, choose "can't scan?" to see its setup key, or paste the otpauth:// link your old authenticator exports.
+      </div>
+      <div class="modal-actions">
+        ${cred.hasTotp ? '<button id="removeTotp" class="secondary-btn">Remove</button>' : ''}
+        <button id="cancelTotp" class="secondary-btn">Cancel</button>
+        <button id="saveTotp" class="primary-btn">Save</button>
+      </div>
+    `);
+
+    const save = async (totp, done) => {
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'UPDATE_CREDENTIAL', credential: { id: cred.id, totp } });
+        if (!response.success) {
+          this.showMessage(response.error, 'error');
+          return;
+        }
+
+        document.body.removeChild(modal);
+        await this.loadCredentials();
+        this.displayCredentials();
+        this.showMessage(done, 'success');
+      } catch (error) {
+        console.error('Authenticator update failed:', error);
+        this.showMessage('Save failed: ' + error.message, 'error');
+      }
+    };
+
+    modal.querySelector('#saveTotp').addEventListener('click', () => {
+      const key = modal.querySelector('#totpKey').value.trim();
+      if (!key) {
+        this.showMessage('Paste a setup key or otpauth:// link', 'error');
+        return;
+      }
+      save(key, 'Authenticator key saved');
+    });
+
+    const removeBtn = modal.querySelector('#removeTotp');
+    if (removeBtn) {
+      removeBtn.addEventListener('click', () => {
+        if (confirm('Remove the authenticator key from this login? Keep another way to sign in to the site first.')) {
+          save('', 'Authenticator key removed');
+        }
+      });
+    }
+
+    modal.querySelector('#cancelTotp').addEventListener('click', () => {
+      document.body.removeChild(modal);
+    });
+
+    document.body.appendChild(modal);
+    setTimeout(() => modal.querySelector('#totpKey').focus(), 100);
+  }
+
+  async autofill(credId) {
+    const cred = this.findCredential(credId);
+    if (!cred) return;
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        type: 'AUTOFILL',
+        credential: cred
+      });
+      if (response && !response.success) {
+        this.showMessage(response.error || 'Autofill failed', 'error');
+        return;
+      }
+      this.showMessage('Autofilled!', 'success');
+    } catch (error) {
+      console.error('Autofill failed:', error);
+      this.showMessage('Autofill failed', 'error');
+    }
+  }
+
+  async lockVault() {
+    try {
+      await chrome.runtime.sendMessage({ type: 'LOCK_VAULT' });
+      this.isUnlocked = false;
+      this.stopCountdownUpdates();
+      await this.loadVaults();
+      this.showLocked();
+    } catch (error) {
+      this.showMessage('Lock failed', 'error');
+    }
+  }
+
+  reportActivity() {
+    if (!this.isUnlocked) return;
+    chrome.runtime.sendMessage({ type: 'VAULT_ACTIVITY' }).catch(() => {});
   }
 
   startCountdownUpdates() {
@@ -918,6 +4461,7 @@ class LockdownPopup {
         console.log('Time expired, vault should be locked');
         this.isUnlocked = false;
         this.stopCountdownUpdates();
+        await this.loadVaults();
         this.showLocked();
         return;
       }
@@ -988,8 +4532,8 @@ class LockdownPopup {
     }
   }
 
-  updatePasswordStrength(password) {
-    const strengthEl = document.getElementById('setupStrength');
+  updatePasswordStrength(password, strengthId = 'setupStrength') {
+    const strengthEl = document.getElementById(strengthId);
     if (!strengthEl) return;
 
     const bar = strengthEl.querySelector('.strength-bar');
@@ -1054,10 +4598,11 @@ class LockdownPopup {
     }
   }
 
+  // Also escapes quotes, so the result is safe inside attribute values
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 }
 
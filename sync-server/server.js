@@ -0,0 +1,280 @@
+// sync-server/server.js - Reference sync server for Lockdown
+//
+// A tiny HTTP file store that speaks the subset of WebDAV Lockdown sync
+// uses: GET, HEAD, PUT and DELETE on single files, with strong ETags and
+// If-Match / If-None-Match preconditions. It stores the encrypted vault
+// blobs it is given and never sees a key or a password for them.
+//
+//   node sync-server/server.js
+//
+// Settings come from the environment:
+//   LOCKDOWN_SYNC_PORT   port to listen on (default 8787)
+//   LOCKDOWN_SYNC_HOST   address to bind (default 127.0.0.1)
+//   LOCKDOWN_SYNC_DATA   directory for stored files (default ./sync-data)
+//   LOCKDOWN_SYNC_USERS  "alice:secret,bob:secret2" to require Basic auth;
+//                        each user gets their own directory
+//
+// In Lockdown, set the sync URL to e.g. http://127.0.0.1:8787/vault.json.
+// The server speaks plain HTTP; put it behind a TLS proxy before exposing it
+// beyond localhost, since Basic auth credentials travel with every request.
+// Without LOCKDOWN_SYNC_USERS it refuses to bind anywhere but loopback.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class SyncServer {
+  constructor(options = {}) {
+    this.port = options.port === undefined ? 8787 : Number(options.port);
+    this.host = options.host || '127.0.0.1';
+    this.dataDir = path.resolve(options.dataDir || './sync-data');
+    this.users = this.parseUsers(options.users || '');
+    this.maxBytes = options.maxBytes || 32 * 1024 * 1024;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  parseUsers(spec) {
+    const users = new Map();
+    spec.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const split = entry.indexOf(':');
+      if (split < 1 || !/^[\w][\w.-]*$/.test(entry.slice(0, split))) {
+        throw new Error(`Invalid user entry "${entry}", expected name:password`);
+      }
+      users.set(entry.slice(0, split), this.digest(entry.slice(split + 1)));
+    });
+    return users;
+  }
+
+  digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+  }
+
+  async listen() {
+    const loopback = ['127.0.0.1', 'localhost', '::1'].includes(this.host);
+    if (!loopback && this.users.size === 0) {
+      throw new Error('Refusing to listen beyond loopback without LOCKDOWN_SYNC_USERS');
+    }
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    return new Promise(resolve => {
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        console.log(`🔄 Lockdown sync server on http://${this.host}:${this.port}/ storing in ${this.dataDir}`);
+        if (this.users.size === 0) {
+          console.log('⚠️  No users configured: anyone on this machine can read and replace blobs');
+        }
+        resolve(this);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  // Returns the user name, '' when auth is off, or null when rejected
+  authenticate(req) {
+    if (this.users.size === 0) {
+      return '';
+    }
+
+    const match = /^Basic (.+)$/.exec(req.headers.authorization || '');
+    if (!match) {
+      return null;
+    }
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const split = decoded.indexOf(':');
+    const name = decoded.slice(0, split);
+    const expected = this.users.get(name);
+    if (split < 1 || !expected) {
+      return null;
+    }
+    return crypto.timingSafeEqual(expected, this.digest(decoded.slice(split + 1))) ? name : null;
+  }
+
+  // Map a request path onto a file under the user's directory. Only plain
+  // file names are accepted, so requests cannot escape the data directory.
+  resolveFile(user, pathname) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch (error) {
+      return null;
+    }
+
+    const segments = decoded.split('/').filter(Boolean);
+    if (segments.length === 0 || segments.some(segment => !/^[\w][\w.-]*$/.test(segment))) {
+      return null;
+    }
+    return path.join(this.dataDir, user || '', ...segments);
+  }
+
+  etagOf(content) {
+    return `"${crypto.createHash('sha256').update(content).digest('hex').slice(0, 32)}"`;
+  }
+
+  currentEtag(file) {
+    try {
+      return this.etagOf(fs.readFileSync(file));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // RFC 7232 preconditions for writes. current is null when nothing exists.
+  preconditionFails(req, current) {
+    const ifMatch = req.headers['if-match'];
+    if (ifMatch) {
+      const tags = ifMatch.split(',').map(tag => tag.trim());
+      if (current === null || !(tags.includes('*') || tags.includes(current))) {
+        return true;
+      }
+    }
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && current !== null) {
+      const tags = ifNoneMatch.split(',').map(tag => tag.trim());
+      if (tags.includes('*') || tags.includes(current)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > this.maxBytes) {
+          reject(Object.assign(new Error('Body too large'), { status: 413 }));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  send(res, status, headers = {}, body = '') {
+    res.writeHead(status, { 'Cache-Control': 'no-store', ...headers });
+    res.end(body);
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      const status = await this.route(req, res, pathname);
+      console.log(`${req.method} ${pathname} ${status}`);
+    } catch (error) {
+      console.error(`${req.method} ${pathname} failed:`, error.message);
+      if (!res.headersSent) {
+        this.send(res, error.status || 500, { 'Content-Type': 'text/plain' }, error.status ? error.message : 'Internal error');
+      }
+    }
+  }
+
+  async route(req, res, pathname) {
+    if (req.method === 'OPTIONS') {
+      this.send(res, 204, { Allow: 'OPTIONS, GET, HEAD, PUT, DELETE', DAV: '1' });
+      return 204;
+    }
+
+    const user = this.authenticate(req);
+    if (user === null) {
+      this.send(res, 401, { 'WWW-Authenticate': 'Basic realm="Lockdown sync"' });
+      return 401;
+    }
+
+    const file = this.resolveFile(user, pathname);
+    if (!file) {
+      this.send(res, 400, { 'Content-Type': 'text/plain' }, 'Invalid path');
+      return 400;
+    }
+
+    switch (req.method) {
+      case 'GET':
+      case 'HEAD': {
+        let content;
+        try {
+          content = fs.readFileSync(file);
+        } catch (error) {
+          if (error.code !== 'ENOENT' && error.code !== 'EISDIR') throw error;
+          this.send(res, 404);
+          return 404;
+        }
+
+        const etag = this.etagOf(content);
+        const ifNoneMatch = (req.headers['if-none-match'] || '').split(',').map(tag => tag.trim());
+        if (ifNoneMatch.includes(etag) || ifNoneMatch.includes('*')) {
+          this.send(res, 304, { ETag: etag });
+          return 304;
+        }
+        this.send(res, 200, {
+          ETag: etag,
+          'Content-Type': 'application/json',
+          'Content-Length': content.length
+        }, req.method === 'GET' ? content : '');
+        return 200;
+      }
+
+      case 'PUT': {
+        const body = await this.readBody(req);
+
+        // Everything from the precondition check to the rename is
+        // synchronous, so two PUTs cannot interleave between them
+        const current = this.currentEtag(file);
+        if (this.preconditionFails(req, current)) {
+          this.send(res, 412, current ? { ETag: current } : {});
+          return 412;
+        }
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const temp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        fs.writeFileSync(temp, body);
+        fs.renameSync(temp, file);
+
+        const status = current === null ? 201 : 204;
+        this.send(res, status, { ETag: this.etagOf(body) });
+        return status;
+      }
+
+      case 'DELETE': {
+        const current = this.currentEtag(file);
+        if (current === null) {
+          this.send(res, 404);
+          return 404;
+        }
+        if (this.preconditionFails(req, current)) {
+          this.send(res, 412, { ETag: current });
+          return 412;
+        }
+        fs.unlinkSync(file);
+        this.send(res, 204);
+        return 204;
+      }
+
+      default:
+        this.send(res, 405, { Allow: 'OPTIONS, GET, HEAD, PUT, DELETE' });
+        return 405;
+    }
+  }
+}
+
+module.exports = { SyncServer };
+
+if (require.main === module) {
+  new SyncServer({
+    port: process.env.LOCKDOWN_SYNC_PORT,
+    host: process.env.LOCKDOWN_SYNC_HOST,
+    dataDir: process.env.LOCKDOWN_SYNC_DATA,
+    users: process.env.LOCKDOWN_SYNC_USERS
+  }).listen().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
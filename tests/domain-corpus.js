@@ -0,0 +1,60 @@
+// tests/domain-corpus.js - domain-corpus.json against the domain matcher
+// and the lookalike detector
+//
+//   node tests/domain-corpus.js
+//
+// The background runs the same check on install and update, but only logs
+// the result. This loads the bundled Public Suffix List into DomainMatcher
+// the way the background does, builds LookalikeDetector on it, and fails on
+// any corpus case either gets wrong.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Expectations } = require('./extension');
+
+const root = path.join(__dirname, '..');
+
+function loadClasses(...files) {
+  const context = vm.createContext({ URL });
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+  });
+  return context;
+}
+
+function describe(failure) {
+  if (failure.saved) {
+    return `${failure.host} against ${failure.saved.join(', ')}: expected ${failure.expected}, got ${failure.actual}`;
+  }
+  if (failure.page) {
+    return `${failure.url} (${failure.match || 'domain'}) on ${failure.page}: expected ${failure.expected}, got ${failure.actual}`;
+  }
+  return `${failure.host}: expected ${failure.expected}, got ${failure.actual}`;
+}
+
+function main() {
+  const expect = new Expectations();
+  const corpus = JSON.parse(fs.readFileSync(path.join(root, 'domain-corpus.json'), 'utf8'));
+  const context = loadClasses('domain-matcher.js', 'lookalike-detector.js');
+
+  const matcher = vm.runInContext('new DomainMatcher()', context);
+  const rules = matcher.load(fs.readFileSync(path.join(root, 'lib/public_suffix_list.dat'), 'utf8'));
+  expect.check(`the Public Suffix List loads (${rules} rules)`, rules > 0);
+
+  const cases = corpus.registrable.length + corpus.matches.length;
+  const failures = matcher.verify(corpus);
+  failures.forEach(failure => expect.check(describe(failure), false));
+  expect.check(`DomainMatcher passes ${cases - failures.length} of ${cases} corpus cases`, failures.length === 0);
+
+  context.matcher = matcher;
+  const detector = vm.runInContext('new LookalikeDetector(matcher)', context);
+  const lookalikes = corpus.lookalikes.length;
+  const misses = detector.verify(corpus);
+  misses.forEach(failure => expect.check(describe(failure), false));
+  expect.check(`LookalikeDetector passes ${lookalikes - misses.length} of ${lookalikes} corpus cases`, misses.length === 0);
+
+  expect.summary();
+}
+
+main();
@@ -0,0 +1,213 @@
+// tests/extension.js - Runs background.js under Node for the checks in tests/
+//
+// The service worker is evaluated in its own context with an in-memory
+// stand-in for the chrome.* APIs it uses, so a check can send it messages
+// and inspect chrome.storage.local afterwards. The Argon2 WebAssembly
+// build only loads in a browser; pass { argon2: true } to get a stand-in
+// derived from PBKDF2, which is enough to exercise the key handling around
+// it but is not Argon2.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const nodeCrypto = require('crypto');
+
+const root = path.join(__dirname, '..');
+
+class MemoryStorage {
+  constructor() {
+    this.data = {};
+  }
+
+  copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  async get(keys) {
+    if (keys === null || keys === undefined) {
+      return this.copy(this.data);
+    }
+    const names = Array.isArray(keys) ? keys : typeof keys === 'string' ? [keys] : Object.keys(keys);
+    const result = {};
+    names.filter(name => name in this.data).forEach(name => { result[name] = this.copy(this.data[name]); });
+    return result;
+  }
+
+  async set(items) {
+    Object.assign(this.data, this.copy(items));
+  }
+
+  async remove(keys) {
+    (Array.isArray(keys) ? keys : [keys]).forEach(key => { delete this.data[key]; });
+  }
+
+  async clear() {
+    this.data = {};
+  }
+
+  async setAccessLevel() {}
+}
+
+// Just enough IndexedDB for the session key store: one object store, kept
+// for the life of the process
+function memoryIndexedDB() {
+  const records = new Map();
+  return {
+    open() {
+      const request = {};
+      const db = {
+        close() {},
+        createObjectStore() {},
+        transaction() {
+          const transaction = {};
+          const done = (result) => {
+            setTimeout(() => transaction.oncomplete && transaction.oncomplete());
+            return { result };
+          };
+          transaction.objectStore = () => ({
+            get: (key) => done(records.get(key)),
+            put: (value, key) => done(records.set(key, value) && undefined),
+            delete: (key) => done(records.delete(key) && undefined)
+          });
+          return transaction;
+        }
+      };
+      setTimeout(() => {
+        request.result = db;
+        if (request.onupgradeneeded) request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+}
+
+const argon2StandIn = {
+  ArgonType: { Argon2id: 2 },
+  async hash({ pass, salt, time, hashLen }) {
+    return { hash: new Uint8Array(nodeCrypto.pbkdf2Sync(pass, Buffer.from(salt), 1000 * time, hashLen, 'sha256')) };
+  }
+};
+
+function event() {
+  const listeners = [];
+  return { listeners, addListener: (listener) => listeners.push(listener) };
+}
+
+function createChrome() {
+  return {
+    storage: { local: new MemoryStorage(), session: new MemoryStorage() },
+    runtime: {
+      id: 'lockdown-test',
+      getURL: (file) => `chrome-extension://lockdown-test/${file}`,
+      onMessage: event(),
+      onStartup: event(),
+      onInstalled: event()
+    },
+    tabs: { query: async () => [], sendMessage: async () => {}, create: async () => {} },
+    action: { openPopup: async () => {} },
+    alarms: {
+      alarms: {},
+      create(name, info) { this.alarms[name] = info; },
+      async clear(name) { delete this.alarms[name]; return true; },
+      async get(name) { return this.alarms[name]; },
+      onAlarm: event()
+    },
+    idle: { setDetectionInterval() {}, onStateChanged: event() },
+    windows: { getAll: async () => [{}], onRemoved: event() },
+    notifications: { create() {} },
+    downloads: { download: async () => 1 }
+  };
+}
+
+// Files the worker fetches from its own package are read from the tree
+async function fetchFromTree(url) {
+  const file = path.join(root, String(url).replace(/^chrome-extension:\/\/lockdown-test\//, ''));
+  if (!fs.existsSync(file)) {
+    return { ok: false, status: 404 };
+  }
+  const bytes = fs.readFileSync(file);
+  return {
+    ok: true,
+    status: 200,
+    text: async () => bytes.toString('utf8'),
+    json: async () => JSON.parse(bytes.toString('utf8')),
+    arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)
+  };
+}
+
+// Returns { background, chrome, sender, enableArgon2 } once the worker has
+// initialised. sender is a message sender for the extension's own popup;
+// enableArgon2() makes the Argon2 stand-in available from then on, as if
+// the library had loaded late.
+async function loadBackground(options = {}) {
+  const chrome = createChrome();
+  const quiet = () => {};
+  const context = {
+    chrome,
+    console: options.verbose ? console : { log: quiet, info: quiet, warn: quiet, error: quiet, time: quiet, timeEnd: quiet },
+    crypto: globalThis.crypto,
+    indexedDB: memoryIndexedDB(),
+    fetch: fetchFromTree,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    URLSearchParams,
+    Blob,
+    btoa,
+    atob,
+    performance,
+    structuredClone,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval
+  };
+  context.self = context;
+  context.importScripts = (...files) => {
+    files.filter(file => !file.startsWith('lib/')).forEach(file => {
+      vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+    });
+  };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(root, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+
+  const background = vm.runInContext('lockdownBackground', context);
+  await background.ready;
+
+  const enableArgon2 = () => {
+    context.argon2 = argon2StandIn;
+    background.argon2Loaded = true;
+  };
+  if (options.argon2) {
+    enableArgon2();
+  }
+  return {
+    background,
+    chrome,
+    sender: { id: chrome.runtime.id, url: chrome.runtime.getURL('popup.html') },
+    enableArgon2
+  };
+}
+
+// Collects failed expectations and sets the exit code, so a check script
+// runs every case and still fails the run
+class Expectations {
+  constructor() {
+    this.failures = 0;
+  }
+
+  check(description, passed) {
+    console.log(`${passed ? '✅' : '❌'} ${description}`);
+    if (!passed) {
+      this.failures++;
+      process.exitCode = 1;
+    }
+  }
+
+  summary() {
+    console.log(this.failures === 0 ? '\nAll checks passed' : `\n${this.failures} check(s) failed`);
+  }
+}
+
+module.exports = { loadBackground, Expectations };
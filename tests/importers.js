@@ -0,0 +1,66 @@
+// tests/importers.js - Sample exports from other password managers
+//
+//   node tests/importers.js
+//
+// importer-samples/ holds one small export per format CredentialImporters
+// reads, named after the format, with the parse result it must give in
+// <format>.expected.json beside it. Each sample must be detected as its
+// format and parse to exactly that result.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+const { Expectations } = require('./extension');
+
+const root = path.join(__dirname, '..');
+const samples = path.join(root, 'importer-samples');
+
+function loadImporters() {
+  const context = vm.createContext({});
+  vm.runInContext(fs.readFileSync(path.join(root, 'importers.js'), 'utf8'), context, { filename: 'importers.js' });
+  return vm.runInContext('new CredentialImporters()', context);
+}
+
+function sameResult(actual, expected) {
+  try {
+    // Round trip so objects from the importers' context compare as plain data
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(actual)), expected);
+    return true;
+  } catch (error) {
+    console.log(error.message);
+    return false;
+  }
+}
+
+function main() {
+  const expect = new Expectations();
+  const importers = loadImporters();
+
+  const files = fs.readdirSync(samples).filter(file => !file.endsWith('.expected.json')).sort();
+  const formats = files.map(file => file.replace(/\.[^.]+$/, ''));
+  expect.check(`a sample for every format (${formats.join(', ')})`,
+    Object.keys(importers.formats).every(format => formats.includes(format)));
+
+  files.forEach((file, index) => {
+    const format = formats[index];
+    const content = fs.readFileSync(path.join(samples, file), 'utf8');
+    const expected = JSON.parse(fs.readFileSync(path.join(samples, `${format}.expected.json`), 'utf8'));
+
+    expect.check(`${file} is detected as ${format}`, importers.detect(content) === format);
+    let result = null;
+    try {
+      result = importers.parse(content);
+    } catch (error) {
+      console.log(error.message);
+    }
+    expect.check(`${file} parses to ${format}.expected.json`, !!result && sameResult(result, expected));
+  });
+
+  expect.check('character references to no character read as U+FFFD',
+    importers.decodeEntities('&#x110000;&#xD800;&#56320;&#99999999999;') === '\uFFFD'.repeat(4));
+
+  expect.summary();
+}
+
+main();
@@ -0,0 +1,65 @@
+// tests/migration-rollback.js - Rolling back a KDF migration
+//
+//   node tests/migration-rollback.js
+//
+// The rollback copy is the vault as it was before the migration. Restoring
+// it is allowed with consent while nothing has been saved since, and
+// refused once the vault has been edited, so no change is silently lost.
+
+const { loadBackground, Expectations } = require('./extension');
+
+const masterPassword = 'master password';
+
+// A vault set up on PBKDF2 with one login, unlocked again once Argon2 is
+// available so the unlock migrates it and keeps a rollback copy
+async function migratedVault(expect) {
+  const loaded = await loadBackground();
+  const { background, chrome, sender, enableArgon2 } = loaded;
+  const send = (message) => background.handleMessage(message, sender);
+
+  await send({ type: 'SETUP_VAULT', masterPassword });
+  await send({ type: 'SAVE_CREDENTIAL', credential: { name: 'Bank', url: 'https://bank.example', username: 'alice', password: 'hunter2' } });
+  await send({ type: 'LOCK_VAULT' });
+
+  enableArgon2();
+  const unlocked = await send({ type: 'UNLOCK_VAULT', masterPassword });
+  const stored = await chrome.storage.local.get(null);
+  expect.check('unlock migrates the vault to Argon2id and keeps a rollback copy',
+    unlocked.success === true && stored.vault.kdf === 'argon2id' && !!stored.vaultRollback);
+
+  return { ...loaded, send };
+}
+
+async function main() {
+  const expect = new Expectations();
+
+  console.log('Rolling back straight after the migration');
+  const untouched = await migratedVault(expect);
+  const unconsented = await untouched.send({ type: 'ROLLBACK_VAULT_MIGRATION' });
+  expect.check('the rollback asks for consent to the downgrade', !unconsented.success && unconsented.requiresConsent === true);
+  const rolledBack = await untouched.send({ type: 'ROLLBACK_VAULT_MIGRATION', allowDowngrade: true });
+  expect.check('with consent the rollback restores the previous KDF', rolledBack.success === true && rolledBack.security !== 'argon2id');
+  untouched.background.argon2Loaded = false;
+  const reopened = await untouched.send({ type: 'UNLOCK_VAULT', masterPassword });
+  expect.check('the restored vault unlocks with its login',
+    reopened.success === true && untouched.background.vault.credentials.some(credential => credential.username === 'alice'));
+
+  console.log('\nRolling back after the vault was edited');
+  const edited = await migratedVault(expect);
+  await edited.send({ type: 'SAVE_CREDENTIAL', credential: { name: 'Mail', url: 'https://mail.example', username: 'alice', password: 'correct horse' } });
+  const refused = await edited.send({ type: 'ROLLBACK_VAULT_MIGRATION', allowDowngrade: true });
+  expect.check('the rollback is refused and names the change it would lose', !refused.success && refused.changes === 1);
+  const stored = await edited.chrome.storage.local.get(null);
+  expect.check('the vault stays on Argon2id', stored.vault.kdf === 'argon2id');
+  await edited.send({ type: 'LOCK_VAULT' });
+  const unlocked = await edited.send({ type: 'UNLOCK_VAULT', masterPassword });
+  expect.check('the edit made after the migration is kept',
+    unlocked.success === true && edited.background.vault.credentials.some(credential => credential.name === 'Mail'));
+
+  expect.summary();
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,172 @@
+// tests/password-change.js - After a master password change or a recovery
+// key reset, nothing opens with the old password
+//
+//   node tests/password-change.js
+//
+// Every stored copy of the vault must refuse the old password, and the KDF
+// rollback must not bring it back, even when the change happens in the same
+// session as a migration that kept backup copies. A change also replaces
+// the vault key: nothing stored may open with the old one, attachments
+// included, and the old recovery key stops working.
+
+const { loadBackground, Expectations } = require('./extension');
+
+const oldPassword = 'old master password';
+const newPassword = 'new master password';
+const attachmentData = Buffer.from('scan of the bank card').toString('base64');
+
+// Stored objects a master password could open: the vault and the copies
+// kept beside it. Snapshots hold ciphertext only and never match.
+function passwordBlobs(value, where = '', found = []) {
+  if (value && typeof value === 'object') {
+    if (Array.isArray(value.encrypted) && (value.wrappedKey || value.salt)) {
+      found.push({ where, blob: value });
+    }
+    Object.entries(value).forEach(([key, child]) => passwordBlobs(child, where ? `${where}.${key}` : key, found));
+  }
+  return found;
+}
+
+// Stored objects sealed with the vault key itself: the vault and its
+// copies, snapshots and sealed secrets
+function vaultKeyBlobs(value, where = '', found = []) {
+  if (value && typeof value === 'object') {
+    if (Array.isArray(value.encrypted) && Array.isArray(value.iv)) {
+      found.push({ where, blob: value });
+    }
+    Object.entries(value).forEach(([key, child]) => vaultKeyBlobs(child, where ? `${where}.${key}` : key, found));
+  }
+  return found;
+}
+
+async function opensWith(background, blob, password) {
+  try {
+    await background.decryptVault(blob, password);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// A vault on PBKDF2 with an older schema and a sync base, unlocked once
+// Argon2 is available, so the KDF and schema migrations both leave their
+// backup copies behind
+async function migratedVault(expect) {
+  const loaded = await loadBackground();
+  const { background, chrome, sender, enableArgon2 } = loaded;
+  const send = (message) => background.handleMessage(message, sender);
+
+  const setup = await send({ type: 'SETUP_VAULT', masterPassword: oldPassword, createRecoveryKey: true });
+  await send({ type: 'SAVE_CREDENTIAL', credential: { name: 'Bank', url: 'https://bank.example', username: 'alice', password: 'hunter2' } });
+  const credentialId = background.vault.credentials[0].id;
+  await send({ type: 'ADD_ATTACHMENT', credentialId, name: 'card.txt', mimeType: 'text/plain', data: attachmentData });
+
+  const olderVault = JSON.parse(JSON.stringify(background.vault));
+  olderVault.schemaVersion = 10;
+  olderVault.credentials.forEach(credential => { delete credential.match; });
+  const olderBlob = await background.encryptVault(olderVault);
+  await chrome.storage.local.set({ vault: olderBlob, syncBase: olderBlob });
+  await send({ type: 'LOCK_VAULT' });
+
+  enableArgon2();
+  const unlocked = await send({ type: 'UNLOCK_VAULT', masterPassword: oldPassword });
+  const stored = await chrome.storage.local.get(null);
+  expect.check('unlock migrates the vault to Argon2id', unlocked.success && stored.vault.kdf === 'argon2id');
+  expect.check('the migrations keep a rollback copy and a schema backup', !!stored.vaultRollback && !!stored.vaultSchemaBackup);
+  const opened = await openedBy(background, stored, oldPassword);
+  expect.check(`before the change the old password opens ${opened.join(', ')}`,
+    ['vault', 'vaultRollback.vault', 'vaultSchemaBackup.vault', 'syncBase'].every(where => opened.includes(where)));
+
+  return { ...loaded, send, credentialId, recoveryKey: setup.recoveryKey };
+}
+
+async function openedBy(background, stored, password) {
+  const opened = [];
+  for (const { where, blob } of passwordBlobs(stored)) {
+    if (await opensWith(background, blob, password)) opened.push(where);
+  }
+  return opened;
+}
+
+async function checkOnlyNewPasswordOpens(expect, { background, chrome, send }) {
+  const stored = await chrome.storage.local.get(null);
+  const checked = passwordBlobs(stored).map(entry => entry.where);
+  expect.check(`no stored copy opens with the old password (checked ${checked.join(', ')})`,
+    (await openedBy(background, stored, oldPassword)).length === 0);
+  // An unlock that needs no schema migration drops the backup anyway
+  expect.check('a schema backup still stored opens with the new password',
+    !stored.vaultSchemaBackup || await opensWith(background, stored.vaultSchemaBackup.vault, newPassword));
+  expect.check('the sync base is kept and opens with the new password',
+    !!stored.syncBase && await opensWith(background, stored.syncBase, newPassword));
+
+  const rollback = await send({ type: 'ROLLBACK_VAULT_MIGRATION', allowDowngrade: true });
+  expect.check('the KDF rollback has nothing to restore', !rollback.success);
+
+  await send({ type: 'LOCK_VAULT' });
+  const withOld = await send({ type: 'UNLOCK_VAULT', masterPassword: oldPassword });
+  expect.check('the old password no longer unlocks', !withOld.success && withOld.error === 'Invalid password');
+  const withNew = await send({ type: 'UNLOCK_VAULT', masterPassword: newPassword });
+  expect.check('the new password unlocks with the saved login intact',
+    withNew.success === true && background.vault.credentials.some(credential => credential.username === 'alice'));
+}
+
+async function checkVaultKeyRotated(expect, { background, chrome, send, credentialId, recoveryKey }, oldKey, oldAttachment, changed) {
+  const stored = await chrome.storage.local.get(null);
+  const sealed = vaultKeyBlobs(stored);
+  const opened = [];
+  for (const { where, blob } of sealed) {
+    try {
+      await background.decryptWithVaultKey(blob, oldKey);
+      opened.push(where);
+    } catch (error) {
+      // Sealed with the new key
+    }
+  }
+  expect.check(`no stored copy opens with the old vault key (checked ${sealed.map(entry => entry.where.split('.')[0]).join(', ')})`,
+    opened.length === 0 && sealed.some(entry => entry.where.startsWith('snapshot:')));
+
+  const chunks = Object.keys(stored).filter(key => key.startsWith(`attachment:${oldAttachment.id}:`)).sort().map(key => stored[key]);
+  let oldAttachmentOpens = true;
+  try {
+    await background.attachments.decrypt(oldAttachment, chunks);
+  } catch (error) {
+    oldAttachmentOpens = false;
+  }
+  expect.check('the attachment no longer opens with its old key', chunks.length > 0 && !oldAttachmentOpens);
+  const download = await send({ type: 'DOWNLOAD_ATTACHMENT', credentialId, attachmentId: oldAttachment.id });
+  expect.check('the attachment still downloads with its contents', download.success === true && download.data === attachmentData);
+
+  expect.check('the change comes with a new recovery key', !!changed.recoveryKey && changed.recoveryKey !== recoveryKey);
+  await send({ type: 'LOCK_VAULT' });
+  const withOldKey = await send({ type: 'RECOVER_VAULT', recoveryKey, newPassword: 'another master password' });
+  expect.check('the old recovery key no longer works', !withOldKey.success);
+  const withNewKey = await send({ type: 'RECOVER_VAULT', recoveryKey: changed.recoveryKey, newPassword: 'another master password' });
+  expect.check('the new recovery key works', withNewKey.success === true);
+}
+
+async function main() {
+  const expect = new Expectations();
+
+  console.log('Changing the master password in the session that migrated the vault');
+  const changing = await migratedVault(expect);
+  const oldKey = changing.background.vaultKey;
+  const oldAttachment = JSON.parse(JSON.stringify(changing.background.vault.credentials[0].attachments[0]));
+  const changed = await changing.send({ type: 'CHANGE_MASTER_PASSWORD', currentPassword: oldPassword, newPassword });
+  expect.check('the master password changes', changed.success === true);
+  await checkOnlyNewPasswordOpens(expect, changing);
+  await checkVaultKeyRotated(expect, changing, oldKey, oldAttachment, changed);
+
+  console.log('\nResetting the master password with the recovery key');
+  const recovering = await migratedVault(expect);
+  await recovering.send({ type: 'LOCK_VAULT' });
+  const recovered = await recovering.send({ type: 'RECOVER_VAULT', recoveryKey: recovering.recoveryKey, newPassword });
+  expect.check('the recovery key sets a new master password', recovered.success === true);
+  await checkOnlyNewPasswordOpens(expect, recovering);
+
+  expect.summary();
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
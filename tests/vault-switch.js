@@ -0,0 +1,73 @@
+// tests/vault-switch.js - Switching vaults while an operation is under way
+//
+//   node tests/vault-switch.js
+//
+// The popup may switch vaults while a slow operation (a password check, a
+// KDF run) is waiting. The operation must finish on the vault it started
+// on and leave the other one alone.
+
+const { loadBackground, Expectations } = require('./extension');
+
+const personalPassword = 'personal master password';
+const workPassword = 'work master password';
+const newPassword = 'new personal password';
+
+async function opensTo(background, blob, password) {
+  try {
+    return (await background.decryptVault(blob, password)).vaultData;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Two unlocked vaults with one login each, Personal active
+async function twoVaults() {
+  const loaded = await loadBackground();
+  const { background, sender } = loaded;
+  const send = (message) => background.handleMessage(message, sender);
+
+  await send({ type: 'SETUP_VAULT', masterPassword: personalPassword });
+  await send({ type: 'SAVE_CREDENTIAL', credential: { name: 'Bank', url: 'https://bank.example', username: 'alice', password: 'hunter2' } });
+  const work = await send({ type: 'CREATE_VAULT', name: 'Work', masterPassword: workPassword });
+  await send({ type: 'SAVE_CREDENTIAL', credential: { name: 'Tracker', url: 'https://tracker.example', username: 'alice.work', password: 'correct horse' } });
+  await send({ type: 'SWITCH_VAULT', vaultId: 'default' });
+
+  return { ...loaded, send, workId: work.vaultId };
+}
+
+async function main() {
+  const expect = new Expectations();
+
+  console.log('Changing the Personal master password, then switching to Work');
+  const changing = await twoVaults();
+  const change = changing.send({ type: 'CHANGE_MASTER_PASSWORD', currentPassword: personalPassword, newPassword });
+  const switched = await changing.send({ type: 'SWITCH_VAULT', vaultId: changing.workId });
+  expect.check('the switch goes through while the change runs', switched.success === true);
+  expect.check('the master password changes', (await change).success === true);
+
+  const stored = await changing.chrome.storage.local.get(null);
+  const personal = await opensTo(changing.background, stored.vault, newPassword);
+  expect.check('Personal opens with the new password and still holds its login',
+    !!personal && personal.credentials.some(credential => credential.username === 'alice'));
+  const work = await opensTo(changing.background, stored[`vault:${changing.workId}`], workPassword);
+  expect.check('Work still opens with its own password and holds only its login',
+    !!work && work.credentials.length === 1 && work.credentials[0].username === 'alice.work');
+  expect.check('Work does not open with the new Personal password',
+    !await opensTo(changing.background, stored[`vault:${changing.workId}`], newPassword));
+
+  console.log('\nExporting Personal, then switching to Work');
+  const exporting = await twoVaults();
+  const exported = exporting.send({ type: 'EXPORT_VAULT', masterPassword: personalPassword });
+  await exporting.send({ type: 'SWITCH_VAULT', vaultId: exporting.workId });
+  const result = await exported;
+  expect.check('the export succeeds', result.success === true);
+  expect.check('the export holds the Personal login, not the Work one',
+    result.success === true && result.data.includes('bank.example') && !result.data.includes('tracker.example'));
+
+  expect.summary();
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
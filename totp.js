@@ -0,0 +1,155 @@
+// totp.js - One-time password codes (RFC 4226 HOTP, RFC 6238 TOTP)
+//
+// A login's authenticator key is stored as an otpauth:// URI, the format
+// sites put in their QR codes:
+//
+//   otpauth://totp/Example:alice@example.com?secret=JBSWY3DPEHPK3PXP&issuer=Example
+//
+// Optional parameters are algorithm (SHA1, SHA256 or SHA512; default
+// SHA1), digits (6-8; default 6) and period (seconds; default 30). A bare
+// base32 secret, as some sites show for manual entry, is accepted too and
+// gets the defaults. Counter-based otpauth://hotp keys are refused: every
+// code would have to bump a counter stored in the vault.
+
+class Totp {
+  constructor() {
+    this.algorithms = { SHA1: 'SHA-1', SHA256: 'SHA-256', SHA512: 'SHA-512' };
+    this.defaults = { algorithm: 'SHA1', digits: 6, period: 30 };
+    // RFC 4226 asks for at least 128 bits; 80 is what many sites still issue
+    this.minSecretBytes = 10;
+  }
+
+  // Returns { secret, issuer, account, algorithm, digits, period }. Throws
+  // with a message fit for the user when the value is not a usable key.
+  parse(value) {
+    const text = String(value || '').trim();
+    if (!text) {
+      throw new Error('Enter an authenticator key or otpauth:// link');
+    }
+    if (!/^otpauth:/i.test(text)) {
+      return { ...this.defaults, secret: this.normalizeSecret(text), issuer: '', account: '' };
+    }
+
+    const match = /^otpauth:\/\/([^/?#]+)\/([^?#]*)(?:\?([^#]*))?/i.exec(text);
+    if (!match) {
+      throw new Error('Not a valid otpauth:// link');
+    }
+    if (match[1].toLowerCase() === 'hotp') {
+      throw new Error('Counter-based (HOTP) codes are not supported, only time-based ones');
+    }
+    if (match[1].toLowerCase() !== 'totp') {
+      throw new Error(`Unknown one-time code type "${match[1]}"`);
+    }
+
+    const params = new URLSearchParams(match[3] || '');
+    let label;
+    try {
+      label = decodeURIComponent(match[2]);
+    } catch (error) {
+      throw new Error('Not a valid otpauth:// link');
+    }
+    const split = label.indexOf(':');
+    const labelIssuer = split === -1 ? '' : label.slice(0, split).trim();
+    const account = (split === -1 ? label : label.slice(split + 1)).trim();
+
+    const algorithm = (params.get('algorithm') || this.defaults.algorithm).toUpperCase().replace('-', '');
+    if (!this.algorithms[algorithm]) {
+      throw new Error(`Unsupported algorithm ${params.get('algorithm')}`);
+    }
+    const digits = params.has('digits') ? Number(params.get('digits')) : this.defaults.digits;
+    if (!Number.isInteger(digits) || digits < 6 || digits > 8) {
+      throw new Error('Codes must be 6 to 8 digits long');
+    }
+    const period = params.has('period') ? Number(params.get('period')) : this.defaults.period;
+    if (!Number.isInteger(period) || period < 1 || period > 300) {
+      throw new Error('The code period must be between 1 and 300 seconds');
+    }
+
+    return {
+      secret: this.normalizeSecret(params.get('secret') || ''),
+      issuer: (params.get('issuer') || labelIssuer).trim(),
+      account,
+      algorithm,
+      digits,
+      period
+    };
+  }
+
+  // Base32 as people type it: any case, spaces, dashes and padding allowed
+  normalizeSecret(secret) {
+    const cleaned = secret.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+    if (!cleaned) {
+      throw new Error('The link has no secret');
+    }
+    if (!/^[A-Z2-7]+$/.test(cleaned)) {
+      throw new Error('The key is not valid base32 (letters A-Z and digits 2-7)');
+    }
+    if (Math.floor(cleaned.length * 5 / 8) < this.minSecretBytes) {
+      throw new Error('The key is too short; check it was copied completely');
+    }
+    return cleaned;
+  }
+
+  // The canonical stored form, so every item carries the same shape of URI
+  toUri(config) {
+    const label = config.issuer
+      ? `${encodeURIComponent(config.issuer)}:${encodeURIComponent(config.account)}`
+      : encodeURIComponent(config.account);
+    const params = new URLSearchParams({ secret: config.secret });
+    if (config.issuer) params.set('issuer', config.issuer);
+    if (config.algorithm !== this.defaults.algorithm) params.set('algorithm', config.algorithm);
+    if (config.digits !== this.defaults.digits) params.set('digits', String(config.digits));
+    if (config.period !== this.defaults.period) params.set('period', String(config.period));
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  decodeBase32(secret) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+    for (const char of secret) {
+      buffer = (buffer << 5) | alphabet.indexOf(char);
+      bits += 5;
+      if (bits >= 8) {
+        bits -= 8;
+        bytes.push((buffer >> bits) & 0xff);
+      }
+    }
+    return new Uint8Array(bytes);
+  }
+
+  // RFC 4226: HMAC over the big-endian counter, dynamically truncated
+  async hotp(key, counter, digits = 6, algorithm = 'SHA1') {
+    const message = new Uint8Array(8);
+    let remaining = counter;
+    for (let i = 7; i >= 0; i--) {
+      message[i] = remaining % 256;
+      remaining = Math.floor(remaining / 256);
+    }
+
+    const hmacKey = await crypto.subtle.importKey(
+      'raw', key, { name: 'HMAC', hash: this.algorithms[algorithm] }, false, ['sign']
+    );
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, message));
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) |
+                   (hmac[offset + 2] << 8) | hmac[offset + 3];
+    return String(binary % 10 ** digits).padStart(digits, '0');
+  }
+
+  // RFC 6238: HOTP over the number of periods since the Unix epoch.
+  // remaining is the number of seconds the code stays valid.
+  async generate(value, now = Date.now()) {
+    const config = typeof value === 'string' ? this.parse(value) : value;
+    const seconds = Math.floor(now / 1000);
+    const counter = Math.floor(seconds / config.period);
+    const code = await this.hotp(this.decodeBase32(config.secret), counter, config.digits, config.algorithm);
+    return {
+      code,
+      period: config.period,
+      remaining: config.period - (seconds % config.period),
+      digits: config.digits
+    };
+  }
+}
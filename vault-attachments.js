@@ -0,0 +1,131 @@
+// vault-attachments.js - Encryption and chunking of item attachments
+//
+// Attachment contents live outside the vault blob, so adding a file does
+// not make every save re-encrypt it. The item keeps only the metadata,
+// inside the encrypted vault:
+//
+//   { "id", "name", "type", "size", "added",
+//     "key": [32 bytes],        // AES-256-GCM key for this attachment only
+//     "chunks": 3,              // number of stored chunks
+//     "sha256": "<hex>" }       // of the plaintext, checked on download
+//
+// Each chunk is stored on its own as { "iv", "data" } with base64 strings
+// (a third the size of the byte arrays used elsewhere). The chunk's index,
+// the chunk count and the attachment id are the AES-GCM additional data, so
+// chunks cannot be reordered, swapped between attachments or dropped from
+// the end without failing to decrypt.
+
+class VaultAttachments {
+  constructor() {
+    this.chunkSize = 256 * 1024;
+  }
+
+  generateKey() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(32)));
+  }
+
+  // Returns { attachment, chunks }: the metadata to keep on the item and the
+  // encrypted chunks to store
+  async encrypt(id, name, type, bytes) {
+    const key = this.generateKey();
+    const cryptoKey = await this.importKey(key, ['encrypt']);
+    const count = Math.max(1, Math.ceil(bytes.length / this.chunkSize));
+
+    const chunks = [];
+    for (let index = 0; index < count; index++) {
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const encrypted = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: this.chunkContext(id, index, count) },
+        cryptoKey,
+        bytes.subarray(index * this.chunkSize, (index + 1) * this.chunkSize)
+      );
+      chunks.push({ iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(encrypted)) });
+    }
+
+    return {
+      attachment: {
+        id,
+        name,
+        type,
+        size: bytes.length,
+        added: Date.now(),
+        key,
+        chunks: count,
+        sha256: await this.digest(bytes)
+      },
+      chunks
+    };
+  }
+
+  async decrypt(attachment, chunks) {
+    if (chunks.length !== attachment.chunks || chunks.some(chunk => !chunk)) {
+      throw new Error(`"${attachment.name}" is incomplete on this device`);
+    }
+
+    const cryptoKey = await this.importKey(attachment.key, ['decrypt']);
+    const bytes = new Uint8Array(attachment.size);
+    let offset = 0;
+    for (let index = 0; index < chunks.length; index++) {
+      let plain;
+      try {
+        plain = new Uint8Array(await crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: this.fromBase64(chunks[index].iv), additionalData: this.chunkContext(attachment.id, index, attachment.chunks) },
+          cryptoKey,
+          this.fromBase64(chunks[index].data)
+        ));
+      } catch (error) {
+        throw new Error(`"${attachment.name}" is damaged and cannot be decrypted`);
+      }
+      if (offset + plain.length > bytes.length) {
+        throw new Error(`"${attachment.name}" is damaged and cannot be decrypted`);
+      }
+      bytes.set(plain, offset);
+      offset += plain.length;
+    }
+
+    if (offset !== attachment.size || await this.digest(bytes) !== attachment.sha256) {
+      throw new Error(`"${attachment.name}" does not match the file that was attached`);
+    }
+    return bytes;
+  }
+
+  // Returns { key, chunks, stored }: the same contents under a fresh key,
+  // for when the old key must stop opening them. chunks is the new count.
+  async rekey(attachment, chunks) {
+    const bytes = await this.decrypt(attachment, chunks);
+    const fresh = await this.encrypt(attachment.id, attachment.name, attachment.type, bytes);
+    return { key: fresh.attachment.key, chunks: fresh.attachment.chunks, stored: fresh.chunks };
+  }
+
+  importKey(key, usages) {
+    return crypto.subtle.importKey('raw', new Uint8Array(key), { name: 'AES-GCM' }, false, usages);
+  }
+
+  chunkContext(id, index, count) {
+    return new TextEncoder().encode(`lockdown-attachment:${id}:${index}:${count}`);
+  }
+
+  async digest(bytes) {
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return Array.from(hash).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Built in slices: String.fromCharCode(...bytes) overflows the stack on
+  // large chunks
+  toBase64(bytes) {
+    let binary = '';
+    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
@@ -0,0 +1,162 @@
+// vault-export.js - Lockdown export file format and import planning
+//
+// Export files are JSON. Plain exports look like:
+//
+//   {
+//     "format": "lockdown-export",
+//     "formatVersion": 1,
+//     "exported": 1700000000000,          // ms since epoch
+//     "encrypted": false,
+//     "payload": {
+//       "schemaVersion": 4,               // VaultSchema version of the items
+//       "items": [ ...login items... ],   // see VaultSchema.normalizeCredential
+//       "integrity": { "algorithm": "SHA-256", "digest": "<hex>" }
+//     }
+//   }
+//
+// The digest is SHA-256 over JSON.stringify(items) and catches truncated or
+// hand-edited files. Encrypted exports replace "payload" with the output of
+// LockdownBackground.encryptData (Argon2id, or PBKDF2 when Argon2 is not
+// available, plus AES-GCM) over the same payload object:
+//
+//   {
+//     "format": "lockdown-export", "formatVersion": 1, "exported": ...,
+//     "encrypted": true,
+//     "cipher": { "kdf", "kdfParams", "salt", "iv", "encrypted", "version" }
+//   }
+//
+// AES-GCM authenticates the ciphertext, so a wrong export password and a
+// tampered file both fail to decrypt.
+
+class VaultExport {
+  constructor(schema) {
+    this.schema = schema;
+    this.format = 'lockdown-export';
+    this.formatVersion = 1;
+  }
+
+  async createPayload(items) {
+    return {
+      schemaVersion: this.schema.currentVersion,
+      items,
+      integrity: {
+        algorithm: 'SHA-256',
+        digest: await this.digest(items)
+      }
+    };
+  }
+
+  wrap(payload, cipher) {
+    const file = {
+      format: this.format,
+      formatVersion: this.formatVersion,
+      exported: Date.now(),
+      encrypted: !!cipher
+    };
+    if (cipher) {
+      file.cipher = cipher;
+    } else {
+      file.payload = payload;
+    }
+    return JSON.stringify(file, null, 2);
+  }
+
+  // Parse and sanity-check the outer envelope; decryption is the caller's job
+  parse(fileContent) {
+    let file;
+    try {
+      file = JSON.parse(fileContent);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+
+    if (!file || file.format !== this.format) {
+      throw new Error('Not a Lockdown export file');
+    }
+    if (file.formatVersion > this.formatVersion) {
+      throw new Error(`Export format v${file.formatVersion} is newer than this version of Lockdown supports`);
+    }
+    if (file.encrypted && !file.cipher) {
+      throw new Error('Encrypted export is missing its ciphertext');
+    }
+    if (!file.encrypted && !file.payload) {
+      throw new Error('Export is missing its payload');
+    }
+    return file;
+  }
+
+  // Verify the digest and bring items up to the current item model
+  async readPayload(payload) {
+    if (!payload || !Array.isArray(payload.items)) {
+      throw new Error('Export payload has no items');
+    }
+    if (!payload.integrity || payload.integrity.algorithm !== 'SHA-256') {
+      throw new Error('Export payload has no integrity check');
+    }
+    if (await this.digest(payload.items) !== payload.integrity.digest) {
+      throw new Error('Integrity check failed: the export file was modified or is incomplete');
+    }
+    if (payload.schemaVersion > this.schema.currentVersion) {
+      throw new Error(`Export items use schema v${payload.schemaVersion}, newer than this version of Lockdown supports`);
+    }
+
+    return payload.items.map(item => {
+      const normalized = this.schema.normalizeCredential(item);
+      const errors = this.schema.validateCredential(normalized);
+      if (errors.length > 0) {
+        throw new Error(`Invalid item "${normalized.name}": ${errors[0]}`);
+      }
+      return normalized;
+    });
+  }
+
+  // Classify each incoming item against the vault. Logins match on site and
+  // username, other item types on type and name:
+  //   new       - no matching item
+  //   duplicate - a match with the same password or contents (skipped)
+  //   conflict  - a match with a different password or contents
+  planImport(existingItems, incomingItems) {
+    const loginKey = (item) => item.type === 'login'
+      ? `login\n${item.domain.toLowerCase()}\n${item.username.toLowerCase()}`
+      : `${item.type}\n${item.name.toLowerCase()}`;
+    const sameSecret = (a, b) => a.type === 'login'
+      ? a.password === b.password
+      : a.notes === b.notes && JSON.stringify(a.fields) === JSON.stringify(b.fields);
+    const existingByLogin = new Map();
+    existingItems.forEach(item => {
+      if (!existingByLogin.has(loginKey(item))) {
+        existingByLogin.set(loginKey(item), item);
+      }
+    });
+
+    const seenInFile = new Set();
+    return incomingItems.map((item, index) => {
+      const key = loginKey(item);
+      const match = existingByLogin.get(key);
+      let status = 'new';
+
+      if (match) {
+        status = sameSecret(match, item) ? 'duplicate' : 'conflict';
+      } else if (seenInFile.has(key)) {
+        // Repeated inside the file itself
+        status = 'duplicate';
+      }
+      seenInFile.add(key);
+
+      return {
+        index,
+        status,
+        existingId: match ? match.id : null,
+        name: item.name,
+        username: item.username,
+        domain: item.domain
+      };
+    });
+  }
+
+  async digest(items) {
+    const bytes = new TextEncoder().encode(JSON.stringify(items));
+    const hash = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(hash)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
@@ -0,0 +1,374 @@
+// vault-merge.js - Item revisions, tombstones and merging of diverged vaults
+//
+// Every item carries a revision counter and the id of the device that last
+// changed it. Revisions are assigned when the vault is saved (stamp), by
+// comparing against the previously saved vault, so no code path that edits
+// items has to remember to bump them. Deleted items and collections leave a
+// tombstone with the revision they were deleted at.
+//
+// merge(local, remote, base) combines two copies of the same vault. With a
+// base (the last copy both sides agreed on) it is a three-way merge: an item
+// changed on one side only takes that side. Without a base, the higher
+// revision wins. Items changed differently on both sides, or edited on one
+// side and deleted on the other, are true conflicts: both versions are kept
+// in vault.conflicts for the user to decide, and the vault holds a
+// provisional pick until then. The outcome for each item does not depend on
+// which copy is passed as local.
+
+class VaultMerge {
+  constructor(schema) {
+    this.schema = schema;
+    // Tombstones older than this are dropped; a copy offline for longer may
+    // bring deleted items back
+    this.tombstoneRetentionDays = 365;
+  }
+
+  // JSON with sorted keys, so equal items compare equal whatever their
+  // key order
+  canonical(value) {
+    if (Array.isArray(value)) {
+      return '[' + value.map(entry => this.canonical(entry)).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+      return '{' + Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => JSON.stringify(key) + ':' + this.canonical(value[key])).join(',') + '}';
+    }
+    return JSON.stringify(value);
+  }
+
+  // id -> { item, location, deleted } for every item wherever it lives:
+  // location is 'vault', 'trash' or 'collection:<id>'
+  index(vault) {
+    const records = new Map();
+    const add = (item, location, deleted) => {
+      if (item && typeof item.id === 'string') {
+        records.set(item.id, { item, location, deleted });
+      }
+    };
+    (vault.credentials || []).forEach(item => add(item, 'vault'));
+    (vault.trash || []).forEach(entry => entry && add(entry.item, 'trash', entry.deleted));
+    (vault.collections || []).forEach(collection => {
+      (collection.items || []).forEach(item => add(item, 'collection:' + collection.id));
+    });
+    return records;
+  }
+
+  // Content and location, without the revision metadata
+  fingerprint(record) {
+    const { revision, device, ...content } = record.item;
+    return this.canonical({ content, location: record.location });
+  }
+
+  tombstoneKey(type, id) {
+    return `${type}:${id}`;
+  }
+
+  tombstoneMap(...vaults) {
+    const map = new Map();
+    vaults.forEach(vault => {
+      ((vault && vault.tombstones) || []).forEach(tombstone => {
+        const key = this.tombstoneKey(tombstone.type, tombstone.id);
+        const existing = map.get(key);
+        if (!existing || tombstone.revision > existing.revision) {
+          map.set(key, tombstone);
+        }
+      });
+    });
+    return map;
+  }
+
+  // Assign revisions before a save. previous is the vault as last saved
+  // (null for a new vault); vault is modified in place.
+  stamp(vault, previous, device, now = Date.now()) {
+    const before = previous ? this.index(previous) : new Map();
+    const after = this.index(vault);
+    const tombstones = this.tombstoneMap(previous, vault);
+
+    // A provisional pick from a merge is not an edit; bumping it would
+    // make it outrank the version it is in conflict with
+    const undecided = new Set();
+    (vault.conflicts || []).forEach(conflict => conflict.versions.forEach(version => {
+      if (!version.deleted) {
+        undecided.add(this.fingerprint({ item: version.item, location: version.location }));
+      }
+    }));
+
+    after.forEach((record, id) => {
+      const prior = before.get(id);
+      const tombstone = tombstones.get(this.tombstoneKey('item', id));
+      if (prior) {
+        // Versions taken from a newer copy keep their own revision
+        if (this.fingerprint(prior) !== this.fingerprint(record) &&
+            !(record.item.revision > prior.item.revision) && !undecided.has(this.fingerprint(record))) {
+          record.item.revision = (prior.item.revision || 0) + 1;
+          record.item.device = device;
+        }
+      } else if (tombstone) {
+        // Back after a delete, e.g. a snapshot restore: outrank the delete
+        record.item.revision = Math.max(record.item.revision, tombstone.revision) + 1;
+        record.item.device = device;
+      } else if (!record.item.device) {
+        record.item.device = device;
+      }
+      tombstones.delete(this.tombstoneKey('item', id));
+    });
+
+    before.forEach((record, id) => {
+      const key = this.tombstoneKey('item', id);
+      if (!after.has(id) && !tombstones.has(key)) {
+        tombstones.set(key, { type: 'item', id, revision: (record.item.revision || 0) + 1, device, deleted: now });
+      }
+    });
+
+    const collectionsBefore = new Map(((previous && previous.collections) || []).map(c => [c.id, c]));
+    const collectionsAfter = new Map((vault.collections || []).map(c => [c.id, c]));
+    collectionsAfter.forEach((collection, id) => {
+      const key = this.tombstoneKey('collection', id);
+      const tombstone = tombstones.get(key);
+      if (tombstone && !collectionsBefore.has(id)) {
+        collection.revision = Math.max(collection.revision, tombstone.revision) + 1;
+      }
+      tombstones.delete(key);
+    });
+    collectionsBefore.forEach((collection, id) => {
+      const key = this.tombstoneKey('collection', id);
+      if (!collectionsAfter.has(id) && !tombstones.has(key)) {
+        tombstones.set(key, { type: 'collection', id, revision: collection.revision + 1, device, deleted: now });
+      }
+    });
+
+    const cutoff = now - this.tombstoneRetentionDays * 24 * 60 * 60 * 1000;
+    vault.tombstones = [...tombstones.values()].filter(tombstone => tombstone.deleted >= cutoff);
+
+    // Deleting or editing a conflicted item settles the conflict
+    vault.conflicts = (vault.conflicts || []).filter(conflict => {
+      const record = after.get(conflict.id);
+      return record && record.item.revision <= conflict.revision;
+    });
+  }
+
+  // Deterministic order between two versions of one item, for provisional
+  // picks and revision ties
+  prefer(a, b) {
+    if (a.item.revision !== b.item.revision) {
+      return a.item.revision > b.item.revision ? a : b;
+    }
+    if (a.item.modified !== b.item.modified) {
+      return a.item.modified > b.item.modified ? a : b;
+    }
+    return this.fingerprint(a) >= this.fingerprint(b) ? a : b;
+  }
+
+  // Decide one item. Returns { record } (null when deleted) and, for true
+  // conflicts, the competing versions.
+  decide(local, remote, localTombstone, remoteTombstone, base) {
+    if (local && remote) {
+      if (this.fingerprint(local) === this.fingerprint(remote)) {
+        return { record: this.prefer(local, remote) };
+      }
+      if (base) {
+        const localChanged = this.fingerprint(local) !== this.fingerprint(base);
+        const remoteChanged = this.fingerprint(remote) !== this.fingerprint(base);
+        if (!localChanged) return { record: remote };
+        if (!remoteChanged) return { record: local };
+      } else if (local.item.revision !== remote.item.revision) {
+        return { record: this.prefer(local, remote) };
+      }
+      return { record: this.prefer(local, remote), conflict: [local, remote] };
+    }
+
+    const present = local || remote;
+    const tombstone = local ? remoteTombstone : localTombstone;
+    if (!present) {
+      return { record: null };
+    }
+    if (!tombstone) {
+      return { record: present };
+    }
+
+    // Deleted on one side: the delete wins unless the other side edited the
+    // item since the version that was deleted
+    const editedSince = base
+      ? this.fingerprint(present) !== this.fingerprint(base)
+      : present.item.revision >= tombstone.revision;
+    if (!editedSince) {
+      return { record: null };
+    }
+    return {
+      record: present,
+      conflict: [present, { deleted: true, revision: tombstone.revision, device: tombstone.device }]
+    };
+  }
+
+  pickCollection(a, b) {
+    if (!a || !b) return a || b;
+    if (a.revision !== b.revision) return a.revision > b.revision ? a : b;
+    if (a.updated !== b.updated) return a.updated > b.updated ? a : b;
+    return this.canonical(a) >= this.canonical(b) ? a : b;
+  }
+
+  merge(local, remote, base = null, now = Date.now()) {
+    const localRecords = this.index(local);
+    const remoteRecords = this.index(remote);
+    const baseRecords = base ? this.index(base) : null;
+    const localTombstones = this.tombstoneMap(local);
+    const remoteTombstones = this.tombstoneMap(remote);
+    const tombstones = this.tombstoneMap(local, remote);
+
+    // Collections first, so items know which collections survive
+    const collections = new Map();
+    const collectionIds = new Set([...(local.collections || []), ...(remote.collections || [])].map(c => c.id));
+    collectionIds.forEach(id => {
+      const localCollection = (local.collections || []).find(c => c.id === id);
+      const remoteCollection = (remote.collections || []).find(c => c.id === id);
+      const picked = this.pickCollection(localCollection, remoteCollection);
+      const tombstone = tombstones.get(this.tombstoneKey('collection', id));
+      if (tombstone && tombstone.revision > picked.revision) {
+        return;
+      }
+      tombstones.delete(this.tombstoneKey('collection', id));
+      const { items, ...meta } = picked;
+      collections.set(id, { ...JSON.parse(JSON.stringify(meta)), items: [] });
+    });
+
+    const merged = {
+      ...JSON.parse(JSON.stringify(local)),
+      identity: local.identity || remote.identity || null,
+      credentials: [],
+      trash: [],
+      collections: [...collections.values()]
+    };
+
+    const stats = { fromLocal: 0, fromRemote: 0, deleted: 0, conflicts: 0 };
+    const newConflicts = [];
+    const place = (record) => {
+      const item = JSON.parse(JSON.stringify(record.item));
+      if (record.location === 'trash') {
+        merged.trash.push({ item, deleted: record.deleted });
+      } else if (record.location.startsWith('collection:') && collections.has(record.location.slice(11))) {
+        collections.get(record.location.slice(11)).items.push(item);
+      } else {
+        merged.credentials.push(item);
+      }
+      return item;
+    };
+
+    const ids = new Set([...localRecords.keys(), ...remoteRecords.keys()]);
+    ids.forEach(id => {
+      const localRecord = localRecords.get(id) || null;
+      const remoteRecord = remoteRecords.get(id) || null;
+      const key = this.tombstoneKey('item', id);
+      const decision = this.decide(
+        localRecord, remoteRecord,
+        localTombstones.get(key) || null, remoteTombstones.get(key) || null,
+        baseRecords ? baseRecords.get(id) || null : null
+      );
+
+      if (!decision.record) {
+        stats.deleted += localRecord ? 1 : 0;
+        return;
+      }
+      tombstones.delete(key);
+      const item = place(decision.record);
+      if (decision.record === localRecord) {
+        stats.fromLocal++;
+      } else {
+        stats.fromRemote++;
+      }
+
+      if (decision.conflict) {
+        stats.conflicts++;
+        newConflicts.push({
+          id,
+          name: item.name || item.domain,
+          detected: now,
+          revision: Math.max(...decision.conflict.map(version => version.deleted ? version.revision : version.item.revision)),
+          versions: decision.conflict.map(version => version.deleted
+            ? { deleted: true, device: version.device }
+            : { item: JSON.parse(JSON.stringify(version.item)), location: version.location, deleted: false })
+        });
+      }
+    });
+
+    merged.tombstones = [...tombstones.values()];
+
+    // Keep undecided conflicts from either side unless the item has since
+    // moved past them (resolved on another device) or is gone
+    const finalRecords = this.index(merged);
+    const conflicts = new Map();
+    [...(local.conflicts || []), ...(remote.conflicts || []), ...newConflicts].forEach(conflict => {
+      const record = finalRecords.get(conflict.id);
+      if (record && record.item.revision <= conflict.revision) {
+        conflicts.set(conflict.id, conflict);
+      }
+    });
+    merged.conflicts = [...conflicts.values()];
+
+    return { vault: merged, stats };
+  }
+
+  // Settle a conflict. choice is the index of the version to keep, or
+  // 'both' to keep the provisional pick and add the other versions as
+  // copies. The kept version outranks every competing revision.
+  resolve(vault, conflictId, choice, device, now = Date.now()) {
+    const conflict = (vault.conflicts || []).find(entry => entry.id === conflictId);
+    if (!conflict) {
+      throw new Error('Conflict not found');
+    }
+
+    const records = this.index(vault);
+    const current = records.get(conflictId);
+    const remove = () => {
+      if (!current) return;
+      if (current.location === 'trash') {
+        vault.trash = vault.trash.filter(entry => entry.item.id !== conflictId);
+      } else if (current.location.startsWith('collection:')) {
+        const collection = vault.collections.find(c => 'collection:' + c.id === current.location);
+        collection.items = collection.items.filter(item => item.id !== conflictId);
+      } else {
+        vault.credentials = vault.credentials.filter(item => item.id !== conflictId);
+      }
+    };
+    const insert = (item, location, deleted) => {
+      const collection = location && location.startsWith('collection:') &&
+        vault.collections.find(c => 'collection:' + c.id === location);
+      if (location === 'trash') {
+        vault.trash.unshift({ item, deleted: deleted || now });
+      } else if (collection) {
+        collection.items.push(item);
+      } else {
+        vault.credentials.push(item);
+      }
+    };
+
+    if (choice === 'both') {
+      if (current) {
+        current.item.revision = conflict.revision + 1;
+        current.item.device = device;
+      }
+      conflict.versions.forEach(version => {
+        if (version.deleted || (current && this.fingerprint({ item: version.item, location: version.location }) === this.fingerprint(current))) {
+          return;
+        }
+        const copy = { ...JSON.parse(JSON.stringify(version.item)), id: this.schema.generateId(), revision: 1, device };
+        insert(copy, version.location === 'trash' ? 'vault' : version.location);
+      });
+    } else {
+      const version = conflict.versions[choice];
+      if (!version) {
+        throw new Error('Unknown version');
+      }
+      remove();
+      if (version.deleted) {
+        vault.tombstones = (vault.tombstones || []).filter(t => !(t.type === 'item' && t.id === conflictId));
+        vault.tombstones.push({ type: 'item', id: conflictId, revision: conflict.revision + 1, device, deleted: now });
+      } else {
+        const item = { ...JSON.parse(JSON.stringify(version.item)), revision: conflict.revision + 1, device };
+        insert(item, version.location, current && current.deleted);
+      }
+    }
+
+    vault.conflicts = vault.conflicts.filter(entry => entry.id !== conflictId);
+  }
+}
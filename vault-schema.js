@@ -0,0 +1,757 @@
+// vault-schema.js - Decrypted vault schema, validator and schema migrations
+
+class VaultSchema {
+  constructor() {
+    // Bump this and append a migration whenever the decrypted vault shape
+    // changes. Vaults without schemaVersion predate the schema (version 1).
+    this.currentVersion = 11;
+
+    this.migrations = [
+      {
+        from: 1,
+        to: 2,
+        description: 'Normalise free-form credentials into login items',
+        migrate: (vault) => {
+          const migrated = {
+            schemaVersion: 2,
+            created: typeof vault.created === 'number' ? vault.created : Date.now(),
+            security: vault.security || null,
+            credentials: []
+          };
+
+          const seen = new Set();
+          (Array.isArray(vault.credentials) ? vault.credentials : []).forEach(cred => {
+            if (!cred || typeof cred !== 'object') return;
+            const item = this.normalizeCredential(cred);
+            // Older builds could produce clashing IDs; keep both items
+            while (seen.has(item.id)) {
+              item.id = this.generateId();
+            }
+            seen.add(item.id);
+            migrated.credentials.push(item);
+          });
+
+          return migrated;
+        }
+      },
+      {
+        from: 2,
+        to: 3,
+        description: 'Add password history to login items',
+        migrate: (vault) => {
+          vault.credentials.forEach(cred => {
+            cred.passwordHistory = this.normalizePasswordHistory(cred.passwordHistory);
+          });
+          return vault;
+        }
+      },
+      {
+        from: 3,
+        to: 4,
+        description: 'Add trash for soft-deleted items',
+        migrate: (vault) => {
+          vault.trash = [];
+          return vault;
+        }
+      },
+      {
+        from: 4,
+        to: 5,
+        description: 'Add sharing identity and shared collections',
+        migrate: (vault) => {
+          vault.identity = null;
+          vault.collections = [];
+          return vault;
+        }
+      },
+      {
+        from: 5,
+        to: 6,
+        description: 'Add item revisions, tombstones and merge conflicts',
+        migrate: (vault) => {
+          const stamp = (item) => {
+            item.revision = 1;
+            item.device = '';
+          };
+          vault.credentials.forEach(stamp);
+          vault.trash.forEach(entry => stamp(entry.item));
+          vault.collections.forEach(collection => collection.items.forEach(stamp));
+          vault.tombstones = [];
+          vault.conflicts = [];
+          return vault;
+        }
+      },
+      {
+        from: 6,
+        to: 7,
+        description: 'Add folders, tags and favourites',
+        migrate: (vault) => {
+          // Imports used to park these under custom; lift them out
+          const organise = (item) => {
+            const custom = item.custom;
+            item.folder = typeof custom.folder === 'string' ? this.normalizeFolder(custom.folder) : '';
+            item.tags = this.normalizeTags(custom.tags);
+            item.favorite = custom.favorite === true;
+            if (typeof custom.folder === 'string') delete custom.folder;
+            if (typeof custom.tags === 'string' || Array.isArray(custom.tags)) delete custom.tags;
+            if (typeof custom.favorite === 'boolean') delete custom.favorite;
+          };
+          vault.credentials.forEach(organise);
+          vault.trash.forEach(entry => organise(entry.item));
+          vault.collections.forEach(collection => collection.items.forEach(organise));
+          vault.conflicts.forEach(conflict => conflict.versions.forEach(version => {
+            if (!version.deleted) organise(version.item);
+          }));
+          return vault;
+        }
+      },
+      {
+        from: 7,
+        to: 8,
+        description: 'Add typed item fields',
+        migrate: (vault) => {
+          const addFields = (item) => {
+            item.fields = {};
+          };
+          vault.credentials.forEach(addFields);
+          vault.trash.forEach(entry => addFields(entry.item));
+          vault.collections.forEach(collection => collection.items.forEach(addFields));
+          vault.conflicts.forEach(conflict => conflict.versions.forEach(version => {
+            if (!version.deleted) addFields(version.item);
+          }));
+          return vault;
+        }
+      },
+      {
+        from: 8,
+        to: 9,
+        description: 'Add authenticator keys to login items',
+        migrate: (vault) => {
+          // Imports used to park these under custom; lift them out
+          const addTotp = (item) => {
+            const totp = item.custom.totp;
+            item.totp = item.type === 'login' && typeof totp === 'string' ? totp.trim() : '';
+            if (item.type === 'login' && typeof totp === 'string') delete item.custom.totp;
+          };
+          vault.credentials.forEach(addTotp);
+          vault.trash.forEach(entry => addTotp(entry.item));
+          vault.collections.forEach(collection => collection.items.forEach(addTotp));
+          vault.conflicts.forEach(conflict => conflict.versions.forEach(version => {
+            if (!version.deleted) addTotp(version.item);
+          }));
+          return vault;
+        }
+      },
+      {
+        from: 9,
+        to: 10,
+        description: 'Add file attachments',
+        migrate: (vault) => {
+          const addAttachments = (item) => {
+            item.attachments = [];
+          };
+          vault.credentials.forEach(addAttachments);
+          vault.trash.forEach(entry => addAttachments(entry.item));
+          vault.collections.forEach(collection => collection.items.forEach(addAttachments));
+          vault.conflicts.forEach(conflict => conflict.versions.forEach(version => {
+            if (!version.deleted) addAttachments(version.item);
+          }));
+          return vault;
+        }
+      },
+      {
+        from: 10,
+        to: 11,
+        description: 'Add a website match mode to every item',
+        migrate: (vault) => {
+          const addMatch = (item) => {
+            item.match = 'domain';
+          };
+          vault.credentials.forEach(addMatch);
+          vault.trash.forEach(entry => addMatch(entry.item));
+          vault.collections.forEach(collection => collection.items.forEach(addMatch));
+          vault.conflicts.forEach(conflict => conflict.versions.forEach(version => {
+            if (!version.deleted) addMatch(version.item);
+          }));
+          return vault;
+        }
+      }
+    ];
+
+    // Fields of the login item model. Anything else a caller sets is kept
+    // under `custom` so migrations never silently drop user data.
+    this.loginFields = [
+      'id', 'type', 'name', 'username', 'password', 'url', 'match', 'domain', 'notes',
+      'passwordHistory', 'created', 'modified', 'revision', 'device',
+      'folder', 'tags', 'favorite', 'fields', 'totp', 'attachments', 'custom'
+    ];
+
+    // How a login's url is compared with a page's (see domain-matcher.js).
+    // Other item types never fill pages and keep the default.
+    this.matchModes = {
+      domain: 'Base domain, including subdomains',
+      host: 'Exact host',
+      'host-port': 'Exact host and port',
+      'starts-with': 'URL starts with',
+      regex: 'Regular expression'
+    };
+
+    // Item types. Logins use the top-level username, password and url; every
+    // other type keeps its values, all strings, under item.fields. Secret
+    // fields are masked in the popup and never searched. format names a
+    // check in checkItemInput.
+    this.itemTypes = {
+      login: { label: 'Login', icon: '🔑', fields: [] },
+      note: { label: 'Secure note', icon: '📝', fields: [] },
+      card: {
+        label: 'Payment card',
+        icon: '💳',
+        fields: [
+          { key: 'cardholder', label: 'Name on card' },
+          { key: 'brand', label: 'Brand' },
+          { key: 'number', label: 'Card number', secret: true, format: 'cardNumber', required: true },
+          { key: 'expiry', label: 'Expiry (MM/YY)', format: 'expiry' },
+          { key: 'cvv', label: 'Security code', secret: true, format: 'cvv' },
+          { key: 'pin', label: 'PIN', secret: true, format: 'digits' }
+        ]
+      },
+      identity: {
+        label: 'Identity',
+        icon: '🪪',
+        fields: [
+          { key: 'fullName', label: 'Full name', required: true },
+          { key: 'email', label: 'Email', format: 'email' },
+          { key: 'phone', label: 'Phone' },
+          { key: 'company', label: 'Company' },
+          { key: 'address1', label: 'Address' },
+          { key: 'address2', label: 'Address line 2' },
+          { key: 'city', label: 'City' },
+          { key: 'region', label: 'State / region' },
+          { key: 'postalCode', label: 'Postal code' },
+          { key: 'country', label: 'Country' },
+          { key: 'birthDate', label: 'Date of birth', format: 'date' },
+          { key: 'idNumber', label: 'ID or passport number', secret: true }
+        ]
+      },
+      license: {
+        label: 'Software licence',
+        icon: '📦',
+        fields: [
+          { key: 'product', label: 'Product' },
+          { key: 'version', label: 'Version' },
+          { key: 'licenseKey', label: 'Licence key', secret: true, required: true },
+          { key: 'licensee', label: 'Licensed to' },
+          { key: 'email', label: 'Registered email', format: 'email' },
+          { key: 'purchased', label: 'Purchase date', format: 'date' },
+          { key: 'expires', label: 'Expires', format: 'date' }
+        ]
+      },
+      apikey: {
+        label: 'API key',
+        icon: '🔌',
+        fields: [
+          { key: 'service', label: 'Service' },
+          { key: 'keyId', label: 'Key ID or client ID' },
+          { key: 'secret', label: 'Secret', secret: true, required: true },
+          { key: 'endpoint', label: 'Endpoint URL', format: 'url' },
+          { key: 'environment', label: 'Environment' },
+          { key: 'expires', label: 'Expires', format: 'date' }
+        ]
+      }
+    };
+  }
+
+  createVault(security) {
+    return {
+      schemaVersion: this.currentVersion,
+      created: Date.now(),
+      security: security || null,
+      credentials: [],
+      trash: [],
+      identity: null,
+      collections: [],
+      tombstones: [],
+      conflicts: []
+    };
+  }
+
+  getVersion(vault) {
+    return vault && Number.isInteger(vault.schemaVersion) ? vault.schemaVersion : 1;
+  }
+
+  // Runs every pending migration on a copy of the vault and validates the
+  // result. Throws without touching the input if any step fails.
+  migrate(vault) {
+    let version = this.getVersion(vault);
+    if (version > this.currentVersion) {
+      throw new Error(`Vault schema v${version} is newer than this version of Lockdown supports (v${this.currentVersion})`);
+    }
+
+    let migrated = JSON.parse(JSON.stringify(vault));
+    const applied = [];
+
+    while (version < this.currentVersion) {
+      const step = this.migrations.find(migration => migration.from === version);
+      if (!step) {
+        throw new Error(`No schema migration from v${version}`);
+      }
+
+      console.log(`📐 Vault schema v${step.from} → v${step.to}: ${step.description}`);
+      migrated = step.migrate(migrated);
+      migrated.schemaVersion = step.to;
+      applied.push({ from: step.from, to: step.to });
+      version = step.to;
+    }
+
+    const errors = this.validate(migrated);
+    if (errors.length > 0) {
+      throw new Error('Migrated vault is invalid: ' + errors.slice(0, 3).join('; '));
+    }
+
+    return { vault: migrated, applied };
+  }
+
+  // Returns a list of problems; an empty list means the vault is valid
+  validate(vault) {
+    const errors = [];
+
+    if (!vault || typeof vault !== 'object' || Array.isArray(vault)) {
+      return ['Vault must be an object'];
+    }
+    if (vault.schemaVersion !== this.currentVersion) {
+      errors.push(`schemaVersion must be ${this.currentVersion}`);
+    }
+    if (typeof vault.created !== 'number') {
+      errors.push('created must be a timestamp');
+    }
+    if (!Array.isArray(vault.credentials)) {
+      errors.push('credentials must be an array');
+      return errors;
+    }
+
+    const ids = new Set();
+    vault.credentials.forEach((cred, index) => {
+      this.validateCredential(cred).forEach(error => {
+        errors.push(`credentials[${index}]: ${error}`);
+      });
+      if (cred && ids.has(cred.id)) {
+        errors.push(`credentials[${index}]: duplicate id ${cred.id}`);
+      }
+      if (cred) ids.add(cred.id);
+    });
+
+    // Trashed items keep their full item so a restore is lossless
+    if (!Array.isArray(vault.trash)) {
+      errors.push('trash must be an array');
+      return errors;
+    }
+    vault.trash.forEach((entry, index) => {
+      if (!entry || typeof entry.deleted !== 'number') {
+        errors.push(`trash[${index}]: deleted must be a timestamp`);
+        return;
+      }
+      this.validateCredential(entry.item).forEach(error => {
+        errors.push(`trash[${index}]: ${error}`);
+      });
+      if (entry.item && ids.has(entry.item.id)) {
+        errors.push(`trash[${index}]: duplicate id ${entry.item.id}`);
+      }
+      if (entry.item) ids.add(entry.item.id);
+    });
+
+    if (vault.identity !== null && !this.isKeyPair(vault.identity)) {
+      errors.push('identity must be null or a key pair');
+    }
+    if (!Array.isArray(vault.collections)) {
+      errors.push('collections must be an array');
+      return errors;
+    }
+    vault.collections.forEach((collection, index) => {
+      this.validateCollection(collection).forEach(error => {
+        errors.push(`collections[${index}]: ${error}`);
+      });
+      (collection && Array.isArray(collection.items) ? collection.items : []).forEach(item => {
+        if (item && ids.has(item.id)) {
+          errors.push(`collections[${index}]: duplicate id ${item.id}`);
+        }
+        if (item) ids.add(item.id);
+      });
+    });
+
+    // Deleted items and collections, so a merge does not bring them back
+    if (!Array.isArray(vault.tombstones)) {
+      errors.push('tombstones must be an array');
+    } else {
+      vault.tombstones.forEach((tombstone, index) => {
+        if (!tombstone || !['item', 'collection'].includes(tombstone.type) || typeof tombstone.id !== 'string' ||
+            !Number.isInteger(tombstone.revision) || typeof tombstone.device !== 'string' ||
+            typeof tombstone.deleted !== 'number') {
+          errors.push(`tombstones[${index}]: needs type, id, revision, device and deleted`);
+        }
+      });
+    }
+
+    // Merge conflicts awaiting a decision; each version is a full item or
+    // a deletion
+    if (!Array.isArray(vault.conflicts)) {
+      errors.push('conflicts must be an array');
+    } else {
+      vault.conflicts.forEach((conflict, index) => {
+        if (!conflict || typeof conflict.id !== 'string' || !Number.isInteger(conflict.revision) ||
+            !Array.isArray(conflict.versions) || conflict.versions.length < 2) {
+          errors.push(`conflicts[${index}]: needs id, revision and at least two versions`);
+          return;
+        }
+        conflict.versions.forEach((version, versionIndex) => {
+          if (!version.deleted) {
+            this.validateCredential(version.item).forEach(error => {
+              errors.push(`conflicts[${index}].versions[${versionIndex}]: ${error}`);
+            });
+          }
+        });
+      });
+    }
+
+    return errors;
+  }
+
+  isKeyPair(identity) {
+    return !!identity && typeof identity === 'object' &&
+           !!identity.publicKey && identity.publicKey.kty === 'EC' &&
+           !!identity.privateKey && typeof identity.privateKey.d === 'string' &&
+           typeof identity.name === 'string' && typeof identity.fingerprint === 'string';
+  }
+
+  // Shared collection: items encrypted under a collection key that is
+  // wrapped to each member's public key when a share bundle is exported
+  validateCollection(collection) {
+    if (!collection || typeof collection !== 'object' || Array.isArray(collection)) {
+      return ['must be an object'];
+    }
+
+    const errors = [];
+    ['id', 'name', 'owner'].forEach(field => {
+      if (typeof collection[field] !== 'string' || !collection[field]) {
+        errors.push(`${field} must be a non-empty string`);
+      }
+    });
+    if (!Array.isArray(collection.key) || collection.key.length !== 32) {
+      errors.push('key must be 32 bytes');
+    }
+    if (!Number.isInteger(collection.revision) || collection.revision < 1) {
+      errors.push('revision must be a positive integer');
+    }
+    if (typeof collection.updated !== 'number') {
+      errors.push('updated must be a timestamp');
+    }
+    if (!Array.isArray(collection.members) || collection.members.some(member =>
+      !member || typeof member.fingerprint !== 'string' || typeof member.name !== 'string' ||
+      !member.publicKey || member.publicKey.kty !== 'EC')) {
+      errors.push('members need a name, fingerprint and public key');
+    }
+    if (!Array.isArray(collection.items)) {
+      errors.push('items must be an array');
+    } else {
+      collection.items.forEach((item, index) => {
+        this.validateCredential(item).forEach(error => {
+          errors.push(`items[${index}]: ${error}`);
+        });
+      });
+    }
+
+    return errors;
+  }
+
+  validateCredential(cred) {
+    const errors = [];
+
+    if (!cred || typeof cred !== 'object' || Array.isArray(cred)) {
+      return ['must be an object'];
+    }
+    if (typeof cred.id !== 'string' || !cred.id) {
+      errors.push('id must be a non-empty string');
+    }
+    const itemType = this.itemTypes[cred.type];
+    if (!itemType) {
+      errors.push(`unknown type ${cred.type}`);
+    }
+    ['name', 'username', 'password', 'url', 'domain', 'notes', 'totp'].forEach(field => {
+      if (typeof cred[field] !== 'string') {
+        errors.push(`${field} must be a string`);
+      }
+    });
+    if (!this.matchModes[cred.match]) {
+      errors.push(`unknown match mode ${cred.match}`);
+    }
+    ['created', 'modified'].forEach(field => {
+      if (typeof cred[field] !== 'number') {
+        errors.push(`${field} must be a timestamp`);
+      }
+    });
+    if (!cred.custom || typeof cred.custom !== 'object' || Array.isArray(cred.custom)) {
+      errors.push('custom must be an object');
+    }
+    if (!Number.isInteger(cred.revision) || cred.revision < 1) {
+      errors.push('revision must be a positive integer');
+    }
+    if (typeof cred.device !== 'string') {
+      errors.push('device must be a string');
+    }
+    if (typeof cred.folder !== 'string') {
+      errors.push('folder must be a string');
+    }
+    if (!Array.isArray(cred.tags) || cred.tags.some(tag => typeof tag !== 'string' || !tag)) {
+      errors.push('tags must be an array of non-empty strings');
+    }
+    if (typeof cred.favorite !== 'boolean') {
+      errors.push('favorite must be a boolean');
+    }
+    if (!cred.fields || typeof cred.fields !== 'object' || Array.isArray(cred.fields)) {
+      errors.push('fields must be an object');
+    } else if (itemType) {
+      Object.keys(cred.fields).forEach(key => {
+        if (!itemType.fields.some(field => field.key === key)) {
+          errors.push(`unexpected ${cred.type} field ${key}`);
+        } else if (typeof cred.fields[key] !== 'string') {
+          errors.push(`${key} must be a string`);
+        }
+      });
+    }
+    if (!Array.isArray(cred.attachments)) {
+      errors.push('attachments must be an array');
+    } else if (cred.attachments.some(attachment => !this.isAttachment(attachment))) {
+      errors.push('attachments need an id, name, type, size, key, chunk count and digest');
+    }
+    if (!Array.isArray(cred.passwordHistory)) {
+      errors.push('passwordHistory must be an array');
+    } else if (cred.passwordHistory.some(entry =>
+      !entry || typeof entry.password !== 'string' || typeof entry.changed !== 'number')) {
+      errors.push('passwordHistory entries need a password and a changed timestamp');
+    }
+    Object.keys(cred).forEach(field => {
+      if (!this.loginFields.includes(field)) {
+        errors.push(`unexpected field ${field}`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Map whatever the popup, content scripts or older vaults produced onto
+  // the item model. `existing` supplies id/created/type when updating.
+  normalizeCredential(cred, existing = null) {
+    const now = Date.now();
+    const text = (value) => (value === undefined || value === null ? '' : String(value));
+    const type = existing ? existing.type : (this.itemTypes[cred.type] ? cred.type : 'login');
+    const isLogin = type === 'login';
+
+    let domain = text(cred.domain);
+    if (!domain && cred.url) {
+      try {
+        domain = new URL(cred.url).hostname;
+      } catch (e) {
+        // Keep the domain empty if the URL cannot be parsed
+      }
+    }
+
+    const custom = {};
+    const source = cred.custom && typeof cred.custom === 'object' && !Array.isArray(cred.custom) ? cred.custom : {};
+    Object.keys(source).forEach(key => { custom[key] = source[key]; });
+    Object.keys(cred).forEach(key => {
+      if (!this.loginFields.includes(key) && key !== 'email' && cred[key] !== undefined) {
+        custom[key] = cred[key];
+      }
+    });
+
+    // Values for another type's fields are kept under custom
+    const fields = {};
+    const fieldSource = cred.fields && typeof cred.fields === 'object' && !Array.isArray(cred.fields) ? cred.fields : {};
+    Object.keys(fieldSource).forEach(key => {
+      const field = this.itemTypes[type].fields.find(entry => entry.key === key);
+      if (field) {
+        const value = this.normalizeFieldValue(field, text(fieldSource[key]));
+        if (value) fields[key] = value;
+      } else if (fieldSource[key] !== undefined && fieldSource[key] !== '') {
+        custom[key] = fieldSource[key];
+      }
+    });
+
+    // Older items stored the login as `email`; fold it into username
+    let username = text(cred.username);
+    if (cred.email) {
+      if (!username) {
+        username = text(cred.email);
+      } else if (cred.email !== username) {
+        custom.email = text(cred.email);
+      }
+    }
+
+    return {
+      id: existing ? existing.id : (cred.id ? text(cred.id) : this.generateId()),
+      type,
+      name: text(cred.name) || (isLogin ? domain : this.itemTypes[type].label),
+      username: isLogin ? username : '',
+      password: isLogin ? text(cred.password) : '',
+      url: isLogin ? text(cred.url) : '',
+      match: isLogin && this.matchModes[cred.match] ? cred.match : 'domain',
+      domain: isLogin ? domain : '',
+      notes: text(cred.notes),
+      passwordHistory: this.normalizePasswordHistory(existing ? existing.passwordHistory : cred.passwordHistory),
+      created: existing ? existing.created : (typeof cred.created === 'number' ? cred.created : now),
+      modified: typeof cred.modified === 'number' && !existing ? cred.modified : now,
+      // Bumped when the vault is saved (see VaultMerge.stamp)
+      revision: existing ? existing.revision : (Number.isInteger(cred.revision) && cred.revision > 0 ? cred.revision : 1),
+      device: existing ? existing.device : text(cred.device),
+      folder: this.normalizeFolder(cred.folder),
+      tags: this.normalizeTags(cred.tags),
+      favorite: cred.favorite === true,
+      fields,
+      // An otpauth:// URI or bare base32 key; Totp in totp.js reads both
+      totp: isLogin ? text(cred.totp).trim() : '',
+      // Only the metadata; contents are stored apart (see vault-attachments.js)
+      attachments: existing ? existing.attachments
+        : (Array.isArray(cred.attachments) ? cred.attachments.filter(attachment => this.isAttachment(attachment)) : []),
+      custom
+    };
+  }
+
+  isAttachment(attachment) {
+    return !!attachment && typeof attachment === 'object' &&
+           typeof attachment.id === 'string' && !!attachment.id &&
+           typeof attachment.name === 'string' && !!attachment.name &&
+           typeof attachment.type === 'string' &&
+           Number.isInteger(attachment.size) && attachment.size >= 0 &&
+           typeof attachment.added === 'number' &&
+           Array.isArray(attachment.key) && attachment.key.length === 32 &&
+           Number.isInteger(attachment.chunks) && attachment.chunks >= 1 &&
+           typeof attachment.sha256 === 'string';
+  }
+
+  // Tidy a typed field the way its format is usually written
+  normalizeFieldValue(field, value) {
+    const trimmed = value.trim();
+    if (field.format === 'cardNumber') {
+      return trimmed.replace(/[\s-]/g, '');
+    }
+    if (field.format === 'expiry') {
+      const match = /^(\d{1,2})\s*[/-]\s*(\d{2}|\d{4})$/.exec(trimmed);
+      if (match) {
+        const year = match[2].length === 2 ? '20' + match[2] : match[2];
+        return `${match[1].padStart(2, '0')}/${year}`;
+      }
+    }
+    return field.secret ? value : trimmed;
+  }
+
+  // Checks on what a user typed into a typed item, separate from validate()
+  // so an odd value from an import or another device never blocks a save
+  checkItemInput(item) {
+    const errors = [];
+    const itemType = this.itemTypes[item.type];
+    if (item.type === 'note' && !item.notes.trim()) {
+      errors.push('A secure note needs some text');
+    }
+    if (item.type === 'login' && item.match === 'regex') {
+      if (!item.url) {
+        errors.push('Enter a regular expression to match page URLs');
+      } else {
+        try {
+          new RegExp(item.url);
+        } catch (error) {
+          errors.push('The URL pattern is not a valid regular expression');
+        }
+      }
+    }
+
+    itemType.fields.forEach(field => {
+      const value = item.fields[field.key] || '';
+      if (!value) {
+        if (field.required) errors.push(`${field.label} is required`);
+        return;
+      }
+
+      const invalid = {
+        cardNumber: () => !/^\d{12,19}$/.test(value) || !this.passesLuhn(value),
+        expiry: () => !/^(0[1-9]|1[0-2])\/\d{4}$/.test(value),
+        cvv: () => !/^\d{3,4}$/.test(value),
+        digits: () => !/^\d+$/.test(value),
+        email: () => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        date: () => !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value)),
+        url: () => {
+          try {
+            return !['http:', 'https:'].includes(new URL(value).protocol);
+          } catch (error) {
+            return true;
+          }
+        }
+      }[field.format];
+      if (invalid && invalid()) {
+        errors.push(`${field.label} is not valid`);
+      }
+    });
+    return errors;
+  }
+
+  // Catches most mistyped card numbers
+  passesLuhn(number) {
+    let sum = 0;
+    for (let i = 0; i < number.length; i++) {
+      let digit = Number(number[number.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  // Values a search may match: never secrets
+  searchableText(item) {
+    const itemType = this.itemTypes[item.type];
+    return itemType.fields
+      .filter(field => !field.secret && item.fields[field.key])
+      .map(field => item.fields[field.key]);
+  }
+
+  // Folders nest with '/', e.g. "Work/Servers"; '' is no folder
+  normalizeFolder(folder) {
+    if (typeof folder !== 'string') {
+      return '';
+    }
+    return folder.split('/').map(part => part.trim()).filter(Boolean).join('/');
+  }
+
+  // An array or a string separated by commas or semicolons (as exporters
+  // write them); duplicates differing only in case are dropped, keeping the
+  // first spelling
+  normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : (typeof tags === 'string' ? tags.split(/[,;]/) : []);
+    const seen = new Set();
+    return list
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.trim())
+      .filter(tag => {
+        if (!tag || seen.has(tag.toLowerCase())) return false;
+        seen.add(tag.toLowerCase());
+        return true;
+      });
+  }
+
+  // Previous passwords, newest first
+  normalizePasswordHistory(history) {
+    if (!Array.isArray(history)) {
+      return [];
+    }
+    return history
+      .filter(entry => entry && typeof entry.password === 'string' && entry.password)
+      .map(entry => ({
+        password: entry.password,
+        changed: typeof entry.changed === 'number' ? entry.changed : 0
+      }));
+  }
+
+  generateId() {
+    return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+  }
+}
@@ -0,0 +1,238 @@
+// vault-sharing.js - Sharing identities, collection keys and share bundles
+//
+// Each vault can hold one sharing identity: an ECDH P-256 key pair plus a
+// display name. Teammates swap identity cards (public half only):
+//
+//   { "format": "lockdown-identity", "formatVersion": 1,
+//     "name": "alice@corp", "publicKey": { JWK }, "fingerprint": "<hex>" }
+//
+// A shared collection has a random 256-bit collection key. A share bundle
+// carries the collection encrypted under that key, plus the key wrapped to
+// every member:
+//
+//   {
+//     "format": "lockdown-share", "formatVersion": 1,
+//     "collectionId": "...", "revision": 7, "exported": 1700000000000,
+//     "from": { "name", "publicKey", "fingerprint" },
+//     "recipients": [ { "fingerprint", "salt", "iv", "wrappedKey" } ],
+//     "payload": { "iv", "encrypted" }     // { name, owner, members, items }
+//   }
+//
+// Wrapping uses static-static ECDH between the sender and the recipient,
+// HKDF-SHA256 (per-recipient salt, info bound to the collection id) and
+// AES-GCM, so a recipient who can unwrap the key also knows the bundle came
+// from the holder of the sender's private key. The payload is AES-GCM with
+// the collection id and revision as additional data, so bundles cannot be
+// replayed under another collection or revision.
+
+class VaultSharing {
+  constructor() {
+    this.curve = { name: 'ECDH', namedCurve: 'P-256' };
+    this.identityFormat = 'lockdown-identity';
+    this.bundleFormat = 'lockdown-share';
+    this.formatVersion = 1;
+  }
+
+  async createIdentity(name) {
+    const pair = await crypto.subtle.generateKey(this.curve, true, ['deriveBits']);
+    const publicKey = await crypto.subtle.exportKey('jwk', pair.publicKey);
+    const privateKey = await crypto.subtle.exportKey('jwk', pair.privateKey);
+    return {
+      name,
+      publicKey: this.publicJwk(publicKey),
+      privateKey,
+      fingerprint: await this.fingerprint(publicKey),
+      created: Date.now()
+    };
+  }
+
+  // Only the fields that define the key, so fingerprints are stable
+  publicJwk(jwk) {
+    return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+  }
+
+  // 160 bits of SHA-256 over the public point, for reading out loud
+  async fingerprint(publicKey) {
+    const bytes = new TextEncoder().encode(`${publicKey.crv}:${publicKey.x}:${publicKey.y}`);
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return Array.from(hash.slice(0, 20)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  formatFingerprint(fingerprint) {
+    return fingerprint.match(/.{1,4}/g).join(' ');
+  }
+
+  createIdentityCard(identity) {
+    return JSON.stringify({
+      format: this.identityFormat,
+      formatVersion: this.formatVersion,
+      name: identity.name,
+      publicKey: identity.publicKey,
+      fingerprint: identity.fingerprint
+    }, null, 2);
+  }
+
+  // Returns a member entry; the fingerprint is recomputed, never trusted
+  async readIdentityCard(fileContent) {
+    let card;
+    try {
+      card = JSON.parse(fileContent);
+    } catch (error) {
+      throw new Error('Identity card is not valid JSON');
+    }
+
+    if (!card || card.format !== this.identityFormat) {
+      throw new Error('Not a Lockdown identity card');
+    }
+    if (!card.publicKey || card.publicKey.kty !== 'EC' || card.publicKey.crv !== 'P-256') {
+      throw new Error('Identity card has no P-256 public key');
+    }
+
+    const publicKey = this.publicJwk(card.publicKey);
+    // Rejects points that are not on the curve
+    await crypto.subtle.importKey('jwk', publicKey, this.curve, true, []);
+
+    const fingerprint = await this.fingerprint(publicKey);
+    if (card.fingerprint && card.fingerprint !== fingerprint) {
+      throw new Error('Identity card fingerprint does not match its key');
+    }
+
+    return {
+      name: String(card.name || 'Unnamed').slice(0, 80),
+      publicKey,
+      fingerprint,
+      added: Date.now()
+    };
+  }
+
+  generateCollectionKey() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(32)));
+  }
+
+  async deriveWrappingKey(privateJwk, publicJwk, salt, collectionId) {
+    const privateKey = await crypto.subtle.importKey('jwk', privateJwk, this.curve, false, ['deriveBits']);
+    const publicKey = await crypto.subtle.importKey('jwk', publicJwk, this.curve, false, []);
+    const shared = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+    const baseKey = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+    return await crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(`lockdown-share:${collectionId}`) },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async createBundle(collection, identity) {
+    const collectionKey = await crypto.subtle.importKey(
+      'raw', new Uint8Array(collection.key), { name: 'AES-GCM' }, false, ['encrypt']
+    );
+
+    const recipients = [];
+    for (const member of collection.members) {
+      const salt = crypto.getRandomValues(new Uint8Array(32));
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const wrappingKey = await this.deriveWrappingKey(identity.privateKey, member.publicKey, salt, collection.id);
+      const wrapped = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, new Uint8Array(collection.key));
+      recipients.push({
+        fingerprint: member.fingerprint,
+        salt: Array.from(salt),
+        iv: Array.from(iv),
+        wrappedKey: Array.from(new Uint8Array(wrapped))
+      });
+    }
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify({
+      name: collection.name,
+      owner: collection.owner,
+      members: collection.members,
+      items: collection.items
+    }));
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: this.bundleContext(collection.id, collection.revision) },
+      collectionKey,
+      plaintext
+    );
+
+    return JSON.stringify({
+      format: this.bundleFormat,
+      formatVersion: this.formatVersion,
+      collectionId: collection.id,
+      revision: collection.revision,
+      exported: Date.now(),
+      from: { name: identity.name, publicKey: identity.publicKey, fingerprint: identity.fingerprint },
+      recipients,
+      payload: { iv: Array.from(iv), encrypted: Array.from(new Uint8Array(encrypted)) }
+    }, null, 2);
+  }
+
+  // Unwrap and decrypt a bundle addressed to identity. Returns the
+  // collection key, the sender and the decrypted collection contents.
+  async openBundle(fileContent, identity) {
+    let bundle;
+    try {
+      bundle = JSON.parse(fileContent);
+    } catch (error) {
+      throw new Error('Share bundle is not valid JSON');
+    }
+
+    if (!bundle || bundle.format !== this.bundleFormat) {
+      throw new Error('Not a Lockdown share bundle');
+    }
+    if (bundle.formatVersion > this.formatVersion) {
+      throw new Error(`Share bundle v${bundle.formatVersion} is newer than this version of Lockdown supports`);
+    }
+    if (typeof bundle.collectionId !== 'string' || !Number.isInteger(bundle.revision) ||
+        !bundle.from || !Array.isArray(bundle.recipients) || !bundle.payload) {
+      throw new Error('Share bundle is incomplete');
+    }
+
+    const entry = bundle.recipients.find(recipient => recipient.fingerprint === identity.fingerprint);
+    if (!entry) {
+      throw new Error('This bundle is not addressed to your sharing identity');
+    }
+
+    const sender = this.publicJwk(bundle.from.publicKey || {});
+    const senderFingerprint = await this.fingerprint(sender);
+
+    let key;
+    try {
+      const wrappingKey = await this.deriveWrappingKey(
+        identity.privateKey, sender, new Uint8Array(entry.salt), bundle.collectionId
+      );
+      key = new Uint8Array(await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: new Uint8Array(entry.iv) },
+        wrappingKey,
+        new Uint8Array(entry.wrappedKey)
+      ));
+    } catch (error) {
+      throw new Error('Could not unwrap the collection key: the bundle is damaged or was not made for you');
+    }
+
+    let contents;
+    try {
+      const collectionKey = await crypto.subtle.importKey('raw', key, { name: 'AES-GCM' }, false, ['decrypt']);
+      const decrypted = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: new Uint8Array(bundle.payload.iv), additionalData: this.bundleContext(bundle.collectionId, bundle.revision) },
+        collectionKey,
+        new Uint8Array(bundle.payload.encrypted)
+      );
+      contents = JSON.parse(new TextDecoder().decode(decrypted));
+    } catch (error) {
+      throw new Error('Share bundle contents failed to decrypt');
+    }
+
+    return {
+      collectionId: bundle.collectionId,
+      revision: bundle.revision,
+      key: Array.from(key),
+      from: { name: String(bundle.from.name || ''), fingerprint: senderFingerprint },
+      contents
+    };
+  }
+
+  bundleContext(collectionId, revision) {
+    return new TextEncoder().encode(`${this.bundleFormat}:${collectionId}:${revision}`);
+  }
+}
@@ -0,0 +1,145 @@
+// vault-sync.js - Sync backends for the encrypted vault blob
+//
+// A backend moves one opaque document: the stored vault exactly as it sits
+// in chrome.storage.local (KDF header, wrapped vault key, ciphertext). It
+// never sees the master password, the vault key or any plaintext.
+//
+// Every backend implements:
+//
+//   async read(knownEtag)
+//     -> null                          nothing stored yet
+//     -> { notModified: true }         remote still matches knownEtag
+//     -> { blob, etag }                the remote document
+//   async write(blob, etag)
+//     etag is the version this write replaces, or null to create only
+//     -> { etag }                      stored; the new version
+//     -> { conflict: true }            someone else wrote first
+//   describe() -> string               for status displays
+//
+// Concurrency is optimistic: writes carry the last version seen, and the
+// backend refuses them if the remote has moved on.
+
+class WebDavSyncBackend {
+  constructor({ url, username, password }) {
+    this.url = url;
+    this.username = username || '';
+    this.password = password || '';
+  }
+
+  // Plain HTTP (GET/PUT with If-Match / If-None-Match), which every WebDAV
+  // server and the bundled reference server support
+  headers(extra = {}) {
+    const headers = { ...extra };
+    if (this.username || this.password) {
+      const bytes = new TextEncoder().encode(`${this.username}:${this.password}`);
+      headers.Authorization = 'Basic ' + btoa(String.fromCharCode(...bytes));
+    }
+    return headers;
+  }
+
+  async request(method, headers, body) {
+    let response;
+    try {
+      response = await fetch(this.url, { method, headers: this.headers(headers), body, cache: 'no-store', credentials: 'omit' });
+    } catch (error) {
+      throw new Error(`Sync server unreachable: ${error.message}`);
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('Sync server rejected the credentials');
+    }
+    return response;
+  }
+
+  async read(knownEtag) {
+    const response = await this.request('GET', knownEtag ? { 'If-None-Match': knownEtag } : {});
+    if (response.status === 304) {
+      return { notModified: true };
+    }
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Sync server returned ${response.status} on read`);
+    }
+
+    let blob;
+    try {
+      blob = JSON.parse(await response.text());
+    } catch (error) {
+      throw new Error('Sync server returned something that is not a vault');
+    }
+    return { blob, etag: response.headers.get('ETag') };
+  }
+
+  async write(blob, etag) {
+    const response = await this.request('PUT', {
+      'Content-Type': 'application/json',
+      ...(etag ? { 'If-Match': etag } : { 'If-None-Match': '*' })
+    }, JSON.stringify(blob));
+
+    if (response.status === 412) {
+      return { conflict: true };
+    }
+    if (!response.ok) {
+      throw new Error(`Sync server returned ${response.status} on write`);
+    }
+
+    // Not every WebDAV server returns the new ETag from a PUT
+    const written = response.headers.get('ETag') || (await this.request('HEAD', {})).headers.get('ETag');
+    if (!written) {
+      throw new Error('Sync server does not send ETags, so concurrent writes cannot be detected');
+    }
+    return { etag: written };
+  }
+
+  describe() {
+    return this.url;
+  }
+}
+
+class VaultSync {
+  constructor() {
+    this.backends = {
+      webdav: WebDavSyncBackend
+    };
+  }
+
+  createBackend(config) {
+    const Backend = this.backends[config.backend];
+    if (!Backend) {
+      throw new Error(`Unknown sync backend: ${config.backend}`);
+    }
+    return new Backend(config);
+  }
+
+  // The blob travels over the network, so Basic auth needs TLS. Loopback is
+  // allowed for the reference server and local testing.
+  validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'Enter a full URL, e.g. https://dav.example.com/lockdown/vault.json';
+    }
+    const loopback = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+    if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && loopback)) {
+      return 'Sync needs an https:// URL (http:// is only allowed for localhost)';
+    }
+    if (parsed.username || parsed.password) {
+      return 'Put the username and password in their own fields, not in the URL';
+    }
+    return null;
+  }
+
+  // What the server stores must look like a wrapped-key vault
+  isVaultBlob(blob) {
+    return !!blob && typeof blob === 'object' && !!blob.wrappedKey && Array.isArray(blob.wrappedKey.data) &&
+           Array.isArray(blob.encrypted) && Array.isArray(blob.iv) && typeof blob.kdf === 'string';
+  }
+
+  // Every save re-encrypts under a fresh IV, so the IV names a blob version
+  blobTag(blob) {
+    return blob && Array.isArray(blob.iv) ? blob.iv.join('.') : null;
+  }
+}